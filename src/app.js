@@ -0,0 +1,210 @@
+const { env } = require('./config');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const path = require('path');
+const swaggerUi = require('swagger-ui-express');
+const swaggerJsdoc = require('swagger-jsdoc');
+const authRoutes = require('./routes/auth.routes');
+const playerRoutes = require('./routes/player.routes');
+const scoutRoutes = require('./routes/scout.routes');
+const adminRoutes = require('./routes/admin.routes');
+const notificationRoutes = require('./routes/notification.routes');
+const healthRoutes = require('./routes/health.routes');
+const metricsRoutes = require('./routes/metrics.routes');
+const mediaRoutes = require('./routes/media.routes');
+const requestId = require('./middlewares/requestId.middleware');
+const httpMetrics = require('./middlewares/metrics.middleware');
+const errorHandler = require('./middlewares/error.middleware');
+const security = require('./config/security');
+const { getApiUrl } = require('./utils/url.util');
+const healthService = require('./services/health.service');
+
+// The Express application: middleware, API docs and routes. index.js checks the
+// configuration and database and starts listening; tests import the app directly.
+const app = express();
+
+// Railway terminates TLS in front of the app; trust that hop so req.ip (used by
+// rate limiting and audit logs) is the client's address rather than the proxy's
+app.set('trust proxy', env.TRUST_PROXY);
+
+// Probes and the Prometheus scrape; mounted first so they stay out of the request log and metrics
+app.use('/health', healthRoutes);
+app.use('/metrics', metricsRoutes);
+
+// Give every request an ID that appears in its log entries and the X-Request-Id header
+app.use(requestId);
+
+// Count and time every request by route template and status (see /metrics)
+app.use(httpMetrics);
+
+// While shutting down, ask keep-alive clients to reconnect (to another instance)
+app.use((req, res, next) => {
+  if (healthService.isShuttingDown()) res.set('Connection', 'close');
+  next();
+});
+
+// Security headers (CSP, HSTS, no sniffing, ...); see config/security.js
+app.use(helmet(security.helmet));
+
+// Increase the request timeout for large file uploads (especially videos)
+// Default timeout is 2 minutes, we're increasing it to 10 minutes (600000ms)
+app.use((req, res, next) => {
+  // Set longer timeout for uploads
+  if (req.path === '/api/player/upload') {
+    req.log.debug('Setting 10-minute timeout for upload request');
+    req.setTimeout(600000); // 10 minutes
+    res.setTimeout(600000);
+  }
+  next();
+});
+
+// Increase body size limits for video uploads
+app.use(express.json({ limit: '100mb' }));
+app.use(express.urlencoded({ extended: true, limit: '100mb' }));
+
+// Swagger definition
+const swaggerOptions = {
+  definition: {
+    openapi: '3.0.0',
+    info: {
+      title: 'Pharaohs API',
+      version: '1.0.0',
+      description: 'API documentation for Pharaohs application',
+      contact: {
+        name: 'API Support',
+        email: 'support@pharaohs.com'
+      }
+    },
+    servers: [
+      {
+        url: getApiUrl(),
+        description: 'API Server',
+      },
+    ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Enter JWT token in the format: Bearer <token>'
+        }
+      }
+    },
+    security: [
+      {
+        bearerAuth: []
+      }
+    ],
+    tags: [
+      {
+        name: 'Authentication',
+        description: 'API endpoints for authentication'
+      },
+      {
+        name: 'Player',
+        description: 'API endpoints for player functionality'
+      },
+      {
+        name: 'Scout',
+        description: 'API endpoints for scout functionality'
+      },
+      {
+        name: 'Admin',
+        description: 'API endpoints for admin functionality'
+      },
+      {
+        name: 'Videos',
+        description: 'API endpoints for video management'
+      },
+      {
+        name: 'Invitations',
+        description: 'API endpoints for tryout invitations'
+      },
+      {
+        name: 'Tryouts',
+        description: 'API endpoints for tryouts'
+      },
+      {
+        name: 'Stats',
+        description: 'API endpoints for player statistics'
+      },
+      {
+        name: 'Notifications',
+        description: 'API endpoints for notifications'
+      },
+      {
+        name: 'Health',
+        description: 'Liveness and readiness probes and metrics'
+      },
+      {
+        name: 'Media',
+        description: 'Files stored by the local storage driver'
+      }
+    ]
+  },
+  apis: [
+    './src/routes/*.js', 
+    './src/models/*.js',
+    './src/controllers/*.js',
+    './src/middlewares/*.js',
+    './src/config/*.js',
+  ],
+};
+
+const swaggerSpec = swaggerJsdoc(swaggerOptions);
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
+  explorer: true,
+  customCss: '.swagger-ui .topbar { display: none }',
+  customSiteTitle: 'Pharaohs API Documentation'
+}));
+
+// Allowed origins, methods and credentials come from CORS_* settings (config/security.js)
+app.use(cors(security.cors));
+
+// Media is read cross-origin by the configured origins only (the CORS policy above);
+// relax helmet's same-origin resource policy so they can embed it in <img>/<video>
+app.use(['/uploads', '/media'], (req, res, next) => {
+  res.header('Cross-Origin-Resource-Policy', 'cross-origin');
+  next();
+});
+
+// Configure middleware based on route and content-type
+// DO NOT use express.json() middleware for the upload route
+app.use((req, res, next) => {
+  // Skip JSON parsing for known upload routes to prevent multipart form data issues
+  if (req.path === '/api/player/upload') {
+    req.log.debug('Skipping JSON parsing for upload route');
+    return next();
+  }
+  
+  // For all other routes, apply JSON parsing
+  express.json({ limit: '50mb' })(req, res, next);
+});
+
+// Apply URL-encoded parsing for all routes
+app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+
+// Media written by the local storage driver (STORAGE_DRIVER=local)
+app.use('/media', mediaRoutes);
+
+// Files uploaded before media storage existed, saved as paths under /uploads
+app.use('/uploads', express.static(path.join(__dirname, '..', 'uploads')));
+
+// Root route; use /health/ready to check that the API can actually serve requests
+app.get('/', (req, res) => {
+  res.status(200).json({ status: 'ok', message: 'Pharaohs API is running' });
+});
+
+app.use('/api/auth', authRoutes);
+app.use('/api/player', playerRoutes);
+app.use('/api/scout', scoutRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/notifications', notificationRoutes);
+
+// Unmatched routes and every error thrown or passed on by a route end up here
+app.use(errorHandler.notFound);
+app.use(errorHandler);
+
+module.exports = app;
@@ -1,20 +1,22 @@
 const mysql = require('mysql2/promise');
-require('dotenv').config();
+const { env } = require('./index');
+const logger = require('../utils/logger').child({ module: 'Database' });
+const metrics = require('../utils/metrics');
 
 // Create connection pool using DATABASE_URL if available or individual parameters
 let config;
 
-if (process.env.DATABASE_URL) {
+if (env.DATABASE_URL) {
   // Parse the DATABASE_URL
-  config = { uri: process.env.DATABASE_URL };
+  config = { uri: env.DATABASE_URL };
 } else {
   // Use individual parameters
   config = {
-    host: process.env.DB_HOST || 'localhost',
-    user: process.env.DB_USER || 'root',
-    password: process.env.DB_PASSWORD || '',
-    database: process.env.DB_NAME || 'pharaohs',
-    port: process.env.DB_PORT || 3306
+    host: env.DB_HOST,
+    user: env.DB_USER,
+    password: env.DB_PASSWORD,
+    database: env.DB_NAME,
+    port: env.DB_PORT
   };
 }
 
@@ -30,14 +32,67 @@ config = {
 
 const pool = mysql.createPool(config);
 
-// Test connection
-pool.getConnection()
-  .then(connection => {
-    console.log('📊 Database connection successful');
-    connection.release();
-  })
-  .catch(err => {
-    console.error('❌ Database connection failed:', err);
-  });
+// Label query timings by statement type only; the SQL itself would be unbounded
+const SQL_OPERATIONS = ['select', 'insert', 'update', 'delete'];
+const sqlOperation = (sql) => {
+  const text = typeof sql === 'string' ? sql : (sql && sql.sql) || '';
+  const keyword = text.trim().split(/\s/, 1)[0].toLowerCase();
+  return SQL_OPERATIONS.includes(keyword) ? keyword : 'other';
+};
+
+// Time every query and execute call made on the pool
+for (const method of ['query', 'execute']) {
+  const run = pool[method].bind(pool);
+  pool[method] = async (sql, ...args) => {
+    const endTimer = metrics.dbQueryDuration.startTimer({ operation: sqlOperation(sql) });
+    try {
+      const result = await run(sql, ...args);
+      endTimer({ outcome: 'success' });
+      return result;
+    } catch (err) {
+      endTimer({ outcome: 'error' });
+      throw err;
+    }
+  };
+}
+
+// mysql2 keeps these counts only on the underlying callback pool
+metrics.trackPool(() => {
+  const core = pool.pool;
+  const free = core._freeConnections.length;
+  const open = core._allConnections.length;
+  return {
+    limit: core.config.connectionLimit,
+    open,
+    in_use: open - free,
+    free,
+    queued: core._connectionQueue.length
+  };
+});
+
+const RETRY_DELAY_MS = 2000;
+
+/**
+ * Check that the database is reachable, retrying while it starts up
+ * Called at boot so the server never listens without a working database
+ * @param {Object} options - { retries }
+ * @param {number} options.retries - Extra attempts after the first (default DB_CONNECT_RETRIES)
+ * @returns {Promise<void>} Rejects with the last connection error
+ */
+pool.verifyConnection = async ({ retries = env.DB_CONNECT_RETRIES } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const connection = await pool.getConnection();
+      await connection.ping();
+      connection.release();
+      logger.info('Database connection successful');
+      return;
+    } catch (err) {
+      if (attempt >= retries) throw err;
+      logger.warn('Database not reachable, retrying', { attempt: attempt + 1, retries, error: err.message });
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+    }
+  }
+};
 
 module.exports = pool;
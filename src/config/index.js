@@ -0,0 +1,287 @@
+require('dotenv').config();
+const path = require('path');
+
+/**
+ * Central application configuration
+ *
+ * Every environment variable the app reads is declared in `schema` below with its
+ * type, default and whether production must set it. The environment is parsed once
+ * when this module is first required; problems are collected in `errors` (the app
+ * refuses to boot, see assertValid) and `warnings` (logged at boot). Other modules
+ * read typed values from `env` instead of process.env.
+ */
+
+// Placeholder secret that only exists so development works out of the box
+const DEFAULT_JWT_SECRET = 'pharaohs_secure_jwt_secret_please_change_in_production';
+
+// Secrets used to sign or encrypt must be at least this long in production
+const MIN_SECRET_LENGTH = 32;
+
+// Cloudinary rejects chunked uploads whose chunks (other than the last) are smaller than 5MB
+const MIN_CLOUDINARY_CHUNK_SIZE = 5 * 1024 * 1024;
+
+const REDACTED = '[REDACTED]';
+
+const isProductionEnv = (env) => (env.NODE_ENV || 'development') === 'production';
+
+const CLOUDINARY_CREDENTIALS = ['CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET'];
+
+const hasCloudinaryCredentials = (env) => CLOUDINARY_CREDENTIALS.every(name => env[name] && String(env[name]).trim() !== '');
+
+/**
+ * Variable declarations
+ * type: string | int | bool | url | list | enum | duration
+ * default: value (or function of the raw environment) used when the variable is unset
+ * requiredInProduction: must be set when NODE_ENV=production
+ * secret: never shown in /api/admin/config
+ */
+const schema = {
+  NODE_ENV: { type: 'enum', values: ['development', 'production', 'test'], default: 'development', description: 'Runtime environment' },
+  PORT: { type: 'int', min: 1, max: 65535, default: 3000, description: 'HTTP port' },
+  API_URL: { type: 'url', default: 'http://localhost:3000', requiredInProduction: true, description: 'Public base URL of this API' },
+  FRONTEND_URL: { type: 'url', default: 'http://localhost:4200', requiredInProduction: true, description: 'Base URL of the web app, used in email links' },
+  TRUST_PROXY: { type: 'int', min: 0, default: 1, description: 'Number of proxy hops in front of the app' },
+  METRICS_TOKEN: { type: 'string', secret: true, description: 'Bearer token Prometheus must send to /metrics (open when unset)' },
+  SHUTDOWN_TIMEOUT_SECONDS: { type: 'int', min: 0, default: 30, description: 'How long in-flight requests may run after SIGTERM before connections are closed' },
+
+  LOG_LEVEL: { type: 'enum', values: ['error', 'warn', 'info', 'debug', 'silent'], default: env => (isProductionEnv(env) ? 'info' : 'debug'), description: 'Minimum level written to the log' },
+  LOG_FORMAT: { type: 'enum', values: ['json', 'pretty'], default: env => (isProductionEnv(env) ? 'json' : 'pretty'), description: 'Log output format' },
+
+  CORS_ORIGINS: { type: 'list', of: 'url', default: ['https://pharaohs-front-end.vercel.app', 'http://localhost:4200'], description: 'Origins allowed to call the API and load media' },
+  CORS_METHODS: { type: 'list', default: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'], description: 'HTTP methods allowed cross-origin' },
+  CORS_CREDENTIALS: { type: 'bool', default: true, description: 'Allow credentials on cross-origin requests' },
+  CORS_MAX_AGE: { type: 'int', min: 0, default: 600, description: 'Seconds browsers may cache a preflight response' },
+
+  JWT_SECRET: { type: 'string', secret: true, default: DEFAULT_JWT_SECRET, requiredInProduction: true, description: 'Secret for signing JWTs' },
+  JWT_EXPIRES_IN: { type: 'duration', default: '15m', description: 'Access token lifetime' },
+  REFRESH_TOKEN_EXPIRES_IN: { type: 'duration', default: '7d', description: 'Refresh token lifetime' },
+  EMAIL_VERIFICATION_EXPIRES_IN: { type: 'duration', default: '24h', description: 'Email verification link lifetime' },
+  TWO_FACTOR_CHALLENGE_EXPIRES_IN: { type: 'duration', default: '5m', description: 'Lifetime of the 2FA login challenge and enrollment tokens' },
+  TWO_FACTOR_ENCRYPTION_KEY: { type: 'string', secret: true, description: 'Key encrypting stored TOTP secrets (defaults to JWT_SECRET)' },
+  PASSWORD_RESET_EXPIRES_MINUTES: { type: 'int', min: 1, default: 60, description: 'Password reset link lifetime' },
+  MAX_FAILED_LOGINS: { type: 'int', min: 1, default: 5, description: 'Failed logins before each progressive lockout' },
+  LOCKOUT_BASE_MINUTES: { type: 'int', min: 1, default: 15, description: 'First lockout duration' },
+  LOGIN_RATE_LIMIT_PER_IP: { type: 'int', min: 1, default: 20, description: 'Login attempts per IP per 15 minutes' },
+  LOGIN_RATE_LIMIT_PER_ACCOUNT: { type: 'int', min: 1, default: 10, description: 'Login attempts per account per 15 minutes' },
+  REGISTER_RATE_LIMIT_PER_IP: { type: 'int', min: 1, default: 10, description: 'Registrations per IP per hour' },
+  PASSWORD_RESET_RATE_LIMIT_PER_IP: { type: 'int', min: 1, default: 10, description: 'Password reset requests per IP per 15 minutes' },
+  PASSWORD_RESET_RATE_LIMIT_PER_ACCOUNT: { type: 'int', min: 1, default: 3, description: 'Password reset requests per account per 15 minutes' },
+
+  DATABASE_URL: { type: 'url', protocols: ['mysql:'], secret: true, description: 'MySQL connection URL (overrides DB_*)' },
+  DB_HOST: { type: 'string', default: 'localhost', description: 'MySQL host' },
+  DB_PORT: { type: 'int', min: 1, max: 65535, default: 3306, description: 'MySQL port' },
+  DB_USER: { type: 'string', default: 'root', description: 'MySQL user' },
+  DB_PASSWORD: { type: 'string', secret: true, default: '', description: 'MySQL password' },
+  DB_NAME: { type: 'string', default: 'pharaohs', description: 'MySQL database' },
+  DB_CONNECT_RETRIES: { type: 'int', min: 0, default: 5, description: 'Extra attempts to reach the database at boot before giving up' },
+
+  SMTP_HOST: { type: 'string', requiredInProduction: true, description: 'SMTP server; unset logs emails instead of sending them' },
+  SMTP_PORT: { type: 'int', min: 1, max: 65535, default: 587, description: 'SMTP port' },
+  SMTP_SECURE: { type: 'bool', default: false, description: 'Use TLS from the start of the SMTP connection' },
+  SMTP_USER: { type: 'string', description: 'SMTP user' },
+  SMTP_PASS: { type: 'string', secret: true, description: 'SMTP password' },
+  MAIL_FROM: { type: 'string', default: 'Pharaohs <no-reply@pharaohs.com>', description: 'Sender of outgoing email' },
+
+  DATA_EXPORT_DIR: { type: 'string', default: path.join(__dirname, '..', '..', 'exports'), description: 'Where personal data exports are written' },
+  DATA_EXPORT_EXPIRES_HOURS: { type: 'int', min: 1, default: 24, description: 'How long a finished export can be downloaded' },
+
+  STORAGE_DRIVER: { type: 'enum', values: ['cloudinary', 'local'], default: env => (isProductionEnv(env) || hasCloudinaryCredentials(env) ? 'cloudinary' : 'local'), description: 'Where media is stored: cloudinary, or local for files on this server\'s disk' },
+  LOCAL_STORAGE_DIR: { type: 'string', default: path.join(__dirname, '..', '..', 'storage'), description: 'Directory the local storage driver writes media to' },
+  STORAGE_SIGNING_KEY: { type: 'string', secret: true, description: 'Key signing expiring links to locally stored media (defaults to JWT_SECRET)' },
+  FFPROBE_PATH: { type: 'string', default: 'ffprobe', description: 'ffprobe binary the local storage driver reads media dimensions and durations with' },
+  FFMPEG_PATH: { type: 'string', default: 'ffmpeg', description: 'ffmpeg binary the local storage driver extracts video thumbnails with' },
+  UPLOAD_CHUNK_SIZE: { type: 'int', min: 1, default: 5 * 1024 * 1024, description: 'Bytes per chunk of a resumable upload (Cloudinary needs at least 5MB)' },
+  UPLOAD_MAX_SIZE_MB: { type: 'int', min: 1, default: 500, description: 'Largest video accepted by a resumable upload, in MB' },
+  UPLOAD_SESSION_EXPIRES_HOURS: { type: 'int', min: 1, default: 24, description: 'How long an unfinished resumable upload can be continued' },
+  CLOUDINARY_CLOUD_NAME: { type: 'string', description: 'Cloudinary cloud name' },
+  CLOUDINARY_API_KEY: { type: 'string', description: 'Cloudinary API key' },
+  CLOUDINARY_API_SECRET: { type: 'string', secret: true, description: 'Cloudinary API secret' }
+};
+
+// Each parser returns the typed value or throws with the reason the raw value is invalid
+const parsers = {
+  string: (raw) => raw,
+
+  int: (raw, spec) => {
+    if (!/^-?\d+$/.test(raw)) throw new Error('must be an integer');
+    const value = parseInt(raw, 10);
+    if (spec.min !== undefined && value < spec.min) throw new Error(`must be at least ${spec.min}`);
+    if (spec.max !== undefined && value > spec.max) throw new Error(`must be at most ${spec.max}`);
+    return value;
+  },
+
+  bool: (raw) => {
+    if (/^(true|1|yes)$/i.test(raw)) return true;
+    if (/^(false|0|no)$/i.test(raw)) return false;
+    throw new Error('must be true or false');
+  },
+
+  enum: (raw, spec) => {
+    const value = raw.toLowerCase();
+    if (!spec.values.includes(value)) throw new Error(`must be one of ${spec.values.join(', ')}`);
+    return value;
+  },
+
+  url: (raw, spec) => {
+    const protocols = spec.protocols || ['http:', 'https:'];
+    let url;
+    try {
+      url = new URL(raw);
+    } catch (err) {
+      throw new Error('must be a valid URL');
+    }
+    if (!protocols.includes(url.protocol)) throw new Error(`must be a ${protocols.join(' or ')} URL`);
+    return spec.protocols ? raw : raw.replace(/\/+$/, '');
+  },
+
+  list: (raw, spec) => raw.split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => (spec.of ? parsers[spec.of](item, {}) : item)),
+
+  // Same format jsonwebtoken accepts: a number of seconds or a number with a unit
+  duration: (raw) => {
+    if (!/^\d+\s*(ms|s|m|h|d|w|y)?$/.test(raw)) throw new Error('must be a duration such as 900, 15m, 24h or 7d');
+    return /^\d+$/.test(raw) ? parseInt(raw, 10) : raw;
+  }
+};
+
+// Rules that need more than one variable or only apply in production
+const checkRules = (values, isSet, isProduction) => {
+  const errors = [];
+  const warnings = [];
+
+  if (isProduction) {
+    for (const [name, spec] of Object.entries(schema)) {
+      if (spec.requiredInProduction && !isSet(name)) errors.push(`${name} is required in production`);
+    }
+
+    if (isSet('JWT_SECRET') && (values.JWT_SECRET === DEFAULT_JWT_SECRET || values.JWT_SECRET.length < MIN_SECRET_LENGTH)) {
+      errors.push(`JWT_SECRET must be set to a random value of at least ${MIN_SECRET_LENGTH} characters in production`);
+    }
+    if (isSet('TWO_FACTOR_ENCRYPTION_KEY') && values.TWO_FACTOR_ENCRYPTION_KEY.length < MIN_SECRET_LENGTH) {
+      errors.push(`TWO_FACTOR_ENCRYPTION_KEY must be at least ${MIN_SECRET_LENGTH} characters in production`);
+    }
+    if (isSet('STORAGE_SIGNING_KEY') && values.STORAGE_SIGNING_KEY.length < MIN_SECRET_LENGTH) {
+      errors.push(`STORAGE_SIGNING_KEY must be at least ${MIN_SECRET_LENGTH} characters in production`);
+    }
+    if (values.STORAGE_DRIVER === 'cloudinary') {
+      CLOUDINARY_CREDENTIALS.filter(name => !isSet(name))
+        .forEach(name => errors.push(`${name} is required in production when STORAGE_DRIVER is cloudinary`));
+    }
+    if (!isSet('DATABASE_URL') && !['DB_HOST', 'DB_USER', 'DB_PASSWORD', 'DB_NAME'].every(isSet)) {
+      errors.push('Set DATABASE_URL, or DB_HOST, DB_USER, DB_PASSWORD and DB_NAME, in production');
+    }
+  } else {
+    if (values.JWT_SECRET === DEFAULT_JWT_SECRET) {
+      warnings.push('JWT_SECRET is not set; using the built-in development secret');
+    }
+    if (values.STORAGE_DRIVER === 'cloudinary' && !CLOUDINARY_CREDENTIALS.every(isSet)) {
+      warnings.push('STORAGE_DRIVER is cloudinary but Cloudinary is not configured; media uploads will fail');
+    }
+    if (!isSet('SMTP_HOST')) {
+      warnings.push('SMTP_HOST is not set; emails are logged instead of sent');
+    }
+  }
+
+  if (values.STORAGE_DRIVER === 'cloudinary' && values.UPLOAD_CHUNK_SIZE < MIN_CLOUDINARY_CHUNK_SIZE) {
+    errors.push(`UPLOAD_CHUNK_SIZE must be at least ${MIN_CLOUDINARY_CHUNK_SIZE} when STORAGE_DRIVER is cloudinary`);
+  }
+
+  if (isSet('SMTP_USER') && !isSet('SMTP_PASS')) {
+    errors.push('SMTP_PASS is required when SMTP_USER is set');
+  }
+
+  return { errors, warnings };
+};
+
+/**
+ * Parse and validate an environment
+ * @param {Object} rawEnv - Variables to read (defaults to process.env)
+ * @returns {{ env: Object, sources: Object, errors: string[], warnings: string[] }}
+ */
+const load = (rawEnv = process.env) => {
+  const values = {};
+  const sources = {};
+  const errors = [];
+
+  const isSet = (name) => rawEnv[name] !== undefined && String(rawEnv[name]).trim() !== '';
+
+  for (const [name, spec] of Object.entries(schema)) {
+    const fallback = typeof spec.default === 'function' ? spec.default(rawEnv) : spec.default;
+
+    if (!isSet(name)) {
+      values[name] = fallback;
+      sources[name] = 'default';
+      continue;
+    }
+
+    try {
+      values[name] = parsers[spec.type](String(rawEnv[name]).trim(), spec);
+      sources[name] = 'environment';
+    } catch (err) {
+      errors.push(`${name} ${err.message}`);
+      values[name] = fallback;
+      sources[name] = 'default';
+    }
+  }
+
+  const rules = checkRules(values, isSet, values.NODE_ENV === 'production');
+
+  return {
+    env: Object.freeze(values),
+    sources,
+    errors: [...errors, ...rules.errors],
+    warnings: rules.warnings
+  };
+};
+
+const loaded = load();
+
+module.exports = {
+  // Typed values keyed by variable name, defaults applied
+  env: loaded.env,
+
+  isProduction: loaded.env.NODE_ENV === 'production',
+
+  // Problems that stop the app from booting
+  errors: loaded.errors,
+
+  // Problems worth logging that do not stop the app (development only)
+  warnings: loaded.warnings,
+
+  load,
+
+  /**
+   * Throw if the configuration is invalid; called once at boot before the server listens
+   * @throws {Error} Listing every problem, also available as err.errors
+   */
+  assertValid() {
+    if (!loaded.errors.length) return;
+    const err = new Error(`Invalid configuration:\n  - ${loaded.errors.join('\n  - ')}`);
+    err.errors = loaded.errors;
+    throw err;
+  },
+
+  /**
+   * Describe the effective configuration with secrets redacted, for operators
+   * @returns {Object} { environment, warnings, variables: [{ name, value, source, secret, description }] }
+   */
+  describe() {
+    return {
+      environment: loaded.env.NODE_ENV,
+      warnings: loaded.warnings,
+      variables: Object.entries(schema).map(([name, spec]) => {
+        const value = loaded.env[name];
+        const isSet = value !== undefined && value !== '';
+        return {
+          name,
+          value: spec.secret ? (isSet ? REDACTED : null) : (value === undefined ? null : value),
+          source: loaded.sources[name],
+          secret: !!spec.secret,
+          description: spec.description
+        };
+      })
+    };
+  }
+};
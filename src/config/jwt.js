@@ -8,19 +8,31 @@
  *       bearerFormat: JWT
  */
 
+const { env } = require('./index');
+
 // JWT configuration settings
 module.exports = {
-  // Secret key for signing JWT tokens
-  secret: process.env.JWT_SECRET || 'pharaohs_secure_jwt_secret_please_change_in_production',
+  // Secret key for signing JWT tokens (production refuses to boot with the default)
+  secret: env.JWT_SECRET,
   
-  // Token expiration time
-  expiresIn: process.env.JWT_EXPIRES_IN || '1d',
+  // Access token expiration time (kept short; clients renew via /api/auth/refresh)
+  expiresIn: env.JWT_EXPIRES_IN,
   
   // Refresh token settings
   refreshToken: {
-    expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d'
+    expiresIn: env.REFRESH_TOKEN_EXPIRES_IN
   },
   
+  // Email verification link settings
+  emailVerification: {
+    expiresIn: env.EMAIL_VERIFICATION_EXPIRES_IN
+  },
+
+  // Two-step login: lifetime of the token issued between password and TOTP code
+  twoFactorChallenge: {
+    expiresIn: env.TWO_FACTOR_CHALLENGE_EXPIRES_IN
+  },
+
   // Verification options
   verifyOptions: {
     ignoreExpiration: false,
@@ -0,0 +1,42 @@
+const { env, isProduction } = require('./index');
+
+// Origins allowed to call the API and read media from it
+const allowedOrigins = env.CORS_ORIGINS;
+
+// Security settings for CORS and HTTP headers
+module.exports = {
+  // Options for the cors middleware
+  cors: {
+    // Requests without an Origin header (curl, server-to-server, same-origin) are let through;
+    // browsers get no CORS headers for other origins and block the response
+    origin: (origin, callback) => callback(null, !origin || allowedOrigins.includes(origin)),
+    methods: env.CORS_METHODS,
+    allowedHeaders: ['Content-Type', 'Authorization', 'x-requested-with', 'X-Request-Id'],
+    exposedHeaders: ['Content-Length', 'Content-Type', 'X-Request-Id'],
+    credentials: env.CORS_CREDENTIALS,
+    // How long browsers may cache a preflight response, in seconds
+    maxAge: env.CORS_MAX_AGE
+  },
+
+  // Options for helmet; the CSP only matters for the HTML served by Swagger UI at /api-docs
+  helmet: {
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        scriptSrc: ["'self'"],
+        // Swagger UI injects the customCss option as an inline <style>
+        styleSrc: ["'self'", "'unsafe-inline'"],
+        imgSrc: ["'self'", 'data:'],
+        // "Try it out" calls the API at API_URL, which may not be the origin serving the docs
+        connectSrc: ["'self'", new URL(env.API_URL).origin],
+        fontSrc: ["'self'", 'data:'],
+        objectSrc: ["'none'"],
+        frameAncestors: ["'none'"],
+        // Would break the docs when served over plain http in development
+        upgradeInsecureRequests: isProduction ? [] : null
+      }
+    },
+    // Media under /uploads and /media overrides this so the frontend can embed it
+    crossOriginResourcePolicy: { policy: 'same-origin' }
+  }
+};
@@ -1,5 +1,18 @@
+const path = require('path');
 const db = require('../config/db');
-const cloudinaryService = require('../services/cloudinary.service');
+const config = require('../config');
+const storageService = require('../services/storage.service');
+const lockoutService = require('../services/lockout.service');
+const accountService = require('../services/account.service');
+const TryoutRepository = require('../repositories/tryout.repository');
+const MediaRepository = require('../repositories/media.repository');
+const { getFullUrl } = require('../utils/url.util');
+const { resourceTypeFromUrl } = require('../utils/media.util');
+const {
+  BadRequestError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors');
 
 // Helper function to log admin actions
 const logAdminAction = async (userId, action, entityType, entityId, details, ipAddress) => {
@@ -14,366 +27,471 @@ const logAdminAction = async (userId, action, entityType, entityId, details, ipA
   }
 };
 
+// Accreditation documents are private, so reviewers get a link that expires after an hour
+const documentLink = (url, key) => {
+  if (!key) return getFullUrl(url);
+
+  const resourceType = resourceTypeFromUrl(url);
+  return storageService.getSignedUrl(key, {
+    resourceType,
+    // Cloudinary keeps the extension in the key of raw files only
+    format: resourceType === 'raw' ? undefined : path.extname(url).slice(1),
+    access: 'private'
+  });
+};
+
 exports.getAllUsers = async (req, res) => {
-  try {
-    const [users] = await db.query('SELECT id, name, email, role, status, created_at FROM users ORDER BY id DESC');
-    res.json(users);
-  } catch (err) {
-    res.status(500).json({ message: 'Failed to load users' });
-  }
+  const [users] = await db.query('SELECT id, name, email, role, status, email_verified_at, created_at FROM users ORDER BY id DESC');
+  res.json(users);
 };
 
 exports.deleteUser = async (req, res) => {
   const userId = req.params.id;
 
-  try {
-    // Get user details before deletion for logging
-    const [userDetails] = await db.query('SELECT name, email FROM users WHERE id = ?', [userId]);
-
-    await db.query('DELETE FROM users WHERE id = ?', [userId]);
-
-    // Log the action
-    await logAdminAction(
-      req.user.id,
-      'DELETE',
-      'user',
-      userId,
-      JSON.stringify(userDetails[0]),
-      req.ip
-    );
-
-    res.json({ message: 'User deleted' });
-  } catch (err) {
-    res.status(500).json({ message: 'Could not delete user' });
+  if (parseInt(userId) === req.user.id) {
+    throw new BadRequestError('Use account settings to delete your own account', { code: 'CANNOT_DELETE_SELF' });
   }
+
+  // Removes the user's data in one transaction and records the audit entry
+  const summary = await accountService.deleteAccount(parseInt(userId), {
+    actorId: req.user.id,
+    ipAddress: req.ip
+  });
+
+  if (!summary) throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
+
+  res.json({ message: 'User deleted', summary });
 };
 
 exports.updateUserStatus = async (req, res) => {
   const userId = req.params.id;
   const { status } = req.body;
 
-  if (!status || !['active', 'inactive', 'suspended'].includes(status)) {
-    return res.status(400).json({ message: 'Invalid status value' });
+  await db.query('UPDATE users SET status = ? WHERE id = ?', [status, userId]);
+
+  // Log the action
+  await logAdminAction(
+    req.user.id,
+    'UPDATE',
+    'user',
+    userId,
+    `Changed status to ${status}`,
+    req.ip
+  );
+
+  res.json({ message: 'User status updated' });
+};
+
+exports.verifyUserEmail = async (req, res) => {
+  const userId = req.params.id;
+
+  const [result] = await db.query(
+    'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?',
+    [userId]
+  );
+
+  if (!result.affectedRows) {
+    throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
   }
 
-  try {
-    await db.query('UPDATE users SET status = ? WHERE id = ?', [status, userId]);
-
-    // Log the action
-    await logAdminAction(
-      req.user.id,
-      'UPDATE',
-      'user',
-      userId,
-      `Changed status to ${status}`,
-      req.ip
-    );
+  // Log the action
+  await logAdminAction(
+    req.user.id,
+    'UPDATE',
+    'user',
+    userId,
+    'Email marked as verified by admin',
+    req.ip
+  );
+
+  res.json({ message: 'User email marked as verified' });
+};
 
-    res.json({ message: 'User status updated' });
-  } catch (err) {
-    res.status(500).json({ message: 'Could not update user status' });
+exports.getLockedAccounts = async (req, res) => {
+  const users = await lockoutService.getLockedAccounts();
+  res.json(users);
+};
+
+exports.unlockUser = async (req, res) => {
+  const userId = req.params.id;
+
+  const found = await lockoutService.unlockAccount(userId);
+
+  if (!found) {
+    throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
   }
+
+  // Log the action
+  await logAdminAction(
+    req.user.id,
+    'UNLOCK',
+    'user',
+    userId,
+    'Login lockout cleared by admin',
+    req.ip
+  );
+
+  res.json({ message: 'User unlocked' });
 };
 
 exports.resetUserPassword = async (req, res) => {
   const userId = req.params.id;
   const bcrypt = require('bcryptjs');
 
-  try {
-    // Generate a random password
-    const tempPassword = Math.random().toString(36).slice(-8);
-    const hashedPassword = await bcrypt.hash(tempPassword, 10);
-
-    await db.query('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, userId]);
-
-    // Log the action
-    await logAdminAction(
-      req.user.id,
-      'RESET_PASSWORD',
-      'user',
-      userId,
-      'Password reset by admin',
-      req.ip
-    );
+  // Generate a random password
+  const tempPassword = Math.random().toString(36).slice(-8);
+  const hashedPassword = await bcrypt.hash(tempPassword, 10);
 
-    res.json({ message: 'Password reset', tempPassword });
-  } catch (err) {
-    res.status(500).json({ message: 'Could not reset password' });
-  }
+  await db.query('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, userId]);
+
+  // Log the action
+  await logAdminAction(
+    req.user.id,
+    'RESET_PASSWORD',
+    'user',
+    userId,
+    'Password reset by admin',
+    req.ip
+  );
+
+  res.json({ message: 'Password reset', tempPassword });
 };
 
 exports.getAllVideos = async (req, res) => {
-  try {
-    const [videos] = await db.query(`
-      SELECT v.id, v.url, v.description, v.created_at, v.player_id AS playerId, u.name AS player_name,
-             v.status, v.public_id, v.type
-      FROM videos v
-      JOIN users u ON v.player_id = u.id
-      ORDER BY v.created_at DESC
-    `);
-    res.json(videos);
-  } catch (err) {
-    res.status(500).json({ message: 'Failed to fetch media' });
-  }
+  const [videos] = await db.query(`
+    SELECT v.id, v.url, v.description, v.created_at, v.player_id AS playerId, u.name AS player_name,
+           v.status, v.rejection_reason, v.public_id, v.type
+    FROM videos v
+    JOIN users u ON v.player_id = u.id
+    ORDER BY v.created_at DESC
+  `);
+  res.json(videos);
 };
 
 exports.deleteVideo = async (req, res) => {
   const videoId = req.params.id;
 
-  try {
-    // Get video details before deletion for logging
-    const [videoDetails] = await db.query('SELECT description, player_id, url, public_id, type FROM videos WHERE id = ?', [videoId]);
-    
-    if (videoDetails.length === 0) {
-      return res.status(404).json({ message: 'Video not found' });
-    }
+  // Get video details before deletion for logging
+  const [videoDetails] = await db.query('SELECT description, player_id, url, public_id, type FROM videos WHERE id = ?', [videoId]);
+  
+  if (videoDetails.length === 0) {
+    throw new NotFoundError('Video not found', { code: 'VIDEO_NOT_FOUND' });
+  }
 
-    // Delete from Cloudinary if public_id exists
-    if (videoDetails[0].public_id) {
-      try {
-        await cloudinaryService.deleteFile(videoDetails[0].public_id, {
-          resource_type: videoDetails[0].type === 'image' ? 'image' : 'video'
-        });
-      } catch (err) {
-        console.warn('[Delete from Cloudinary Warning]', err.message);
-      }
+  // Delete the stored file; public_id holds its storage key
+  if (videoDetails[0].public_id) {
+    try {
+      await storageService.delete(videoDetails[0].public_id, { resourceType: videoDetails[0].type === 'image' ? 'image' : 'video' });
+    } catch (err) {
+      req.log.warn('Could not delete video from storage', { key: videoDetails[0].public_id, error: err.message });
     }
+  }
 
-    await db.query('DELETE FROM videos WHERE id = ?', [videoId]);
+  await db.query('DELETE FROM videos WHERE id = ?', [videoId]);
 
-    // Log the action
-    await logAdminAction(
-      req.user.id,
-      'DELETE',
-      'video',
-      videoId,
-      JSON.stringify(videoDetails[0]),
-      req.ip
-    );
+  // Log the action
+  await logAdminAction(
+    req.user.id,
+    'DELETE',
+    'video',
+    videoId,
+    JSON.stringify(videoDetails[0]),
+    req.ip
+  );
 
-    res.json({ message: 'Video deleted' });
-  } catch (err) {
-    res.status(500).json({ message: 'Could not delete video' });
-  }
+  res.json({ message: 'Video deleted' });
+};
+
+exports.getModerationQueue = async (req, res) => {
+  const status = req.query.status || 'pending';
+  const limit = parseInt(req.query.limit, 10) || 50;
+  const offset = parseInt(req.query.offset, 10) || 0;
+
+  const media = await MediaRepository.findByStatus(status, { limit, offset });
+  const total = await MediaRepository.countByStatus(status);
+
+  res.json({
+    media,
+    pagination: {
+      total,
+      limit,
+      offset
+    }
+  });
 };
 
 exports.updateVideoStatus = async (req, res) => {
   const videoId = req.params.id;
-  const { status } = req.body;
+  const { status, reason } = req.body;
 
-  if (!status || !['pending', 'approved', 'rejected'].includes(status)) {
-    return res.status(400).json({ message: 'Invalid status value' });
+  const video = await MediaRepository.findById(videoId);
+
+  if (!video) {
+    throw new NotFoundError('Video not found', { code: 'VIDEO_NOT_FOUND' });
   }
 
-  try {
-    await db.query('UPDATE videos SET status = ? WHERE id = ?', [status, videoId]);
-
-    // Log the action
-    await logAdminAction(
-      req.user.id,
-      'UPDATE',
-      'video',
-      videoId,
-      `Changed status to ${status}`,
-      req.ip
-    );
+  const rejectionReason = status === 'rejected' ? reason.trim() : null;
 
-    res.json({ message: 'Video status updated' });
-  } catch (err) {
-    res.status(500).json({ message: 'Could not update video status' });
+  await MediaRepository.setStatus(videoId, { status, reason: rejectionReason, reviewerId: req.user.id });
+
+  // Tell the player about a decision, unless it is the one they already had
+  if (status !== 'pending' && status !== video.status) {
+    const title = video.description || `your ${video.type}`;
+    const NotificationUtil = require('../utils/notification.util');
+    await NotificationUtil.createCustomNotification(
+      video.player_id,
+      status === 'approved'
+        ? `Your ${video.type} "${title}" has been approved and is now visible to scouts.`
+        : `Your ${video.type} "${title}" was rejected: ${rejectionReason}`
+    );
   }
+
+  // Log the action
+  await logAdminAction(
+    req.user.id,
+    status === 'approved' ? 'APPROVE' : status === 'rejected' ? 'REJECT' : 'UPDATE',
+    'video',
+    videoId,
+    rejectionReason ? `Changed status to rejected: ${rejectionReason}` : `Changed status to ${status}`,
+    req.ip
+  );
+
+  res.json({ message: 'Video status updated', status });
 };
 
-exports.getTryoutLocations = async (req, res) => {
-  try {
-    const [locations] = await db.query(`
-      SELECT DISTINCT location
-      FROM tryouts
-      WHERE location IS NOT NULL AND location != ''
-      ORDER BY location
-    `);
-
-    res.json(locations.map(l => l.location));
-  } catch (err) {
-    console.error('[Get Tryout Locations Error]', err);
-    res.status(500).json({ message: 'Failed to load tryout locations' });
-  }
+exports.getScoutVerifications = async (req, res) => {
+  const status = req.query.status || 'pending_verification';
+  const limit = parseInt(req.query.limit, 10) || 50;
+  const offset = parseInt(req.query.offset, 10) || 0;
+
+  const [verifications] = await db.query(`
+    SELECT sv.id, sv.scout_id AS scoutId, u.name AS scout_name, u.email AS scout_email,
+           sv.organization, sv.job_title, sv.license_number, sv.website, sv.document_url,
+           sv.document_public_id, sv.status, sv.rejection_reason, sv.reviewed_by, sv.reviewed_at, sv.created_at
+    FROM scout_verifications sv
+    JOIN users u ON sv.scout_id = u.id
+    WHERE sv.status = ?
+    ORDER BY sv.created_at ASC
+    LIMIT ? OFFSET ?
+  `, [status, limit, offset]);
+
+  const [totalCount] = await db.query(
+    'SELECT COUNT(*) AS total FROM scout_verifications WHERE status = ?',
+    [status]
+  );
+
+  res.json({
+    verifications: verifications.map(({ document_public_id: documentKey, ...verification }) => ({
+      ...verification,
+      document_url: documentLink(verification.document_url, documentKey)
+    })),
+    pagination: {
+      total: totalCount[0].total,
+      limit,
+      offset
+    }
+  });
 };
 
-exports.addTryoutLocation = async (req, res) => {
-  const { location } = req.body;
+exports.reviewScoutVerification = async (req, res) => {
+  const verificationId = req.params.id;
+  const { status, reason } = req.body;
+
+  const [verification] = await db.query(
+    'SELECT id, scout_id, status FROM scout_verifications WHERE id = ?',
+    [verificationId]
+  );
 
-  if (!location || location.trim() === '') {
-    return res.status(400).json({ message: 'Location name is required' });
+  if (verification.length === 0) {
+    throw new NotFoundError('Verification request not found', { code: 'VERIFICATION_NOT_FOUND' });
   }
 
-  try {
-    // Check if location already exists
-    const [existingLocations] = await db.query(
-      'SELECT location FROM tryouts WHERE location = ? LIMIT 1',
-      [location]
+  if (verification[0].status !== 'pending_verification') {
+    throw new ConflictError(
+      `Verification request has already been ${verification[0].status}`,
+      { code: 'VERIFICATION_ALREADY_REVIEWED' }
     );
+  }
 
-    if (existingLocations.length > 0) {
-      return res.status(400).json({ message: 'Location already exists' });
-    }
+  const scoutId = verification[0].scout_id;
+  const rejectionReason = status === 'rejected' ? reason.trim() : null;
+
+  await db.query(
+    'UPDATE scout_verifications SET status = ?, rejection_reason = ?, reviewed_by = ?, reviewed_at = NOW() WHERE id = ?',
+    [status, rejectionReason, req.user.id, verificationId]
+  );
+  await db.query(
+    'UPDATE scout_profiles SET verification_status = ? WHERE user_id = ?',
+    [status, scoutId]
+  );
+
+  const NotificationUtil = require('../utils/notification.util');
+  await NotificationUtil.createCustomNotification(
+    scoutId,
+    status === 'verified'
+      ? 'Your scout accreditation has been approved. You can now invite and shortlist players.'
+      : `Your scout accreditation was rejected: ${rejectionReason}`
+  );
+
+  // Log the action
+  await logAdminAction(
+    req.user.id,
+    status === 'verified' ? 'APPROVE' : 'REJECT',
+    'scout_verification',
+    verificationId,
+    rejectionReason ? `Scout ${scoutId} rejected: ${rejectionReason}` : `Scout ${scoutId} verified`,
+    req.ip
+  );
+
+  res.json({ message: `Scout ${status === 'verified' ? 'verified' : 'rejected'}` });
+};
 
-    // Create a dummy tryout with this location
-    // We use a special name 'Location Template' to identify these records
-    await db.query(
-      'INSERT INTO tryouts (scout_id, name, location, date) VALUES (?, ?, ?, ?)',
-      [req.user.id, 'Location Template', location, new Date()]
-    );
+exports.getTryoutLocations = async (req, res) => {
+  res.json(await TryoutRepository.findLocations());
+};
 
-    // Log the action
-    await logAdminAction(
-      req.user.id,
-      'CREATE',
-      'location',
-      null,
-      `Added new location: ${location}`,
-      req.ip
-    );
+exports.addTryoutLocation = async (req, res) => {
+  const { location } = req.body;
 
-    res.status(201).json({ message: 'Location added successfully', location });
-  } catch (err) {
-    console.error('[Add Tryout Location Error]', err);
-    res.status(500).json({ message: 'Failed to add location' });
+  // Check if location already exists
+  if (await TryoutRepository.locationExists(location)) {
+    throw new ConflictError('Location already exists', { code: 'LOCATION_EXISTS' });
   }
+
+  // Locations are stored as placeholder tryouts named 'Location Template'
+  await TryoutRepository.addLocation(req.user.id, location);
+
+  // Log the action
+  await logAdminAction(
+    req.user.id,
+    'CREATE',
+    'location',
+    null,
+    `Added new location: ${location}`,
+    req.ip
+  );
+
+  res.status(201).json({ message: 'Location added successfully', location });
 };
 
 exports.deleteTryoutLocation = async (req, res) => {
   const { location } = req.params;
 
-  if (!location) {
-    return res.status(400).json({ message: 'Location name is required' });
-  }
+  // Check if location is in use by any active tryouts that are not templates
+  const activeCount = await TryoutRepository.countAtLocation(location);
 
-  try {
-    // Check if location is in use by any active tryouts that are not templates
-    const [activeTryouts] = await db.query(
-      'SELECT COUNT(*) as count FROM tryouts WHERE location = ? AND name != ?',
-      [location, 'Location Template']
-    );
-
-    if (activeTryouts[0].count > 0) {
-      return res.status(400).json({
-        message: 'Cannot delete location that is in use by active tryouts',
-        count: activeTryouts[0].count
-      });
-    }
+  if (activeCount > 0) {
+    throw new ConflictError('Cannot delete location that is in use by active tryouts', {
+      code: 'LOCATION_IN_USE',
+      details: { count: activeCount }
+    });
+  }
 
-    // Delete the dummy tryout with this location
-    await db.query(
-      'DELETE FROM tryouts WHERE location = ? AND name = ?',
-      [location, 'Location Template']
-    );
+  // Delete the placeholder tryout with this location
+  await TryoutRepository.removeLocation(location);
 
-    // Log the action
-    await logAdminAction(
-      req.user.id,
-      'DELETE',
-      'location',
-      null,
-      `Deleted location: ${location}`,
-      req.ip
-    );
+  // Log the action
+  await logAdminAction(
+    req.user.id,
+    'DELETE',
+    'location',
+    null,
+    `Deleted location: ${location}`,
+    req.ip
+  );
 
-    res.json({ message: 'Location deleted successfully' });
-  } catch (err) {
-    console.error('[Delete Tryout Location Error]', err);
-    res.status(500).json({ message: 'Failed to delete location' });
-  }
+  res.json({ message: 'Location deleted successfully' });
 };
 
 exports.getSystemLogs = async (req, res) => {
-  try {
-    const { startDate, endDate, action, entityType, userId, limit = 100, offset = 0 } = req.query;
+  const { startDate, endDate, action, entityType, userId, limit = 100, offset = 0 } = req.query;
 
-    let query = `
-      SELECT l.*, u.name as user_name
-      FROM system_logs l
-      LEFT JOIN users u ON l.user_id = u.id
-      WHERE 1=1
-    `;
+  let query = `
+    SELECT l.*, u.name as user_name
+    FROM system_logs l
+    LEFT JOIN users u ON l.user_id = u.id
+    WHERE 1=1
+  `;
 
-    const params = [];
+  const params = [];
 
-    if (startDate) {
-      query += ' AND l.created_at >= ?';
-      params.push(startDate);
-    }
+  if (startDate) {
+    query += ' AND l.created_at >= ?';
+    params.push(startDate);
+  }
 
-    if (endDate) {
-      query += ' AND l.created_at <= ?';
-      params.push(endDate);
-    }
+  if (endDate) {
+    query += ' AND l.created_at <= ?';
+    params.push(endDate);
+  }
 
-    if (action) {
-      query += ' AND l.action = ?';
-      params.push(action);
-    }
+  if (action) {
+    query += ' AND l.action = ?';
+    params.push(action);
+  }
 
-    if (entityType) {
-      query += ' AND l.entity_type = ?';
-      params.push(entityType);
-    }
+  if (entityType) {
+    query += ' AND l.entity_type = ?';
+    params.push(entityType);
+  }
 
-    if (userId) {
-      query += ' AND l.user_id = ?';
-      params.push(userId);
-    }
+  if (userId) {
+    query += ' AND l.user_id = ?';
+    params.push(userId);
+  }
 
-    query += ' ORDER BY l.created_at DESC LIMIT ? OFFSET ?';
-    params.push(parseInt(limit), parseInt(offset));
+  query += ' ORDER BY l.created_at DESC LIMIT ? OFFSET ?';
+  params.push(parseInt(limit), parseInt(offset));
 
-    const [logs] = await db.query(query, params);
+  const [logs] = await db.query(query, params);
 
-    // Get total count for pagination
-    let countQuery = `
-      SELECT COUNT(*) as total
-      FROM system_logs l
-      WHERE 1=1
-    `;
+  // Get total count for pagination
+  let countQuery = `
+    SELECT COUNT(*) as total
+    FROM system_logs l
+    WHERE 1=1
+  `;
 
-    const countParams = [];
+  const countParams = [];
 
-    if (startDate) {
-      countQuery += ' AND l.created_at >= ?';
-      countParams.push(startDate);
-    }
+  if (startDate) {
+    countQuery += ' AND l.created_at >= ?';
+    countParams.push(startDate);
+  }
 
-    if (endDate) {
-      countQuery += ' AND l.created_at <= ?';
-      countParams.push(endDate);
-    }
+  if (endDate) {
+    countQuery += ' AND l.created_at <= ?';
+    countParams.push(endDate);
+  }
 
-    if (action) {
-      countQuery += ' AND l.action = ?';
-      countParams.push(action);
-    }
+  if (action) {
+    countQuery += ' AND l.action = ?';
+    countParams.push(action);
+  }
 
-    if (entityType) {
-      countQuery += ' AND l.entity_type = ?';
-      countParams.push(entityType);
-    }
+  if (entityType) {
+    countQuery += ' AND l.entity_type = ?';
+    countParams.push(entityType);
+  }
 
-    if (userId) {
-      countQuery += ' AND l.user_id = ?';
-      countParams.push(userId);
-    }
+  if (userId) {
+    countQuery += ' AND l.user_id = ?';
+    countParams.push(userId);
+  }
 
-    const [totalCount] = await db.query(countQuery, countParams);
+  const [totalCount] = await db.query(countQuery, countParams);
 
-    res.json({
-      logs,
-      pagination: {
-        total: totalCount[0].total,
-        limit: parseInt(limit),
-        offset: parseInt(offset)
-      }
-    });
-  } catch (err) {
-    res.status(500).json({ message: 'Failed to fetch system logs' });
-  }
+  res.json({
+    logs,
+    pagination: {
+      total: totalCount[0].total,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    }
+  });
+};
+
+// Effective configuration with secrets redacted, for operators checking a deployment
+exports.getConfig = async (req, res) => {
+  res.json(config.describe());
 };
@@ -1,116 +1,516 @@
 const db = require('../config/db');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const tokenService = require('../services/token.service');
+const authService = require('../services/auth.service');
+const mailService = require('../services/mail.service');
+const lockoutService = require('../services/lockout.service');
+const twoFactorService = require('../services/twoFactor.service');
+const accountService = require('../services/account.service');
+const dataExportService = require('../services/dataExport.service');
+const DataExportRepository = require('../repositories/dataExport.repository');
+const { getFrontendUrl, getApiUrl } = require('../utils/url.util');
+const metrics = require('../utils/metrics');
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+  LockedError
+} = require('../utils/errors');
 
-exports.register = async (req, res) => {
-  const { name, email, password, confirmPassword, role, date_of_birth } = req.body;
+// Device details recorded against each refresh-token family
+const getDeviceInfo = (req) => ({
+  deviceName: req.body && req.body.deviceName,
+  userAgent: req.headers['user-agent'],
+  ip: req.ip
+});
 
-  if (!name || !email || !password || !role || !confirmPassword)
-    return res.status(400).json({ message: 'All fields are required' });
+const accountLockedError = (lockedUntil) => new LockedError(
+  'Account temporarily locked due to repeated failed logins',
+  { code: 'ACCOUNT_LOCKED', details: { lockedUntil } }
+);
 
-  if (password !== confirmPassword)
-    return res.status(400).json({ message: 'Passwords do not match' });
+const invalidCredentialsError = () => new UnauthorizedError('Invalid credentials', { code: 'INVALID_CREDENTIALS' });
 
-  try {
-    const [existing] = await db.query('SELECT id FROM users WHERE email = ?', [email]);
-    if (existing.length) return res.status(409).json({ message: 'Email already exists' });
+const invalidChallengeError = () => new UnauthorizedError(
+  'Invalid or expired challenge, please log in again',
+  { code: 'INVALID_CHALLENGE' }
+);
 
-    const hashed = await bcrypt.hash(password, 10);
-    const [result] = await db.query(
-      'INSERT INTO users (name, email, password, role) VALUES (?, ?, ?, ?)',
-      [name, email, hashed, role]
-    );
+const invalidTwoFactorCodeError = () => new UnauthorizedError('Invalid two-factor code', { code: 'INVALID_TWO_FACTOR_CODE' });
+
+// Load the signed-in user's row or fail with 404
+const findCurrentUser = async (req, columns = '*') => {
+  const [users] = await db.query(`SELECT ${columns} FROM users WHERE id = ?`, [req.user.id]);
+  if (!users[0]) throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
+  return users[0];
+};
+
+// Final step of every successful login: start a session and return the user
+const completeLogin = async (req, res, user) => {
+  // Failed attempts only count as cleared once every factor has been passed
+  await lockoutService.recordSuccessfulLogin(user);
 
-    const userId = result.insertId;
+  // Sign a short-lived access token and start a refresh-token family for this device
+  const { token, refreshToken } = await tokenService.issueTokenPair(user, getDeviceInfo(req));
 
-    // Create player profile with date_of_birth if role is player
-    if (role === 'player' && date_of_birth) {
-      await db.query(
-        'INSERT INTO player_profiles (user_id, date_of_birth) VALUES (?, ?)',
-        [userId, date_of_birth]
-      );
+  // Return response with full user info
+  res.json({
+    token,
+    refreshToken,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      emailVerified: !!user.email_verified_at,
+      twoFactorEnabled: !!user.two_factor_enabled,
+      createdAt: user.created_at // Adjust if the DB column is named differently
     }
+  });
+};
+
+// Email the user a signed link that confirms their address
+const sendVerificationLink = async (user) => {
+  const verificationToken = authService.generateEmailVerificationToken(user);
+  const verifyUrl = `${getFrontendUrl()}/verify-email?token=${verificationToken}`;
+  await mailService.sendVerificationEmail(user.email, user.name, verifyUrl);
+};
+
+exports.register = async (req, res) => {
+  const { name, email, password, role, date_of_birth } = req.body;
 
-    const user = {
-      id: userId,
-      name,
-      email,
-      role,
-      createdAt: new Date()
-    };
+  const [existing] = await db.query('SELECT id FROM users WHERE email = ?', [email]);
+  if (existing.length) throw new ConflictError('Email already exists', { code: 'EMAIL_TAKEN' });
 
-    const jwtConfig = require('../config/jwt');
-    const token = jwt.sign(user, jwtConfig.secret, { expiresIn: jwtConfig.refreshToken.expiresIn });
+  const hashed = await bcrypt.hash(password, 10);
+  const [result] = await db.query(
+    'INSERT INTO users (name, email, password, role) VALUES (?, ?, ?, ?)',
+    [name, email, hashed, role]
+  );
 
-    res.status(201).json({ token, user });
-  } catch (err) {
-    console.error('[Register Error]', err);
-    res.status(500).json({ message: 'Server error' });
+  const userId = result.insertId;
+
+  // Create player profile with date_of_birth if role is player
+  if (role === 'player' && date_of_birth) {
+    await db.query(
+      'INSERT INTO player_profiles (user_id, date_of_birth) VALUES (?, ?)',
+      [userId, date_of_birth]
+    );
+  }
+
+  const user = {
+    id: userId,
+    name,
+    email,
+    role,
+    emailVerified: false,
+    createdAt: new Date()
+  };
+
+  // Scouts start unaccredited and must submit their organization details for review
+  if (role === 'scout') {
+    user.verificationStatus = 'unverified';
   }
+
+  try {
+    await sendVerificationLink(user);
+  } catch (mailErr) {
+    // The account exists either way; the user can ask for a new link
+    req.log.warn('Could not send verification email', { error: mailErr.message });
+  }
+
+  const { token, refreshToken } = await tokenService.issueTokenPair(user, getDeviceInfo(req));
+
+  metrics.registrationsTotal.inc({ role });
+
+  res.status(201).json({ token, refreshToken, user });
 };
 
 
 exports.login = async (req, res) => {
   const { email, password } = req.body;
 
-  try {
-    const [users] = await db.query('SELECT * FROM users WHERE email = ?', [email]);
-    const user = users[0];
+  const [users] = await db.query('SELECT * FROM users WHERE email = ?', [email]);
+  const user = users[0];
 
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
-    }
+  if (!user) throw invalidCredentialsError();
 
-    // Check user status
-    if (user.status !== 'active') {
-      return res.status(403).json({ message: 'Account is not active' });
-    }
+  // Check user status
+  if (user.status !== 'active') {
+    throw new ForbiddenError('Account is not active', { code: 'ACCOUNT_INACTIVE' });
+  }
 
-    // Check password
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(401).json({ message: 'Invalid credentials' });
-    }
+  // Refuse to check passwords while the account is locked out
+  const activeLock = lockoutService.getActiveLock(user);
+  if (activeLock) throw accountLockedError(activeLock);
 
-    // Sign token
-    const jwtConfig = require('../config/jwt');
-    const token = jwt.sign(
-      { id: user.id, role: user.role },
-      jwtConfig.secret,
-      { expiresIn: jwtConfig.expiresIn, algorithm: 'HS256' }
-    );
+  // Check password
+  const isMatch = await bcrypt.compare(password, user.password);
+  if (!isMatch) {
+    const lockedUntil = await lockoutService.recordFailedLogin(user, req.ip);
+    if (lockedUntil) throw accountLockedError(lockedUntil);
+    throw invalidCredentialsError();
+  }
 
-    // Return response with full user info
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        createdAt: user.created_at // Adjust if the DB column is named differently
-      }
+  // Second step: the client must POST a TOTP or recovery code to /api/auth/2fa/verify
+  if (user.two_factor_enabled) {
+    return res.json({
+      twoFactorRequired: true,
+      challengeToken: authService.generateTwoFactorToken(user, '2fa_challenge')
     });
+  }
 
-  } catch (err) {
-    res.status(500).json({ message: 'Server error' });
+  // Admins cannot get a session until they have enrolled in 2FA
+  if (user.role === 'admin') {
+    return res.json({
+      twoFactorSetupRequired: true,
+      enrollmentToken: authService.generateTwoFactorToken(user, '2fa_enrollment')
+    });
   }
+
+  await completeLogin(req, res, user);
 };
 
-exports.profile = async (req, res) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader) return res.status(401).json({ message: 'Unauthorized' });
+exports.verifyTwoFactor = async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  const decoded = authService.verifyToken(challengeToken);
+  if (!decoded || decoded.type !== '2fa_challenge') throw invalidChallengeError();
+
+  const [users] = await db.query('SELECT * FROM users WHERE id = ?', [decoded.id]);
+  const user = users[0];
+
+  if (!user || user.status !== 'active' || !user.two_factor_enabled) throw invalidChallengeError();
+
+  const activeLock = lockoutService.getActiveLock(user);
+  if (activeLock) throw accountLockedError(activeLock);
+
+  const isValid = code
+    ? twoFactorService.verifyCode(user, code)
+    : await twoFactorService.consumeRecoveryCode(user.id, recoveryCode);
+
+  if (!isValid) {
+    const lockedUntil = await lockoutService.recordFailedLogin(user, req.ip);
+    if (lockedUntil) throw accountLockedError(lockedUntil);
+    throw invalidTwoFactorCodeError();
+  }
+
+  await completeLogin(req, res, user);
+};
+
+exports.setupTwoFactor = async (req, res) => {
+  const user = await findCurrentUser(req, 'id, email, two_factor_enabled');
+
+  if (user.two_factor_enabled) {
+    throw new ConflictError('Two-factor authentication is already enabled', { code: 'TWO_FACTOR_ALREADY_ENABLED' });
+  }
+
+  const { secret, otpauthUrl, qrCode } = await twoFactorService.createPendingSecret(user);
+
+  res.json({ secret, otpauthUrl, qrCode });
+};
+
+exports.enableTwoFactor = async (req, res) => {
+  const { password, code } = req.body;
+
+  const user = await findCurrentUser(req);
+
+  if (user.two_factor_enabled) {
+    throw new ConflictError('Two-factor authentication is already enabled', { code: 'TWO_FACTOR_ALREADY_ENABLED' });
+  }
+
+  // An access token alone must not be enough to put 2FA under someone else's control
+  if (!(await authService.comparePassword(password, user.password))) {
+    throw new UnauthorizedError('Invalid password', { code: 'INVALID_CREDENTIALS' });
+  }
+
+  if (!user.two_factor_secret) {
+    throw new BadRequestError('Start two-factor setup first', { code: 'TWO_FACTOR_SETUP_REQUIRED' });
+  }
+
+  if (!twoFactorService.verifyCode(user, code)) {
+    throw new BadRequestError('Invalid two-factor code', { code: 'INVALID_TWO_FACTOR_CODE' });
+  }
+
+  const recoveryCodes = await twoFactorService.enable(user.id);
+
+  // For an admin enrolling at login this is the last factor, so their failed attempts are cleared too
+  if (req.twoFactorEnrollment) await lockoutService.recordSuccessfulLogin(user);
+
+  // Sessions opened before 2FA was on are signed out; this device gets a new one
+  await tokenService.revokeAllForUser(user.id);
+  const { token, refreshToken } = await tokenService.issueTokenPair(user, getDeviceInfo(req));
+
+  res.json({
+    message: 'Two-factor authentication enabled',
+    recoveryCodes,
+    token,
+    refreshToken
+  });
+};
+
+exports.disableTwoFactor = async (req, res) => {
+  const { password, code } = req.body;
+
+  if (req.user.role === 'admin') {
+    throw new ForbiddenError('Two-factor authentication is required for admin accounts', { code: 'TWO_FACTOR_REQUIRED' });
+  }
+
+  const user = await findCurrentUser(req);
+
+  if (!user.two_factor_enabled) {
+    throw new BadRequestError('Two-factor authentication is not enabled', { code: 'TWO_FACTOR_NOT_ENABLED' });
+  }
+
+  const isMatch = await authService.comparePassword(password, user.password);
+  if (!isMatch || !twoFactorService.verifyCode(user, code)) {
+    throw new UnauthorizedError('Invalid password or two-factor code', { code: 'INVALID_CREDENTIALS' });
+  }
+
+  await twoFactorService.disable(user.id);
+
+  res.json({ message: 'Two-factor authentication disabled' });
+};
+
+exports.regenerateRecoveryCodes = async (req, res) => {
+  const { code } = req.body;
+
+  const user = await findCurrentUser(req);
+
+  if (!user.two_factor_enabled) {
+    throw new BadRequestError('Two-factor authentication is not enabled', { code: 'TWO_FACTOR_NOT_ENABLED' });
+  }
+
+  if (!twoFactorService.verifyCode(user, code)) throw invalidTwoFactorCodeError();
+
+  const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user.id);
+
+  res.json({ message: 'Recovery codes regenerated', recoveryCodes });
+};
+
+exports.refresh = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const rotated = await tokenService.rotateRefreshToken(refreshToken, getDeviceInfo(req));
+  if (!rotated) throw new UnauthorizedError('Invalid refresh token', { code: 'INVALID_REFRESH_TOKEN' });
+
+  res.json({ token: rotated.token, refreshToken: rotated.refreshToken });
+};
+
+exports.logout = async (req, res) => {
+  const { refreshToken, allDevices } = req.body;
+
+  await tokenService.revokeRefreshToken(refreshToken, { allDevices: allDevices === true });
+  res.json({ message: 'Logged out' });
+};
+
+exports.getSessions = async (req, res) => {
+  const sessions = await tokenService.listSessions(req.user.id);
+
+  res.json(sessions.map(session => ({
+    id: session.id,
+    deviceName: session.device_name,
+    userAgent: session.user_agent,
+    ipAddress: session.ip_address,
+    createdAt: session.created_at,
+    lastSeenAt: session.last_seen_at,
+    current: session.id === req.user.sid
+  })));
+};
+
+exports.revokeSession = async (req, res) => {
+  const revoked = await tokenService.revokeSession(req.user.id, req.params.id);
+  if (!revoked) throw new NotFoundError('Session not found', { code: 'SESSION_NOT_FOUND' });
+
+  res.json({ message: 'Session signed out' });
+};
+
+exports.verifyEmail = async (req, res) => {
+  const { token } = req.body;
+  const invalidLink = () => new BadRequestError('Invalid or expired verification link', { code: 'INVALID_VERIFICATION_TOKEN' });
+
+  const decoded = authService.verifyToken(token);
+  if (!decoded || decoded.type !== 'email_verification') throw invalidLink();
+
+  // Bind the link to the address it was sent to, in case the email changed since
+  const [result] = await db.query(
+    'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ? AND email = ?',
+    [decoded.id, decoded.email]
+  );
+
+  if (!result.affectedRows) throw invalidLink();
+
+  res.json({ message: 'Email verified' });
+};
+
+exports.resendVerification = async (req, res) => {
+  const user = await findCurrentUser(req, 'id, name, email, email_verified_at');
+
+  if (user.email_verified_at) {
+    throw new ConflictError('Email is already verified', { code: 'EMAIL_ALREADY_VERIFIED' });
+  }
+
+  await sendVerificationLink(user);
+
+  res.json({ message: 'Verification email sent' });
+};
+
+exports.forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  // Same response whether or not the account exists, so the endpoint cannot be used to probe emails
+  const response = { message: 'If an account exists for that email, a reset link has been sent' };
+
+  const user = await authService.getUserByEmail(email);
+  if (!user || user.status !== 'active') return res.json(response);
+
+  const resetToken = await authService.createPasswordResetToken(user.id);
+  const resetUrl = `${getFrontendUrl()}/reset-password?token=${resetToken}`;
+
+  await mailService.sendPasswordResetEmail(
+    user.email,
+    user.name,
+    resetUrl,
+    authService.passwordResetExpiresMinutes
+  );
+
+  res.json(response);
+};
+
+exports.resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  const userId = await authService.consumePasswordResetToken(token);
+  if (!userId) throw new BadRequestError('Invalid or expired reset token', { code: 'INVALID_RESET_TOKEN' });
+
+  const hashed = await authService.hashPassword(password);
+  await db.query('UPDATE users SET password = ? WHERE id = ?', [hashed, userId]);
+
+  // Whoever held the old password may still have live sessions
+  await tokenService.revokeAllForUser(userId);
+
+  const user = await authService.getUserById(userId);
+  if (user) {
+    try {
+      await mailService.sendPasswordChangedEmail(user.email, user.name);
+    } catch (mailErr) {
+      req.log.warn('Could not send password changed email', { error: mailErr.message });
+    }
+  }
+
+  res.json({ message: 'Password has been reset' });
+};
+
+exports.changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await findCurrentUser(req, 'id, name, email, role, password');
+
+  const isMatch = await authService.comparePassword(currentPassword, user.password);
+  if (!isMatch) throw new UnauthorizedError('Current password is incorrect', { code: 'INVALID_PASSWORD' });
+
+  const hashed = await authService.hashPassword(newPassword);
+  await db.query('UPDATE users SET password = ? WHERE id = ?', [hashed, user.id]);
+
+  // Sign out every other device and hand this one a fresh session
+  await tokenService.revokeAllForUser(user.id);
+  const { token, refreshToken } = await tokenService.issueTokenPair(user, getDeviceInfo(req));
 
   try {
-    const token = authHeader.split(' ')[1];
-    const jwtConfig = require('../config/jwt');
-    const decoded = jwt.verify(token, jwtConfig.secret, jwtConfig.verifyOptions);
-    const [users] = await db.query('SELECT id, name, email, role FROM users WHERE id = ?', [decoded.id]);
-    const user = users[0];
-    if (!user) return res.status(404).json({ message: 'User not found' });
-
-    res.json(user);
-  } catch (err) {
-    res.status(401).json({ message: 'Invalid token' });
-  }
-};
\ No newline at end of file
+    await mailService.sendPasswordChangedEmail(user.email, user.name);
+  } catch (mailErr) {
+    req.log.warn('Could not send password changed email', { error: mailErr.message });
+  }
+
+  res.json({ message: 'Password changed', token, refreshToken });
+};
+
+exports.deleteAccount = async (req, res) => {
+  const { password, code } = req.body;
+
+  const user = await findCurrentUser(req);
+
+  const isMatch = await authService.comparePassword(password, user.password);
+  if (!isMatch) throw new UnauthorizedError('Invalid password', { code: 'INVALID_PASSWORD' });
+
+  if (user.two_factor_enabled) {
+    if (!code) throw new BadRequestError('Two-factor code is required', { code: 'TWO_FACTOR_CODE_REQUIRED' });
+    if (!twoFactorService.verifyCode(user, code)) throw invalidTwoFactorCodeError();
+  }
+
+  const summary = await accountService.deleteAccount(user.id, { actorId: user.id, ipAddress: req.ip });
+
+  res.json({ message: 'Account deleted', summary });
+};
+
+exports.requestDataExport = async (req, res) => {
+  const dataExport = await dataExportService.requestExport(req.user.id);
+
+  res.status(202).json({
+    message: dataExport.created ? 'Data export started' : 'A data export is already in progress',
+    exportId: dataExport.id,
+    status: dataExport.status,
+    statusUrl: `${getApiUrl()}/api/auth/export/${dataExport.id}`
+  });
+};
+
+exports.getDataExport = async (req, res) => {
+  let dataExport = await DataExportRepository.findOwned(req.params.id, req.user.id);
+  if (!dataExport) throw new NotFoundError('Export not found', { code: 'EXPORT_NOT_FOUND' });
+
+  if (dataExport.status === 'ready' && new Date(dataExport.expires_at) <= new Date()) {
+    await dataExportService.purgeExpired();
+    dataExport = { ...dataExport, status: 'expired' };
+  }
+
+  const response = {
+    id: dataExport.id,
+    status: dataExport.status,
+    createdAt: dataExport.created_at,
+    completedAt: dataExport.completed_at,
+    expiresAt: dataExport.expires_at
+  };
+
+  if (dataExport.status === 'ready') {
+    const token = authService.generateDataExportToken(req.user.id, dataExport.id, dataExport.expires_at);
+    response.fileSize = dataExport.file_size;
+    response.downloadUrl = `${getApiUrl()}/api/auth/export/${dataExport.id}/download?token=${token}`;
+  } else if (dataExport.status === 'failed') {
+    response.error = 'The export could not be generated, please request a new one';
+  }
+
+  res.json(response);
+};
+
+exports.downloadDataExport = async (req, res, next) => {
+  const { token } = req.query;
+  const unavailable = () => new GoneError('This export is no longer available', { code: 'EXPORT_EXPIRED' });
+
+  const decoded = authService.verifyToken(token);
+  if (!decoded || decoded.type !== 'data_export' || decoded.exportId !== req.params.id) {
+    throw new UnauthorizedError('Invalid or expired download link', { code: 'INVALID_DOWNLOAD_TOKEN' });
+  }
+
+  const dataExport = await DataExportRepository.findOwned(req.params.id, decoded.id);
+  if (!dataExport || dataExport.status !== 'ready' || new Date(dataExport.expires_at) <= new Date()) {
+    throw unavailable();
+  }
+
+  const fileName = `pharaohs-data-export-${new Date(dataExport.created_at).toISOString().slice(0, 10)}.zip`;
+  res.download(dataExport.file_path, fileName, (err) => {
+    if (err) {
+      req.log.error('Data export download failed', { exportId: dataExport.id, err });
+      next(unavailable());
+    }
+  });
+};
+
+exports.profile = async (req, res) => {
+  const user = await findCurrentUser(req, 'id, name, email, role, email_verified_at');
+
+  const { email_verified_at, ...profile } = user;
+  res.json({ ...profile, emailVerified: !!email_verified_at });
+};
@@ -0,0 +1,12 @@
+const healthService = require('../services/health.service');
+
+// The process is up and the event loop is responding
+exports.live = async (req, res) => {
+  res.json(healthService.getLiveness());
+};
+
+// The database and storage are reachable and the server is not shutting down
+exports.ready = async (req, res) => {
+  const { ready, ...readiness } = await healthService.getReadiness();
+  res.status(ready ? 200 : 503).json(readiness);
+};
@@ -0,0 +1,7 @@
+const storageService = require('../services/storage.service');
+
+// A file written by the local storage driver
+exports.getFile = async (req, res) => {
+  const filePath = await storageService.resolveLocalFile(req.params.key.join('/'), req.query);
+  res.sendFile(filePath);
+};
@@ -0,0 +1,7 @@
+const { registry } = require('../utils/metrics');
+
+// All metrics in the Prometheus text exposition format
+exports.getMetrics = async (req, res) => {
+  res.set('Content-Type', registry.contentType);
+  res.send(await registry.metrics());
+};
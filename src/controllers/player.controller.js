@@ -1,1347 +1,1028 @@
-const db = require('../config/db');
 const fs = require('fs').promises;
 const path = require('path');
-const { getFullUrl, getCloudinaryPublicId, ensureCloudinaryUrl } = require('../utils/url.util');
-const cloudinaryService = require('../services/cloudinary.service');
+const { getFullUrl } = require('../utils/url.util');
+const { mediaMetadata, mediaHighlights, markerResponse, formatTimestamp } = require('../utils/media.util');
+const storageService = require('../services/storage.service');
+const profileImageService = require('../services/profileImage.service');
+const uploadSessionService = require('../services/uploadSession.service');
+const showreelService = require('../services/showreel.service');
+const UserRepository = require('../repositories/user.repository');
+const PlayerRepository = require('../repositories/player.repository');
+const ScoutRepository = require('../repositories/scout.repository');
+const MediaRepository = require('../repositories/media.repository');
+const TryoutRepository = require('../repositories/tryout.repository');
+const InvitationRepository = require('../repositories/invitation.repository');
+const ShortlistRepository = require('../repositories/shortlist.repository');
+const metrics = require('../utils/metrics');
+const {
+  AppError,
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors');
+
+// Highlight markers a single video may have
+const MAX_VIDEO_MARKERS = 50;
+
+// Markers point into a video, so they can only be put on the player's own videos
+const findMarkableVideo = async (videoId, playerId) => {
+  const video = await MediaRepository.findOwned(videoId, playerId);
+  if (!video) {
+    throw new NotFoundError('Video not found or unauthorized', { code: 'VIDEO_NOT_FOUND' });
+  }
+  if (video.type === 'image') {
+    throw new BadRequestError('Highlights can only be marked on videos', { code: 'NOT_A_VIDEO' });
+  }
+  return video;
+};
+
+// A marker must fall within the video, where its length is known
+const assertWithinVideo = (video, time) => {
+  if (video.duration !== null && time > Number(video.duration)) {
+    throw new BadRequestError(`Time is past the end of the video (${formatTimestamp(Number(video.duration))})`, {
+      code: 'MARKER_OUT_OF_RANGE'
+    });
+  }
+};
 
 // ✅ Upload Media (Players Only)
 
 exports.uploadMedia = async (req, res) => {
-  try {
-    console.log('[Controller:uploadMedia] Starting media upload process');
-    
-    // Ensure user has player role
-    if (req.user.role !== 'player') {
-      console.error('[Controller:uploadMedia] Non-player role attempted upload:', req.user.role);
-      return res.status(403).json({ message: 'Only players can upload media.' });
-    }
+  // Ensure user has player role
+  if (req.user.role !== 'player') {
+    throw new ForbiddenError('Only players can upload media.', { code: 'PLAYER_ONLY' });
+  }
 
-    const playerId = req.user.id;
-    const file = req.file;
-    const description = req.body.description || '';
+  const playerId = req.user.id;
+  const file = req.file;
+  const description = req.body.description || '';
 
-    // Double check file is present
-    if (!file) {
-      console.error('[Controller:uploadMedia] No file in request');
-      return res.status(400).json({ message: 'File is required' });
-    }
-    
-    console.log(`[Controller:uploadMedia] Processing file: ${file.originalname}, size: ${(file.size/1024).toFixed(2)}KB, type: ${file.mimetype}`);
-    
-    // Verify Cloudinary configuration
-    if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
-      console.error('[Controller:uploadMedia] Missing Cloudinary credentials');
-      return res.status(500).json({ 
-        message: 'Server configuration error: Missing cloud storage credentials',
-        error: 'CLOUDINARY_CONFIG_MISSING'
-      });
-    }
+  // Double check file is present
+  if (!file) {
+    throw new BadRequestError('File is required', { code: 'FILE_REQUIRED' });
+  }
+  
+  req.log.info('Processing media upload', {
+    playerId,
+    file: file.originalname,
+    sizeKb: Number((file.size / 1024).toFixed(2)),
+    mimetype: file.mimetype
+  });
+  
+  // Verify storage configuration
+  if (!storageService.isConfigured()) {
+    req.log.error('Media storage is not configured', { driver: storageService.driver });
+    throw new AppError('Server configuration error: Missing cloud storage credentials', { code: 'STORAGE_CONFIG_MISSING' });
+  }
 
-    // Determine content type
-    const type = file.mimetype.startsWith('image/') ? 'image' : 'video';
-    console.log(`[Controller:uploadMedia] Identified content type: ${type}`);
-    
-    // Set resource type for Cloudinary
-    const resourceType = type === 'image' ? 'image' : 'video';
-    console.log(`[Controller:uploadMedia] Using Cloudinary resource type: ${resourceType}`);
-    
-    // Upload to Cloudinary
-    console.log(`[Controller:uploadMedia] Uploading to Cloudinary: ${file.originalname}`);
-    const cloudinaryResult = await cloudinaryService.uploadBuffer(
-      file.buffer, 
-      file.originalname, 
-      file.mimetype,
-      {
-        resource_type: resourceType,
-        folder: `pharaohs/${type}s`, // Organize by type (images/videos)
-        public_id: `player_${playerId}_${Date.now()}`, // Ensure unique IDs
-        transformation: type === 'video' ? [
-          { quality: 'auto' },
-          { fetch_format: 'auto' }
-        ] : [
-          { quality: 'auto' },
-          { fetch_format: 'auto' },
-          { width: 1200, crop: 'limit' } // Reasonable limit for images
-        ]
-      }
-    );
-    
-    console.log(`[Controller:uploadMedia] Cloudinary upload successful: ${cloudinaryResult.secure_url}`);
-    console.log(`[Controller:uploadMedia] File size: ${(cloudinaryResult.bytes/1024).toFixed(2)}KB`);
-    
-    // Store in database
-    console.log(`[Controller:uploadMedia] Saving to database for player: ${playerId}`);
-    await db.query(
-      'INSERT INTO videos (player_id, url, description, type, created_at, public_id) VALUES (?, ?, ?, ?, NOW(), ?)',
-      [playerId, cloudinaryResult.secure_url, description, type, cloudinaryResult.public_id]
-    );
-    
-    console.log(`[Controller:uploadMedia] Database entry created successfully`);
-    
-    // Return success response
-    res.status(201).json({
-      message: `${type.charAt(0).toUpperCase() + type.slice(1)} uploaded successfully`,
-      url: cloudinaryResult.secure_url,
-      data: {
-        url: cloudinaryResult.secure_url,
-        filename: cloudinaryResult.original_filename || path.basename(cloudinaryResult.secure_url),
-        type: file.mimetype,
-        size: cloudinaryResult.bytes
-      }
+  // Determine content type
+  const type = file.mimetype.startsWith('image/') ? 'image' : 'video';
+
+  let stored;
+  try {
+    stored = await storageService.upload(file.buffer, {
+      filename: file.originalname,
+      mimetype: file.mimetype,
+      folder: `pharaohs/${type}s`, // Organize by type (images/videos)
+      name: `player_${playerId}_${Date.now()}`, // Ensure unique IDs
+      resourceType: type,
+      // Reasonable limit for images
+      maxSize: type === 'image' ? { width: 1200 } : undefined
     });
   } catch (err) {
-    console.error('[Controller:uploadMedia] Error:', err);
-    
-    // Provide more detailed error messages
-    if (err.message && err.message.includes('payload too large')) {
-      return res.status(413).json({ 
-        message: 'File size too large. Maximum allowed size is 20MB.',
-        error: 'PAYLOAD_TOO_LARGE' 
-      });
-    }
-    
-    if (err.message && err.message.includes('cloudinary')) {
-      return res.status(500).json({ 
-        message: 'Error uploading to cloud storage',
-        error: 'CLOUDINARY_ERROR'
-      });
-    }
-    
-    // Default server error
-    res.status(500).json({ 
-      message: 'Server error during upload',
-      error: err.message || 'UNKNOWN_ERROR'
-    });
+    req.log.error('Media upload failed', { err });
+    throw new AppError('Error uploading to cloud storage', { code: 'STORAGE_ERROR' });
   }
+  
+  // Store in database
+  const videoId = await MediaRepository.create({
+    playerId,
+    url: stored.url,
+    description,
+    type,
+    publicId: stored.key,
+    width: stored.width,
+    height: stored.height,
+    duration: stored.duration,
+    size: stored.bytes,
+    format: stored.format,
+    thumbnailUrl: stored.thumbnailUrl
+  });
+  
+  req.log.info('Media uploaded', { playerId, type, key: stored.key });
+  metrics.mediaUploadedTotal.inc({ type });
+  
+  // Return success response
+  res.status(201).json({
+    message: `${type.charAt(0).toUpperCase() + type.slice(1)} uploaded successfully and is awaiting review`,
+    status: 'pending',
+    url: stored.url,
+    videoId,
+    data: {
+      url: stored.url,
+      filename: stored.originalFilename || path.basename(stored.url),
+      type: file.mimetype,
+      size: stored.bytes,
+      width: stored.width,
+      height: stored.height,
+      duration: stored.duration,
+      format: stored.format,
+      thumbnailUrl: stored.thumbnailUrl
+    }
+  });
 };
 
-// ✅ Get Profile (Player and Scout)
-exports.getProfile = async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const role = req.user.role;
-
-    // Base user data
-    const [user] = await db.query(`
-      SELECT id, name, email, role, created_at
-      FROM users
-      WHERE id = ?
-    `, [userId]);
-
-    if (!user.length) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+// ✅ Start Resumable Upload (Players Only)
+exports.startUpload = async (req, res) => {
+  const { filename, mimetype, size, description } = req.body;
+  const session = await uploadSessionService.start(req.user.id, { filename, mimetype, size, description });
 
-    let profile = user[0];
-
-    if (role === 'player') {
-      // Get player profile data
-      const [playerProfile] = await db.query(`
-        SELECT position, club, bio, profile_image, date_of_birth, rating
-        FROM player_profiles
-        WHERE user_id = ?
-      `, [userId]);
-
-      if (playerProfile.length) {
-        profile = {
-          ...profile,
-          position: playerProfile[0].position,
-          club: playerProfile[0].club,
-          bio: playerProfile[0].bio,
-          profileImage: playerProfile[0].profile_image,
-          date_of_birth: playerProfile[0].date_of_birth,
-          rating: playerProfile[0].rating
-        };
-      }
-
-      // Get player videos
-      const [videos] = await db.query(`
-        SELECT id, url, description, type, created_at, public_id
-        FROM videos
-        WHERE player_id = ?
-      `, [userId]);
-
-      profile.videos = videos.map(v => ({
-        id: v.id.toString(),
-        url: v.url,
-        description: v.description,
-        type: v.type || 'video',
-        playerId: userId,
-        createdAt: v.created_at,
-        publicId: v.public_id
-      }));
-    } else if (role === 'scout') {
-      // Get scout profile data
-      const [scoutProfile] = await db.query(`
-        SELECT organization, phone
-        FROM scout_profiles
-        WHERE user_id = ?
-      `, [userId]);
-
-      if (scoutProfile.length) {
-        profile = {
-          ...profile,
-          organization: scoutProfile[0].organization,
-          phone: scoutProfile[0].phone
-        };
-      }
-
-      // Get shortlisted players
-      const [shortlistedPlayers] = await db.query(`
-        SELECT u.id, u.name, u.email, p.position, p.club, p.rating
-        FROM shortlists s
-        JOIN users u ON s.player_id = u.id
-        LEFT JOIN player_profiles p ON u.id = p.user_id
-        WHERE s.scout_id = ?
-      `, [userId]);
-
-      profile.shortlists = shortlistedPlayers;
-    }
+  res.status(201).json({ message: 'Upload started', upload: session });
+};
 
-    res.json(profile);
-  } catch (err) {
-    console.error('[Get Profile Error]', err);
-    res.status(500).json({ message: 'Failed to fetch profile' });
+// ✅ Get Resumable Upload (Players Only)
+exports.getUpload = async (req, res) => {
+  const session = await uploadSessionService.get(req.user.id, req.params.id);
+  res.json({ upload: session });
+};
+
+// ✅ Upload Chunk (Players Only)
+exports.uploadChunk = async (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    throw new BadRequestError('Chunk is required as an application/octet-stream body', { code: 'CHUNK_REQUIRED' });
   }
+
+  const offset = parseInt(req.query.offset, 10);
+  const session = await uploadSessionService.appendChunk(req.user.id, req.params.id, offset, req.body);
+
+  res.json({ upload: session });
 };
 
-// ✅ Like Video (Players and Scouts)
-exports.likeVideo = async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const { videoId } = req.body;
+// ✅ Complete Resumable Upload (Players Only)
+exports.completeUpload = async (req, res) => {
+  const { session, created } = await uploadSessionService.complete(req.user.id, req.params.id);
 
-    if (!videoId) {
-      return res.status(400).json({ message: 'Video ID is required' });
-    }
+  if (created) {
+    req.log.info('Media uploaded', { playerId: req.user.id, type: 'video', uploadId: session.uploadId });
+    metrics.mediaUploadedTotal.inc({ type: 'video' });
+  }
+
+  // videoId is null if the video has since been deleted
+  const video = session.videoId && await MediaRepository.findById(session.videoId);
+  if (!video) {
+    throw new NotFoundError('The video from this upload has been deleted', { code: 'VIDEO_NOT_FOUND' });
+  }
 
-    // Check if video exists
-    const [videoExists] = await db.query('SELECT id FROM videos WHERE id = ?', [videoId]);
-    if (videoExists.length === 0) {
-      return res.status(404).json({ message: 'Video not found' });
+  res.status(created ? 201 : 200).json({
+    message: 'Video uploaded successfully and is awaiting review',
+    status: video.status,
+    url: video.url,
+    videoId: video.id,
+    data: {
+      url: video.url,
+      filename: session.filename.replace(/\.[^.]+$/, ''),
+      type: session.mimetype,
+      ...mediaMetadata(video),
+      size: session.size
     }
+  });
+};
 
-    // Check if user already liked this video
-    const [existingLike] = await db.query(
-      'SELECT id FROM likes WHERE user_id = ? AND video_id = ?',
-      [userId, videoId]
-    );
+// ✅ Cancel Resumable Upload (Players Only)
+exports.abortUpload = async (req, res) => {
+  await uploadSessionService.abort(req.user.id, req.params.id);
+  res.json({ message: 'Upload cancelled' });
+};
 
-    if (existingLike.length > 0) {
-      return res.status(200).json({ message: 'Already liked this video', alreadyLiked: true });
-    }
+// ✅ Get Profile (Player and Scout)
+exports.getProfile = async (req, res) => {
+  const userId = req.user.id;
+  const role = req.user.role;
 
-    // Get video owner and details for notification
-    const [videoResult] = await db.query(
-      'SELECT v.player_id, v.description, u.name AS liker_name FROM videos v JOIN users u ON u.id = ? WHERE v.id = ?',
-      [userId, videoId]
-    );
+  // Base user data
+  const user = await UserRepository.findById(userId);
 
-    // Add the like
-    const [insertResult] = await db.query(
-      'INSERT INTO likes (user_id, video_id) VALUES (?, ?)',
-      [userId, videoId]
-    );
+  if (!user) {
+    throw new NotFoundError('User not found', { code: 'USER_NOT_FOUND' });
+  }
 
-    // Send notification to video owner if it's not the same user
-    if (videoResult.length > 0 && videoResult[0].player_id != userId) {
-      const NotificationUtil = require('../utils/notification.util');
-      await NotificationUtil.createLikeNotification(
-        videoResult[0].player_id,
-        videoResult[0].liker_name,
-        videoResult[0].description || 'your video'
-      );
+  let profile = user;
+
+  if (role === 'player') {
+    // Get player profile data
+    const playerProfile = await PlayerRepository.findProfile(userId);
+
+    if (playerProfile) {
+      profile = {
+        ...profile,
+        position: playerProfile.position,
+        club: playerProfile.club,
+        bio: playerProfile.bio,
+        profileImage: playerProfile.profile_image,
+        date_of_birth: playerProfile.date_of_birth,
+        rating: playerProfile.rating
+      };
     }
 
-    // Get updated like count
-    const [likeCount] = await db.query(
-      'SELECT COUNT(*) as count FROM likes WHERE video_id = ?',
-      [videoId]
-    );
+    // Get player videos
+    const videos = await MediaRepository.findByPlayer(userId);
+    const highlights = await MediaRepository.findHighlights(videos.map(v => v.id));
+
+    profile.videos = videos.map(v => ({
+      id: v.id.toString(),
+      url: v.url,
+      description: v.description,
+      type: v.type || 'video',
+      playerId: userId,
+      createdAt: v.created_at,
+      publicId: v.public_id,
+      status: v.status,
+      rejectionReason: v.rejection_reason,
+      ...mediaMetadata(v),
+      ...mediaHighlights(highlights.get(v.id))
+    }));
+  } else if (role === 'scout') {
+    // Get scout profile data
+    const scoutProfile = await ScoutRepository.findProfile(userId);
+
+    if (scoutProfile) {
+      profile = {
+        ...profile,
+        organization: scoutProfile.organization,
+        phone: scoutProfile.phone
+      };
+    }
 
-    res.status(201).json({
-      message: 'Liked video',
-      likeCount: likeCount[0].count
-    });
-  } catch (err) {
-    console.error('[Like Video Error]', err);
-    res.status(500).json({ message: 'Failed to like video' });
+    // Get shortlisted players
+    const shortlistedPlayers = await ShortlistRepository.findPlayers(userId);
+
+    profile.shortlists = shortlistedPlayers.map(p => ({
+      id: p.id,
+      name: p.name,
+      email: p.email,
+      position: p.position,
+      club: p.club,
+      rating: p.rating
+    }));
   }
+
+  res.json(profile);
 };
 
-// ✅ Unlike Video (Players and Scouts)
-exports.unlikeVideo = async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const videoId = req.params.videoId;
+// ✅ Like Video (Players and Scouts)
+exports.likeVideo = async (req, res) => {
+  const userId = req.user.id;
+  const { videoId } = req.body;
 
-    if (!videoId) {
-      return res.status(400).json({ message: 'Video ID is required' });
-    }
+  // Check if video exists; media awaiting or failing moderation is only visible to its owner
+  const video = await MediaRepository.findById(videoId);
+  if (!video || (video.status !== 'approved' && video.player_id !== userId)) {
+    throw new NotFoundError('Video not found', { code: 'VIDEO_NOT_FOUND' });
+  }
 
-    // Check if video exists
-    const [videoExists] = await db.query('SELECT id FROM videos WHERE id = ?', [videoId]);
-    if (videoExists.length === 0) {
-      return res.status(404).json({ message: 'Video not found' });
-    }
+  // Check if user already liked this video
+  if (await MediaRepository.hasLiked(userId, videoId)) {
+    return res.status(200).json({ message: 'Already liked this video', alreadyLiked: true });
+  }
 
-    // Check if the like exists
-    const [existingLike] = await db.query(
-      'SELECT id FROM likes WHERE user_id = ? AND video_id = ?',
-      [userId, videoId]
+  // Add the like
+  await MediaRepository.addLike(userId, videoId);
+
+  // Send notification to video owner if it's not the same user
+  if (video.player_id != userId) {
+    const liker = await UserRepository.findById(userId);
+    const NotificationUtil = require('../utils/notification.util');
+    await NotificationUtil.createLikeNotification(
+      video.player_id,
+      liker.name,
+      video.description || 'your video'
     );
+  }
 
-    if (existingLike.length === 0) {
-      return res.status(200).json({ message: 'Not liked', alreadyUnliked: true });
-    }
+  // Get updated like count
+  const likeCount = await MediaRepository.countLikes(videoId);
 
-    // Delete the like
-    const [result] = await db.query(
-      'DELETE FROM likes WHERE user_id = ? AND video_id = ?',
-      [userId, videoId]
-    );
+  res.status(201).json({
+    message: 'Liked video',
+    likeCount
+  });
+};
 
-    // Get updated like count
-    const [likeCount] = await db.query(
-      'SELECT COUNT(*) as count FROM likes WHERE video_id = ?',
-      [videoId]
-    );
+// ✅ Unlike Video (Players and Scouts)
+exports.unlikeVideo = async (req, res) => {
+  const userId = req.user.id;
+  const videoId = req.params.videoId;
 
-    res.json({
-      message: 'Unliked video',
-      likeCount: likeCount[0].count
-    });
-  } catch (err) {
-    console.error('[UnlikeVideo] Error:', err);
-    res.status(500).json({ message: 'Failed to unlike video' });
+  // Check if video exists
+  if (!(await MediaRepository.findById(videoId))) {
+    throw new NotFoundError('Video not found', { code: 'VIDEO_NOT_FOUND' });
+  }
+
+  // Check if the like exists
+  if (!(await MediaRepository.hasLiked(userId, videoId))) {
+    return res.status(200).json({ message: 'Not liked', alreadyUnliked: true });
   }
+
+  // Delete the like
+  await MediaRepository.removeLike(userId, videoId);
+
+  // Get updated like count
+  const likeCount = await MediaRepository.countLikes(videoId);
+
+  res.json({
+    message: 'Unliked video',
+    likeCount
+  });
 };
 
 // ✅ Fetch Video Likes (Players and Scouts)
 exports.getVideoLikes = async (req, res) => {
-  try {
-    const userId = req.user.id;
+  const userId = req.user.id;
 
-    // First, get all videos
-    const [videos] = await db.query('SELECT id FROM videos');
-    const videoIds = videos.map(v => v.id);
+  // First, get the videos this user can see
+  const videoIds = await MediaRepository.findVisibleIds(userId);
 
-    if (videoIds.length === 0) {
-      return res.json([]);
-    }
+  if (videoIds.length === 0) {
+    return res.json([]);
+  }
 
-    // Get like counts for all videos
-    const [likeCounts] = await db.query(`
-      SELECT
-        video_id,
-        COUNT(*) AS likeCount
-      FROM likes
-      GROUP BY video_id
-    `);
-
-    // Create a map of video_id to like count
-    const likeCountMap = {};
-    likeCounts.forEach(count => {
-      likeCountMap[count.video_id] = count.likeCount;
-    });
+  // Like counts per video, and the videos this user has liked
+  const likeCountMap = await MediaRepository.getLikeCounts();
+  const userLikedVideos = await MediaRepository.findLikedIds(userId);
 
-    // Get user's likes
-    const [userLikes] = await db.query(`
-      SELECT video_id
-      FROM likes
-      WHERE user_id = ?
-    `, [userId]);
-
-    // Create a set of video_ids the user has liked
-    const userLikedVideos = new Set(userLikes.map(like => like.video_id));
-
-    // Combine the data
-    const result = videoIds.map(videoId => ({
-      video_id: videoId,
-      likeCount: likeCountMap[videoId] || 0,
-      likedByUser: userLikedVideos.has(videoId) ? 1 : 0
-    }));
+  // Combine the data
+  const result = videoIds.map(videoId => ({
+    video_id: videoId,
+    likeCount: likeCountMap[videoId] || 0,
+    likedByUser: userLikedVideos.has(videoId) ? 1 : 0
+  }));
 
-    res.json(result);
-  } catch (err) {
-    console.error('[Get Video Likes Error]', err);
-    res.status(500).json({ message: 'Failed to fetch likes' });
-  }
+  res.json(result);
 };
 
 // ✅ Post Comment (Players Only)
 exports.addComment = async (req, res) => {
-  try {
-    if (req.user.role !== 'player') {
-      return res.status(403).json({ message: 'Only players can post comments.' });
-    }
-
-    const { videoId, content } = req.body;
-    if (!videoId || !content?.trim()) {
-      return res.status(400).json({ message: 'Video ID and comment content are required' });
-    }
+  if (req.user.role !== 'player') {
+    throw new ForbiddenError('Only players can post comments.', { code: 'PLAYER_ONLY' });
+  }
 
-    // Get video owner and commenter details for notification
-    const [videoResult] = await db.query(
-      'SELECT v.player_id, v.description, u.name AS commenter_name FROM videos v JOIN users u ON u.id = ? WHERE v.id = ?',
-      [req.user.id, videoId]
-    );
+  const { videoId, content } = req.body;
 
-    await db.query(
-      'INSERT INTO comments (user_id, video_id, comment) VALUES (?, ?, ?)',
-      [req.user.id, videoId, content.trim()]
-    );
+  // Get video owner details for notification
+  const video = await MediaRepository.findById(videoId);
+  if (!video || (video.status !== 'approved' && video.player_id !== req.user.id)) {
+    throw new NotFoundError('Video not found', { code: 'VIDEO_NOT_FOUND' });
+  }
 
-    // Send notification to video owner if it's not the same user
-    if (videoResult.length > 0 && videoResult[0].player_id !== req.user.id) {
-      const NotificationUtil = require('../utils/notification.util');
-      await NotificationUtil.createCommentNotification(
-        videoResult[0].player_id,
-        videoResult[0].commenter_name,
-        videoResult[0].description || 'your video'
-      );
-    }
+  await MediaRepository.addComment(req.user.id, videoId, content.trim());
 
-    res.status(201).json({ message: 'Comment added' });
-  } catch (err) {
-    console.error('[Add Comment Error]', err);
-    res.status(500).json({ message: 'Failed to add comment' });
+  // Send notification to video owner if it's not the same user
+  if (video.player_id !== req.user.id) {
+    const commenter = await UserRepository.findById(req.user.id);
+    const NotificationUtil = require('../utils/notification.util');
+    await NotificationUtil.createCommentNotification(
+      video.player_id,
+      commenter.name,
+      video.description || 'your video'
+    );
   }
+
+  res.status(201).json({ message: 'Comment added' });
 };
 
 // ✅ Fetch Comments (Players and Scouts)
 exports.getComments = async (req, res) => {
-  try {
-    const videoId = req.params.videoId;
-    const [comments] = await db.query(`
-      SELECT
-        c.id, c.comment AS content, c.created_at,
-        u.id AS user_id, u.name AS user_name
-      FROM comments c
-      JOIN users u ON c.user_id = u.id
-      WHERE c.video_id = ?
-      ORDER BY c.created_at ASC
-    `, [videoId]);
-
-    res.json(comments);
-  } catch (err) {
-    console.error('[Get Comments Error]', err);
-    res.status(500).json({ message: 'Failed to load comments' });
+  const videoId = req.params.videoId;
+
+  // Comments on media awaiting or failing moderation are only visible to its owner
+  const video = await MediaRepository.findById(videoId);
+  if (!video || (video.status !== 'approved' && video.player_id !== req.user.id)) {
+    throw new NotFoundError('Video not found', { code: 'VIDEO_NOT_FOUND' });
   }
+
+  const comments = await MediaRepository.findComments(videoId);
+
+  res.json(comments);
 };
 
 // ✅ Delete Comment (Players can delete their own comments, Admins can delete any)
 exports.deleteComment = async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const userRole = req.user.role;
-    const commentId = req.params.commentId;
-
-    // First, check if the comment exists and belongs to the user
-    const [comment] = await db.query(
-      'SELECT * FROM comments WHERE id = ?',
-      [commentId]
-    );
+  const userId = req.user.id;
+  const userRole = req.user.role;
+  const commentId = req.params.commentId;
 
-    if (!comment.length) {
-      return res.status(404).json({ message: 'Comment not found or already deleted' });
-    }
+  // First, check if the comment exists and belongs to the user
+  const comment = await MediaRepository.findCommentById(commentId);
 
-    // Check if user has permission to delete this comment
-    const isCommentOwner = comment[0].user_id === userId;
-    const isAdmin = userRole === 'admin';
+  if (!comment) {
+    throw new NotFoundError('Comment not found or already deleted', { code: 'COMMENT_NOT_FOUND' });
+  }
 
-    if (!isCommentOwner && !isAdmin) {
-      return res.status(403).json({ message: 'You can only delete your own comments' });
-    }
+  // Check if user has permission to delete this comment
+  const isCommentOwner = comment.user_id === userId;
+  const isAdmin = userRole === 'admin';
 
-    // Delete the comment
-    const [result] = await db.query('DELETE FROM comments WHERE id = ?', [commentId]);
+  if (!isCommentOwner && !isAdmin) {
+    throw new ForbiddenError('You can only delete your own comments', { code: 'NOT_COMMENT_OWNER' });
+  }
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ message: 'Comment not found or already deleted' });
-    }
+  // Delete the comment
+  const deleted = await MediaRepository.deleteComment(commentId);
 
-    res.json({ message: 'Comment deleted successfully' });
-  } catch (err) {
-    console.error('[Delete Comment Error]', err);
-    res.status(500).json({ message: 'Failed to delete comment' });
+  if (!deleted) {
+    throw new NotFoundError('Comment not found or already deleted', { code: 'COMMENT_NOT_FOUND' });
   }
+
+  res.json({ message: 'Comment deleted successfully' });
 };
 
 // ✅ Get Public Profile by ID (Public)
 exports.getPublicProfileById = async (req, res) => {
-  try {
-    const playerId = req.params.id;
-    const [profile] = await db.query(`
-      SELECT
-        u.id, u.name, u.email, u.role,
-        p.position, p.club, p.bio, p.profile_image, p.rating,
-        TIMESTAMPDIFF(YEAR, p.date_of_birth, CURDATE()) AS age
-      FROM users u
-      LEFT JOIN player_profiles p ON u.id = p.user_id
-      WHERE u.id = ? AND u.role = 'player'
-    `, [playerId]);
-
-    if (!profile.length) {
-      return res.status(404).json({ message: 'Player not found' });
-    }
+  const playerId = req.params.id;
+  const profile = await PlayerRepository.findPublicProfile(playerId);
 
-    // Get player media
-    const [media] = await db.query(`
-      SELECT id, url, description, type, created_at
-      FROM videos WHERE player_id = ?
-    `, [playerId]);
-
-    // Get player stats if they exist
-    const [stats] = await db.query(`
-      SELECT matches_played, goals, assists, yellow_cards, red_cards
-      FROM player_stats
-      WHERE player_id = ?
-    `, [playerId]);
-
-    res.json({
-      ...profile[0],
-      profileImage: profile[0].profile_image ? ensureCloudinaryUrl(profile[0].profile_image) : null,
-      videos: media.map(item => ({
-        ...item, 
-        url: ensureCloudinaryUrl(item.url)
-      })),
-      stats: stats.length > 0 ? stats[0] : null
-    });
-  } catch (err) {
-    console.error('[Get Public Profile Error]', err);
-    res.status(500).json({ message: 'Server error' });
+  if (!profile) {
+    throw new NotFoundError('Player not found', { code: 'PLAYER_NOT_FOUND' });
   }
+
+  // Get player media (approved only) and stats
+  const media = await MediaRepository.findByPlayer(playerId, { approvedOnly: true });
+  const highlights = await MediaRepository.findHighlights(media.map(item => item.id));
+  const stats = await PlayerRepository.findStats(playerId);
+  // The featured showreel comes first
+  const showreels = await showreelService.list(playerId);
+
+  res.json({
+    ...profile,
+    profileImage: profile.profile_image ? getFullUrl(profile.profile_image) : null,
+    videos: media.map(item => ({
+      id: item.id,
+      url: getFullUrl(item.url),
+      description: item.description,
+      type: item.type,
+      created_at: item.created_at,
+      ...mediaMetadata(item),
+      ...mediaHighlights(highlights.get(item.id))
+    })),
+    showreels,
+    stats
+  });
 };
 
 // ✅ Get Invitations (Players)
 exports.getInvitations = async (req, res) => {
-  try {
-    const playerId = req.user.id;
-    const [rows] = await db.query(`
-      SELECT
-        i.id AS invitation_id,
-        i.status,
-        t.id AS tryout_id,
-        t.name AS tryout_name,
-        t.location,
-        t.date,
-        u.id AS scout_id,
-        u.name AS scout_name,
-        u.email AS scout_email,
-        sp.profile_image AS scout_profile_image
-      FROM invitations i
-      JOIN tryouts t ON i.tryout_id = t.id
-      JOIN users u ON t.scout_id = u.id
-      LEFT JOIN scout_profiles sp ON u.id = sp.user_id
-      WHERE i.player_id = ?
-      ORDER BY t.date DESC
-    `, [playerId]);
-
-    res.json(rows);
-  } catch (err) {
-    console.error('[Get Invitations Error]', err);
-    res.status(500).json({ message: 'Failed to fetch invitations' });
-  }
+  const playerId = req.user.id;
+  const rows = await InvitationRepository.findForPlayer(playerId);
+
+  res.json(rows);
 };
 
 // ✅ Update Invitation Status (Players)
 exports.updateInvitationStatus = async (req, res) => {
-  try {
-    const playerId = req.user.id;
-    const invitationId = req.params.id;
-    const { status } = req.body;
-
-    const validStatuses = ['accepted', 'declined'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ message: 'Status must be accepted or declined' });
-    }
+  const playerId = req.user.id;
+  const invitationId = req.params.id;
+  const { status } = req.body;
 
-    // Get invitation details for notification
-    const [invitationDetails] = await db.query(
-      `SELECT
-        i.id, i.tryout_id, i.player_id,
-        t.name AS tryout_name,
-        u.id AS scout_id, u.name AS scout_name
-      FROM invitations i
-      JOIN tryouts t ON i.tryout_id = t.id
-      JOIN users u ON t.scout_id = u.id
-      WHERE i.id = ? AND i.player_id = ?`,
-      [invitationId, playerId]
-    );
+  // Get invitation details for notification
+  const invitation = await InvitationRepository.findForPlayerById(invitationId, playerId);
 
-    if (!invitationDetails.length) {
-      return res.status(404).json({ message: 'Invitation not found or unauthorized' });
-    }
+  if (!invitation) {
+    throw new NotFoundError('Invitation not found or unauthorized', { code: 'INVITATION_NOT_FOUND' });
+  }
 
-    await db.query(
-      'UPDATE invitations SET status = ? WHERE id = ?',
-      [status, invitationId]
-    );
+  await InvitationRepository.updateStatus(invitationId, status);
+  metrics.invitationsAnsweredTotal.inc({ status });
 
-    // Send notification to scout
-    const NotificationUtil = require('../utils/notification.util');
-    const playerName = (await db.query('SELECT name FROM users WHERE id = ?', [playerId]))[0][0]?.name || 'A player';
+  // Send notification to scout
+  const NotificationUtil = require('../utils/notification.util');
+  const playerName = (await UserRepository.findById(playerId))?.name || 'A player';
 
-    await NotificationUtil.createCustomNotification(
-      invitationDetails[0].scout_id,
-      `${playerName} has ${status} your invitation to the tryout: ${invitationDetails[0].tryout_name}`
-    );
+  await NotificationUtil.createCustomNotification(
+    invitation.scout_id,
+    `${playerName} has ${status} your invitation to the tryout: ${invitation.tryout_name}`
+  );
 
-    res.json({ message: `Invitation ${status} successfully` });
-  } catch (err) {
-    console.error('[Update Invitation Error]', err);
-    res.status(500).json({ message: 'Could not update invitation' });
-  }
+  res.json({ message: `Invitation ${status} successfully` });
 };
 
 // ✅ Get Videos (Players)
 exports.getVideos = async (req, res) => {
-  try {
-    const playerId = req.user.id;
-    const [media] = await db.query(
-      'SELECT id, url, description, type, created_at, public_id FROM videos WHERE player_id = ? ORDER BY created_at DESC',
-      [playerId]
-    );
-
-    res.json(media.map(item => ({
-      ...item,
-      url: ensureCloudinaryUrl(item.url), // Ensure we return a Cloudinary URL
-      id: item.id.toString(),
-      playerId: playerId.toString(),
-      createdAt: item.created_at
-    })));
-  } catch (err) {
-    console.error('[Get Media Error]', err);
-    res.status(500).json({ message: 'Failed to load media' });
-  }
+  const playerId = req.user.id;
+  const media = await MediaRepository.findByPlayer(playerId);
+  const highlights = await MediaRepository.findHighlights(media.map(item => item.id));
+
+  res.json(media.map(item => ({
+    description: item.description,
+    type: item.type,
+    created_at: item.created_at,
+    public_id: item.public_id,
+    url: getFullUrl(item.url),
+    id: item.id.toString(),
+    playerId: playerId.toString(),
+    createdAt: item.created_at,
+    // Only approved media is shown to others; rejected media says why
+    status: item.status,
+    rejectionReason: item.rejection_reason,
+    ...mediaMetadata(item),
+    ...mediaHighlights(highlights.get(item.id))
+  })));
 };
 
 // ✅ Update Profile (Players)
 exports.updateProfile = async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const { name, position, club, bio, date_of_birth, updateType } = req.body;
-    const file = req.file; // Will be undefined if no file is uploaded
-    
-    // Get current profile data to avoid losing information
-    const [currentUserData] = await db.query(
-      'SELECT name FROM users WHERE id = ?',
-      [userId]
-    );
-    
-    const [currentProfileData] = await db.query(
-      'SELECT position, club, bio, profile_image, date_of_birth, public_id FROM player_profiles WHERE user_id = ?',
-      [userId]
-    );
-    
-    const currentProfile = currentProfileData.length > 0 ? currentProfileData[0] : {};
-    
-    // Handle profile image update only
-    if (updateType === 'profileImageOnly' && file) {
-      // Upload to Cloudinary directly from buffer
-      const cloudinaryResult = await cloudinaryService.uploadBuffer(
-        file.buffer,
-        file.originalname,
-        file.mimetype,
-        {
-          resource_type: 'image',
-          folder: 'pharaohs/profiles',
-          public_id: `player_profile_${userId}_${Date.now()}`,
-          transformation: [
-            { width: 800, height: 800, crop: 'limit', quality: 'auto:good' }
-          ]
-        }
-      );
-
-      // Remove old image from Cloudinary if exists
-      if (currentProfile.public_id) {
-        try {
-          await cloudinaryService.deleteFile(currentProfile.public_id);
-        } catch (err) {
-          console.warn(`[Delete Old Cloudinary Image Warning] ${err.message}`);
-        }
-      }
-      
-      await db.query(`
-        INSERT INTO player_profiles (user_id, profile_image, public_id)
-        VALUES (?, ?, ?)
-        ON DUPLICATE KEY UPDATE profile_image = ?, public_id = ?
-      `, [userId, cloudinaryResult.secure_url, cloudinaryResult.public_id, cloudinaryResult.secure_url, cloudinaryResult.public_id]);
-      
-      return res.json({ 
-        message: 'Profile image updated successfully',
-        profileImage: cloudinaryResult.secure_url
-      });
-    }
-    
-    // For regular updates, update the user's name if provided
-    if (name) {
-      await db.query(
-        'UPDATE users SET name = ? WHERE id = ?',
-        [name, userId]
-      );
-    }
+  const userId = req.user.id;
+  const { name, position, club, bio, date_of_birth, updateType } = req.body;
+  const file = req.file; // Will be undefined if no file is uploaded
+  
+  // Get current profile data to avoid losing information
+  const currentUser = await UserRepository.findById(userId);
+  const currentProfile = (await PlayerRepository.findProfile(userId)) || {};
+  
+  // Handle profile image update only
+  if (updateType === 'profileImageOnly' && file) {
+    const image = await profileImageService.upload(file, {
+      folder: 'pharaohs/profiles',
+      publicIdPrefix: `player_profile_${userId}`
+    });
 
-    // Handle profile details
-    let profileImage = null;
-    let publicId = null;
-    
-    if (file) {
-      // Upload to Cloudinary directly from buffer
-      const cloudinaryResult = await cloudinaryService.uploadBuffer(
-        file.buffer,
-        file.originalname,
-        file.mimetype,
-        {
-          resource_type: 'image',
-          folder: 'pharaohs/profiles',
-          public_id: `player_profile_${userId}_${Date.now()}`,
-          transformation: [
-            { width: 800, height: 800, crop: 'limit', quality: 'auto:good' }
-          ]
-        }
-      );
-
-      // Remove old image from Cloudinary if exists
-      if (currentProfile.public_id) {
-        try {
-          await cloudinaryService.deleteFile(currentProfile.public_id);
-        } catch (err) {
-          console.warn(`[Delete Old Cloudinary Image Warning] ${err.message}`);
-        }
-      }
-      
-      profileImage = cloudinaryResult.secure_url;
-      publicId = cloudinaryResult.public_id;
-    } else {
-      // Retain existing profile image
-      profileImage = currentProfile.profile_image || null;
-      publicId = currentProfile.public_id || null;
-    }
+    // Remove the previous image
+    await profileImageService.remove(currentProfile);
+
+    await PlayerRepository.setProfileImage(userId, image.url, image.publicId);
     
-    // Use provided values or fall back to current values to avoid nullifying data
-    const updatedPosition = position !== undefined ? position : currentProfile.position || '';
-    const updatedClub = club !== undefined ? club : currentProfile.club || '';
-    const updatedBio = bio !== undefined ? bio : currentProfile.bio || '';
-    const updatedDOB = date_of_birth !== undefined ? date_of_birth : currentProfile.date_of_birth || null;
-
-    await db.query(`
-      INSERT INTO player_profiles (user_id, position, club, bio, profile_image, date_of_birth, public_id)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-      ON DUPLICATE KEY UPDATE
-        position = ?,
-        club = ?,
-        bio = ?,
-        profile_image = COALESCE(?, profile_image),
-        date_of_birth = COALESCE(?, date_of_birth),
-        public_id = COALESCE(?, public_id)
-    `, [
-      userId, updatedPosition, updatedClub, updatedBio, profileImage, updatedDOB, publicId,
-      updatedPosition, updatedClub, updatedBio, profileImage, updatedDOB, publicId
-    ]);
-
-    // Build the response with updated profile data
-    const updatedProfile = {
-      name: name || currentUserData[0]?.name,
-      position: updatedPosition,
-      club: updatedClub,
-      bio: updatedBio,
-      date_of_birth: updatedDOB,
-      profileImage: profileImage
-    };
+    return res.json({ 
+      message: 'Profile image updated successfully',
+      profileImage: image.url
+    });
+  }
+  
+  // For regular updates, update the user's name if provided
+  if (name) {
+    await UserRepository.updateName(userId, name);
+  }
 
-    res.json({ 
-      message: 'Profile updated successfully',
-      updatedProfile: updatedProfile
+  // Handle profile details
+  let profileImage = null;
+  let publicId = null;
+  
+  if (file) {
+    const image = await profileImageService.upload(file, {
+      folder: 'pharaohs/profiles',
+      publicIdPrefix: `player_profile_${userId}`
     });
-  } catch (err) {
-    console.error('[Update Profile Error]', err);
-    res.status(500).json({ message: 'Failed to update profile' });
+
+    // Remove the previous image
+    await profileImageService.remove(currentProfile);
+    
+    profileImage = image.url;
+    publicId = image.publicId;
+  } else {
+    // Retain existing profile image
+    profileImage = currentProfile.profile_image || null;
+    publicId = currentProfile.public_id || null;
   }
+  
+  // Use provided values or fall back to current values to avoid nullifying data
+  const updatedPosition = position !== undefined ? position : currentProfile.position || '';
+  const updatedClub = club !== undefined ? club : currentProfile.club || '';
+  const updatedBio = bio !== undefined ? bio : currentProfile.bio || '';
+  const updatedDOB = date_of_birth !== undefined ? date_of_birth : currentProfile.date_of_birth || null;
+
+  await PlayerRepository.saveProfile(userId, {
+    position: updatedPosition,
+    club: updatedClub,
+    bio: updatedBio,
+    profileImage,
+    dateOfBirth: updatedDOB,
+    publicId
+  });
+
+  // Build the response with updated profile data
+  const updatedProfile = {
+    name: name || currentUser?.name,
+    position: updatedPosition,
+    club: updatedClub,
+    bio: updatedBio,
+    date_of_birth: updatedDOB,
+    profileImage: profileImage
+  };
+
+  res.json({ 
+    message: 'Profile updated successfully',
+    updatedProfile: updatedProfile
+  });
 };
 
 // ✅ Get All Players (For Scouts) - Enhanced with pagination
 exports.getAllPlayers = async (req, res) => {
-  try {
-    // Parse pagination parameters
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = (page - 1) * limit;
-
-    // Extract filter parameters
-    const { club, position, search, minRating } = req.query;
-
-    // Build the base query with WHERE clause
-    let baseQuery = "FROM users u LEFT JOIN player_profiles p ON u.id = p.user_id WHERE u.role = 'player'";
-    let queryParams = [];
-
-    // Add filter conditions if provided
-    if (club) {
-      baseQuery += " AND p.club = ?";
-      queryParams.push(club);
-    }
-
-    if (position) {
-      baseQuery += " AND p.position = ?";
-      queryParams.push(position);
-    }
-
-    if (search) {
-      baseQuery += " AND (u.name LIKE ? OR p.position LIKE ? OR p.club LIKE ?)";
-      const searchPattern = `%${search}%`;
-      queryParams.push(searchPattern, searchPattern, searchPattern);
-    }
-
-    if (minRating) {
-      // Convert minRating to the new 1-5 scale if needed
-      baseQuery += " AND p.rating IS NOT NULL AND p.rating >= ?";
-      queryParams.push(parseFloat(minRating));
-    }
-
-    // Get total count for pagination metadata with the same filters
-    const [countResult] = await db.query(
-      `SELECT COUNT(*) as total ${baseQuery}`,
-      queryParams
-    );
-    const totalPlayers = countResult[0].total;
-
-    // Get players with pagination
-    const [players] = await db.query(`
-      SELECT
-        u.id, u.name, u.email, u.role,
-        p.position, p.club, p.bio, p.profile_image, p.rating,
-        TIMESTAMPDIFF(YEAR, p.date_of_birth, CURDATE()) AS age
-      ${baseQuery}
-      LIMIT ? OFFSET ?
-    `, [...queryParams, limit, offset]);
-
-    const playerIds = players.map(player => player.id);
-
-    // Get media for these players
-    let media = [];
-    if (playerIds.length > 0) {
-      [media] = await db.query(`
-        SELECT id, player_id, url, description, type, created_at
-        FROM videos
-        WHERE player_id IN (?)
-      `, [playerIds]);
-    }
-
-    // Get player stats for these players
-    let playerStats = [];
-    if (playerIds.length > 0) {
-      [playerStats] = await db.query(`
-        SELECT player_id, matches_played, goals, assists, yellow_cards, red_cards
-        FROM player_stats
-        WHERE player_id IN (?)
-      `, [playerIds]);
+  // Parse pagination parameters
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const offset = (page - 1) * limit;
+
+  // Extract filter parameters
+  const { club, position, search, minRating } = req.query;
+  const filters = { club, position, search, minRating };
+
+  // Get total count for pagination metadata with the same filters
+  const totalPlayers = await PlayerRepository.count(filters);
+
+  // Get players with pagination
+  const players = await PlayerRepository.findPage(filters, { limit, offset });
+
+  const playerIds = players.map(player => player.id);
+
+  // Get media and stats for these players
+  const media = await MediaRepository.findByPlayers(playerIds);
+  const highlights = await MediaRepository.findHighlights(media.map(item => item.id));
+  const playerStats = await PlayerRepository.findStatsForPlayers(playerIds);
+
+  // Create a map of player stats for easy lookup
+  const statsMap = {};
+  playerStats.forEach(stat => {
+    statsMap[stat.player_id] = {
+      matches_played: stat.matches_played,
+      goals: stat.goals,
+      assists: stat.assists,
+      yellow_cards: stat.yellow_cards,
+      red_cards: stat.red_cards
+    };
+  });
+
+  // Map players with their media and stats
+  const playersWithMedia = players.map(player => ({
+    ...player,
+    role: 'player',
+    rating: player.rating || 0,
+    profileImage: player.profile_image ? getFullUrl(player.profile_image) : null,
+    videos: media
+      .filter(item => item.player_id === player.id)
+      .map(item => ({
+        id: item.id.toString(),
+        url: getFullUrl(item.url),
+        description: item.description,
+        type: item.type,
+        playerId: player.id.toString(),
+        createdAt: item.created_at,
+        ...mediaMetadata(item),
+        ...mediaHighlights(highlights.get(item.id))
+      })),
+    stats: statsMap[player.id] || null,
+    hasStats: !!statsMap[player.id]
+  }));
+
+  // Return with pagination metadata
+  res.json({
+    players: playersWithMedia,
+    pagination: {
+      total: totalPlayers,
+      page,
+      limit,
+      totalPages: Math.ceil(totalPlayers / limit)
     }
-
-    // Create a map of player stats for easy lookup
-    const statsMap = {};
-    playerStats.forEach(stat => {
-      statsMap[stat.player_id] = {
-        matches_played: stat.matches_played,
-        goals: stat.goals,
-        assists: stat.assists,
-        yellow_cards: stat.yellow_cards,
-        red_cards: stat.red_cards
-      };
-    });
-
-    // Map players with their media and stats
-    const playersWithMedia = players.map(player => ({
-      ...player,
-      role: 'player',
-      rating: player.rating || 0,
-      profileImage: player.profile_image ? ensureCloudinaryUrl(player.profile_image) : null,
-      videos: media
-        .filter(item => item.player_id === player.id)
-        .map(item => ({
-          id: item.id.toString(),
-          url: ensureCloudinaryUrl(item.url),
-          description: item.description,
-          type: item.type,
-          playerId: player.id.toString(),
-          createdAt: item.created_at
-        })),
-      stats: statsMap[player.id] || null,
-      hasStats: !!statsMap[player.id]
-    }));
-
-    // Return with pagination metadata
-    res.json({
-      players: playersWithMedia,
-      pagination: {
-        total: totalPlayers,
-        page,
-        limit,
-        totalPages: Math.ceil(totalPlayers / limit)
-      }
-    });
-  } catch (err) {
-    console.error('[Get All Players Error]', err);
-    res.status(500).json({ message: 'Failed to fetch players' });
-  }
+  });
 };
 
 // ✅ Get Dashboard Data (All Roles)
 exports.getDashboardData = async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const role = req.user.role;
-
-    let data = {};
-    if (role === 'player') {
-      const [profile] = await db.query(`
-        SELECT
-          u.name,
-          (SELECT COUNT(*) FROM videos v WHERE v.player_id = u.id) AS mediaCount,
-          (SELECT COUNT(*) FROM invitations i WHERE i.player_id = u.id AND i.status = 'pending') AS pendingInvitations
-        FROM users u
-        WHERE u.id = ? AND u.role = 'player'
-      `, [userId]);
-      const [recentMedia] = await db.query(
-        'SELECT url, description, type, created_at FROM videos WHERE player_id = ? ORDER BY created_at DESC LIMIT 3',
-        [userId]
-      );
-      data = {
-        ...profile[0],
-        recentMedia
-      };
-    } else if (role === 'scout') {
-      const [counts] = await db.query(`
-        SELECT
-          (SELECT COUNT(*) FROM tryouts t WHERE t.scout_id = ?) AS tryoutCount,
-          (SELECT COUNT(*) FROM invitations i JOIN tryouts t ON i.tryout_id = t.id WHERE t.scout_id = ?) AS invitationCount
-        FROM dual
-      `, [userId, userId]);
-      const [recentTryouts] = await db.query(
-        'SELECT name, location, date FROM tryouts WHERE scout_id = ? ORDER BY date DESC LIMIT 3',
-        [userId]
-      );
-      data = {
-        ...counts[0],
-        recentTryouts
-      };
-    } else if (role === 'admin') {
-      const [users] = await db.query('SELECT COUNT(*) AS userCount, role FROM users GROUP BY role');
-      const [media] = await db.query('SELECT COUNT(*) AS mediaCount FROM videos');
-      data = {
-        totalUsers: users.reduce((acc, curr) => acc + curr.userCount, 0),
-        userBreakdown: users,
-        totalMedia: media[0].mediaCount
-      };
-    }
-
-    res.json({ role, data });
-  } catch (err) {
-    console.error('[Get Dashboard Data Error]', err);
-    res.status(500).json({ message: 'Failed to fetch dashboard data' });
+  const userId = req.user.id;
+  const role = req.user.role;
+
+  let data = {};
+  if (role === 'player') {
+    const profile = await PlayerRepository.getDashboardSummary(userId);
+    const recentMedia = await MediaRepository.findByPlayer(userId, { limit: 3 });
+    data = {
+      ...profile,
+      recentMedia: recentMedia.map(item => ({
+        url: item.url,
+        description: item.description,
+        type: item.type,
+        status: item.status,
+        created_at: item.created_at
+      }))
+    };
+  } else if (role === 'scout') {
+    const recentTryouts = await TryoutRepository.findByScout(userId, { limit: 3 });
+    data = {
+      tryoutCount: await TryoutRepository.countByScout(userId),
+      invitationCount: await InvitationRepository.countForScout(userId),
+      recentTryouts: recentTryouts.map(({ name, location, date }) => ({ name, location, date }))
+    };
+  } else if (role === 'admin') {
+    const users = (await UserRepository.countByRole()).map(row => ({ userCount: row.count, role: row.role }));
+    data = {
+      totalUsers: users.reduce((acc, curr) => acc + curr.userCount, 0),
+      userBreakdown: users,
+      totalMedia: await MediaRepository.count()
+    };
   }
+
+  res.json({ role, data });
 };
 
 // ✅ Create Tryout (Scouts)
 exports.createTryout = async (req, res) => {
-  try {
-    const scoutId = req.user.id;
-    const { name, location, date } = req.body;
+  const scoutId = req.user.id;
+  const { name, location, date } = req.body;
 
-    if (!name || !location || !date) {
-      return res.status(400).json({ message: 'Name, location, and date are required' });
-    }
+  const tryoutId = await TryoutRepository.create(scoutId, { name, location, date });
 
-    const [result] = await db.query(
-      'INSERT INTO tryouts (scout_id, name, location, date) VALUES (?, ?, ?, ?)',
-      [scoutId, name, location, date]
-    );
-
-    res.status(201).json({ message: 'Tryout created successfully', tryoutId: result.insertId });
-  } catch (err) {
-    console.error('[Create Tryout Error]', err);
-    res.status(500).json({ message: 'Failed to create tryout' });
-  }
+  res.status(201).json({ message: 'Tryout created successfully', tryoutId });
 };
 
 // ✅ Get Tryouts (Scouts)
 exports.getTryouts = async (req, res) => {
-  try {
-    const scoutId = req.user.id;
-    const [tryouts] = await db.query(
-      'SELECT id, name, location, date FROM tryouts WHERE scout_id = ? ORDER BY date DESC',
-      [scoutId]
-    );
+  const scoutId = req.user.id;
+  const tryouts = await TryoutRepository.findByScout(scoutId);
 
-    res.json(tryouts);
-  } catch (err) {
-    console.error('[Get Tryouts Error]', err);
-    res.status(500).json({ message: 'Failed to fetch tryouts' });
-  }
+  res.json(tryouts);
 };
 
 // ✅ Send Invitation (Scouts)
 exports.sendInvitation = async (req, res) => {
-  try {
-    const scoutId = req.user.id;
-    const { tryoutId, playerId } = req.body;
-
-    if (!tryoutId || !playerId) {
-      return res.status(400).json({ message: 'Tryout ID and Player ID are required' });
-    }
+  const scoutId = req.user.id;
+  const { tryoutId, playerId } = req.body;
 
-    const [tryout] = await db.query('SELECT id FROM tryouts WHERE id = ? AND scout_id = ?', [tryoutId, scoutId]);
-    if (!tryout.length) {
-      return res.status(403).json({ message: 'Unauthorized or tryout not found' });
-    }
+  const tryout = await TryoutRepository.findOwned(tryoutId, scoutId);
+  if (!tryout) {
+    throw new ForbiddenError('Unauthorized or tryout not found', { code: 'TRYOUT_NOT_OWNED' });
+  }
 
-    const [existing] = await db.query(
-      'SELECT id FROM invitations WHERE tryout_id = ? AND player_id = ?',
-      [tryoutId, playerId]
-    );
-    if (existing.length) {
-      return res.status(400).json({ message: 'Invitation already sent' });
-    }
+  if (await InvitationRepository.exists(tryoutId, playerId)) {
+    throw new ConflictError('Invitation already sent', { code: 'INVITATION_EXISTS' });
+  }
 
-    await db.query(
-      'INSERT INTO invitations (tryout_id, player_id, status) VALUES (?, ?, ?)',
-      [tryoutId, playerId, 'pending']
-    );
+  await InvitationRepository.create(tryoutId, playerId);
+  metrics.invitationsSentTotal.inc();
 
-    res.json({ message: 'Invitation sent successfully' });
-  } catch (err) {
-    console.error('[Send Invitation Error]', err);
-    res.status(500).json({ message: 'Failed to send invitation' });
-  }
+  res.json({ message: 'Invitation sent successfully' });
 };
 
 // ✅ Get Filter Options
 exports.getFilterOptions = async (_, res) => {
-  try {
-    // Get all unique positions
-    const [positions] = await db.query(`
-      SELECT DISTINCT position
-      FROM player_profiles
-      WHERE position IS NOT NULL AND position != ''
-      ORDER BY position
-    `);
-
-    // Get all unique clubs
-    const [clubs] = await db.query(`
-      SELECT DISTINCT club
-      FROM player_profiles
-      WHERE club IS NOT NULL AND club != ''
-      ORDER BY club
-    `);
-
-    // Get age range
-    const [ageRange] = await db.query(`
-      SELECT
-        MIN(TIMESTAMPDIFF(YEAR, date_of_birth, CURDATE())) AS minAge,
-        MAX(TIMESTAMPDIFF(YEAR, date_of_birth, CURDATE())) AS maxAge
-      FROM player_profiles
-      WHERE date_of_birth IS NOT NULL
-    `);
-
-    res.json({
-      positions: positions.map(p => p.position),
-      clubs: clubs.map(c => c.club),
-      ageRange: ageRange[0] || { minAge: 15, maxAge: 40 } // Default range if no data
-    });
-  } catch (err) {
-    console.error('[Get Filter Options Error]', err);
-    res.status(500).json({ message: 'Failed to load filter options' });
-  }
+  res.json(await PlayerRepository.getFilterOptions());
 };
 
 // ✅ Get Scout Invitations (Scouts)
 exports.getScoutInvitations = async (req, res) => {
-  try {
-    if (req.user.role !== 'scout') {
-      return res.status(403).json({ message: 'Only scouts can access invitations.' });
-    }
-
-    const scoutId = req.user.id;
-    const [invitations] = await db.query(`
-      SELECT
-        i.id AS invitation_id,
-        i.status,
-        i.created_at,
-        t.id AS tryout_id,
-        t.name AS tryout_name,
-        t.location,
-        t.date,
-        p.id AS player_id,
-        u.name AS player_name,
-        u.email AS player_email
-      FROM invitations i
-      JOIN tryouts t ON i.tryout_id = t.id
-      JOIN users u ON i.player_id = u.id
-      JOIN player_profiles p ON u.id = p.user_id
-      WHERE t.scout_id = ?
-      ORDER BY i.created_at DESC
-    `, [scoutId]);
-
-    res.status(200).json(invitations);
-  } catch (err) {
-    console.error('[Get Scout Invitations Error]', err);
-    res.status(500).json({ message: 'Failed to fetch scout invitations' });
+  if (req.user.role !== 'scout') {
+    throw new ForbiddenError('Only scouts can access invitations.', { code: 'SCOUT_ONLY' });
   }
+
+  const scoutId = req.user.id;
+  const invitations = await InvitationRepository.findForScout(scoutId);
+
+  res.status(200).json(invitations);
 };
 
 // ✅ Delete Video (Players Only)
 exports.deleteVideo = async (req, res) => {
-  try {
-    const playerId = req.user.id;
-    const videoId = req.params.id;
+  const playerId = req.user.id;
+  const videoId = req.params.id;
 
-    const [video] = await db.query(
-      'SELECT * FROM videos WHERE id = ? AND player_id = ?',
-      [videoId, playerId]
-    );
+  const video = await MediaRepository.findOwned(videoId, playerId);
 
-    if (!video.length) {
-      return res.status(404).json({ message: 'Video not found or unauthorized' });
-    }
+  if (!video) {
+    throw new NotFoundError('Video not found or unauthorized', { code: 'VIDEO_NOT_FOUND' });
+  }
 
-    // If the video has a Cloudinary public_id, delete it from Cloudinary
-    if (video[0].public_id) {
-      try {
-        await cloudinaryService.deleteFile(video[0].public_id, {
-          resource_type: video[0].type === 'image' ? 'image' : 'video'
-        });
-      } catch (cloudinaryError) {
-        console.warn('[Delete from Cloudinary Warning]', cloudinaryError.message);
-      }
-    } else if (video[0].url && !video[0].url.includes('cloudinary')) {
-      // If it's a local file, try to delete it
-      try {
-        const filePath = path.join(__dirname, '..', '..', video[0].url.replace(/^\//, ''));
-        await fs.unlink(filePath);
-      } catch (fileErr) {
-        console.warn('[Delete Video File Warning]', fileErr.message);
-      }
+  // Delete the stored file; public_id holds its storage key
+  if (video.public_id) {
+    try {
+      await storageService.delete(video.public_id, { resourceType: video.type === 'image' ? 'image' : 'video' });
+    } catch (storageError) {
+      req.log.warn('Could not delete video from storage', { key: video.public_id, error: storageError.message });
+    }
+  } else if (video.url && video.url.startsWith('/uploads/')) {
+    // Legacy file in the uploads directory
+    try {
+      const filePath = path.join(__dirname, '..', '..', video.url.replace(/^\//, ''));
+      await fs.unlink(filePath);
+    } catch (fileErr) {
+      req.log.warn('Could not delete local video file', { error: fileErr.message });
     }
-
-    await db.query('DELETE FROM videos WHERE id = ?', [videoId]);
-    res.json({ message: 'Video deleted successfully' });
-  } catch (err) {
-    console.error('[Delete Video Error]', err);
-    res.status(500).json({ message: 'Failed to delete video' });
   }
+
+  await MediaRepository.delete(videoId);
+  res.json({ message: 'Video deleted successfully' });
 };
 
 // ✅ Update Video Description (Players Only)
 exports.updateVideo = async (req, res) => {
-  try {
-    const playerId = req.user.id;
-    const videoId = req.params.id;
-    const { description } = req.body;
+  const playerId = req.user.id;
+  const videoId = req.params.id;
+  const { description } = req.body;
 
-    if (description === undefined) {
-      return res.status(400).json({ message: 'Description is required' });
-    }
+  // Check if video exists and belongs to the player
+  const video = await MediaRepository.findOwned(videoId, playerId);
 
-    // Check if video exists and belongs to the player
-    const [video] = await db.query(
-      'SELECT * FROM videos WHERE id = ? AND player_id = ?',
-      [videoId, playerId]
-    );
+  if (!video) {
+    throw new NotFoundError('Video not found or unauthorized', { code: 'VIDEO_NOT_FOUND' });
+  }
+
+  // Update the video description
+  await MediaRepository.updateDescription(videoId, description);
 
-    if (!video.length) {
-      return res.status(404).json({ message: 'Video not found or unauthorized' });
+  res.json({
+    message: 'Video updated successfully',
+    video: {
+      id: video.id,
+      description: description,
+      url: video.url.startsWith('http') ? video.url : `http://localhost:3000${video.url}`,
+      type: video.type,
+      playerId: playerId.toString(),
+      createdAt: video.created_at
     }
+  });
+};
 
-    // Update the video description
-    await db.query('UPDATE videos SET description = ? WHERE id = ?', [description, videoId]);
-
-    res.json({
-      message: 'Video updated successfully',
-      video: {
-        id: video[0].id,
-        description: description,
-        url: video[0].url.startsWith('http') ? video[0].url : `http://localhost:3000${video[0].url}`,
-        type: video[0].type,
-        playerId: playerId.toString(),
-        createdAt: video[0].created_at
-      }
-    });
-  } catch (err) {
-    console.error('[Update Video Error]', err);
-    res.status(500).json({ message: 'Failed to update video' });
+// ✅ Get Video Highlights (Players and Scouts)
+exports.getMarkers = async (req, res) => {
+  const videoId = req.params.id;
+
+  // Media awaiting or failing moderation is only visible to its owner
+  const video = await MediaRepository.findById(videoId);
+  if (!video || (video.status !== 'approved' && video.player_id !== req.user.id)) {
+    throw new NotFoundError('Video not found', { code: 'VIDEO_NOT_FOUND' });
   }
+
+  const highlights = await MediaRepository.findHighlights([video.id]);
+
+  res.json({ videoId: video.id, ...mediaHighlights(highlights.get(video.id)) });
 };
 
-// ✅ Get Player Stats (Players)
-exports.getPlayerStats = async (req, res) => {
-  try {
-    const playerId = req.user.id;
+// ✅ Add Highlight Marker (Players Only)
+exports.addMarker = async (req, res) => {
+  const { time, label, category } = req.body;
 
-    const [mediaCount] = await db.query(
-      'SELECT COUNT(*) as count FROM videos WHERE player_id = ?',
-      [playerId]
-    );
+  const video = await findMarkableVideo(req.params.id, req.user.id);
+  assertWithinVideo(video, time);
 
-    const [invitationCount] = await db.query(
-      'SELECT COUNT(*) as count FROM invitations WHERE player_id = ?',
-      [playerId]
-    );
+  if (await MediaRepository.countMarkers(video.id) >= MAX_VIDEO_MARKERS) {
+    throw new ConflictError(`A video can have at most ${MAX_VIDEO_MARKERS} highlights`, { code: 'TOO_MANY_MARKERS' });
+  }
 
-    const [pendingCount] = await db.query(
-      'SELECT COUNT(*) as count FROM invitations WHERE player_id = ? AND status = "pending"',
-      [playerId]
-    );
+  const markerId = await MediaRepository.addMarker(video.id, { time, label, category });
 
-    // Get performance stats
-    const [performanceStats] = await db.query(
-      'SELECT matches_played, goals, assists, yellow_cards, red_cards FROM player_stats WHERE player_id = ?',
-      [playerId]
-    );
+  res.status(201).json({
+    message: 'Highlight added successfully',
+    marker: markerResponse(await MediaRepository.findMarker(markerId, video.id))
+  });
+};
 
-    // Get player rating from profile
-    const [profileData] = await db.query(
-      'SELECT rating FROM player_profiles WHERE user_id = ?',
-      [playerId]
-    );
+// ✅ Update Highlight Marker (Players Only)
+exports.updateMarker = async (req, res) => {
+  const { time, label, category } = req.body;
 
-    const rating = profileData.length > 0 ? profileData[0].rating : 0;
+  const video = await findMarkableVideo(req.params.id, req.user.id);
+  const marker = await MediaRepository.findMarker(req.params.markerId, video.id);
+  if (!marker) {
+    throw new NotFoundError('Highlight not found', { code: 'MARKER_NOT_FOUND' });
+  }
+  assertWithinVideo(video, time);
 
-    res.json({
-      mediaCount: mediaCount[0].count,
-      invitationCount: invitationCount[0].count,
-      pendingCount: pendingCount[0].count,
-      performanceStats: performanceStats.length > 0 ? performanceStats[0] : null,
-      rating: rating
-    });
-  } catch (err) {
-    console.error('[Get Player Stats Error]', err);
-    res.status(500).json({ message: 'Failed to fetch player stats' });
+  await MediaRepository.updateMarker(marker.id, { time, label, category });
+
+  res.json({
+    message: 'Highlight updated successfully',
+    marker: markerResponse(await MediaRepository.findMarker(marker.id, video.id))
+  });
+};
+
+// ✅ Delete Highlight Marker (Players Only)
+exports.deleteMarker = async (req, res) => {
+  const video = await findMarkableVideo(req.params.id, req.user.id);
+  const marker = await MediaRepository.findMarker(req.params.markerId, video.id);
+
+  if (!marker || !(await MediaRepository.deleteMarker(marker.id))) {
+    throw new NotFoundError('Highlight not found', { code: 'MARKER_NOT_FOUND' });
   }
+
+  res.json({ message: 'Highlight deleted successfully' });
 };
 
-// ✅ Update Player Performance Stats (Players)
-exports.updatePerformanceStats = async (req, res) => {
-  try {
-    const playerId = req.user.id;
-    const { matches_played, goals, assists, yellow_cards, red_cards } = req.body;
-
-    // Validate input
-    if (matches_played === undefined || goals === undefined ||
-        assists === undefined || yellow_cards === undefined ||
-        red_cards === undefined) {
-      return res.status(400).json({ message: 'All statistics fields are required' });
-    }
+// ✅ Set Video Skill Tags (Players Only)
+exports.setVideoTags = async (req, res) => {
+  const video = await MediaRepository.findOwned(req.params.id, req.user.id);
+  if (!video) {
+    throw new NotFoundError('Video not found or unauthorized', { code: 'VIDEO_NOT_FOUND' });
+  }
 
-    // Ensure all values are non-negative integers
-    const stats = { matches_played, goals, assists, yellow_cards, red_cards };
-    for (const [key, value] of Object.entries(stats)) {
-      if (value < 0 || !Number.isInteger(Number(value))) {
-        return res.status(400).json({ message: `${key} must be a non-negative integer` });
-      }
-    }
+  const tags = [...new Set(req.body.tags)].sort();
+  await MediaRepository.setTags(video.id, tags);
 
-    // Calculate player rating using the same formula as in the frontend (1-5 scale)
-    let rating = 1; // Default minimum rating
-    if (matches_played > 0) {
-      const numerator = (goals * 2) + assists - yellow_cards - (red_cards * 3);
-      const denominator = matches_played;
-      const rawRating = numerator / denominator;
+  res.json({ message: 'Tags updated successfully', tags });
+};
 
-      // Convert to 1-5 scale using the same formula as frontend
-      // First scale to 0-4 range, then add 1 to get 1-5
-      let scaledRating = (rawRating + 3) / 6 * 4 + 1;
+// ✅ Get Own Showreels (Players Only)
+exports.getShowreels = async (req, res) => {
+  res.json(await showreelService.list(req.user.id, { owner: true }));
+};
 
-      // Ensure rating is between 1-5
-      rating = Math.max(1, Math.min(5, scaledRating));
-    }
+// ✅ Get Showreel (Players and Scouts)
+exports.getShowreel = async (req, res) => {
+  res.json(await showreelService.get(req.params.id, req.user.id));
+};
 
-    // Check if stats record exists
-    const [existing] = await db.query(
-      'SELECT id FROM player_stats WHERE player_id = ?',
-      [playerId]
-    );
+// ✅ Create Showreel (Players Only)
+exports.createShowreel = async (req, res) => {
+  const { title, description, videoIds, featured } = req.body;
+  const showreel = await showreelService.create(req.user.id, { title, description, videoIds, featured });
 
-    if (existing.length > 0) {
-      // Update existing record
-      await db.query(`
-        UPDATE player_stats
-        SET matches_played = ?, goals = ?, assists = ?, yellow_cards = ?, red_cards = ?, updated_at = CURRENT_TIMESTAMP
-        WHERE player_id = ?
-      `, [matches_played, goals, assists, yellow_cards, red_cards, playerId]);
-    } else {
-      // Create new record
-      await db.query(`
-        INSERT INTO player_stats (player_id, matches_played, goals, assists, yellow_cards, red_cards)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `, [playerId, matches_played, goals, assists, yellow_cards, red_cards]);
-    }
+  res.status(201).json({ message: 'Showreel created successfully', showreel });
+};
 
-    // Update the player rating in the player_profiles table
-    await db.query(`
-      UPDATE player_profiles
-      SET rating = ?
-      WHERE user_id = ?
-    `, [rating, playerId]);
+// ✅ Update Showreel (Players Only)
+exports.updateShowreel = async (req, res) => {
+  const { title, description, featured } = req.body;
+  const showreel = await showreelService.update(req.user.id, req.params.id, { title, description, featured });
 
-    console.log(`Player ${playerId} rating updated to ${rating.toFixed(2)}`);
+  res.json({ message: 'Showreel updated successfully', showreel });
+};
 
-    res.json({
-      message: 'Performance statistics updated successfully',
-      stats: { matches_played, goals, assists, yellow_cards, red_cards },
-      rating: rating.toFixed(2)
-    });
-  } catch (err) {
-    console.error('[Update Performance Stats Error]', err);
-    res.status(500).json({ message: 'Failed to update performance statistics' });
+// ✅ Set or Reorder Showreel Videos (Players Only)
+exports.setShowreelVideos = async (req, res) => {
+  const showreel = await showreelService.setVideos(req.user.id, req.params.id, req.body.videoIds);
+
+  res.json({ message: 'Showreel videos updated successfully', showreel });
+};
+
+// ✅ Delete Showreel (Players Only)
+exports.deleteShowreel = async (req, res) => {
+  await showreelService.remove(req.user.id, req.params.id);
+
+  res.json({ message: 'Showreel deleted successfully' });
+};
+
+// ✅ Get Player Stats (Players)
+exports.getPlayerStats = async (req, res) => {
+  const playerId = req.user.id;
+
+  const profile = await PlayerRepository.findProfile(playerId);
+
+  res.json({
+    mediaCount: await MediaRepository.count(playerId),
+    invitationCount: await InvitationRepository.countForPlayer(playerId),
+    pendingCount: await InvitationRepository.countForPlayer(playerId, 'pending'),
+    performanceStats: await PlayerRepository.findStats(playerId),
+    rating: profile ? profile.rating : 0
+  });
+};
+
+// ✅ Update Player Performance Stats (Players)
+exports.updatePerformanceStats = async (req, res) => {
+  const playerId = req.user.id;
+  const { matches_played, goals, assists, yellow_cards, red_cards } = req.body;
+  const stats = { matches_played, goals, assists, yellow_cards, red_cards };
+
+  // Calculate player rating using the same formula as in the frontend (1-5 scale)
+  let rating = 1; // Default minimum rating
+  if (matches_played > 0) {
+    const numerator = (goals * 2) + assists - yellow_cards - (red_cards * 3);
+    const denominator = matches_played;
+    const rawRating = numerator / denominator;
+
+    // Convert to 1-5 scale using the same formula as frontend
+    // First scale to 0-4 range, then add 1 to get 1-5
+    let scaledRating = (rawRating + 3) / 6 * 4 + 1;
+
+    // Ensure rating is between 1-5
+    rating = Math.max(1, Math.min(5, scaledRating));
   }
+
+  await PlayerRepository.saveStats(playerId, stats);
+
+  // Update the player rating in the player_profiles table
+  await PlayerRepository.updateRating(playerId, rating);
+
+  req.log.info('Player rating updated', { playerId, rating: Number(rating.toFixed(2)) });
+
+  res.json({
+    message: 'Performance statistics updated successfully',
+    stats,
+    rating: rating.toFixed(2)
+  });
 };
 
 // ✅ Delete Profile Picture (Players Only)
 exports.deleteProfilePicture = async (req, res) => {
-  try {
-    const userId = req.user.id;
-    
-    // Fetch the current profile image path and public_id
-    const [profile] = await db.query(
-      'SELECT profile_image, public_id FROM player_profiles WHERE user_id = ?',
-      [userId]
-    );
-    
-    if (!profile.length || !profile[0].profile_image) {
-      return res.status(404).json({ message: 'No profile image found' });
-    }
-    
-    // Delete image from Cloudinary if public_id exists
-    if (profile[0].public_id) {
-      try {
-        await cloudinaryService.deleteFile(profile[0].public_id);
-        console.log(`Deleted profile image from Cloudinary: ${profile[0].public_id}`);
-      } catch (cloudinaryError) {
-        console.warn('[Delete Cloudinary Image Warning]', cloudinaryError.message);
-      }
-    } else if (profile[0].profile_image && !profile[0].profile_image.includes('cloudinary')) {
-      // If it's a local file, try to delete it
-      try {
-        const filePath = path.join(__dirname, '..', profile[0].profile_image);
-        await fs.unlink(filePath);
-        console.log(`Deleted local profile image file: ${filePath}`);
-      } catch (fileErr) {
-        console.warn('[Delete Profile Image File Warning]', fileErr.message);
-      }
-    }
-    
-    // Update the database to remove the reference
-    await db.query(
-      'UPDATE player_profiles SET profile_image = NULL, public_id = NULL WHERE user_id = ?',
-      [userId]
-    );
-    
-    res.json({ message: 'Profile picture deleted successfully' });
-  } catch (err) {
-    console.error('[Delete Profile Picture Error]', err);
-    res.status(500).json({ message: 'Failed to delete profile picture' });
+  const userId = req.user.id;
+  
+  // Fetch the current profile image path and public_id
+  const profile = await PlayerRepository.findProfile(userId);
+  
+  if (!profile || !profile.profile_image) {
+    throw new NotFoundError('No profile image found', { code: 'PROFILE_IMAGE_NOT_FOUND' });
   }
+  
+  await profileImageService.remove(profile);
+  
+  // Update the database to remove the reference
+  await PlayerRepository.clearProfileImage(userId);
+  
+  res.json({ message: 'Profile picture deleted successfully' });
 };
 
 module.exports = exports;
\ No newline at end of file
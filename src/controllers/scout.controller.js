@@ -1,68 +1,53 @@
-const db = require('../config/db');
-const path = require('path');
-const fs = require('fs').promises;
-const { getFullUrl, getCloudinaryPublicId, ensureCloudinaryUrl } = require('../utils/url.util');
-const cloudinaryService = require('../services/cloudinary.service');
+const { getFullUrl } = require('../utils/url.util');
+const { SKILL_TAGS, mediaMetadata, mediaHighlights } = require('../utils/media.util');
+const storageService = require('../services/storage.service');
+const profileImageService = require('../services/profileImage.service');
+const UserRepository = require('../repositories/user.repository');
+const PlayerRepository = require('../repositories/player.repository');
+const ScoutRepository = require('../repositories/scout.repository');
+const MediaRepository = require('../repositories/media.repository');
+const TryoutRepository = require('../repositories/tryout.repository');
+const InvitationRepository = require('../repositories/invitation.repository');
+const ShortlistRepository = require('../repositories/shortlist.repository');
+const metrics = require('../utils/metrics');
+const {
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errors');
 
 exports.createTryout = async (req, res) => {
   const { name, location, date } = req.body;
   const scoutId = req.user.id;
 
   if (!name || !location || !date)
-    return res.status(400).json({ message: 'All fields required' });
+    throw new BadRequestError('All fields required', { code: 'FIELDS_REQUIRED' });
 
-  try {
-    await db.query(
-      'INSERT INTO tryouts (scout_id, name, location, date) VALUES (?, ?, ?, ?)',
-      [scoutId, name, location, date]
-    );
-    res.status(201).json({ message: 'Tryout created' });
-  } catch (err) {
-    res.status(500).json({ message: 'Error creating tryout' });
-  }
+  await TryoutRepository.create(scoutId, { name, location, date });
+  res.status(201).json({ message: 'Tryout created' });
 };
 
 exports.createTryoutWithTime = async (req, res) => {
   const { name, location, date, time } = req.body;
   const scoutId = req.user.id;
 
-  if (!name || !location || !date || !time)
-    return res.status(400).json({ message: 'All fields required' });
-
-  try {
-    const dateTime = `${date} ${time}`;
-    await db.query(
-      'INSERT INTO tryouts (scout_id, name, location, date) VALUES (?, ?, ?, ?)',
-      [scoutId, name, location, dateTime]
-    );
-    res.status(201).json({ message: 'Tryout created with time' });
-  } catch (err) {
-    res.status(500).json({ message: 'Error creating tryout with time' });
-  }
+  const dateTime = `${date} ${time}`;
+  await TryoutRepository.create(scoutId, { name, location, date: dateTime });
+  res.status(201).json({ message: 'Tryout created with time' });
 };
 
 exports.getTryouts = async (req, res) => {
   const scoutId = req.user.id;
 
-  try {
-    const [tryouts] = await db.query(
-      'SELECT id, name, location, date FROM tryouts WHERE scout_id = ? ORDER BY date DESC',
-      [scoutId]
-    );
+  const tryouts = await TryoutRepository.findByScout(scoutId);
+  const invited = await InvitationRepository.findInvitedPlayerIds(tryouts.map(tryout => tryout.id));
 
-    for (const tryout of tryouts) {
-      const [invited] = await db.query(
-        'SELECT player_id FROM invitations WHERE tryout_id = ?',
-        [tryout.id]
-      );
-      tryout.playersInvited = invited.map(row => row.player_id);
-    }
+  tryouts.forEach(tryout => {
+    tryout.playersInvited = invited[tryout.id];
+  });
 
-    res.json(tryouts);
-  } catch (err) {
-    console.error('[Get Tryouts Error]', err);
-    res.status(500).json({ message: 'Error fetching tryouts' });
-  }
+  res.json(tryouts);
 };
 
 exports.updateTryout = async (req, res) => {
@@ -70,61 +55,35 @@ exports.updateTryout = async (req, res) => {
   const tryoutId = req.params.tryoutId;
   const { name, location, date, time } = req.body;
 
-  if (!name || !location || !date || !time) {
-    return res.status(400).json({ message: 'All fields required' });
-  }
-
-  try {
-    // First check if the tryout belongs to this scout
-    const [tryout] = await db.query(
-      'SELECT id FROM tryouts WHERE id = ? AND scout_id = ?',
-      [tryoutId, scoutId]
-    );
+  // First check if the tryout belongs to this scout
+  const tryout = await TryoutRepository.findOwned(tryoutId, scoutId);
 
-    if (!tryout.length) {
-      return res.status(403).json({ message: 'You do not have permission to update this tryout' });
-    }
+  if (!tryout) {
+    throw new ForbiddenError('You do not have permission to update this tryout', { code: 'TRYOUT_NOT_OWNED' });
+  }
 
-    // Update the tryout
-    const dateTime = `${date} ${time}`;
-    await db.query(
-      'UPDATE tryouts SET name = ?, location = ?, date = ? WHERE id = ?',
-      [name, location, dateTime, tryoutId]
-    );
+  // Update the tryout
+  const dateTime = `${date} ${time}`;
+  await TryoutRepository.update(tryoutId, { name, location, date: dateTime });
 
-    res.json({ message: 'Tryout updated successfully' });
-  } catch (err) {
-    console.error('[Update Tryout Error]', err);
-    res.status(500).json({ message: 'Error updating tryout' });
-  }
+  res.json({ message: 'Tryout updated successfully' });
 };
 
 exports.deleteTryout = async (req, res) => {
   const scoutId = req.user.id;
   const tryoutId = req.params.tryoutId;
 
-  try {
-    // First check if the tryout belongs to this scout
-    const [tryout] = await db.query(
-      'SELECT id FROM tryouts WHERE id = ? AND scout_id = ?',
-      [tryoutId, scoutId]
-    );
+  // First check if the tryout belongs to this scout
+  const tryout = await TryoutRepository.findOwned(tryoutId, scoutId);
 
-    if (!tryout.length) {
-      return res.status(403).json({ message: 'You do not have permission to delete this tryout' });
-    }
-
-    // Delete related invitations first (foreign key constraint)
-    await db.query('DELETE FROM invitations WHERE tryout_id = ?', [tryoutId]);
+  if (!tryout) {
+    throw new ForbiddenError('You do not have permission to delete this tryout', { code: 'TRYOUT_NOT_OWNED' });
+  }
 
-    // Delete the tryout
-    await db.query('DELETE FROM tryouts WHERE id = ?', [tryoutId]);
+  // Delete the tryout along with its invitations
+  await TryoutRepository.delete(tryoutId);
 
-    res.json({ message: 'Tryout deleted successfully' });
-  } catch (err) {
-    console.error('[Delete Tryout Error]', err);
-    res.status(500).json({ message: 'Error deleting tryout' });
-  }
+  res.json({ message: 'Tryout deleted successfully' });
 };
 
 
@@ -132,49 +91,32 @@ exports.invitePlayer = async (req, res) => {
     const scoutId = req.user.id;
     const { tryout_id, player_id } = req.body;
 
-    if (!tryout_id || !player_id) {
-      return res.status(400).json({ message: 'Tryout and Player IDs are required' });
-    }
-
-    try {
-      // Get scout name and tryout details for notification
-      const [scoutAndTryout] = await db.query(
-        'SELECT u.name AS scout_name, t.name AS tryout_name FROM users u JOIN tryouts t ON t.scout_id = u.id WHERE t.id = ? AND t.scout_id = ?',
-        [tryout_id, scoutId]
-      );
+    // Get tryout details for notification
+    const tryout = await TryoutRepository.findOwned(tryout_id, scoutId);
 
-      if (!scoutAndTryout.length) {
-        return res.status(403).json({ message: 'You are not the owner of this tryout' });
-      }
+    if (!tryout) {
+      throw new ForbiddenError('You are not the owner of this tryout', { code: 'TRYOUT_NOT_OWNED' });
+    }
 
-      // Prevent duplicate invite
-      const [existing] = await db.query(
-        'SELECT id FROM invitations WHERE tryout_id = ? AND player_id = ?',
-        [tryout_id, player_id]
-      );
-      if (existing.length) {
-        return res.status(409).json({ message: 'Player already invited to this tryout' });
-      }
+    // Prevent duplicate invite
+    if (await InvitationRepository.exists(tryout_id, player_id)) {
+      throw new ConflictError('Player already invited to this tryout', { code: 'INVITATION_EXISTS' });
+    }
 
-      // Insert new invitation
-      await db.query(
-        'INSERT INTO invitations (tryout_id, player_id, status) VALUES (?, ?, ?)',
-        [tryout_id, player_id, 'pending']
-      );
+    // Insert new invitation
+    await InvitationRepository.create(tryout_id, player_id);
+    metrics.invitationsSentTotal.inc();
 
-      // Send notification to player
-      const NotificationUtil = require('../utils/notification.util');
-      await NotificationUtil.createInvitationNotification(
-        player_id,
-        scoutAndTryout[0].scout_name,
-        scoutAndTryout[0].tryout_name
-      );
+    // Send notification to player
+    const scout = await UserRepository.findById(scoutId);
+    const NotificationUtil = require('../utils/notification.util');
+    await NotificationUtil.createInvitationNotification(
+      player_id,
+      scout.name,
+      tryout.name
+    );
 
-      res.status(201).json({ message: 'Player invited successfully' });
-    } catch (err) {
-      console.error(err);
-      res.status(500).json({ message: 'Invitation failed' });
-    }
+    res.status(201).json({ message: 'Player invited successfully' });
   };
 
 // Cancel an invitation sent to a player
@@ -182,737 +124,415 @@ exports.cancelInvitation = async (req, res) => {
   const scoutId = req.user.id;
   const invitationId = req.params.invitationId;
 
-  if (!invitationId) {
-    return res.status(400).json({ message: 'Invitation ID is required' });
+  // Check if the invitation exists and belongs to this scout
+  const invitation = await InvitationRepository.findForScoutById(invitationId, scoutId);
+
+  if (!invitation) {
+    throw new NotFoundError('Invitation not found or unauthorized', { code: 'INVITATION_NOT_FOUND' });
   }
 
-  try {
-    // Check if the invitation exists and belongs to this scout
-    const [invitation] = await db.query(
-      `SELECT i.id, i.tryout_id, i.player_id, i.status, u.name AS player_name, t.name AS tryout_name
-       FROM invitations i
-       JOIN tryouts t ON i.tryout_id = t.id
-       JOIN users u ON i.player_id = u.id
-       WHERE i.id = ? AND t.scout_id = ?`,
-      [invitationId, scoutId]
+  // Check if the invitation is already accepted or declined
+  if (invitation.status !== 'pending') {
+    throw new ConflictError(
+      `Cannot cancel an invitation that has been ${invitation.status.toLowerCase()}`,
+      { code: 'INVITATION_ALREADY_ANSWERED' }
     );
+  }
 
-    if (!invitation.length) {
-      return res.status(404).json({ message: 'Invitation not found or unauthorized' });
-    }
-
-    // Check if the invitation is already accepted or declined
-    if (invitation[0].status !== 'pending') {
-      return res.status(400).json({
-        message: `Cannot cancel an invitation that has been ${invitation[0].status.toLowerCase()}`
-      });
-    }
-
-    // Delete the invitation
-    await db.query('DELETE FROM invitations WHERE id = ?', [invitationId]);
+  // Delete the invitation
+  await InvitationRepository.delete(invitationId);
 
-    // Send notification to player
-    const NotificationUtil = require('../utils/notification.util');
-    await NotificationUtil.createCustomNotification(
-      invitation[0].player_id,
-      `Your invitation to the tryout "${invitation[0].tryout_name}" has been canceled`
-    );
+  // Send notification to player
+  const NotificationUtil = require('../utils/notification.util');
+  await NotificationUtil.createCustomNotification(
+    invitation.player_id,
+    `Your invitation to the tryout "${invitation.tryout_name}" has been canceled`
+  );
 
-    res.status(200).json({ message: 'Invitation canceled successfully' });
-  } catch (err) {
-    console.error('[Cancel Invitation Error]', err);
-    res.status(500).json({ message: 'Error canceling invitation' });
-  }
+  res.status(200).json({ message: 'Invitation canceled successfully' });
 };
 
 exports.addToShortlist = async (req, res) => {
     const scoutId = req.user.id;
     const { player_id } = req.body;
 
-    if (!player_id) return res.status(400).json({ message: 'Player ID is required' });
+    // Get scout details for notification
+    const scout = await ScoutRepository.findWithProfile(scoutId);
 
-    try {
-      // Get scout details for notification
-      const [scoutDetails] = await db.query(
-        'SELECT u.name AS scout_name, s.organization AS club_name FROM users u LEFT JOIN scout_profiles s ON u.id = s.user_id WHERE u.id = ?',
-        [scoutId]
-      );
+    if (await ShortlistRepository.exists(scoutId, player_id)) {
+      throw new ConflictError('Player already shortlisted', { code: 'ALREADY_SHORTLISTED' });
+    }
 
-      const [existing] = await db.query(
-        'SELECT id FROM shortlists WHERE scout_id = ? AND player_id = ?',
-        [scoutId, player_id]
-      );
-      if (existing.length) return res.status(409).json({ message: 'Player already shortlisted' });
+    await ShortlistRepository.add(scoutId, player_id);
 
-      await db.query(
-        'INSERT INTO shortlists (scout_id, player_id) VALUES (?, ?)',
-        [scoutId, player_id]
+    // Send notification to player
+    if (scout) {
+      const NotificationUtil = require('../utils/notification.util');
+      await NotificationUtil.createShortlistNotification(
+        player_id,
+        scout.name,
+        scout.organization || 'Unknown Club'
       );
-
-      // Send notification to player
-      if (scoutDetails.length > 0) {
-        const NotificationUtil = require('../utils/notification.util');
-        await NotificationUtil.createShortlistNotification(
-          player_id,
-          scoutDetails[0].scout_name,
-          scoutDetails[0].club_name || 'Unknown Club'
-        );
-      }
-
-      res.status(201).json({ message: 'Player added to shortlist' });
-    } catch (err) {
-      console.error('[Add to Shortlist Error]', err);
-      res.status(500).json({ message: 'Server error' });
     }
+
+    res.status(201).json({ message: 'Player added to shortlist' });
   };
 
   exports.getShortlist = async (req, res) => {
     const scoutId = req.user.id;
 
-    try {
-      const [rows] = await db.query(`
-        SELECT
-          u.id AS player_id, u.name, u.email, u.role
-        FROM shortlists s
-        JOIN users u ON s.player_id = u.id
-        WHERE s.scout_id = ?
-      `, [scoutId]);
-
-      res.json(rows);
-    } catch (err) {
-      console.error('[Get Shortlist Error]', err);
-      res.status(500).json({ message: 'Failed to load shortlist' });
-    }
+    const players = await ShortlistRepository.findPlayers(scoutId);
+
+    res.json(players.map(player => ({
+      player_id: player.id,
+      name: player.name,
+      email: player.email,
+      role: player.role
+    })));
   };
 
   exports.removeFromShortlist = async (req, res) => {
     const scoutId = req.user.id;
     const playerId = req.params.playerId;
 
-    try {
-      await db.query(
-        'DELETE FROM shortlists WHERE scout_id = ? AND player_id = ?',
-        [scoutId, playerId]
-      );
-      res.json({ message: 'Player removed from shortlist' });
-    } catch (err) {
-      console.error('[Remove Shortlist Error]', err);
-      res.status(500).json({ message: 'Failed to remove player' });
-    }
+    await ShortlistRepository.remove(scoutId, playerId);
+    res.json({ message: 'Player removed from shortlist' });
   };
   exports.searchPlayers = async (req, res) => {
-    try {
-      // Extract all filter parameters from query
-      const {
-        name,
-        position,
-        club,
-        minAge,
-        maxAge,
-        hasVideos,
-        minRating,
-        sortBy,
-        sortOrder,
-        limit = 20,
-        offset = 0
-      } = req.query;
-
-      // Parameters array for prepared statement
-      const params = [req.user.id]; // First parameter is the scout_id for isShortlisted
-
-      // Build the base query
-      let query = `
-        SELECT
-          u.id, u.name, u.email, u.created_at AS createdAt,
-          p.position, p.club, p.bio, p.profile_image, p.rating,
-          TIMESTAMPDIFF(YEAR, p.date_of_birth, CURDATE()) AS age,
-          (SELECT COUNT(*) FROM videos v WHERE v.player_id = u.id) AS videoCount,
-          (SELECT COUNT(*) FROM shortlists s WHERE s.player_id = u.id AND s.scout_id = ?) AS isShortlisted,
-          (SELECT COUNT(*) FROM player_stats ps WHERE ps.player_id = u.id) AS hasStats
-        FROM users u
-        LEFT JOIN player_profiles p ON u.id = p.user_id
-        WHERE u.role = 'player'
-      `;
-
-      // Simple conditions on user table
-      if (name) {
-        query += " AND LOWER(u.name) LIKE ?";
-        params.push(`%${name.toLowerCase()}%`);
-      }
-
-      // Handle position filtering
-      if (position) {
-        query += " AND p.position = ?";
-        params.push(position);
-      }
-
-      // Handle club filtering
-      if (club) {
-        query += " AND p.club = ?";
-        params.push(club);
-      }
-
-      // Handle age range filtering
-      if (minAge !== undefined && minAge !== null) {
-        query += " AND TIMESTAMPDIFF(YEAR, p.date_of_birth, CURDATE()) >= ?";
-        params.push(parseInt(minAge));
-      }
+    // Extract all filter parameters from query
+    const {
+      name,
+      position,
+      club,
+      minAge,
+      maxAge,
+      hasVideos,
+      minRating,
+      tag,
+      sortBy,
+      sortOrder,
+      limit = 20,
+      offset = 0
+    } = req.query;
+
+    const filters = { name, position, club, minAge, maxAge, hasVideos, minRating, tag };
+
+    const players = await PlayerRepository.search(filters, {
+      scoutId: req.user.id,
+      sortBy,
+      sortOrder,
+      limit: parseInt(limit) || 20,
+      offset: parseInt(offset) || 0
+    });
 
-      if (maxAge !== undefined && maxAge !== null) {
-        query += " AND TIMESTAMPDIFF(YEAR, p.date_of_birth, CURDATE()) <= ?";
-        params.push(parseInt(maxAge));
-      }
+    // Get total count for pagination with the same filters (excluding limit/offset)
+    const total = await PlayerRepository.count(filters);
+
+    // Enhance player objects with additional data
+    const enhancedPlayers = await Promise.all(players.map(async (player) => {
+      const stats = await PlayerRepository.findStats(player.id);
+
+      // Get a sample of player videos
+      const videos = await MediaRepository.findByPlayer(player.id, { limit: 3, approvedOnly: true });
+      const highlights = await MediaRepository.findHighlights(videos.map(v => v.id));
+
+      return {
+        ...player,
+        profile_image: player.profile_image ?
+          getFullUrl(player.profile_image) :
+          null,
+        stats,
+        videos: videos.map(v => ({
+          id: v.id,
+          url: getFullUrl(v.url),
+          type: v.type,
+          ...mediaMetadata(v),
+          ...mediaHighlights(highlights.get(v.id))
+        }))
+      };
+    }));
+
+    // Return the results with pagination info
+    const limitNum = parseInt(limit) || 20;
+    const offsetNum = parseInt(offset) || 0;
 
-      // Handle "has videos" filter
-      if (hasVideos === 'true' || hasVideos === true) {
-        query += " AND EXISTS (SELECT 1 FROM videos v WHERE v.player_id = u.id)";
+    res.json({
+      players: enhancedPlayers,
+      pagination: {
+        total,
+        limit: limitNum,
+        offset: offsetNum,
+        hasMore: offsetNum + limitNum < total
       }
+    });
+  };
 
-      // Handle minimum rating filter
-      if (minRating !== undefined && minRating !== null) {
-        query += " AND p.rating IS NOT NULL AND p.rating >= ?";
-        params.push(parseFloat(minRating));
-      }
 
-      // Handle sorting
-      let orderBy = "ORDER BY u.name";
-      if (sortBy) {
-        switch (sortBy) {
-          case 'name':
-            orderBy = "ORDER BY u.name";
-            break;
-          case 'age':
-            orderBy = "ORDER BY age";
-            break;
-          case 'rating':
-            orderBy = "ORDER BY p.rating";
-            break;
-          case 'club':
-            orderBy = "ORDER BY p.club";
-            break;
-          case 'position':
-            orderBy = "ORDER BY p.position";
-            break;
-          default:
-            orderBy = "ORDER BY u.name";
-        }
-
-        if (sortOrder && sortOrder.toLowerCase() === 'desc') {
-          orderBy += " DESC";
-        } else {
-          orderBy += " ASC";
-        }
-      }
+exports.getProfile = async (req, res) => {
+  const scoutId = req.user.id;
 
-      query += ` ${orderBy} LIMIT ? OFFSET ?`;
-      params.push(parseInt(limit), parseInt(offset));
+  const scout = await ScoutRepository.findWithProfile(scoutId);
 
-      // Execute the query
-      const [players] = await db.query(query, params);
+  if (!scout) throw new NotFoundError('Scout not found', { code: 'SCOUT_NOT_FOUND' });
 
-      // Get total count for pagination with the same filters (excluding limit/offset)
-      let countQuery = `
-        SELECT COUNT(*) AS total
-        FROM users u
-        LEFT JOIN player_profiles p ON u.id = p.user_id
-        WHERE u.role = 'player'
-      `;
+  const shortlists = await ShortlistRepository.findPlayers(scoutId);
 
-      const countParams = []; // No scout_id needed for count
+  scout.shortlists = shortlists.map(({ id, name, email, createdAt, position, club, bio }) => ({
+    id, name, email, createdAt, position, club, bio
+  }));
 
-      // Apply the same filters to the count query
-      if (name) {
-        countQuery += " AND LOWER(u.name) LIKE ?";
-        countParams.push(`%${name.toLowerCase()}%`);
-      }
+  // Format the profile image URL using utility
+  if (scout.profile_image) {
+    scout.profileImage = getFullUrl(scout.profile_image);
+  } else {
+    scout.profileImage = null;
+  }
 
-      if (position) {
-        countQuery += " AND p.position = ?";
-        countParams.push(position);
-      }
+  // Remove the original profile_image property to avoid duplication
+  delete scout.profile_image;
+  delete scout.public_id;
 
-      if (club) {
-        countQuery += " AND p.club = ?";
-        countParams.push(club);
-      }
+  res.json(scout);
+};
 
-      if (minAge !== undefined && minAge !== null) {
-        countQuery += " AND TIMESTAMPDIFF(YEAR, p.date_of_birth, CURDATE()) >= ?";
-        countParams.push(parseInt(minAge));
-      }
+exports.getFilterOptions = async (_, res) => {
+  res.json({ ...await PlayerRepository.getFilterOptions(), skillTags: SKILL_TAGS });
+};
 
-      if (maxAge !== undefined && maxAge !== null) {
-        countQuery += " AND TIMESTAMPDIFF(YEAR, p.date_of_birth, CURDATE()) <= ?";
-        countParams.push(parseInt(maxAge));
-      }
+// Get all unique locations from tryouts
+exports.getLocations = async (req, res) => {
+  res.json(await TryoutRepository.findLocations());
+};
 
-      if (hasVideos === 'true' || hasVideos === true) {
-        countQuery += " AND EXISTS (SELECT 1 FROM videos v WHERE v.player_id = u.id)";
-      }
+exports.debugPlayerData = async (req, res) => {
+  // Check total users
+  const userCounts = (await UserRepository.countByRole()).map(row => ({ total: row.count, role: row.role }));
 
-      // Add minRating filter to the count query
-      if (minRating !== undefined && minRating !== null) {
-        countQuery += " AND p.rating IS NOT NULL AND p.rating >= ?";
-        countParams.push(parseFloat(minRating));
-      }
+  // Check player profiles
+  const profileCount = await PlayerRepository.countProfiles();
 
-      const [countResult] = await db.query(countQuery, countParams);
-
-      // Enhance player objects with additional data
-      const enhancedPlayers = await Promise.all(players.map(async (player) => {
-        // Get player stats if they exist
-        const [stats] = await db.query(`
-          SELECT matches_played, goals, assists, yellow_cards, red_cards
-          FROM player_stats
-          WHERE player_id = ?
-        `, [player.id]);
-
-        // Get a sample of player videos
-        const [videos] = await db.query(`
-          SELECT id, url, type
-          FROM videos
-          WHERE player_id = ?
-          LIMIT 3
-        `, [player.id]);
-
-        return {
-          ...player,
-          profile_image: player.profile_image ?
-            ensureCloudinaryUrl(player.profile_image) :
-            null,
-          stats: stats.length > 0 ? stats[0] : null,
-          videos: videos.map(v => ({
-            ...v,
-            url: ensureCloudinaryUrl(v.url)
-          }))
-        };
-      }));
-
-      // Return the results with pagination info
-      const limitNum = parseInt(limit) || 20;
-      const offsetNum = parseInt(offset) || 0;
-
-      res.json({
-        players: enhancedPlayers,
-        pagination: {
-          total: countResult[0].total,
-          limit: limitNum,
-          offset: offsetNum,
-          hasMore: offsetNum + limitNum < countResult[0].total
-        }
-      });
-    } catch (err) {
-      console.error('[Search Players Error]', err);
-      res.status(500).json({ message: 'Search failed', error: err.message });
-    }
-  };
+  // Check the missing profiles
+  const missingProfiles = await UserRepository.findPlayersWithoutProfile();
 
+  res.json({
+    userCounts,
+    profileCount: { total: profileCount },
+    missingProfiles,
+    message: 'Debug data fetched successfully'
+  });
+};
 
-exports.getProfile = async (req, res) => {
+exports.updateScoutProfile = async (req, res) => {
   const scoutId = req.user.id;
+  const { name, organization, phone, updateType } = req.body;
+  const file = req.file; // Will be undefined if no file is uploaded
 
-  try {
-    const [[scout]] = await db.query(`
-      SELECT u.id, u.name, u.email, u.role, s.organization, s.phone, s.profile_image, u.created_at AS createdAt
-      FROM users u
-      LEFT JOIN scout_profiles s ON u.id = s.user_id
-      WHERE u.id = ?
-    `, [scoutId]);
-
-    if (!scout) return res.status(404).json({ message: 'Scout not found' });
-
-    const [shortlists] = await db.query(`
-      SELECT
-        u.id, u.name, u.email, u.created_at AS createdAt,
-        p.position, p.club, p.bio
-      FROM shortlists s
-      JOIN users u ON s.player_id = u.id
-      LEFT JOIN player_profiles p ON u.id = p.user_id
-      WHERE s.scout_id = ?
-    `, [scoutId]);
-
-    scout.shortlists = shortlists;
-
-    // Format the profile image URL using utility
-    if (scout.profile_image) {
-      scout.profileImage = ensureCloudinaryUrl(scout.profile_image);
-    } else {
-      scout.profileImage = null;
-    }
+  // Get current profile data to avoid losing information
+  const currentProfile = (await ScoutRepository.findProfile(scoutId)) || {};
 
-    // Remove the original profile_image property to avoid duplication
-    delete scout.profile_image;
+  // Handle profile image update only
+  if (updateType === 'profileImageOnly' && file) {
+    const image = await profileImageService.upload(file, {
+      folder: 'pharaohs/scout_profiles',
+      publicIdPrefix: `scout_profile_${scoutId}`
+    });
 
-    res.json(scout);
-  } catch (err) {
-    console.error('[Scout Profile Error]', err);
-    res.status(500).json({ message: 'Failed to load profile' });
-  }
-};
+    // Remove the previous image
+    await profileImageService.remove(currentProfile);
 
-exports.getFilterOptions = async (_, res) => {
-  try {
-    // Get all unique positions
-    const [positions] = await db.query(`
-      SELECT DISTINCT position
-      FROM player_profiles
-      WHERE position IS NOT NULL AND position != ''
-      ORDER BY position
-    `);
-
-    // Get all unique clubs
-    const [clubs] = await db.query(`
-      SELECT DISTINCT club
-      FROM player_profiles
-      WHERE club IS NOT NULL AND club != ''
-      ORDER BY club
-    `);
-
-    // Get age range
-    const [ageRange] = await db.query(`
-      SELECT
-        MIN(TIMESTAMPDIFF(YEAR, date_of_birth, CURDATE())) AS minAge,
-        MAX(TIMESTAMPDIFF(YEAR, date_of_birth, CURDATE())) AS maxAge
-      FROM player_profiles
-      WHERE date_of_birth IS NOT NULL
-    `);
-
-    // Use default age range if no data is available
-    const defaultAgeRange = { minAge: 15, maxAge: 40 };
-    const actualAgeRange = ageRange[0] && ageRange[0].minAge !== null ?
-                           ageRange[0] :
-                           defaultAgeRange;
+    await ScoutRepository.setProfileImage(scoutId, image.url, image.publicId);
 
-    res.json({
-      positions: positions.map(p => p.position),
-      clubs: clubs.map(c => c.club),
-      ageRange: actualAgeRange
+    return res.json({
+      message: 'Profile image updated successfully',
+      profileImage: image.url
     });
-  } catch (err) {
-    console.error('[Get Filter Options Error]', err);
-    res.status(500).json({ message: 'Failed to load filter options' });
   }
-};
 
-// Get all unique locations from tryouts
-exports.getLocations = async (req, res) => {
-  try {
-    const [locations] = await db.query(`
-      SELECT DISTINCT location
-      FROM tryouts
-      WHERE location IS NOT NULL AND location != ''
-      ORDER BY location
-    `);
-
-    res.json(locations.map(l => l.location));
-  } catch (err) {
-    console.error('[Get Locations Error]', err);
-    res.status(500).json({ message: 'Failed to load locations' });
+  // For regular updates, update the user's name if provided
+  if (name) {
+    await UserRepository.updateName(scoutId, name);
   }
-};
-
-exports.debugPlayerData = async (req, res) => {
-  try {
-    // Check total users
-    const [userCount] = await db.query('SELECT COUNT(*) as total, role FROM users GROUP BY role');
-
-    // Check player profiles
-    const [profileCount] = await db.query(`
-      SELECT COUNT(*) as total FROM player_profiles
-    `);
-
-    // Check the missing profiles
-    const [missingProfiles] = await db.query(`
-      SELECT u.id, u.name, u.email
-      FROM users u
-      LEFT JOIN player_profiles p ON u.id = p.user_id
-      WHERE u.role = 'player' AND p.user_id IS NULL
-    `);
 
-    res.json({
-      userCounts: userCount,
-      profileCount: profileCount[0],
-      missingProfiles,
-      message: 'Debug data fetched successfully'
+  // Handle profile details
+  let profileImage = null;
+  let publicId = null;
+  
+  if (file) {
+    const image = await profileImageService.upload(file, {
+      folder: 'pharaohs/scout_profiles',
+      publicIdPrefix: `scout_profile_${scoutId}`
     });
-  } catch (err) {
-    console.error('[Debug Player Data Error]', err);
-    res.status(500).json({ message: 'Error fetching debug data', error: err.message });
+
+    // Remove the previous image
+    await profileImageService.remove(currentProfile);
+    
+    profileImage = image.url;
+    publicId = image.publicId;
+  } else {
+    // Retain existing profile image
+    profileImage = currentProfile.profile_image || null;
+    publicId = currentProfile.public_id || null;
   }
-};
 
-exports.updateScoutProfile = async (req, res) => {
-  const scoutId = req.user.id;
-  const { name, organization, phone, updateType } = req.body;
-  const file = req.file; // Will be undefined if no file is uploaded
+  // Use provided values or fall back to current values to avoid nullifying data
+  const updatedOrganization = organization !== undefined ? organization : currentProfile.organization || '';
+  const updatedPhone = phone !== undefined ? phone : currentProfile.phone || '';
 
-  try {
-    // Get current profile data to avoid losing information
-    const [currentUserData] = await db.query(
-      'SELECT name FROM users WHERE id = ?',
-      [scoutId]
-    );
+  await ScoutRepository.saveProfile(scoutId, {
+    organization: updatedOrganization,
+    phone: updatedPhone,
+    profileImage,
+    publicId
+  });
 
-    const [currentProfileData] = await db.query(
-      'SELECT organization, phone, profile_image, public_id FROM scout_profiles WHERE user_id = ?',
-      [scoutId]
-    );
+  // Fetch the updated profile to return it
+  const updatedScout = await ScoutRepository.findWithProfile(scoutId);
 
-    const currentProfile = currentProfileData.length > 0 ? currentProfileData[0] : {};
-
-    // Handle profile image update only
-    if (updateType === 'profileImageOnly' && file) {
-      // Upload to Cloudinary directly from buffer
-      const cloudinaryResult = await cloudinaryService.uploadBuffer(
-        file.buffer,
-        file.originalname,
-        file.mimetype,
-        {
-          resource_type: 'image',
-          folder: 'pharaohs/scout_profiles',
-          public_id: `scout_profile_${scoutId}_${Date.now()}`,
-          transformation: [
-            { width: 800, height: 800, crop: 'limit', quality: 'auto:good' }
-          ]
-        }
-      );
+  // Optionally, re-fetch shortlists if they are part of the returned profile
+  const shortlists = await ShortlistRepository.findPlayers(scoutId);
 
-      // Remove old image from Cloudinary if exists
-      if (currentProfile.public_id) {
-        try {
-          await cloudinaryService.deleteFile(currentProfile.public_id);
-        } catch (err) {
-          console.warn(`[Delete Old Cloudinary Image Warning] ${err.message}`);
-        }
-      }
+  updatedScout.shortlists = shortlists.map(({ id, name, email, createdAt, position, club, bio }) => ({
+    id, name, email, createdAt, position, club, bio
+  }));
+  updatedScout.profileImage = updatedScout.profile_image;
 
-      await db.query(`
-        INSERT INTO scout_profiles (user_id, profile_image, public_id)
-        VALUES (?, ?, ?)
-        ON DUPLICATE KEY UPDATE profile_image = ?, public_id = ?
-      `, [scoutId, cloudinaryResult.secure_url, cloudinaryResult.public_id, cloudinaryResult.secure_url, cloudinaryResult.public_id]);
+  delete updatedScout.profile_image;
+  delete updatedScout.public_id;
+  delete updatedScout.verificationStatus;
 
-      return res.json({
-        message: 'Profile image updated successfully',
-        profileImage: cloudinaryResult.secure_url
-      });
-    }
+  res.json({
+    message: 'Profile updated successfully',
+    scout: updatedScout
+  });
 
-    // For regular updates, update the user's name if provided
-    if (name) {
-      await db.query(
-        'UPDATE users SET name = ? WHERE id = ?',
-        [name, scoutId]
-      );
-    }
+};
 
-    // Handle profile details
-    let profileImage = null;
-    let publicId = null;
-    
-    if (file) {
-      // Upload to Cloudinary directly from buffer
-      const cloudinaryResult = await cloudinaryService.uploadBuffer(
-        file.buffer,
-        file.originalname,
-        file.mimetype,
-        {
-          resource_type: 'image',
-          folder: 'pharaohs/scout_profiles',
-          public_id: `scout_profile_${scoutId}_${Date.now()}`,
-          transformation: [
-            { width: 800, height: 800, crop: 'limit', quality: 'auto:good' }
-          ]
-        }
-      );
+// Add new method for deleting scout profile picture
+exports.deleteProfilePicture = async (req, res) => {
+  const userId = req.user.id;
 
-      // Remove old image from Cloudinary if exists
-      if (currentProfile.public_id) {
-        try {
-          await cloudinaryService.deleteFile(currentProfile.public_id);
-        } catch (err) {
-          console.warn(`[Delete Old Cloudinary Image Warning] ${err.message}`);
-        }
-      }
-      
-      profileImage = cloudinaryResult.secure_url;
-      publicId = cloudinaryResult.public_id;
-    } else {
-      // Retain existing profile image
-      profileImage = currentProfile.profile_image || null;
-      publicId = currentProfile.public_id || null;
-    }
+  // Fetch the current profile image path
+  const profile = await ScoutRepository.findProfile(userId);
 
-    // Use provided values or fall back to current values to avoid nullifying data
-    const updatedOrganization = organization !== undefined ? organization : currentProfile.organization || '';
-    const updatedPhone = phone !== undefined ? phone : currentProfile.phone || '';
-
-    await db.query(`
-      INSERT INTO scout_profiles (user_id, organization, phone, profile_image, public_id)
-      VALUES (?, ?, ?, ?, ?)
-      ON DUPLICATE KEY UPDATE
-        organization = ?,
-        phone = ?,
-        profile_image = COALESCE(?, profile_image),
-        public_id = COALESCE(?, public_id)
-    `, [
-      scoutId, updatedOrganization, updatedPhone, profileImage, publicId,
-      updatedOrganization, updatedPhone, profileImage, publicId
-    ]);
-
-    // Fetch the updated profile to return it
-    const [[updatedScout]] = await db.query(`
-      SELECT u.id, u.name, u.email, u.role, s.organization, s.phone, s.profile_image, s.public_id, u.created_at AS createdAt
-      FROM users u
-      LEFT JOIN scout_profiles s ON u.id = s.user_id
-      WHERE u.id = ?
-    `, [scoutId]);
-
-    // Optionally, re-fetch shortlists if they are part of the returned profile
-    const [shortlists] = await db.query(`
-      SELECT
-        u.id, u.name, u.email, u.created_at AS createdAt,
-        p.position, p.club, p.bio
-      FROM shortlists s
-      JOIN users u ON s.player_id = u.id
-      LEFT JOIN player_profiles p ON u.id = p.user_id
-      WHERE s.scout_id = ?
-    `, [scoutId]);
-
-    updatedScout.shortlists = shortlists;
-    updatedScout.profileImage = updatedScout.profile_image;
-
-    delete updatedScout.profile_image;
-    delete updatedScout.public_id;
+  if (!profile || !profile.profile_image) {
+    throw new NotFoundError('No profile image found', { code: 'PROFILE_IMAGE_NOT_FOUND' });
+  }
 
-    res.json({
-      message: 'Profile updated successfully',
-      scout: updatedScout
-    });
+  await profileImageService.remove(profile);
 
-  } catch (err) {
-    console.error('[Update Scout Profile Error]', err);
-    res.status(500).json({ message: 'Failed to update profile', error: err.message });
-  }
+  // Update the database to remove the reference
+  await ScoutRepository.clearProfileImage(userId);
+
+  res.json({ message: 'Profile picture deleted successfully' });
 };
 
-// Add new method for deleting scout profile picture
-exports.deleteProfilePicture = async (req, res) => {
-  try {
-    const userId = req.user.id;
+// Submit accreditation details and a supporting document for admin review
+exports.submitVerification = async (req, res) => {
+  const scoutId = req.user.id;
+  const { organization, job_title, license_number, website } = req.body;
+  const file = req.file;
 
-    // Fetch the current profile image path
-    const [profile] = await db.query(
-      'SELECT profile_image, public_id FROM scout_profiles WHERE user_id = ?',
-      [userId]
-    );
+  if (!file) {
+    throw new BadRequestError('A supporting document is required', { code: 'DOCUMENT_REQUIRED' });
+  }
 
-    if (!profile.length || !profile[0].profile_image) {
-      return res.status(404).json({ message: 'No profile image found' });
-    }
+  // Checked again when the submission is stored; this spares an upload in the common case
+  const currentStatus = await ScoutRepository.getVerificationStatus(scoutId);
 
-    // Delete image from Cloudinary if public_id exists
-    if (profile[0].public_id) {
-      try {
-        await cloudinaryService.deleteFile(profile[0].public_id);
-        console.log(`Deleted scout profile image from Cloudinary: ${profile[0].public_id}`);
-      } catch (cloudinaryError) {
-        console.warn('[Delete Cloudinary Image Warning]', cloudinaryError.message);
-      }
-    } else if (profile[0].profile_image && !profile[0].profile_image.includes('cloudinary')) {
-      // If it's still a local file, try to delete it
-      try {
-        const filePath = path.join(__dirname, '..', '..', profile[0].profile_image.replace(/^\//, ''));
-        await fs.unlink(filePath);
-        console.log(`Deleted local scout profile image file: ${filePath}`);
-      } catch (fileErr) {
-        console.warn('[Delete Scout Profile Image File Warning]', fileErr.message);
-      }
-    }
+  if (currentStatus === 'verified') {
+    throw new ConflictError('Your accreditation is already verified', { code: 'ALREADY_VERIFIED' });
+  }
 
-    // Update the database to remove the reference
-    await db.query(
-      'UPDATE scout_profiles SET profile_image = NULL, public_id = NULL WHERE user_id = ?',
-      [userId]
-    );
+  if (currentStatus === 'pending_verification') {
+    throw new ConflictError('Your accreditation is already awaiting review', { code: 'VERIFICATION_PENDING' });
+  }
 
-    res.json({ message: 'Profile picture deleted successfully' });
-  } catch (err) {
-    console.error('[Delete Scout Profile Picture Error]', err);
-    res.status(500).json({ message: 'Failed to delete profile picture' });
+  const stored = await storageService.upload(file.buffer, {
+    filename: file.originalname,
+    mimetype: file.mimetype,
+    resourceType: file.mimetype === 'application/pdf' ? 'raw' : 'image',
+    folder: 'pharaohs/scout_documents',
+    name: `scout_document_${scoutId}_${Date.now()}`,
+    // Licences and club letters are only for the admins reviewing them
+    access: 'private'
+  });
+
+  const verificationId = await ScoutRepository.createVerification(scoutId, {
+    organization: organization.trim(),
+    jobTitle: job_title,
+    licenseNumber: license_number,
+    website,
+    documentUrl: stored.url,
+    documentPublicId: stored.key
+  });
+
+  // A concurrent submission was stored first
+  if (!verificationId) {
+    try {
+      await storageService.delete(stored.key, { resourceType: stored.resourceType, access: 'private' });
+    } catch (err) {
+      req.log.warn('Could not delete verification document from storage', { key: stored.key, error: err.message });
+    }
+    throw new ConflictError('Your accreditation is already awaiting review', { code: 'VERIFICATION_PENDING' });
   }
+
+  res.status(201).json({
+    message: 'Accreditation submitted for review',
+    verificationId,
+    verificationStatus: 'pending_verification'
+  });
+};
+
+// Current accreditation status and the latest submission
+exports.getVerificationStatus = async (req, res) => {
+  const scoutId = req.user.id;
+
+  res.json({
+    verificationStatus: await ScoutRepository.getVerificationStatus(scoutId),
+    latestSubmission: await ScoutRepository.findLatestVerification(scoutId)
+  });
 };
 
 exports.getPublicScoutProfile = async (req, res) => {
   const scoutId = req.params.scoutId;
 
-  try {
-    const [[scout]] = await db.query(`
-      SELECT u.id, u.name, u.email, u.role, s.organization, s.profile_image, u.created_at AS createdAt
-      FROM users u
-      LEFT JOIN scout_profiles s ON u.id = s.user_id
-      WHERE u.id = ? AND u.role = 'scout'
-    `, [scoutId]);
-
-    if (!scout) return res.status(404).json({ message: 'Scout not found' });
-
-    // Get count of tryouts and invitations for public stats
-    const [[tryoutCount]] = await db.query(`
-      SELECT COUNT(*) AS count FROM tryouts WHERE scout_id = ?
-    `, [scoutId]);
-
-    const [[invitationCount]] = await db.query(`
-      SELECT COUNT(*) AS count
-      FROM invitations i
-      JOIN tryouts t ON i.tryout_id = t.id
-      WHERE t.scout_id = ?
-    `, [scoutId]);
-
-    // Format the profile image URL
-    if (scout.profile_image) {
-      scout.profileImage = ensureCloudinaryUrl(scout.profile_image);
-    } else {
-      scout.profileImage = null;
-    }
+  const scout = await ScoutRepository.findPublicProfile(scoutId);
 
-    // Remove the original profile_image property to avoid duplication
-    delete scout.profile_image;
+  if (!scout) throw new NotFoundError('Scout not found', { code: 'SCOUT_NOT_FOUND' });
 
-    // Return the scout profile with public stats
-    res.json({
-      ...scout,
-      tryoutCount: tryoutCount ? tryoutCount.count : 0,
-      invitationCount: invitationCount ? invitationCount.count : 0
-    });
-  } catch (err) {
-    console.error('[Get Public Scout Profile Error]', err);
-    res.status(500).json({ message: 'Failed to load scout profile' });
+  // Get count of tryouts and invitations for public stats
+  const tryoutCount = await TryoutRepository.countByScout(scoutId);
+  const invitationCount = await InvitationRepository.countForScout(scoutId);
+
+  // Format the profile image URL
+  if (scout.profile_image) {
+    scout.profileImage = getFullUrl(scout.profile_image);
+  } else {
+    scout.profileImage = null;
   }
+
+  // Remove the original profile_image property to avoid duplication
+  delete scout.profile_image;
+
+  // Return the scout profile with public stats
+  res.json({
+    ...scout,
+    tryoutCount,
+    invitationCount
+  });
 };
 
 exports.getPublicScoutTryouts = async (req, res) => {
   const scoutId = req.params.scoutId;
 
-  try {
-    // Check if scout exists
-    const [[scout]] = await db.query(`
-      SELECT id FROM users WHERE id = ? AND role = 'scout'
-    `, [scoutId]);
-
-    if (!scout) return res.status(404).json({ message: 'Scout not found' });
-
-    // Get all tryouts for this scout, not just upcoming ones
-    const [tryouts] = await db.query(`
-      SELECT id, name, location, date
-      FROM tryouts
-      WHERE scout_id = ?
-      ORDER BY date DESC
-    `, [scoutId]);
-
-    res.json(tryouts);
-  } catch (err) {
-    console.error('[Get Public Scout Tryouts Error]', err);
-    res.status(500).json({ message: 'Failed to load scout tryouts' });
+  // Check if scout exists
+  if (!(await ScoutRepository.exists(scoutId))) {
+    throw new NotFoundError('Scout not found', { code: 'SCOUT_NOT_FOUND' });
   }
+
+  // Get all tryouts for this scout, not just upcoming ones
+  const tryouts = await TryoutRepository.findByScout(scoutId);
+
+  res.json(tryouts);
 };
 
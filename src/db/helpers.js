@@ -0,0 +1,46 @@
+// Schema helpers shared by migrations. Column changes check INFORMATION_SCHEMA
+// first so a migration can run against a database that was set up by hand.
+
+/**
+ * Check whether a column exists in the current database
+ * @param {Object} db - mysql2 pool or connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {Promise<boolean>} True if the column exists
+ */
+const columnExists = async (db, table, column) => {
+  const [columns] = await db.query(`
+    SELECT COLUMN_NAME
+    FROM INFORMATION_SCHEMA.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+  `, [table, column]);
+  return columns.length > 0;
+};
+
+/**
+ * Add a column unless it already exists
+ * @param {Object} db - mysql2 pool or connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column definition, e.g. "DATETIME NULL"
+ * @returns {Promise<boolean>} True if the column was added
+ */
+const addColumn = async (db, table, column, definition) => {
+  if (await columnExists(db, table, column)) return false;
+  await db.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+  return true;
+};
+
+/**
+ * Drop a column if it exists
+ * @param {Object} db - mysql2 pool or connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {Promise<void>}
+ */
+const dropColumn = async (db, table, column) => {
+  if (!(await columnExists(db, table, column))) return;
+  await db.query(`ALTER TABLE \`${table}\` DROP COLUMN \`${column}\``);
+};
+
+module.exports = { columnExists, addColumn, dropColumn };
@@ -0,0 +1,138 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/db');
+
+// Versioned schema migrations. Each file in ./migrations is named
+// NNN_description.js and exports async up(db) and down(db). Applied migrations
+// are recorded in schema_migrations, so `up` only runs what is new.
+//
+// Usage:
+//   node src/db/migrate.js up            apply all pending migrations
+//   node src/db/migrate.js down [steps]  roll back the last migration (or the last N)
+//   node src/db/migrate.js status        list applied and pending migrations
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const ensureMigrationsTable = async () => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name VARCHAR(255) PRIMARY KEY,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+/**
+ * List migration files in version order
+ * @returns {Array<{name: string, file: string}>} Migrations
+ */
+const loadMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .sort()
+    .map(file => ({ name: path.basename(file, '.js'), file: path.join(MIGRATIONS_DIR, file) }));
+};
+
+/**
+ * Get applied migrations keyed by name
+ * @returns {Promise<Map<string, Date>>} Migration name to applied_at
+ */
+const getApplied = async () => {
+  const [rows] = await db.query('SELECT name, applied_at FROM schema_migrations ORDER BY name');
+  return new Map(rows.map(row => [row.name, row.applied_at]));
+};
+
+const up = async () => {
+  const applied = await getApplied();
+  const pending = loadMigrations().filter(m => !applied.has(m.name));
+
+  if (!pending.length) {
+    console.log('✅ Database is up to date');
+    return;
+  }
+
+  for (const migration of pending) {
+    console.log(`⏫ Applying ${migration.name}`);
+    // MySQL commits DDL implicitly, so a failed migration is not rolled back;
+    // migrations are written to be safe to re-run after fixing the cause
+    await require(migration.file).up(db);
+    await db.query('INSERT INTO schema_migrations (name) VALUES (?)', [migration.name]);
+  }
+
+  console.log(`✅ Applied ${pending.length} migration(s)`);
+};
+
+const down = async (steps = 1) => {
+  const applied = await getApplied();
+  const toRevert = loadMigrations()
+    .filter(m => applied.has(m.name))
+    .reverse()
+    .slice(0, steps);
+
+  if (!toRevert.length) {
+    console.log('ℹ️ Nothing to roll back');
+    return;
+  }
+
+  for (const migration of toRevert) {
+    console.log(`⏬ Reverting ${migration.name}`);
+    await require(migration.file).down(db);
+    await db.query('DELETE FROM schema_migrations WHERE name = ?', [migration.name]);
+  }
+
+  console.log(`✅ Rolled back ${toRevert.length} migration(s)`);
+};
+
+const status = async () => {
+  const applied = await getApplied();
+  const migrations = loadMigrations();
+
+  migrations.forEach(m => {
+    const appliedAt = applied.get(m.name);
+    console.log(appliedAt
+      ? `  [x] ${m.name}  (applied ${new Date(appliedAt).toISOString()})`
+      : `  [ ] ${m.name}  (pending)`);
+  });
+
+  // Recorded migrations whose files are gone usually mean a branch mismatch
+  const known = new Set(migrations.map(m => m.name));
+  [...applied.keys()].filter(name => !known.has(name)).forEach(name => {
+    console.log(`  [?] ${name}  (applied, file missing)`);
+  });
+
+  const pendingCount = migrations.filter(m => !applied.has(m.name)).length;
+  console.log(`\n${applied.size} applied, ${pendingCount} pending`);
+};
+
+const run = async () => {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  try {
+    await ensureMigrationsTable();
+
+    if (command === 'up') {
+      await up();
+    } else if (command === 'down') {
+      const steps = parseInt(arg) || 1;
+      await down(steps);
+    } else if (command === 'status') {
+      await status();
+    } else {
+      console.error(`❌ Unknown command "${command}". Use up, down [steps] or status.`);
+      process.exit(1);
+    }
+
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Migration failed:', err);
+    process.exit(1);
+  }
+};
+
+// Run as a script; the test harness imports the functions to migrate its own database
+if (require.main === module) {
+  run();
+}
+
+module.exports = { ensureMigrationsTable, up, down, status };
@@ -0,0 +1,174 @@
+// Core schema: accounts, profiles, media, engagement, tryouts and audit log.
+// Every table uses IF NOT EXISTS so this also adopts databases created by hand.
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        role ENUM('player', 'scout', 'admin') NOT NULL DEFAULT 'player',
+        status ENUM('active', 'inactive', 'suspended') NOT NULL DEFAULT 'active',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_users_email (email),
+        KEY idx_users_role (role)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS player_profiles (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        position VARCHAR(100) NULL,
+        club VARCHAR(255) NULL,
+        bio TEXT NULL,
+        profile_image VARCHAR(1024) NULL,
+        date_of_birth DATE NULL,
+        rating DECIMAL(3,2) NULL,
+        UNIQUE KEY uq_player_profiles_user (user_id),
+        CONSTRAINT fk_player_profiles_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS scout_profiles (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        organization VARCHAR(255) NULL,
+        phone VARCHAR(50) NULL,
+        profile_image VARCHAR(1024) NULL,
+        UNIQUE KEY uq_scout_profiles_user (user_id),
+        CONSTRAINT fk_scout_profiles_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS videos (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        player_id INT NOT NULL,
+        url VARCHAR(1024) NOT NULL,
+        description TEXT NULL,
+        type ENUM('video', 'image') NOT NULL DEFAULT 'video',
+        status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_videos_player (player_id),
+        CONSTRAINT fk_videos_player FOREIGN KEY (player_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS likes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        video_id INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_likes_user_video (user_id, video_id),
+        KEY idx_likes_video (video_id),
+        CONSTRAINT fk_likes_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        CONSTRAINT fk_likes_video FOREIGN KEY (video_id) REFERENCES videos(id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS comments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        video_id INT NOT NULL,
+        comment TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_comments_video (video_id),
+        CONSTRAINT fk_comments_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        CONSTRAINT fk_comments_video FOREIGN KEY (video_id) REFERENCES videos(id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS tryouts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        scout_id INT NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        location VARCHAR(255) NULL,
+        date DATETIME NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_tryouts_scout (scout_id),
+        KEY idx_tryouts_location (location),
+        CONSTRAINT fk_tryouts_scout FOREIGN KEY (scout_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS invitations (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        tryout_id INT NOT NULL,
+        player_id INT NOT NULL,
+        status ENUM('pending', 'accepted', 'declined') NOT NULL DEFAULT 'pending',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_invitations_tryout_player (tryout_id, player_id),
+        KEY idx_invitations_player (player_id),
+        CONSTRAINT fk_invitations_tryout FOREIGN KEY (tryout_id) REFERENCES tryouts(id) ON DELETE CASCADE,
+        CONSTRAINT fk_invitations_player FOREIGN KEY (player_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS shortlists (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        scout_id INT NOT NULL,
+        player_id INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_shortlists_scout_player (scout_id, player_id),
+        KEY idx_shortlists_player (player_id),
+        CONSTRAINT fk_shortlists_scout FOREIGN KEY (scout_id) REFERENCES users(id) ON DELETE CASCADE,
+        CONSTRAINT fk_shortlists_player FOREIGN KEY (player_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS player_stats (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        player_id INT NOT NULL,
+        matches_played INT NOT NULL DEFAULT 0,
+        goals INT NOT NULL DEFAULT 0,
+        assists INT NOT NULL DEFAULT 0,
+        yellow_cards INT NOT NULL DEFAULT 0,
+        red_cards INT NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_player_stats_player (player_id),
+        CONSTRAINT fk_player_stats_player FOREIGN KEY (player_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Audit entries outlive the user they mention
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS system_logs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NULL,
+        action VARCHAR(50) NOT NULL,
+        entity_type VARCHAR(50) NOT NULL,
+        entity_id INT NULL,
+        details TEXT NULL,
+        ip_address VARCHAR(45) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_system_logs_created (created_at),
+        KEY idx_system_logs_action (action),
+        CONSTRAINT fk_system_logs_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS system_logs');
+    await db.query('DROP TABLE IF EXISTS player_stats');
+    await db.query('DROP TABLE IF EXISTS shortlists');
+    await db.query('DROP TABLE IF EXISTS invitations');
+    await db.query('DROP TABLE IF EXISTS tryouts');
+    await db.query('DROP TABLE IF EXISTS comments');
+    await db.query('DROP TABLE IF EXISTS likes');
+    await db.query('DROP TABLE IF EXISTS videos');
+    await db.query('DROP TABLE IF EXISTS scout_profiles');
+    await db.query('DROP TABLE IF EXISTS player_profiles');
+    await db.query('DROP TABLE IF EXISTS users');
+  }
+};
@@ -0,0 +1,21 @@
+// In-app notifications (see utils/notification.util.js)
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        message TEXT NOT NULL,
+        is_read TINYINT(1) NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_notifications_user (user_id, is_read),
+        CONSTRAINT fk_notifications_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS notifications');
+  }
+};
@@ -0,0 +1,17 @@
+const { addColumn, dropColumn } = require('../helpers');
+
+// Cloudinary public IDs, needed to delete the remote asset when a row goes away
+
+module.exports = {
+  up: async (db) => {
+    await addColumn(db, 'videos', 'public_id', 'VARCHAR(255) NULL');
+    await addColumn(db, 'player_profiles', 'public_id', 'VARCHAR(255) NULL');
+    await addColumn(db, 'scout_profiles', 'public_id', 'VARCHAR(255) NULL');
+  },
+
+  down: async (db) => {
+    await dropColumn(db, 'scout_profiles', 'public_id');
+    await dropColumn(db, 'player_profiles', 'public_id');
+    await dropColumn(db, 'videos', 'public_id');
+  }
+};
@@ -0,0 +1,30 @@
+// Each row is one issued refresh token. Tokens issued from the same login share
+// a family_id, which is what ties a chain of rotations to a single device.
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        family_id CHAR(36) NOT NULL,
+        device_name VARCHAR(255) NULL,
+        user_agent VARCHAR(512) NULL,
+        ip_address VARCHAR(45) NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        replaced_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_refresh_tokens_hash (token_hash),
+        KEY idx_refresh_tokens_family (family_id),
+        KEY idx_refresh_tokens_user (user_id),
+        CONSTRAINT fk_refresh_tokens_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS refresh_tokens');
+  }
+};
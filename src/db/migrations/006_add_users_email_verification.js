@@ -0,0 +1,16 @@
+const { addColumn, dropColumn } = require('../helpers');
+
+// Adds users.email_verified_at. Accounts that existed before verification was
+// introduced are backfilled as verified so they keep their current access.
+
+module.exports = {
+  up: async (db) => {
+    if (await addColumn(db, 'users', 'email_verified_at', 'DATETIME NULL')) {
+      await db.query('UPDATE users SET email_verified_at = created_at');
+    }
+  },
+
+  down: async (db) => {
+    await dropColumn(db, 'users', 'email_verified_at');
+  }
+};
@@ -0,0 +1,43 @@
+const { addColumn, dropColumn } = require('../helpers');
+
+// Scout accreditation: each submission (organization details plus a supporting
+// document) is kept as a row, and scout_profiles.verification_status holds the
+// scout's current standing so request-time checks need a single lookup.
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS scout_verifications (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        scout_id INT NOT NULL,
+        organization VARCHAR(255) NOT NULL,
+        job_title VARCHAR(255) NULL,
+        license_number VARCHAR(100) NULL,
+        website VARCHAR(255) NULL,
+        document_url VARCHAR(1024) NOT NULL,
+        document_public_id VARCHAR(255) NULL,
+        status ENUM('pending_verification', 'verified', 'rejected') NOT NULL DEFAULT 'pending_verification',
+        rejection_reason VARCHAR(500) NULL,
+        reviewed_by INT NULL,
+        reviewed_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_scout_verifications_scout (scout_id),
+        KEY idx_scout_verifications_status (status),
+        CONSTRAINT fk_scout_verifications_scout FOREIGN KEY (scout_id) REFERENCES users(id) ON DELETE CASCADE,
+        CONSTRAINT fk_scout_verifications_reviewer FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    await addColumn(
+      db,
+      'scout_profiles',
+      'verification_status',
+      "ENUM('unverified', 'pending_verification', 'verified', 'rejected') NOT NULL DEFAULT 'unverified'"
+    );
+  },
+
+  down: async (db) => {
+    await dropColumn(db, 'scout_profiles', 'verification_status');
+    await db.query('DROP TABLE IF EXISTS scout_verifications');
+  }
+};
@@ -0,0 +1,15 @@
+const { addColumn, dropColumn } = require('../helpers');
+
+// Failed-login counter and lock expiry used for progressive account lockout
+
+module.exports = {
+  up: async (db) => {
+    await addColumn(db, 'users', 'failed_login_attempts', 'INT NOT NULL DEFAULT 0');
+    await addColumn(db, 'users', 'locked_until', 'DATETIME NULL');
+  },
+
+  down: async (db) => {
+    await dropColumn(db, 'users', 'locked_until');
+    await dropColumn(db, 'users', 'failed_login_attempts');
+  }
+};
@@ -0,0 +1,29 @@
+const { addColumn, dropColumn } = require('../helpers');
+
+// TOTP two-factor authentication: per-user encrypted secret and enabled flag on
+// users, plus hashed single-use recovery codes
+
+module.exports = {
+  up: async (db) => {
+    await addColumn(db, 'users', 'two_factor_enabled', 'TINYINT(1) NOT NULL DEFAULT 0');
+    await addColumn(db, 'users', 'two_factor_secret', 'VARCHAR(255) NULL');
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_two_factor_recovery_codes_user (user_id),
+        CONSTRAINT fk_two_factor_recovery_codes_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS two_factor_recovery_codes');
+    await dropColumn(db, 'users', 'two_factor_secret');
+    await dropColumn(db, 'users', 'two_factor_enabled');
+  }
+};
@@ -0,0 +1,34 @@
+// One row per signed-in device. The session ID is the refresh-token family ID,
+// and access tokens carry it as `sid` so a revoked session is rejected at once.
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id CHAR(36) PRIMARY KEY,
+        user_id INT NOT NULL,
+        device_name VARCHAR(255) NULL,
+        user_agent VARCHAR(512) NULL,
+        ip_address VARCHAR(45) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at DATETIME NULL,
+        revoked_at DATETIME NULL,
+        KEY idx_sessions_user (user_id),
+        CONSTRAINT fk_sessions_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Devices that signed in before sessions existed keep working after their next refresh
+    await db.query(`
+      INSERT IGNORE INTO sessions (id, user_id, device_name, user_agent, ip_address, created_at, last_seen_at)
+      SELECT family_id, user_id, MAX(device_name), MAX(user_agent), MAX(ip_address), MIN(created_at), MAX(created_at)
+      FROM refresh_tokens
+      WHERE revoked_at IS NULL AND expires_at > NOW()
+      GROUP BY family_id, user_id
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS sessions');
+  }
+};
@@ -0,0 +1,26 @@
+// Personal data export requests. The archive is generated in the background and
+// kept on disk until expires_at, after which the file is removed.
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS data_exports (
+        id CHAR(36) PRIMARY KEY,
+        user_id INT NOT NULL,
+        status ENUM('pending', 'processing', 'ready', 'failed', 'expired') NOT NULL DEFAULT 'pending',
+        file_path VARCHAR(512) NULL,
+        file_size INT NULL,
+        error VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME NULL,
+        expires_at DATETIME NULL,
+        KEY idx_data_exports_user (user_id, created_at),
+        CONSTRAINT fk_data_exports_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS data_exports');
+  }
+};
@@ -0,0 +1,36 @@
+// Resumable video uploads. A session tracks how many bytes have reached storage so
+// the client can continue after a dropped connection; `storage_state` is the storage
+// driver's own bookkeeping (JSON). The videos row is only created on completion.
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS upload_sessions (
+        id CHAR(36) PRIMARY KEY,
+        player_id INT NOT NULL,
+        filename VARCHAR(255) NOT NULL,
+        mimetype VARCHAR(100) NOT NULL,
+        description TEXT NULL,
+        total_size BIGINT NOT NULL,
+        chunk_size INT NOT NULL,
+        received_size BIGINT NOT NULL DEFAULT 0,
+        status ENUM('uploading', 'uploaded', 'completed', 'aborted', 'expired') NOT NULL DEFAULT 'uploading',
+        storage_state TEXT NOT NULL,
+        storage_key VARCHAR(255) NULL,
+        url VARCHAR(1024) NULL,
+        video_id INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        KEY idx_upload_sessions_player (player_id, status),
+        KEY idx_upload_sessions_expiry (status, expires_at),
+        CONSTRAINT fk_upload_sessions_player FOREIGN KEY (player_id) REFERENCES users(id) ON DELETE CASCADE,
+        CONSTRAINT fk_upload_sessions_video FOREIGN KEY (video_id) REFERENCES videos(id) ON DELETE SET NULL
+      )
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS upload_sessions');
+  }
+};
@@ -0,0 +1,21 @@
+const { addColumn, dropColumn } = require('../helpers');
+
+// Review details for the media moderation workflow (videos.status already exists).
+// Listings only show approved media from now on, so media uploaded before the
+// workflow was enforced, which nobody reviewed, is approved rather than hidden.
+
+module.exports = {
+  up: async (db) => {
+    await addColumn(db, 'videos', 'rejection_reason', 'TEXT NULL');
+    await addColumn(db, 'videos', 'reviewed_by', 'INT NULL');
+    await addColumn(db, 'videos', 'reviewed_at', 'DATETIME NULL');
+
+    await db.query("UPDATE videos SET status = 'approved' WHERE status = 'pending' AND reviewed_at IS NULL");
+  },
+
+  down: async (db) => {
+    await dropColumn(db, 'videos', 'reviewed_at');
+    await dropColumn(db, 'videos', 'reviewed_by');
+    await dropColumn(db, 'videos', 'rejection_reason');
+  }
+};
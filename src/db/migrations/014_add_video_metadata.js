@@ -0,0 +1,30 @@
+const { addColumn, dropColumn } = require('../helpers');
+
+// Dimensions, duration, size, format and a thumbnail for each media item, captured
+// at upload. Media uploaded earlier keeps these NULL. Resumable uploads hold them
+// in upload_sessions.metadata (JSON) until the video is created.
+
+const VIDEO_COLUMNS = [
+  ['width', 'INT NULL'],
+  ['height', 'INT NULL'],
+  ['duration', 'DECIMAL(10, 3) NULL'],
+  ['file_size', 'BIGINT NULL'],
+  ['format', 'VARCHAR(20) NULL'],
+  ['thumbnail_url', 'VARCHAR(1024) NULL']
+];
+
+module.exports = {
+  up: async (db) => {
+    for (const [column, definition] of VIDEO_COLUMNS) {
+      await addColumn(db, 'videos', column, definition);
+    }
+    await addColumn(db, 'upload_sessions', 'metadata', 'TEXT NULL');
+  },
+
+  down: async (db) => {
+    await dropColumn(db, 'upload_sessions', 'metadata');
+    for (const [column] of [...VIDEO_COLUMNS].reverse()) {
+      await dropColumn(db, 'videos', column);
+    }
+  }
+};
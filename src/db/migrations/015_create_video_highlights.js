@@ -0,0 +1,36 @@
+// Highlights on player media: timestamped markers (e.g. 01:12 "left-foot finish")
+// so a viewer can jump to the moment, and skill tags used to search for players.
+// Both go with their video when it is deleted.
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS video_markers (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        video_id INT NOT NULL,
+        time_seconds DECIMAL(10, 3) NOT NULL,
+        label VARCHAR(100) NOT NULL,
+        category VARCHAR(30) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_video_markers_video (video_id, time_seconds),
+        KEY idx_video_markers_category (category),
+        CONSTRAINT fk_video_markers_video FOREIGN KEY (video_id) REFERENCES videos(id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS video_tags (
+        video_id INT NOT NULL,
+        tag VARCHAR(30) NOT NULL,
+        PRIMARY KEY (video_id, tag),
+        KEY idx_video_tags_tag (tag),
+        CONSTRAINT fk_video_tags_video FOREIGN KEY (video_id) REFERENCES videos(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS video_tags');
+    await db.query('DROP TABLE IF EXISTS video_markers');
+  }
+};
@@ -0,0 +1,38 @@
+// Showreels: a player's titled playlists of their own videos, played in `position`
+// order. At most one reel per player is featured and shown first on their profile.
+// Deleting a video takes it out of every reel.
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS showreels (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        player_id INT NOT NULL,
+        title VARCHAR(100) NOT NULL,
+        description TEXT NULL,
+        is_featured TINYINT(1) NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        KEY idx_showreels_player (player_id, is_featured),
+        CONSTRAINT fk_showreels_player FOREIGN KEY (player_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS showreel_videos (
+        showreel_id INT NOT NULL,
+        video_id INT NOT NULL,
+        position INT NOT NULL,
+        PRIMARY KEY (showreel_id, video_id),
+        KEY idx_showreel_videos_order (showreel_id, position),
+        CONSTRAINT fk_showreel_videos_showreel FOREIGN KEY (showreel_id) REFERENCES showreels(id) ON DELETE CASCADE,
+        CONSTRAINT fk_showreel_videos_video FOREIGN KEY (video_id) REFERENCES videos(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS showreel_videos');
+    await db.query('DROP TABLE IF EXISTS showreels');
+  }
+};
@@ -0,0 +1,159 @@
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const db = require('../config/db');
+
+// Deterministic demo data for local development. Every seeded account uses an
+// @demo.pharaohs.com address; those accounts (and everything hanging off them)
+// are removed and recreated on each run, so the result is always the same.
+// Run `npm run db:migrate` first.
+
+const DEMO_DOMAIN = 'demo.pharaohs.com';
+const DEMO_PASSWORD = process.env.SEED_PASSWORD || 'Pharaohs123!';
+
+const admins = [
+  { key: 'admin', name: 'Demo Admin', email: `admin@${DEMO_DOMAIN}` }
+];
+
+const scouts = [
+  { key: 'karim', name: 'Karim Hassan', email: `karim.scout@${DEMO_DOMAIN}`, organization: 'Al Ahly SC', phone: '+20 100 000 0001' },
+  { key: 'sara', name: 'Sara Mahmoud', email: `sara.scout@${DEMO_DOMAIN}`, organization: 'Zamalek SC', phone: '+20 100 000 0002' }
+];
+
+const players = [
+  { key: 'omar', name: 'Omar Adel', position: 'Forward', club: 'Cairo Youth FC', dob: '2006-03-14', bio: 'Left-footed striker, strong in the air.', stats: [18, 14, 5, 2, 0] },
+  { key: 'youssef', name: 'Youssef Tarek', position: 'Midfielder', club: 'Alexandria Academy', dob: '2005-07-02', bio: 'Box-to-box midfielder with a good range of passing.', stats: [22, 4, 11, 4, 0] },
+  { key: 'ali', name: 'Ali Fathy', position: 'Defender', club: 'Giza Stars', dob: '2004-11-20', bio: 'Centre-back, comfortable playing out from the back.', stats: [20, 2, 1, 6, 1] },
+  { key: 'mostafa', name: 'Mostafa Nabil', position: 'Goalkeeper', club: 'Cairo Youth FC', dob: '2005-01-09', bio: 'Shot-stopper with quick distribution.', stats: [19, 0, 0, 1, 0] },
+  { key: 'hassan', name: 'Hassan Emad', position: 'Winger', club: 'Port Said Juniors', dob: '2007-05-27', bio: 'Fast winger who likes to cut inside.', stats: [15, 6, 7, 3, 0] },
+  { key: 'mahmoud', name: 'Mahmoud Samir', position: 'Midfielder', club: 'Giza Stars', dob: '2006-09-30', bio: 'Defensive midfielder, reads the game well.', stats: [0, 0, 0, 0, 0] }
+].map(p => ({ ...p, email: `${p.key}.player@${DEMO_DOMAIN}` }));
+
+// Cloudinary's public demo assets
+const videos = [
+  { player: 'omar', url: 'https://res.cloudinary.com/demo/video/upload/dog.mp4', type: 'video', description: 'Hat-trick against Giza Stars', status: 'approved' },
+  { player: 'omar', url: 'https://res.cloudinary.com/demo/image/upload/sample.jpg', type: 'image', description: 'Team photo', status: 'approved' },
+  { player: 'youssef', url: 'https://res.cloudinary.com/demo/video/upload/elephants.mp4', type: 'video', description: 'Passing drills', status: 'approved' },
+  { player: 'hassan', url: 'https://res.cloudinary.com/demo/video/upload/sea_turtle.mp4', type: 'video', description: 'Solo goal from the halfway line', status: 'pending' }
+];
+
+const tryouts = [
+  { key: 'ahly_u19', scout: 'karim', name: 'Al Ahly U19 Open Tryout', location: 'Cairo', date: '2026-12-05 10:00:00' },
+  { key: 'ahly_gk', scout: 'karim', name: 'Goalkeeper Assessment Day', location: 'Cairo', date: '2027-01-16 09:00:00' },
+  { key: 'zamalek_u21', scout: 'sara', name: 'Zamalek U21 Trials', location: 'Giza', date: '2026-12-12 15:00:00' }
+];
+
+const invitations = [
+  { tryout: 'ahly_u19', player: 'omar', status: 'accepted' },
+  { tryout: 'ahly_u19', player: 'hassan', status: 'pending' },
+  { tryout: 'ahly_gk', player: 'mostafa', status: 'pending' },
+  { tryout: 'zamalek_u21', player: 'youssef', status: 'declined' },
+  { tryout: 'zamalek_u21', player: 'ali', status: 'pending' }
+];
+
+const shortlists = [
+  { scout: 'karim', player: 'omar' },
+  { scout: 'karim', player: 'mostafa' },
+  { scout: 'sara', player: 'youssef' },
+  { scout: 'sara', player: 'ali' }
+];
+
+// Same 1-5 scale as player.controller.updatePlayerStats
+const calculateRating = ([matches, goals, assists, yellow, red]) => {
+  if (matches <= 0) return 1;
+  const raw = ((goals * 2) + assists - yellow - (red * 3)) / matches;
+  return Math.max(1, Math.min(5, (raw + 3) / 6 * 4 + 1));
+};
+
+const seed = async () => {
+  if (process.env.NODE_ENV === 'production' && !process.argv.includes('--force')) {
+    console.error('❌ Refusing to seed a production database (pass --force to override)');
+    process.exit(1);
+  }
+
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Foreign keys cascade from users, so this clears every row seeded last time
+    const [removed] = await connection.query('DELETE FROM users WHERE email LIKE ?', [`%@${DEMO_DOMAIN}`]);
+
+    const password = await bcrypt.hash(DEMO_PASSWORD, 10);
+    const ids = {};
+
+    const insertUser = async (user, role) => {
+      const [result] = await connection.query(
+        'INSERT INTO users (name, email, password, role, status, email_verified_at) VALUES (?, ?, ?, ?, ?, NOW())',
+        [user.name, user.email, password, role, 'active']
+      );
+      ids[user.key] = result.insertId;
+    };
+
+    for (const admin of admins) await insertUser(admin, 'admin');
+
+    for (const scout of scouts) {
+      await insertUser(scout, 'scout');
+      await connection.query(
+        'INSERT INTO scout_profiles (user_id, organization, phone, verification_status) VALUES (?, ?, ?, ?)',
+        [ids[scout.key], scout.organization, scout.phone, 'verified']
+      );
+    }
+
+    for (const player of players) {
+      await insertUser(player, 'player');
+      await connection.query(
+        'INSERT INTO player_profiles (user_id, position, club, bio, date_of_birth, rating) VALUES (?, ?, ?, ?, ?, ?)',
+        [ids[player.key], player.position, player.club, player.bio, player.dob, calculateRating(player.stats)]
+      );
+      await connection.query(
+        'INSERT INTO player_stats (player_id, matches_played, goals, assists, yellow_cards, red_cards) VALUES (?, ?, ?, ?, ?, ?)',
+        [ids[player.key], ...player.stats]
+      );
+    }
+
+    for (const video of videos) {
+      await connection.query(
+        'INSERT INTO videos (player_id, url, description, type, status) VALUES (?, ?, ?, ?, ?)',
+        [ids[video.player], video.url, video.description, video.type, video.status]
+      );
+    }
+
+    const tryoutIds = {};
+    for (const tryout of tryouts) {
+      const [result] = await connection.query(
+        'INSERT INTO tryouts (scout_id, name, location, date) VALUES (?, ?, ?, ?)',
+        [ids[tryout.scout], tryout.name, tryout.location, tryout.date]
+      );
+      tryoutIds[tryout.key] = result.insertId;
+    }
+
+    for (const invitation of invitations) {
+      await connection.query(
+        'INSERT INTO invitations (tryout_id, player_id, status) VALUES (?, ?, ?)',
+        [tryoutIds[invitation.tryout], ids[invitation.player], invitation.status]
+      );
+    }
+
+    for (const entry of shortlists) {
+      await connection.query(
+        'INSERT INTO shortlists (scout_id, player_id) VALUES (?, ?)',
+        [ids[entry.scout], ids[entry.player]]
+      );
+    }
+
+    await connection.commit();
+
+    console.log(`✅ Seeded ${admins.length} admin, ${scouts.length} scouts, ${players.length} players, ${videos.length} media items, ${tryouts.length} tryouts (${removed.affectedRows} previous demo users replaced)`);
+    console.log(`ℹ️ All demo accounts use the password "${DEMO_PASSWORD}", e.g. ${players[0].email}`);
+    console.log('ℹ️ The demo admin must enrol in two-factor authentication on first login');
+    process.exit(0);
+  } catch (err) {
+    await connection.rollback();
+    console.error('❌ Seeding failed:', err);
+    process.exit(1);
+  } finally {
+    connection.release();
+  }
+};
+
+seed();
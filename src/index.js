@@ -1,227 +1,78 @@
-require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
-const path = require('path');
-const swaggerUi = require('swagger-ui-express');
-const swaggerJsdoc = require('swagger-jsdoc');
-const authRoutes = require('./routes/auth.routes');
-const playerRoutes = require('./routes/player.routes');
-const scoutRoutes = require('./routes/scout.routes');
-const adminRoutes = require('./routes/admin.routes');
-const notificationRoutes = require('./routes/notification.routes');
-const { getApiUrl } = require('./utils/url.util');
-
-const app = express();
+const config = require('./config');
+const logger = require('./utils/logger');
+const db = require('./config/db');
+const healthService = require('./services/health.service');
+const app = require('./app');
+
+let server;
+
+/**
+ * Stop gracefully on SIGTERM/SIGINT
+ * Readiness fails at once, new connections are refused and in-flight requests (such
+ * as uploads) get up to SHUTDOWN_TIMEOUT_SECONDS to finish before their connections
+ * are closed. The database pool is drained last.
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+const shutdown = (signal) => {
+  if (healthService.isShuttingDown()) return;
+  healthService.startShutdown();
+  logger.info('Shutting down', { signal, timeoutSeconds: config.env.SHUTDOWN_TIMEOUT_SECONDS });
+
+  const closePool = async () => {
+    try {
+      await db.end();
+      logger.info('Database pool closed');
+    } catch (err) {
+      logger.error('Could not close database pool', { err });
+    }
+    process.exit(0);
+  };
 
-// Increase the request timeout for large file uploads (especially videos)
-// Default timeout is 2 minutes, we're increasing it to 10 minutes (600000ms)
-app.use((req, res, next) => {
-  // Set longer timeout for uploads
-  if (req.path === '/api/player/upload') {
-    console.log('[Server] Setting 10-minute timeout for upload request');
-    req.setTimeout(600000); // 10 minutes
-    res.setTimeout(600000);
-  }
-  next();
-});
+  // Signal arrived before the server started listening
+  if (!server) return closePool();
 
-// Increase body size limits for video uploads
-app.use(express.json({ limit: '100mb' }));
-app.use(express.urlencoded({ extended: true, limit: '100mb' }));
+  const deadline = setTimeout(() => {
+    logger.warn('Shutdown deadline reached, closing open connections');
+    server.closeAllConnections();
+  }, config.env.SHUTDOWN_TIMEOUT_SECONDS * 1000);
 
-// Swagger definition
-const swaggerOptions = {
-  definition: {
-    openapi: '3.0.0',
-    info: {
-      title: 'Pharaohs API',
-      version: '1.0.0',
-      description: 'API documentation for Pharaohs application',
-      contact: {
-        name: 'API Support',
-        email: 'support@pharaohs.com'
-      }
-    },
-    servers: [
-      {
-        url: getApiUrl(),
-        description: 'API Server',
-      },
-    ],
-    components: {
-      securitySchemes: {
-        bearerAuth: {
-          type: 'http',
-          scheme: 'bearer',
-          bearerFormat: 'JWT',
-          description: 'Enter JWT token in the format: Bearer <token>'
-        }
-      }
-    },
-    security: [
-      {
-        bearerAuth: []
-      }
-    ],
-    tags: [
-      {
-        name: 'Authentication',
-        description: 'API endpoints for authentication'
-      },
-      {
-        name: 'Player',
-        description: 'API endpoints for player functionality'
-      },
-      {
-        name: 'Scout',
-        description: 'API endpoints for scout functionality'
-      },
-      {
-        name: 'Admin',
-        description: 'API endpoints for admin functionality'
-      },
-      {
-        name: 'Videos',
-        description: 'API endpoints for video management'
-      },
-      {
-        name: 'Invitations',
-        description: 'API endpoints for tryout invitations'
-      },
-      {
-        name: 'Tryouts',
-        description: 'API endpoints for tryouts'
-      },
-      {
-        name: 'Stats',
-        description: 'API endpoints for player statistics'
-      },
-      {
-        name: 'Notifications',
-        description: 'API endpoints for notifications'
-      }
-    ]
-  },
-  apis: [
-    './src/routes/*.js', 
-    './src/models/*.js',
-    './src/controllers/*.js',
-    './src/middlewares/*.js',
-    './src/config/*.js',
-  ],
+  server.close(() => {
+    clearTimeout(deadline);
+    logger.info('HTTP server closed');
+    closePool();
+  });
+  server.closeIdleConnections();
 };
 
-const swaggerSpec = swaggerJsdoc(swaggerOptions);
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
-  explorer: true,
-  customCss: '.swagger-ui .topbar { display: none }',
-  customSiteTitle: 'Pharaohs API Documentation'
-}));
-
-// Configure CORS with more specific settings
-app.use(cors({
-  origin: ['https://pharaohs-front-end.vercel.app', 'http://localhost:4200'],
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-requested-with'],
-  credentials: true,
-  exposedHeaders: ['Content-Length', 'Content-Type']
-}));
-
-// Add CORS headers for media files specifically
-app.use('/uploads/images', (req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Cross-Origin-Resource-Policy', 'cross-origin');
-  next();
-});
-
-app.use('/uploads/videos', (req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Cross-Origin-Resource-Policy', 'cross-origin');
-  next();
-});
-
-// Configure middleware based on route and content-type
-// DO NOT use express.json() middleware for the upload route
-app.use((req, res, next) => {
-  // Skip JSON parsing for known upload routes to prevent multipart form data issues
-  if (req.path === '/api/player/upload') {
-    console.log('[Middleware] Skipping JSON parsing for upload route');
-    return next();
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
+
+/**
+ * Check configuration and the database, then start listening
+ * Exits with a non-zero code instead of serving requests it cannot handle
+ * @returns {Promise<void>}
+ */
+const start = async () => {
+  try {
+    config.assertValid();
+  } catch (err) {
+    logger.error('Invalid configuration, refusing to start', { errors: err.errors });
+    process.exit(1);
   }
-  
-  // For all other routes, apply JSON parsing
-  console.log(`[Middleware] Applying JSON parsing for ${req.method} ${req.path}`);
-  express.json({ limit: '50mb' })(req, res, next);
-});
-
-// Apply URL-encoded parsing for all routes
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
-
-// No need for local file serving as all files are now stored in Cloudinary
+  config.warnings.forEach(warning => logger.warn(warning));
 
-// Add fallback handlers for old image/video paths
-// This redirects any requests for local files to default Cloudinary images with proper CORS headers
-app.get('/uploads/images/:filename', (req, res) => {
-  // Set CORS headers explicitly for images
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Cross-Origin-Resource-Policy', 'cross-origin');
-  
-  // Handle local files that may exist in the uploads directory
-  const localPath = path.join(__dirname, '..', 'uploads', 'images', req.params.filename);
-  if (require('fs').existsSync(localPath)) {
-    return res.sendFile(localPath);
+  try {
+    await db.verifyConnection();
+  } catch (err) {
+    logger.error('Database connection failed, shutting down', { err });
+    process.exit(1);
   }
-  
-  // Otherwise, use Cloudinary fallbacks
-  const defaultImages = {
-    'player_profile.jpg': 'https://res.cloudinary.com/dk0szadna/image/upload/v1/pharaohs/profiles/default_profile',
-    'player_action.jpg': 'https://res.cloudinary.com/dk0szadna/image/upload/v1/pharaohs/images/default_action',
-    'team_logo.jpg': 'https://res.cloudinary.com/dk0szadna/image/upload/v1/pharaohs/images/team_logo',
-    'stadium_cairo.jpg': 'https://res.cloudinary.com/dk0szadna/image/upload/v1/pharaohs/images/stadium_cairo'
-  };
-
-  const imageUrl = defaultImages[req.params.filename] || 'https://res.cloudinary.com/dk0szadna/image/upload/v1/pharaohs/profiles/default_profile';
-  res.redirect(imageUrl);
-});
-
-app.get('/uploads/videos/:filename', (req, res) => {
-  // Set CORS headers explicitly for videos
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Cross-Origin-Resource-Policy', 'cross-origin');
-  
-  // Handle local files that may exist in the uploads directory
-  const localPath = path.join(__dirname, '..', 'uploads', 'videos', req.params.filename);
-  if (require('fs').existsSync(localPath)) {
-    return res.sendFile(localPath);
-  }
-  
-  // Redirect to a default video in Cloudinary
-  res.redirect('https://res.cloudinary.com/dk0szadna/video/upload/v1/pharaohs/videos/default_video');
-});
 
-app.use((req, res, next) => {
-  console.log(`Incoming request: ${req.method} ${req.url}`);
-  next();
-});
-
-// Root route for healthchecks
-app.get('/', (req, res) => {
-  res.status(200).json({ status: 'ok', message: 'Pharaohs API is running' });
-});
-
-app.use('/api/auth', authRoutes);
-app.use('/api/player', playerRoutes);
-app.use('/api/scout', scoutRoutes);
-app.use('/api/admin', adminRoutes);
-app.use('/api/notifications', notificationRoutes);
-
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ message: 'Something went wrong!' });
-});
+  const PORT = config.env.PORT;
+  server = app.listen(PORT, () => {
+    logger.info(`Server running on port ${PORT}`);
+    logger.info(`API Documentation available at http://localhost:${PORT}/api-docs`);
+  });
+};
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`API Documentation available at http://localhost:${PORT}/api-docs`);
-});
\ No newline at end of file
+start();
\ No newline at end of file
@@ -0,0 +1,29 @@
+/**
+ * Scout accreditation middleware
+ * Only scouts whose accreditation has been approved by an admin may pass
+ * Must be used after auth middleware as it depends on req.user being set
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+const db = require('../config/db');
+const { ForbiddenError } = require('../utils/errors');
+
+module.exports = async (req, res, next) => {
+  const [profiles] = await db.query(
+    'SELECT verification_status FROM scout_profiles WHERE user_id = ?',
+    [req.user.id]
+  );
+  const status = profiles.length ? profiles[0].verification_status : 'unverified';
+
+  if (status !== 'verified') {
+    return next(new ForbiddenError('Only verified scouts can do this. Submit your accreditation from your profile.', {
+      code: 'SCOUT_NOT_VERIFIED',
+      details: { verificationStatus: status }
+    }));
+  }
+
+  next();
+};
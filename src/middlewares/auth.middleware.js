@@ -13,30 +13,158 @@
  * Authentication middleware for protecting routes
  * Expects a JWT token in the Authorization header in the format: "Bearer <token>"
  * If valid, adds the decoded user information to req.user
+ * The token's session must still be live and its user active, so signing a device
+ * out or suspending a user takes effect immediately rather than at token expiry
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
- * @returns {void}
+ * @returns {Promise<void>}
  */
 const jwt = require('jsonwebtoken');
 const jwtConfig = require('../config/jwt');
+const db = require('../config/db');
+const tokenService = require('../services/token.service');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
 
-module.exports = (req, res, next) => {
+// Check that an access token's user is still active and its session still live,
+// recording the session as used; resolves to the error to reject the request with, if any
+const checkAccount = async (req) => {
+  const [rows] = await db.query(
+    `SELECT u.status, s.revoked_at AS session_revoked_at, s.id AS session_id
+     FROM users u
+     LEFT JOIN sessions s ON s.id = ? AND s.user_id = u.id
+     WHERE u.id = ?`,
+    [req.user.sid || null, req.user.id]
+  );
+  const account = rows[0];
+
+  if (!account) {
+    req.log.info('Rejected token of missing user', { userId: req.user.id });
+    return new UnauthorizedError('Invalid token', { code: 'TOKEN_INVALID' });
+  }
+
+  if (account.status !== 'active') {
+    req.log.info('Rejected token of inactive user', { userId: req.user.id, status: account.status });
+    return new ForbiddenError('Account is not active', { code: 'ACCOUNT_INACTIVE' });
+  }
+
+  if (!account.session_id || account.session_revoked_at) {
+    req.log.info('Rejected token of revoked session', { userId: req.user.id, sessionId: req.user.sid });
+    return new UnauthorizedError('Session has been revoked', { code: 'SESSION_REVOKED' });
+  }
+
+  await tokenService.touchSession(account.session_id);
+  return null;
+};
+
+module.exports = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
   if (!token) {
-    console.log('[AuthMiddleware] No token provided');
-    return res.status(401).json({ message: 'No token' });
+    req.log.debug('No token provided');
+    return next(new UnauthorizedError('No token', { code: 'TOKEN_MISSING' }));
   }
 
   try {
     const decoded = jwt.verify(token, jwtConfig.secret, jwtConfig.verifyOptions);
+
+    // Refresh, email-verification and two-factor tokens share the signing secret but
+    // carry a `type` claim; only plain access tokens are accepted here
+    if (decoded.type) {
+      req.log.info('Rejected non-access token', { type: decoded.type });
+      return next(new UnauthorizedError('Invalid token', { code: 'TOKEN_INVALID' }));
+    }
+
     req.user = decoded;
-    next();
   } catch (err) {
-    console.log('[AuthMiddleware] Token verification failed:', err.message);
-    res.status(401).json({ message: 'Invalid token' });
+    req.log.info('Token verification failed', { error: err.message });
+    return next(new UnauthorizedError('Invalid token', { code: 'TOKEN_INVALID' }));
   }
+
+  next(await checkAccount(req) || undefined);
+};
+
+/**
+ * Variant of the auth middleware for two-factor enrollment routes
+ * Accepts a regular access token, or the enrollment token handed to admins who
+ * must set up 2FA before they can finish logging in (sets req.twoFactorEnrollment).
+ * Access tokens get the same user and session checks as the main middleware.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+module.exports.allowTwoFactorEnrollment = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return next(new UnauthorizedError('No token', { code: 'TOKEN_MISSING' }));
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, jwtConfig.secret, jwtConfig.verifyOptions);
+  } catch (err) {
+    req.log.info('Token verification failed', { error: err.message });
+    return next(new UnauthorizedError('Invalid token', { code: 'TOKEN_INVALID' }));
+  }
+
+  if (decoded.type && decoded.type !== '2fa_enrollment') {
+    return next(new UnauthorizedError('Invalid token', { code: 'TOKEN_INVALID' }));
+  }
+
+  req.twoFactorEnrollment = decoded.type === '2fa_enrollment';
+  if (req.twoFactorEnrollment) {
+    req.user = { id: decoded.id, role: decoded.role };
+    return next();
+  }
+
+  req.user = decoded;
+  next(await checkAccount(req) || undefined);
+};
+
+/**
+ * Blocks users who have not enabled two-factor authentication
+ * Must be used after the auth middleware as it depends on req.user being set
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+module.exports.requireTwoFactor = async (req, res, next) => {
+  const [users] = await db.query('SELECT two_factor_enabled FROM users WHERE id = ?', [req.user.id]);
+
+  if (!users.length || !users[0].two_factor_enabled) {
+    return next(new ForbiddenError('Two-factor authentication must be enabled for this account', {
+      code: 'TWO_FACTOR_REQUIRED'
+    }));
+  }
+
+  next();
+};
+
+/**
+ * Blocks users who have not verified their email address yet
+ * Must be used after the auth middleware as it depends on req.user being set
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+module.exports.requireVerifiedEmail = async (req, res, next) => {
+  const [users] = await db.query('SELECT email_verified_at FROM users WHERE id = ?', [req.user.id]);
+
+  if (!users.length || !users[0].email_verified_at) {
+    return next(new ForbiddenError('Please verify your email address before doing this', {
+      code: 'EMAIL_NOT_VERIFIED'
+    }));
+  }
+
+  next();
 };
\ No newline at end of file
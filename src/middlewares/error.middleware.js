@@ -1,26 +1,67 @@
+const crypto = require('crypto');
+const { isProduction } = require('../config');
+const logger = require('../utils/logger');
+const { AppError, NotFoundError } = require('../utils/errors');
+
 /**
  * @swagger
  * components:
  *   schemas:
- *     ServerError:
+ *     Error:
  *       type: object
+ *       description: Envelope returned for every failed request
  *       properties:
  *         message:
  *           type: string
- *           description: Error message
- *         stack:
+ *           description: Human-readable message; may change, do not match on it
+ *         error:
  *           type: string
- *           description: Error stack trace (only in development environment)
- *         errorCode:
- *           type: string
- *           description: Unique error code for tracking (if available)
+ *           description: Stable machine-readable code, e.g. NOT_FOUND, FORBIDDEN, CONFLICT, VALIDATION_ERROR, EMAIL_NOT_VERIFIED
+ *           example: NOT_FOUND
+ *         details:
+ *           type: object
+ *           description: Extra facts about the failure for some codes, e.g. { lockedUntil } for ACCOUNT_LOCKED
+ *     ServerError:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Error'
+ *         - type: object
+ *           properties:
+ *             errorId:
+ *               type: string
+ *               description: ID of the failed request (same as the X-Request-Id header), for finding it in the server logs
+ *             stack:
+ *               type: string
+ *               description: Error stack trace (only outside production)
  */
 
+// Errors raised by body-parser and multer before a controller runs
+const translateFrameworkError = (err) => {
+  if (err.type === 'entity.parse.failed') {
+    return new AppError('Request body is not valid JSON', { status: 400, code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return new AppError('Request body is too large', { status: 413, code: 'PAYLOAD_TOO_LARGE' });
+  }
+  if (err.name === 'MulterError') {
+    return err.code === 'LIMIT_FILE_SIZE'
+      ? new AppError('File size too large', { status: 413, code: 'FILE_TOO_LARGE' })
+      : new AppError(err.message, { status: 400, code: 'UPLOAD_ERROR' });
+  }
+
+  const status = err.status || err.statusCode;
+  if (status >= 400 && status < 500) {
+    return new AppError(err.message, { status, code: 'BAD_REQUEST' });
+  }
+
+  return null;
+};
+
 /**
  * Global error handling middleware
- * This middleware catches all errors thrown in the application
- * Formats error responses and logs errors appropriately
- * 
+ * Turns AppErrors into the { message, error, details } envelope and any other
+ * error into a 500 whose cause is logged under the request ID instead of being sent
+ * to the client
+ *
  * @param {Error} err - The error object
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -28,28 +69,45 @@
  * @returns {void}
  */
 module.exports = (err, req, res, next) => {
-  // Log error details for debugging
-  console.error('[Error]', err.message);
-  console.error(err.stack);
-
-  // Generate a unique error tracking code
-  const errorCode = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
-  
-  // Default status code and message
-  const statusCode = err.statusCode || 500;
-  const message = err.message || 'Something went wrong';
-  
-  // Create response object
+  if (res.headersSent) return next(err);
+
+  const appError = err instanceof AppError ? err : translateFrameworkError(err);
+
+  if (appError && appError.status < 500) {
+    return res.status(appError.status).json({
+      message: appError.message,
+      error: appError.code,
+      // A failed validation lists its fields at the top, as it always has
+      ...(appError.errors ? { errors: appError.errors } : {}),
+      ...(appError.details ? { details: appError.details } : {})
+    });
+  }
+
+  // Unexpected failure: log the cause, give the client only a reference to it
+  const errorId = req.id || crypto.randomUUID();
+  (req.log || logger).error(`Unhandled error on ${req.method} ${req.originalUrl}`, { err });
+
   const errorResponse = {
-    message: message,
-    errorCode: errorCode
+    message: appError ? appError.message : 'Something went wrong',
+    error: appError ? appError.code : 'INTERNAL_ERROR',
+    errorId
   };
-  
-  // Only include stack trace in development
-  if (process.env.NODE_ENV !== 'production') {
+
+  if (!isProduction) {
     errorResponse.stack = err.stack;
   }
-  
-  // Send error response
-  res.status(statusCode).json(errorResponse);
+
+  res.status(appError ? appError.status : 500).json(errorResponse);
+};
+
+/**
+ * Catch-all for requests that matched no route; mount after every router
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+module.exports.notFound = (req, res, next) => {
+  next(new NotFoundError(`Cannot ${req.method} ${req.path}`, { code: 'ROUTE_NOT_FOUND' }));
 };
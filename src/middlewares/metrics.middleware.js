@@ -0,0 +1,39 @@
+const metrics = require('../utils/metrics');
+
+/**
+ * Record the count and duration of each request by route template and status
+ *
+ * The route is labelled with its template (/api/player/videos/:id), never the URL,
+ * so each endpoint is one time series. Express drops req.baseUrl again when an error
+ * leaves a router, so the full template is captured when the router assigns req.route.
+ * Requests no route matched (404s, static files, API docs) are labelled "unmatched".
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+module.exports = (req, res, next) => {
+  let route;
+  let template = 'unmatched';
+
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      if (value) template = `${req.baseUrl}${value.path}`;
+    }
+  });
+
+  const endTimer = metrics.httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = { method: req.method, route: template, status: res.statusCode };
+    endTimer(labels);
+    metrics.httpRequestsTotal.inc(labels);
+  });
+
+  next();
+};
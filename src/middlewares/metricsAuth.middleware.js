@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+const { env } = require('../config');
+const { UnauthorizedError } = require('../utils/errors');
+
+/**
+ * Require `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set
+ * Prometheus sends it with `authorization: { credentials: ... }` in the scrape config.
+ * Without METRICS_TOKEN the endpoint is open, e.g. when only reachable on a private network.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+module.exports = (req, res, next) => {
+  if (!env.METRICS_TOKEN) return next();
+
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+  // Compare digests so the check takes the same time whatever the token length
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  if (!token || !crypto.timingSafeEqual(digest(token), digest(env.METRICS_TOKEN))) {
+    return next(new UnauthorizedError('Invalid metrics token', { code: 'TOKEN_INVALID' }));
+  }
+
+  next();
+};
@@ -0,0 +1,62 @@
+/**
+ * Rate limiting middleware for authentication endpoints
+ * Each endpoint gets a per-IP limiter; login and password-reset requests are
+ * additionally limited per target account so a distributed attack on a single
+ * email address is throttled as well.
+ *
+ * Counters live in memory, so limits apply per server instance.
+ */
+const rateLimit = require('express-rate-limit');
+const { env } = require('../config');
+const { TooManyRequestsError } = require('../utils/errors');
+
+const WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+
+// Build a limiter that answers in the same shape as the rest of the API
+const createLimiter = ({ max, message, keyGenerator, windowMs = WINDOW_MS }) => rateLimit({
+  windowMs,
+  limit: max,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  ...(keyGenerator ? { keyGenerator } : {}),
+  handler: (req, res, next, options) => {
+    req.log.warn('Request throttled', { method: req.method, url: req.originalUrl, ip: req.ip });
+    next(new TooManyRequestsError(message));
+  }
+});
+
+// Key by the email in the request body; requests without one fall back to the IP
+const byAccount = (req) => {
+  const email = req.body && typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  return email ? `account:${email}` : `ip:${req.ip}`;
+};
+
+module.exports = {
+  loginByIp: createLimiter({
+    max: env.LOGIN_RATE_LIMIT_PER_IP,
+    message: 'Too many login attempts from this IP, please try again later'
+  }),
+
+  loginByAccount: createLimiter({
+    max: env.LOGIN_RATE_LIMIT_PER_ACCOUNT,
+    message: 'Too many login attempts for this account, please try again later',
+    keyGenerator: byAccount
+  }),
+
+  register: createLimiter({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: env.REGISTER_RATE_LIMIT_PER_IP,
+    message: 'Too many accounts created from this IP, please try again later'
+  }),
+
+  passwordResetByIp: createLimiter({
+    max: env.PASSWORD_RESET_RATE_LIMIT_PER_IP,
+    message: 'Too many password reset requests from this IP, please try again later'
+  }),
+
+  passwordResetByAccount: createLimiter({
+    max: env.PASSWORD_RESET_RATE_LIMIT_PER_ACCOUNT,
+    message: 'Too many password reset requests for this account, please try again later',
+    keyGenerator: byAccount
+  })
+};
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const HEADER = 'X-Request-Id';
+
+// An ID from the proxy or client is reused only if it looks like one, so it cannot inject log content
+const VALID_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Tag each request with an ID and log it once the response is sent
+ *
+ * Sets req.id (reusing a valid incoming X-Request-Id header), echoes it in the
+ * X-Request-Id response header and attaches req.log, a child logger that adds the
+ * ID to every entry. Anything logged while the request is handled, including from
+ * services, carries the same requestId.
+ * Mount before any other middleware.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+module.exports = (req, res, next) => {
+  const incoming = req.get(HEADER);
+  const requestId = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  req.log = logger.child({ requestId });
+  res.set(HEADER, requestId);
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    logger.http(req, res, { durationMs: Math.round(durationMs * 10) / 10 });
+  });
+
+  logger.runWithContext({ requestId }, next);
+};
@@ -1,14 +1,4 @@
-/**
- * @swagger
- * components:
- *   schemas:
- *     Error:
- *       type: object
- *       properties:
- *         message:
- *           type: string
- *           description: Error message
- */
+const { ForbiddenError } = require('../utils/errors');
 
 /**
  * Role-based authorization middleware
@@ -27,9 +17,7 @@ module.exports = (roles) => {
   return (req, res, next) => {
     // Check if the user's role is in the allowed roles
     if (!req.user || !roles.includes(req.user.role)) {
-      return res.status(403).json({ 
-        message: 'Access denied. Required role: ' + roles.join(' or ') 
-      });
+      return next(new ForbiddenError('Access denied. Required role: ' + roles.join(' or '), { code: 'ROLE_REQUIRED' }));
     }
     next();
   };
@@ -0,0 +1,66 @@
+const { checkSchema, validationResult } = require('express-validator');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ValidationError:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *           example: Validation failed
+ *         error:
+ *           type: string
+ *           example: VALIDATION_ERROR
+ *         errors:
+ *           type: array
+ *           description: One entry per invalid field
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: email
+ *               location:
+ *                 type: string
+ *                 enum: [body, query, params]
+ *               message:
+ *                 type: string
+ *                 example: Must be a valid email address
+ *   responses:
+ *     ValidationFailed:
+ *       description: One or more request fields are missing or invalid
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ValidationError'
+ */
+
+// Fails with a ValidationError listing the first error of each invalid field
+const handleValidationErrors = (req, res, next) => {
+  const result = validationResult(req);
+  if (result.isEmpty()) return next();
+
+  const errors = result.array({ onlyFirstError: true }).map(err => ({
+    field: err.path,
+    location: err.location,
+    message: err.msg
+  }));
+
+  next(new ValidationError(errors));
+};
+
+/**
+ * Build route middleware that validates the request against an express-validator schema
+ *
+ * Place it after anything that populates the request (e.g. multer for multipart bodies).
+ * Sanitizers apply to req.body and req.params; Express 5 rebuilds req.query on every
+ * access, so query values reach the controller unchanged and should only be validated.
+ * @param {Object} schema - checkSchema() schema keyed by field name
+ * @returns {Array<Function>} Middleware chain ending in the 422 error handler
+ */
+const validate = (schema) => [...checkSchema(schema), handleValidationErrors];
+
+module.exports = validate;
@@ -0,0 +1,78 @@
+const db = require('../config/db');
+
+/**
+ * Data access for personal data export requests
+ */
+const DataExportRepository = {
+  /**
+   * Record a new export request
+   * @param {string} id - Export ID (UUID)
+   * @param {number} userId - Requesting user's ID
+   * @returns {Promise<void>}
+   */
+  create: async (id, userId) => {
+    await db.query('INSERT INTO data_exports (id, user_id) VALUES (?, ?)', [id, userId]);
+  },
+
+  /**
+   * Find one of a user's export requests
+   * @param {string} id - Export ID
+   * @param {number} userId - Owner's user ID
+   * @returns {Promise<Object|null>} Export row or null
+   */
+  findOwned: async (id, userId) => {
+    const [exports] = await db.query('SELECT * FROM data_exports WHERE id = ? AND user_id = ?', [id, userId]);
+    return exports[0] || null;
+  },
+
+  /**
+   * Find a user's export that is still being generated
+   * @param {number} userId - User ID
+   * @param {number} maxAgeMinutes - Ignore requests older than this (their job was lost)
+   * @returns {Promise<Object|null>} Export row or null
+   */
+  findActive: async (userId, maxAgeMinutes) => {
+    const [exports] = await db.query(`
+      SELECT * FROM data_exports
+      WHERE user_id = ? AND status IN ('pending', 'processing')
+        AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [userId, maxAgeMinutes]);
+    return exports[0] || null;
+  },
+
+  /**
+   * Set an export's status
+   * @param {string} id - Export ID
+   * @param {string} status - pending, processing, ready, failed or expired
+   * @param {Object} [fields] - { filePath, fileSize, expiresAt, error } to store with the status
+   * @returns {Promise<void>}
+   */
+  updateStatus: async (id, status, { filePath = null, fileSize = null, expiresAt = null, error = null } = {}) => {
+    const completed = status === 'ready' || status === 'failed';
+    await db.query(`
+      UPDATE data_exports
+      SET status = ?,
+          file_path = COALESCE(?, file_path),
+          file_size = COALESCE(?, file_size),
+          expires_at = COALESCE(?, expires_at),
+          error = ?,
+          completed_at = IF(?, NOW(), completed_at)
+      WHERE id = ?
+    `, [status, filePath, fileSize, expiresAt, error, completed, id]);
+  },
+
+  /**
+   * Find ready exports whose download window has closed
+   * @returns {Promise<Array>} id, file_path
+   */
+  findExpired: async () => {
+    const [exports] = await db.query(
+      "SELECT id, file_path FROM data_exports WHERE status = 'ready' AND expires_at <= NOW()"
+    );
+    return exports;
+  }
+};
+
+module.exports = DataExportRepository;
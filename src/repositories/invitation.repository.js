@@ -0,0 +1,194 @@
+const db = require('../config/db');
+
+/**
+ * Data access for tryout invitations
+ */
+const InvitationRepository = {
+  /**
+   * Check whether a player is already invited to a tryout
+   * @param {number} tryoutId - Tryout ID
+   * @param {number} playerId - Player user ID
+   * @returns {Promise<boolean>} True if an invitation exists
+   */
+  exists: async (tryoutId, playerId) => {
+    const [rows] = await db.query(
+      'SELECT id FROM invitations WHERE tryout_id = ? AND player_id = ?',
+      [tryoutId, playerId]
+    );
+    return rows.length > 0;
+  },
+
+  /**
+   * Invite a player to a tryout
+   * @param {number} tryoutId - Tryout ID
+   * @param {number} playerId - Player user ID
+   * @returns {Promise<number>} New invitation ID
+   */
+  create: async (tryoutId, playerId) => {
+    const [result] = await db.query(
+      'INSERT INTO invitations (tryout_id, player_id, status) VALUES (?, ?, ?)',
+      [tryoutId, playerId, 'pending']
+    );
+    return result.insertId;
+  },
+
+  /**
+   * Player IDs invited to each of the given tryouts
+   * @param {Array<number>} tryoutIds - Tryout IDs
+   * @returns {Promise<Object>} Map of tryout ID to an array of player IDs
+   */
+  findInvitedPlayerIds: async (tryoutIds) => {
+    const invited = {};
+    tryoutIds.forEach(id => { invited[id] = []; });
+    if (!tryoutIds.length) return invited;
+
+    const [rows] = await db.query(
+      'SELECT tryout_id, player_id FROM invitations WHERE tryout_id IN (?)',
+      [tryoutIds]
+    );
+    rows.forEach(row => invited[row.tryout_id].push(row.player_id));
+    return invited;
+  },
+
+  /**
+   * List a player's invitations with tryout and scout details, latest tryout first
+   * @param {number} playerId - Player user ID
+   * @returns {Promise<Array>} Invitation rows
+   */
+  findForPlayer: async (playerId) => {
+    const [rows] = await db.query(`
+      SELECT
+        i.id AS invitation_id,
+        i.status,
+        t.id AS tryout_id,
+        t.name AS tryout_name,
+        t.location,
+        t.date,
+        u.id AS scout_id,
+        u.name AS scout_name,
+        u.email AS scout_email,
+        sp.profile_image AS scout_profile_image
+      FROM invitations i
+      JOIN tryouts t ON i.tryout_id = t.id
+      JOIN users u ON t.scout_id = u.id
+      LEFT JOIN scout_profiles sp ON u.id = sp.user_id
+      WHERE i.player_id = ?
+      ORDER BY t.date DESC
+    `, [playerId]);
+    return rows;
+  },
+
+  /**
+   * List invitations to a scout's tryouts, newest first
+   * @param {number} scoutId - Scout user ID
+   * @returns {Promise<Array>} Invitation rows with tryout and player details
+   */
+  findForScout: async (scoutId) => {
+    const [rows] = await db.query(`
+      SELECT
+        i.id AS invitation_id,
+        i.status,
+        i.created_at,
+        t.id AS tryout_id,
+        t.name AS tryout_name,
+        t.location,
+        t.date,
+        p.id AS player_id,
+        u.name AS player_name,
+        u.email AS player_email
+      FROM invitations i
+      JOIN tryouts t ON i.tryout_id = t.id
+      JOIN users u ON i.player_id = u.id
+      JOIN player_profiles p ON u.id = p.user_id
+      WHERE t.scout_id = ?
+      ORDER BY i.created_at DESC
+    `, [scoutId]);
+    return rows;
+  },
+
+  /**
+   * Find an invitation addressed to the given player
+   * @param {number} invitationId - Invitation ID
+   * @param {number} playerId - Player user ID
+   * @returns {Promise<Object|null>} id, tryout_id, player_id, tryout_name, scout_id, scout_name
+   */
+  findForPlayerById: async (invitationId, playerId) => {
+    const [rows] = await db.query(`
+      SELECT
+        i.id, i.tryout_id, i.player_id,
+        t.name AS tryout_name,
+        u.id AS scout_id, u.name AS scout_name
+      FROM invitations i
+      JOIN tryouts t ON i.tryout_id = t.id
+      JOIN users u ON t.scout_id = u.id
+      WHERE i.id = ? AND i.player_id = ?
+    `, [invitationId, playerId]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Find an invitation to one of the given scout's tryouts
+   * @param {number} invitationId - Invitation ID
+   * @param {number} scoutId - Scout user ID
+   * @returns {Promise<Object|null>} id, tryout_id, player_id, status, player_name, tryout_name
+   */
+  findForScoutById: async (invitationId, scoutId) => {
+    const [rows] = await db.query(`
+      SELECT i.id, i.tryout_id, i.player_id, i.status, u.name AS player_name, t.name AS tryout_name
+      FROM invitations i
+      JOIN tryouts t ON i.tryout_id = t.id
+      JOIN users u ON i.player_id = u.id
+      WHERE i.id = ? AND t.scout_id = ?
+    `, [invitationId, scoutId]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Set an invitation's status
+   * @param {number} invitationId - Invitation ID
+   * @param {string} status - pending, accepted or declined
+   * @returns {Promise<void>}
+   */
+  updateStatus: async (invitationId, status) => {
+    await db.query('UPDATE invitations SET status = ? WHERE id = ?', [status, invitationId]);
+  },
+
+  /**
+   * Delete an invitation
+   * @param {number} invitationId - Invitation ID
+   * @returns {Promise<void>}
+   */
+  delete: async (invitationId) => {
+    await db.query('DELETE FROM invitations WHERE id = ?', [invitationId]);
+  },
+
+  /**
+   * Count a player's invitations, optionally only those with a given status
+   * @param {number} playerId - Player user ID
+   * @param {string} [status] - Invitation status
+   * @returns {Promise<number>} Number of invitations
+   */
+  countForPlayer: async (playerId, status) => {
+    const [rows] = status
+      ? await db.query('SELECT COUNT(*) AS count FROM invitations WHERE player_id = ? AND status = ?', [playerId, status])
+      : await db.query('SELECT COUNT(*) AS count FROM invitations WHERE player_id = ?', [playerId]);
+    return rows[0].count;
+  },
+
+  /**
+   * Count invitations sent to a scout's tryouts
+   * @param {number} scoutId - Scout user ID
+   * @returns {Promise<number>} Number of invitations
+   */
+  countForScout: async (scoutId) => {
+    const [rows] = await db.query(`
+      SELECT COUNT(*) AS count
+      FROM invitations i
+      JOIN tryouts t ON i.tryout_id = t.id
+      WHERE t.scout_id = ?
+    `, [scoutId]);
+    return rows[0].count;
+  }
+};
+
+module.exports = InvitationRepository;
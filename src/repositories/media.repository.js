@@ -0,0 +1,448 @@
+const db = require('../config/db');
+
+// File details captured at upload (see src/utils/media.util.js for the response shape)
+const METADATA_COLUMNS = 'width, height, duration, file_size, format, thumbnail_url';
+
+/**
+ * Data access for player media (the videos table, which also holds images)
+ * and the likes, comments, highlight markers and skill tags on it
+ */
+const MediaRepository = {
+  /**
+   * Store a newly uploaded media item; it waits for moderation before it is listed
+   * @param {Object} media - { playerId, url, description, type, publicId } and the file's
+   *   { width, height, duration, size, format, thumbnailUrl }, each optional
+   * @param {Object} [connection] - Connection of a surrounding transaction (default: the pool)
+   * @returns {Promise<number>} New media ID
+   */
+  create: async ({
+    playerId, url, description, type, publicId,
+    width = null, height = null, duration = null, size = null, format = null, thumbnailUrl = null
+  }, connection = db) => {
+    const [result] = await connection.query(`
+      INSERT INTO videos
+        (player_id, url, description, type, status, created_at, public_id,
+         width, height, duration, file_size, format, thumbnail_url)
+      VALUES (?, ?, ?, ?, 'pending', NOW(), ?, ?, ?, ?, ?, ?, ?)
+    `, [playerId, url, description, type, publicId, width, height, duration, size, format, thumbnailUrl]);
+    return result.insertId;
+  },
+
+  /**
+   * Find a media item
+   * @param {number} id - Media ID
+   * @returns {Promise<Object|null>} Media row or null
+   */
+  findById: async (id) => {
+    const [media] = await db.query('SELECT * FROM videos WHERE id = ?', [id]);
+    return media[0] || null;
+  },
+
+  /**
+   * Find a media item that belongs to the given player
+   * @param {number} id - Media ID
+   * @param {number} playerId - Owner's user ID
+   * @returns {Promise<Object|null>} Media row or null if missing or owned by someone else
+   */
+  findOwned: async (id, playerId) => {
+    const [media] = await db.query('SELECT * FROM videos WHERE id = ? AND player_id = ?', [id, playerId]);
+    return media[0] || null;
+  },
+
+  /**
+   * List a player's media, newest first
+   * @param {number} playerId - Player user ID
+   * @param {Object} [options] - { limit, approvedOnly } with approvedOnly for anyone but the owner
+   * @returns {Promise<Array>} id, player_id, url, description, type, status, rejection_reason, created_at,
+   *   public_id and the METADATA_COLUMNS
+   */
+  findByPlayer: async (playerId, { limit, approvedOnly = false } = {}) => {
+    let query = `
+      SELECT id, player_id, url, description, type, status, rejection_reason, created_at, public_id, ${METADATA_COLUMNS}
+      FROM videos
+      WHERE player_id = ? ${approvedOnly ? "AND status = 'approved'" : ''}
+      ORDER BY created_at DESC
+    `;
+    const params = [playerId];
+
+    if (limit) {
+      query += ' LIMIT ?';
+      params.push(limit);
+    }
+
+    const [media] = await db.query(query, params);
+    return media;
+  },
+
+  /**
+   * List the approved media of several players (player listings)
+   * @param {Array<number>} playerIds - Player user IDs
+   * @returns {Promise<Array>} id, player_id, url, description, type, created_at and the METADATA_COLUMNS
+   */
+  findByPlayers: async (playerIds) => {
+    if (!playerIds.length) return [];
+    const [media] = await db.query(`
+      SELECT id, player_id, url, description, type, created_at, ${METADATA_COLUMNS}
+      FROM videos
+      WHERE player_id IN (?) AND status = 'approved'
+    `, [playerIds]);
+    return media;
+  },
+
+  /**
+   * Which of the given media items are a player's own approved media
+   * @param {number} playerId - Owner's user ID
+   * @param {Array<number>} ids - Media IDs to check
+   * @returns {Promise<Array<number>>} The IDs that qualify
+   */
+  findApprovedIds: async (playerId, ids) => {
+    if (!ids.length) return [];
+    const [media] = await db.query(
+      "SELECT id FROM videos WHERE id IN (?) AND player_id = ? AND status = 'approved'",
+      [ids, playerId]
+    );
+    return media.map(m => m.id);
+  },
+
+  /**
+   * List media with a moderation status, oldest first so the queue is worked in order
+   * @param {string} status - pending, approved or rejected
+   * @param {Object} page - { limit, offset }
+   * @returns {Promise<Array>} Media with the uploader's name and the review details
+   */
+  findByStatus: async (status, { limit, offset }) => {
+    const [media] = await db.query(`
+      SELECT v.id, v.player_id AS playerId, u.name AS player_name, v.url, v.description, v.type,
+             v.status, v.rejection_reason, v.reviewed_by, v.reviewed_at, v.created_at,
+             v.thumbnail_url, v.duration
+      FROM videos v
+      JOIN users u ON v.player_id = u.id
+      WHERE v.status = ?
+      ORDER BY v.created_at ASC, v.id ASC
+      LIMIT ? OFFSET ?
+    `, [status, limit, offset]);
+    return media;
+  },
+
+  /**
+   * Count media with a moderation status
+   * @param {string} status - pending, approved or rejected
+   * @returns {Promise<number>} Number of media items
+   */
+  countByStatus: async (status) => {
+    const [rows] = await db.query('SELECT COUNT(*) AS count FROM videos WHERE status = ?', [status]);
+    return rows[0].count;
+  },
+
+  /**
+   * Record a moderation decision
+   * @param {number} id - Media ID
+   * @param {Object} review - { status, reason, reviewerId }; reason is kept for rejections only
+   * @returns {Promise<void>}
+   */
+  setStatus: async (id, { status, reason = null, reviewerId }) => {
+    await db.query(
+      'UPDATE videos SET status = ?, rejection_reason = ?, reviewed_by = ?, reviewed_at = NOW() WHERE id = ?',
+      [status, status === 'rejected' ? reason : null, reviewerId, id]
+    );
+  },
+
+  /**
+   * List the IDs of the media items a user can see: approved media and their own
+   * @param {number} userId - Viewing user ID
+   * @returns {Promise<Array<number>>} Media IDs
+   */
+  findVisibleIds: async (userId) => {
+    const [media] = await db.query("SELECT id FROM videos WHERE status = 'approved' OR player_id = ?", [userId]);
+    return media.map(m => m.id);
+  },
+
+  /**
+   * Count media items, optionally for one player
+   * @param {number} [playerId] - Player user ID
+   * @returns {Promise<number>} Number of media items
+   */
+  count: async (playerId) => {
+    const [rows] = playerId
+      ? await db.query('SELECT COUNT(*) AS count FROM videos WHERE player_id = ?', [playerId])
+      : await db.query('SELECT COUNT(*) AS count FROM videos');
+    return rows[0].count;
+  },
+
+  /**
+   * Change a media item's description
+   * @param {number} id - Media ID
+   * @param {string} description - New description
+   * @returns {Promise<void>}
+   */
+  updateDescription: async (id, description) => {
+    await db.query('UPDATE videos SET description = ? WHERE id = ?', [description, id]);
+  },
+
+  /**
+   * Delete a media item
+   * @param {number} id - Media ID
+   * @returns {Promise<void>}
+   */
+  delete: async (id) => {
+    await db.query('DELETE FROM videos WHERE id = ?', [id]);
+  },
+
+  /**
+   * Check whether a user has liked a media item
+   * @param {number} userId - User ID
+   * @param {number} videoId - Media ID
+   * @returns {Promise<boolean>} True if liked
+   */
+  hasLiked: async (userId, videoId) => {
+    const [likes] = await db.query(
+      'SELECT id FROM likes WHERE user_id = ? AND video_id = ?',
+      [userId, videoId]
+    );
+    return likes.length > 0;
+  },
+
+  /**
+   * Record a like
+   * @param {number} userId - User ID
+   * @param {number} videoId - Media ID
+   * @returns {Promise<void>}
+   */
+  addLike: async (userId, videoId) => {
+    await db.query('INSERT INTO likes (user_id, video_id) VALUES (?, ?)', [userId, videoId]);
+  },
+
+  /**
+   * Remove a like
+   * @param {number} userId - User ID
+   * @param {number} videoId - Media ID
+   * @returns {Promise<void>}
+   */
+  removeLike: async (userId, videoId) => {
+    await db.query('DELETE FROM likes WHERE user_id = ? AND video_id = ?', [userId, videoId]);
+  },
+
+  /**
+   * Count the likes on a media item
+   * @param {number} videoId - Media ID
+   * @returns {Promise<number>} Number of likes
+   */
+  countLikes: async (videoId) => {
+    const [rows] = await db.query('SELECT COUNT(*) AS count FROM likes WHERE video_id = ?', [videoId]);
+    return rows[0].count;
+  },
+
+  /**
+   * Like counts for every media item that has at least one like
+   * @returns {Promise<Object>} Map of video_id to like count
+   */
+  getLikeCounts: async () => {
+    const [rows] = await db.query(`
+      SELECT
+        video_id,
+        COUNT(*) AS likeCount
+      FROM likes
+      GROUP BY video_id
+    `);
+
+    const likeCounts = {};
+    rows.forEach(row => {
+      likeCounts[row.video_id] = row.likeCount;
+    });
+    return likeCounts;
+  },
+
+  /**
+   * IDs of the media items a user has liked
+   * @param {number} userId - User ID
+   * @returns {Promise<Set<number>>} Liked media IDs
+   */
+  findLikedIds: async (userId) => {
+    const [rows] = await db.query('SELECT video_id FROM likes WHERE user_id = ?', [userId]);
+    return new Set(rows.map(row => row.video_id));
+  },
+
+  /**
+   * List the media a user has liked, newest like first
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} video_id, description, liked_at
+   */
+  findLikesByUser: async (userId) => {
+    const [likes] = await db.query(`
+      SELECT l.video_id, v.description, l.created_at AS liked_at
+      FROM likes l
+      JOIN videos v ON l.video_id = v.id
+      WHERE l.user_id = ?
+      ORDER BY l.created_at DESC
+    `, [userId]);
+    return likes;
+  },
+
+  /**
+   * Add a comment to a media item
+   * @param {number} userId - Author's user ID
+   * @param {number} videoId - Media ID
+   * @param {string} comment - Comment text
+   * @returns {Promise<void>}
+   */
+  addComment: async (userId, videoId, comment) => {
+    await db.query(
+      'INSERT INTO comments (user_id, video_id, comment) VALUES (?, ?, ?)',
+      [userId, videoId, comment]
+    );
+  },
+
+  /**
+   * List the comments on a media item, oldest first
+   * @param {number} videoId - Media ID
+   * @returns {Promise<Array>} id, content, created_at, user_id, user_name
+   */
+  findComments: async (videoId) => {
+    const [comments] = await db.query(`
+      SELECT
+        c.id, c.comment AS content, c.created_at,
+        u.id AS user_id, u.name AS user_name
+      FROM comments c
+      JOIN users u ON c.user_id = u.id
+      WHERE c.video_id = ?
+      ORDER BY c.created_at ASC
+    `, [videoId]);
+    return comments;
+  },
+
+  /**
+   * List the comments a user has written, newest first
+   * @param {number} userId - Author's user ID
+   * @returns {Promise<Array>} id, video_id, content, created_at
+   */
+  findCommentsByUser: async (userId) => {
+    const [comments] = await db.query(`
+      SELECT id, video_id, comment AS content, created_at
+      FROM comments
+      WHERE user_id = ?
+      ORDER BY created_at DESC
+    `, [userId]);
+    return comments;
+  },
+
+  /**
+   * Find a comment
+   * @param {number} id - Comment ID
+   * @returns {Promise<Object|null>} Comment row or null
+   */
+  findCommentById: async (id) => {
+    const [comments] = await db.query('SELECT * FROM comments WHERE id = ?', [id]);
+    return comments[0] || null;
+  },
+
+  /**
+   * Delete a comment
+   * @param {number} id - Comment ID
+   * @returns {Promise<boolean>} False if the comment no longer existed
+   */
+  deleteComment: async (id) => {
+    const [result] = await db.query('DELETE FROM comments WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  },
+
+  /**
+   * Highlight markers and skill tags of several media items, for listings
+   * @param {Array<number>} videoIds - Media IDs
+   * @returns {Promise<Map>} Map of media ID to { markers, tags }, with markers in time order;
+   *   every requested ID is present
+   */
+  findHighlights: async (videoIds) => {
+    const highlights = new Map(videoIds.map(id => [id, { markers: [], tags: [] }]));
+    if (!videoIds.length) return highlights;
+
+    const [markers] = await db.query(`
+      SELECT id, video_id, time_seconds, label, category
+      FROM video_markers
+      WHERE video_id IN (?)
+      ORDER BY time_seconds ASC, id ASC
+    `, [videoIds]);
+    const [tags] = await db.query(
+      'SELECT video_id, tag FROM video_tags WHERE video_id IN (?) ORDER BY tag',
+      [videoIds]
+    );
+
+    markers.forEach(marker => highlights.get(marker.video_id).markers.push(marker));
+    tags.forEach(row => highlights.get(row.video_id).tags.push(row.tag));
+    return highlights;
+  },
+
+  /**
+   * Find a highlight marker on a media item
+   * @param {number} id - Marker ID
+   * @param {number} videoId - Media ID
+   * @returns {Promise<Object|null>} Marker row or null if missing or on another media item
+   */
+  findMarker: async (id, videoId) => {
+    const [markers] = await db.query('SELECT * FROM video_markers WHERE id = ? AND video_id = ?', [id, videoId]);
+    return markers[0] || null;
+  },
+
+  /**
+   * Count the highlight markers on a media item
+   * @param {number} videoId - Media ID
+   * @returns {Promise<number>} Number of markers
+   */
+  countMarkers: async (videoId) => {
+    const [rows] = await db.query('SELECT COUNT(*) AS count FROM video_markers WHERE video_id = ?', [videoId]);
+    return rows[0].count;
+  },
+
+  /**
+   * Add a highlight marker
+   * @param {number} videoId - Media ID
+   * @param {Object} marker - { time, label, category } with time in seconds
+   * @returns {Promise<number>} New marker ID
+   */
+  addMarker: async (videoId, { time, label, category = null }) => {
+    const [result] = await db.query(
+      'INSERT INTO video_markers (video_id, time_seconds, label, category) VALUES (?, ?, ?, ?)',
+      [videoId, time, label, category]
+    );
+    return result.insertId;
+  },
+
+  /**
+   * Change a highlight marker
+   * @param {number} id - Marker ID
+   * @param {Object} marker - { time, label, category } with time in seconds
+   * @returns {Promise<void>}
+   */
+  updateMarker: async (id, { time, label, category = null }) => {
+    await db.query(
+      'UPDATE video_markers SET time_seconds = ?, label = ?, category = ? WHERE id = ?',
+      [time, label, category, id]
+    );
+  },
+
+  /**
+   * Delete a highlight marker
+   * @param {number} id - Marker ID
+   * @returns {Promise<boolean>} False if the marker no longer existed
+   */
+  deleteMarker: async (id) => {
+    const [result] = await db.query('DELETE FROM video_markers WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  },
+
+  /**
+   * Replace a media item's skill tags
+   * @param {number} videoId - Media ID
+   * @param {Array<string>} tags - The complete new set (may be empty)
+   * @returns {Promise<void>}
+   */
+  setTags: async (videoId, tags) => {
+    if (!tags.length) {
+      await db.query('DELETE FROM video_tags WHERE video_id = ?', [videoId]);
+      return;
+    }
+    await db.query('DELETE FROM video_tags WHERE video_id = ? AND tag NOT IN (?)', [videoId, tags]);
+    await db.query('INSERT IGNORE INTO video_tags (video_id, tag) VALUES ?', [tags.map(tag => [videoId, tag])]);
+  }
+};
+
+module.exports = MediaRepository;
@@ -0,0 +1,21 @@
+const db = require('../config/db');
+
+/**
+ * Data access for in-app notifications
+ */
+const NotificationRepository = {
+  /**
+   * List all of a user's notifications, newest first
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} id, message, is_read, created_at
+   */
+  findByUser: async (userId) => {
+    const [notifications] = await db.query(
+      'SELECT id, message, is_read, created_at FROM notifications WHERE user_id = ? ORDER BY created_at DESC',
+      [userId]
+    );
+    return notifications;
+  }
+};
+
+module.exports = NotificationRepository;
@@ -0,0 +1,348 @@
+const db = require('../config/db');
+
+// Columns exposed when listing players; age is derived from date_of_birth
+const PLAYER_COLUMNS = `
+  u.id, u.name, u.email, u.role,
+  p.position, p.club, p.bio, p.profile_image, p.rating,
+  TIMESTAMPDIFF(YEAR, p.date_of_birth, CURDATE()) AS age
+`;
+
+const SORT_COLUMNS = {
+  name: 'u.name',
+  age: 'age',
+  rating: 'p.rating',
+  club: 'p.club',
+  position: 'p.position'
+};
+
+const DEFAULT_AGE_RANGE = { minAge: 15, maxAge: 40 };
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Build the shared FROM/WHERE clause for player listings
+ * @param {Object} filters - { search, name, position, club, minAge, maxAge, hasVideos, minRating, tag }
+ * @returns {{clause: string, params: Array}} SQL fragment and its parameters
+ */
+const buildPlayerFilters = (filters = {}) => {
+  let clause = "FROM users u LEFT JOIN player_profiles p ON u.id = p.user_id WHERE u.role = 'player'";
+  const params = [];
+
+  // Free-text search across name, position and club
+  if (isSet(filters.search)) {
+    const searchPattern = `%${filters.search}%`;
+    clause += ' AND (u.name LIKE ? OR p.position LIKE ? OR p.club LIKE ?)';
+    params.push(searchPattern, searchPattern, searchPattern);
+  }
+
+  if (isSet(filters.name)) {
+    clause += ' AND LOWER(u.name) LIKE ?';
+    params.push(`%${String(filters.name).toLowerCase()}%`);
+  }
+
+  if (isSet(filters.position)) {
+    clause += ' AND p.position = ?';
+    params.push(filters.position);
+  }
+
+  if (isSet(filters.club)) {
+    clause += ' AND p.club = ?';
+    params.push(filters.club);
+  }
+
+  if (isSet(filters.minAge)) {
+    clause += ' AND TIMESTAMPDIFF(YEAR, p.date_of_birth, CURDATE()) >= ?';
+    params.push(parseInt(filters.minAge));
+  }
+
+  if (isSet(filters.maxAge)) {
+    clause += ' AND TIMESTAMPDIFF(YEAR, p.date_of_birth, CURDATE()) <= ?';
+    params.push(parseInt(filters.maxAge));
+  }
+
+  if (filters.hasVideos === 'true' || filters.hasVideos === true) {
+    clause += " AND EXISTS (SELECT 1 FROM videos v WHERE v.player_id = u.id AND v.status = 'approved')";
+  }
+
+  // Players with an approved video tagged with the skill, or with a highlight of it
+  if (isSet(filters.tag)) {
+    clause += ` AND EXISTS (
+      SELECT 1 FROM videos v
+      WHERE v.player_id = u.id AND v.status = 'approved' AND (
+        EXISTS (SELECT 1 FROM video_tags t WHERE t.video_id = v.id AND t.tag = ?)
+        OR EXISTS (SELECT 1 FROM video_markers m WHERE m.video_id = v.id AND m.category = ?)
+      )
+    )`;
+    params.push(filters.tag, filters.tag);
+  }
+
+  if (isSet(filters.minRating)) {
+    clause += ' AND p.rating IS NOT NULL AND p.rating >= ?';
+    params.push(parseFloat(filters.minRating));
+  }
+
+  return { clause, params };
+};
+
+/**
+ * Data access for player profiles, performance stats and player listings
+ */
+const PlayerRepository = {
+  /**
+   * Find a player's profile row
+   * @param {number} userId - Player user ID
+   * @returns {Promise<Object|null>} position, club, bio, profile_image, date_of_birth, rating, public_id
+   */
+  findProfile: async (userId) => {
+    const [profiles] = await db.query(
+      'SELECT position, club, bio, profile_image, date_of_birth, rating, public_id FROM player_profiles WHERE user_id = ?',
+      [userId]
+    );
+    return profiles[0] || null;
+  },
+
+  /**
+   * Find a player with profile fields for public display
+   * @param {number} playerId - Player user ID
+   * @returns {Promise<Object|null>} Player row or null if not a player
+   */
+  findPublicProfile: async (playerId) => {
+    const [profiles] = await db.query(`
+      SELECT ${PLAYER_COLUMNS}
+      FROM users u
+      LEFT JOIN player_profiles p ON u.id = p.user_id
+      WHERE u.id = ? AND u.role = 'player'
+    `, [playerId]);
+    return profiles[0] || null;
+  },
+
+  /**
+   * Insert or update a player's profile details. Null image/date values keep the stored ones.
+   * @param {number} userId - Player user ID
+   * @param {Object} profile - { position, club, bio, profileImage, dateOfBirth, publicId }
+   * @returns {Promise<void>}
+   */
+  saveProfile: async (userId, { position, club, bio, profileImage, dateOfBirth, publicId }) => {
+    await db.query(`
+      INSERT INTO player_profiles (user_id, position, club, bio, profile_image, date_of_birth, public_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        position = ?,
+        club = ?,
+        bio = ?,
+        profile_image = COALESCE(?, profile_image),
+        date_of_birth = COALESCE(?, date_of_birth),
+        public_id = COALESCE(?, public_id)
+    `, [
+      userId, position, club, bio, profileImage, dateOfBirth, publicId,
+      position, club, bio, profileImage, dateOfBirth, publicId
+    ]);
+  },
+
+  /**
+   * Set a player's profile image, creating the profile row if needed
+   * @param {number} userId - Player user ID
+   * @param {string} url - Image URL
+   * @param {string} publicId - Storage public ID
+   * @returns {Promise<void>}
+   */
+  setProfileImage: async (userId, url, publicId) => {
+    await db.query(`
+      INSERT INTO player_profiles (user_id, profile_image, public_id)
+      VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE profile_image = ?, public_id = ?
+    `, [userId, url, publicId, url, publicId]);
+  },
+
+  /**
+   * Remove a player's profile image reference
+   * @param {number} userId - Player user ID
+   * @returns {Promise<void>}
+   */
+  clearProfileImage: async (userId) => {
+    await db.query(
+      'UPDATE player_profiles SET profile_image = NULL, public_id = NULL WHERE user_id = ?',
+      [userId]
+    );
+  },
+
+  /**
+   * Store a player's computed rating
+   * @param {number} userId - Player user ID
+   * @param {number} rating - Rating on the 1-5 scale
+   * @returns {Promise<void>}
+   */
+  updateRating: async (userId, rating) => {
+    await db.query('UPDATE player_profiles SET rating = ? WHERE user_id = ?', [rating, userId]);
+  },
+
+  /**
+   * Find a player's performance stats
+   * @param {number} playerId - Player user ID
+   * @returns {Promise<Object|null>} matches_played, goals, assists, yellow_cards, red_cards
+   */
+  findStats: async (playerId) => {
+    const [stats] = await db.query(
+      'SELECT matches_played, goals, assists, yellow_cards, red_cards FROM player_stats WHERE player_id = ?',
+      [playerId]
+    );
+    return stats[0] || null;
+  },
+
+  /**
+   * Find performance stats for several players
+   * @param {Array<number>} playerIds - Player user IDs
+   * @returns {Promise<Array>} Stats rows including player_id
+   */
+  findStatsForPlayers: async (playerIds) => {
+    if (!playerIds.length) return [];
+    const [stats] = await db.query(`
+      SELECT player_id, matches_played, goals, assists, yellow_cards, red_cards
+      FROM player_stats
+      WHERE player_id IN (?)
+    `, [playerIds]);
+    return stats;
+  },
+
+  /**
+   * Insert or replace a player's performance stats
+   * @param {number} playerId - Player user ID
+   * @param {Object} stats - { matches_played, goals, assists, yellow_cards, red_cards }
+   * @returns {Promise<void>}
+   */
+  saveStats: async (playerId, { matches_played, goals, assists, yellow_cards, red_cards }) => {
+    const [existing] = await db.query('SELECT id FROM player_stats WHERE player_id = ?', [playerId]);
+
+    if (existing.length > 0) {
+      await db.query(`
+        UPDATE player_stats
+        SET matches_played = ?, goals = ?, assists = ?, yellow_cards = ?, red_cards = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE player_id = ?
+      `, [matches_played, goals, assists, yellow_cards, red_cards, playerId]);
+    } else {
+      await db.query(`
+        INSERT INTO player_stats (player_id, matches_played, goals, assists, yellow_cards, red_cards)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [playerId, matches_played, goals, assists, yellow_cards, red_cards]);
+    }
+  },
+
+  /**
+   * Count players matching the given filters
+   * @param {Object} filters - See buildPlayerFilters
+   * @returns {Promise<number>} Number of players
+   */
+  count: async (filters) => {
+    const { clause, params } = buildPlayerFilters(filters);
+    const [rows] = await db.query(`SELECT COUNT(*) AS total ${clause}`, params);
+    return rows[0].total;
+  },
+
+  /**
+   * List a page of players matching the given filters
+   * @param {Object} filters - See buildPlayerFilters
+   * @param {Object} page - { limit, offset }
+   * @returns {Promise<Array>} Player rows
+   */
+  findPage: async (filters, { limit, offset }) => {
+    const { clause, params } = buildPlayerFilters(filters);
+    const [players] = await db.query(`
+      SELECT ${PLAYER_COLUMNS}
+      ${clause}
+      LIMIT ? OFFSET ?
+    `, [...params, limit, offset]);
+    return players;
+  },
+
+  /**
+   * Search players for a scout, with media/stats counts and shortlist state
+   * @param {Object} filters - See buildPlayerFilters
+   * @param {Object} options - { scoutId, sortBy, sortOrder, limit, offset }
+   * @returns {Promise<Array>} Player rows including videoCount, isShortlisted and hasStats
+   */
+  search: async (filters, { scoutId, sortBy, sortOrder, limit, offset }) => {
+    const { clause, params } = buildPlayerFilters(filters);
+
+    let orderBy = `ORDER BY ${SORT_COLUMNS[sortBy] || 'u.name'}`;
+    if (sortBy) {
+      orderBy += sortOrder && sortOrder.toLowerCase() === 'desc' ? ' DESC' : ' ASC';
+    }
+
+    const [players] = await db.query(`
+      SELECT
+        u.id, u.name, u.email, u.created_at AS createdAt,
+        p.position, p.club, p.bio, p.profile_image, p.rating,
+        TIMESTAMPDIFF(YEAR, p.date_of_birth, CURDATE()) AS age,
+        (SELECT COUNT(*) FROM videos v WHERE v.player_id = u.id AND v.status = 'approved') AS videoCount,
+        (SELECT COUNT(*) FROM shortlists s WHERE s.player_id = u.id AND s.scout_id = ?) AS isShortlisted,
+        (SELECT COUNT(*) FROM player_stats ps WHERE ps.player_id = u.id) AS hasStats
+      ${clause}
+      ${orderBy}
+      LIMIT ? OFFSET ?
+    `, [scoutId, ...params, limit, offset]);
+    return players;
+  },
+
+  /**
+   * Distinct positions and clubs, and the age range, across all player profiles
+   * @returns {Promise<Object>} { positions, clubs, ageRange: { minAge, maxAge } }
+   */
+  getFilterOptions: async () => {
+    const [positions] = await db.query(`
+      SELECT DISTINCT position
+      FROM player_profiles
+      WHERE position IS NOT NULL AND position != ''
+      ORDER BY position
+    `);
+
+    const [clubs] = await db.query(`
+      SELECT DISTINCT club
+      FROM player_profiles
+      WHERE club IS NOT NULL AND club != ''
+      ORDER BY club
+    `);
+
+    const [ageRange] = await db.query(`
+      SELECT
+        MIN(TIMESTAMPDIFF(YEAR, date_of_birth, CURDATE())) AS minAge,
+        MAX(TIMESTAMPDIFF(YEAR, date_of_birth, CURDATE())) AS maxAge
+      FROM player_profiles
+      WHERE date_of_birth IS NOT NULL
+    `);
+
+    return {
+      positions: positions.map(p => p.position),
+      clubs: clubs.map(c => c.club),
+      // Fall back to a default range until some player has a date of birth
+      ageRange: ageRange[0] && ageRange[0].minAge !== null ? ageRange[0] : DEFAULT_AGE_RANGE
+    };
+  },
+
+  /**
+   * Name and headline counts for a player's dashboard
+   * @param {number} playerId - Player user ID
+   * @returns {Promise<Object|undefined>} { name, mediaCount, pendingInvitations }
+   */
+  getDashboardSummary: async (playerId) => {
+    const [rows] = await db.query(`
+      SELECT
+        u.name,
+        (SELECT COUNT(*) FROM videos v WHERE v.player_id = u.id) AS mediaCount,
+        (SELECT COUNT(*) FROM invitations i WHERE i.player_id = u.id AND i.status = 'pending') AS pendingInvitations
+      FROM users u
+      WHERE u.id = ? AND u.role = 'player'
+    `, [playerId]);
+    return rows[0];
+  },
+
+  /**
+   * Count player_profiles rows
+   * @returns {Promise<number>} Number of profiles
+   */
+  countProfiles: async () => {
+    const [rows] = await db.query('SELECT COUNT(*) AS total FROM player_profiles');
+    return rows[0].total;
+  }
+};
+
+module.exports = PlayerRepository;
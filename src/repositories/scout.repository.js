@@ -0,0 +1,202 @@
+const db = require('../config/db');
+
+/**
+ * Data access for scout profiles and scout accreditation submissions
+ */
+const ScoutRepository = {
+  /**
+   * Find a scout's account and profile
+   * @param {number} scoutId - Scout user ID
+   * @returns {Promise<Object|null>} id, name, email, role, organization, phone, profile_image,
+   *   public_id, verificationStatus, createdAt
+   */
+  findWithProfile: async (scoutId) => {
+    const [scouts] = await db.query(`
+      SELECT u.id, u.name, u.email, u.role, s.organization, s.phone, s.profile_image, s.public_id,
+             COALESCE(s.verification_status, 'unverified') AS verificationStatus, u.created_at AS createdAt
+      FROM users u
+      LEFT JOIN scout_profiles s ON u.id = s.user_id
+      WHERE u.id = ?
+    `, [scoutId]);
+    return scouts[0] || null;
+  },
+
+  /**
+   * Find a scout for public display
+   * @param {number} scoutId - Scout user ID
+   * @returns {Promise<Object|null>} id, name, email, role, organization, profile_image, createdAt,
+   *   or null if the user is not a scout
+   */
+  findPublicProfile: async (scoutId) => {
+    const [scouts] = await db.query(`
+      SELECT u.id, u.name, u.email, u.role, s.organization, s.profile_image, u.created_at AS createdAt
+      FROM users u
+      LEFT JOIN scout_profiles s ON u.id = s.user_id
+      WHERE u.id = ? AND u.role = 'scout'
+    `, [scoutId]);
+    return scouts[0] || null;
+  },
+
+  /**
+   * Check whether a user exists and is a scout
+   * @param {number} scoutId - User ID
+   * @returns {Promise<boolean>} True if the user is a scout
+   */
+  exists: async (scoutId) => {
+    const [scouts] = await db.query("SELECT id FROM users WHERE id = ? AND role = 'scout'", [scoutId]);
+    return scouts.length > 0;
+  },
+
+  /**
+   * Find a scout's profile row
+   * @param {number} userId - Scout user ID
+   * @returns {Promise<Object|null>} organization, phone, profile_image, public_id, verification_status
+   */
+  findProfile: async (userId) => {
+    const [profiles] = await db.query(
+      'SELECT organization, phone, profile_image, public_id, verification_status FROM scout_profiles WHERE user_id = ?',
+      [userId]
+    );
+    return profiles[0] || null;
+  },
+
+  /**
+   * Insert or update a scout's profile details. Null image values keep the stored ones.
+   * @param {number} userId - Scout user ID
+   * @param {Object} profile - { organization, phone, profileImage, publicId }
+   * @returns {Promise<void>}
+   */
+  saveProfile: async (userId, { organization, phone, profileImage, publicId }) => {
+    await db.query(`
+      INSERT INTO scout_profiles (user_id, organization, phone, profile_image, public_id)
+      VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        organization = ?,
+        phone = ?,
+        profile_image = COALESCE(?, profile_image),
+        public_id = COALESCE(?, public_id)
+    `, [
+      userId, organization, phone, profileImage, publicId,
+      organization, phone, profileImage, publicId
+    ]);
+  },
+
+  /**
+   * Set a scout's profile image, creating the profile row if needed
+   * @param {number} userId - Scout user ID
+   * @param {string} url - Image URL
+   * @param {string} publicId - Storage public ID
+   * @returns {Promise<void>}
+   */
+  setProfileImage: async (userId, url, publicId) => {
+    await db.query(`
+      INSERT INTO scout_profiles (user_id, profile_image, public_id)
+      VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE profile_image = ?, public_id = ?
+    `, [userId, url, publicId, url, publicId]);
+  },
+
+  /**
+   * Remove a scout's profile image reference
+   * @param {number} userId - Scout user ID
+   * @returns {Promise<void>}
+   */
+  clearProfileImage: async (userId) => {
+    await db.query(
+      'UPDATE scout_profiles SET profile_image = NULL, public_id = NULL WHERE user_id = ?',
+      [userId]
+    );
+  },
+
+  /**
+   * A scout's current accreditation standing
+   * @param {number} userId - Scout user ID
+   * @returns {Promise<string>} unverified, pending_verification, verified or rejected
+   */
+  getVerificationStatus: async (userId) => {
+    const [profiles] = await db.query(
+      'SELECT verification_status FROM scout_profiles WHERE user_id = ?',
+      [userId]
+    );
+    return profiles.length ? profiles[0].verification_status : 'unverified';
+  },
+
+  /**
+   * Store an accreditation submission and mark the scout as awaiting review, unless they
+   * already are or are verified. The scout is locked while checking, so concurrent
+   * submissions cannot both be stored.
+   * @param {number} scoutId - Scout user ID
+   * @param {Object} submission - { organization, jobTitle, licenseNumber, website, documentUrl, documentPublicId }
+   * @returns {Promise<number|null>} New submission ID, or null if nothing was stored
+   */
+  createVerification: async (scoutId, submission) => {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // The users row always exists, unlike the profile, so it is the one to lock
+      const [scouts] = await connection.query(`
+        SELECT sp.verification_status
+        FROM users u
+        LEFT JOIN scout_profiles sp ON sp.user_id = u.id
+        WHERE u.id = ?
+        FOR UPDATE
+      `, [scoutId]);
+      const status = scouts.length ? scouts[0].verification_status : null;
+
+      if (status === 'pending_verification' || status === 'verified') {
+        await connection.rollback();
+        return null;
+      }
+
+      const [result] = await connection.query(
+        `INSERT INTO scout_verifications
+          (scout_id, organization, job_title, license_number, website, document_url, document_public_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          scoutId,
+          submission.organization,
+          submission.jobTitle || null,
+          submission.licenseNumber || null,
+          submission.website || null,
+          submission.documentUrl,
+          submission.documentPublicId
+        ]
+      );
+
+      await connection.query(`
+        INSERT INTO scout_profiles (user_id, organization, verification_status)
+        VALUES (?, ?, 'pending_verification')
+        ON DUPLICATE KEY UPDATE organization = ?, verification_status = 'pending_verification'
+      `, [scoutId, submission.organization, submission.organization]);
+
+      await connection.commit();
+      return result.insertId;
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+  },
+
+  /**
+   * A scout's most recent accreditation submission
+   * @param {number} scoutId - Scout user ID
+   * @returns {Promise<Object|null>} Submission row or null
+   */
+  findLatestVerification: async (scoutId) => {
+    const [submissions] = await db.query(`
+      SELECT id, organization, job_title, license_number, website, status,
+             rejection_reason, reviewed_at, created_at
+      FROM scout_verifications
+      WHERE scout_id = ?
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [scoutId]);
+    return submissions[0] || null;
+  }
+};
+
+module.exports = ScoutRepository;
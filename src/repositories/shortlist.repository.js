@@ -0,0 +1,77 @@
+const db = require('../config/db');
+
+/**
+ * Data access for scouts' player shortlists
+ */
+const ShortlistRepository = {
+  /**
+   * Check whether a player is on a scout's shortlist
+   * @param {number} scoutId - Scout user ID
+   * @param {number} playerId - Player user ID
+   * @returns {Promise<boolean>} True if shortlisted
+   */
+  exists: async (scoutId, playerId) => {
+    const [rows] = await db.query(
+      'SELECT id FROM shortlists WHERE scout_id = ? AND player_id = ?',
+      [scoutId, playerId]
+    );
+    return rows.length > 0;
+  },
+
+  /**
+   * Add a player to a scout's shortlist
+   * @param {number} scoutId - Scout user ID
+   * @param {number} playerId - Player user ID
+   * @returns {Promise<void>}
+   */
+  add: async (scoutId, playerId) => {
+    await db.query('INSERT INTO shortlists (scout_id, player_id) VALUES (?, ?)', [scoutId, playerId]);
+  },
+
+  /**
+   * Remove a player from a scout's shortlist
+   * @param {number} scoutId - Scout user ID
+   * @param {number} playerId - Player user ID
+   * @returns {Promise<void>}
+   */
+  remove: async (scoutId, playerId) => {
+    await db.query('DELETE FROM shortlists WHERE scout_id = ? AND player_id = ?', [scoutId, playerId]);
+  },
+
+  /**
+   * List the players on a scout's shortlist with their profile basics
+   * @param {number} scoutId - Scout user ID
+   * @returns {Promise<Array>} id, name, email, role, createdAt, position, club, bio, rating
+   */
+  findPlayers: async (scoutId) => {
+    const [players] = await db.query(`
+      SELECT
+        u.id, u.name, u.email, u.role, u.created_at AS createdAt,
+        p.position, p.club, p.bio, p.rating
+      FROM shortlists s
+      JOIN users u ON s.player_id = u.id
+      LEFT JOIN player_profiles p ON u.id = p.user_id
+      WHERE s.scout_id = ?
+    `, [scoutId]);
+    return players;
+  },
+
+  /**
+   * List the scouts who have shortlisted a player
+   * @param {number} playerId - Player user ID
+   * @returns {Promise<Array>} scout_id, scout_name, organization, created_at
+   */
+  findScoutsForPlayer: async (playerId) => {
+    const [scouts] = await db.query(`
+      SELECT u.id AS scout_id, u.name AS scout_name, sp.organization, s.created_at
+      FROM shortlists s
+      JOIN users u ON s.scout_id = u.id
+      LEFT JOIN scout_profiles sp ON u.id = sp.user_id
+      WHERE s.player_id = ?
+      ORDER BY s.created_at DESC
+    `, [playerId]);
+    return scouts;
+  }
+};
+
+module.exports = ShortlistRepository;
@@ -0,0 +1,138 @@
+const db = require('../config/db');
+
+/**
+ * Data access for player showreels and the videos in them
+ */
+const ShowreelRepository = {
+  /**
+   * Create an empty showreel
+   * @param {number} playerId - Owner's user ID
+   * @param {Object} showreel - { title, description }
+   * @param {Object} [connection] - Connection of a surrounding transaction (default: the pool)
+   * @returns {Promise<number>} New showreel ID
+   */
+  create: async (playerId, { title, description = null }, connection = db) => {
+    const [result] = await connection.query(
+      'INSERT INTO showreels (player_id, title, description) VALUES (?, ?, ?)',
+      [playerId, title, description]
+    );
+    return result.insertId;
+  },
+
+  /**
+   * Find a showreel
+   * @param {number} id - Showreel ID
+   * @returns {Promise<Object|null>} Showreel row or null
+   */
+  findById: async (id) => {
+    const [showreels] = await db.query('SELECT * FROM showreels WHERE id = ?', [id]);
+    return showreels[0] || null;
+  },
+
+  /**
+   * Find a showreel that belongs to the given player
+   * @param {number} id - Showreel ID
+   * @param {number} playerId - Owner's user ID
+   * @returns {Promise<Object|null>} Showreel row or null if missing or owned by someone else
+   */
+  findOwned: async (id, playerId) => {
+    const [showreels] = await db.query('SELECT * FROM showreels WHERE id = ? AND player_id = ?', [id, playerId]);
+    return showreels[0] || null;
+  },
+
+  /**
+   * List a player's showreels, the featured one first, then oldest first
+   * @param {number} playerId - Owner's user ID
+   * @returns {Promise<Array>} Showreel rows
+   */
+  findByPlayer: async (playerId) => {
+    const [showreels] = await db.query(
+      'SELECT * FROM showreels WHERE player_id = ? ORDER BY is_featured DESC, created_at ASC, id ASC',
+      [playerId]
+    );
+    return showreels;
+  },
+
+  /**
+   * Count a player's showreels
+   * @param {number} playerId - Owner's user ID
+   * @returns {Promise<number>} Number of showreels
+   */
+  count: async (playerId) => {
+    const [rows] = await db.query('SELECT COUNT(*) AS count FROM showreels WHERE player_id = ?', [playerId]);
+    return rows[0].count;
+  },
+
+  /**
+   * Change a showreel's title and description
+   * @param {number} id - Showreel ID
+   * @param {Object} showreel - { title, description }
+   * @param {Object} [connection] - Connection of a surrounding transaction (default: the pool)
+   * @returns {Promise<void>}
+   */
+  update: async (id, { title, description = null }, connection = db) => {
+    await connection.query('UPDATE showreels SET title = ?, description = ? WHERE id = ?', [title, description, id]);
+  },
+
+  /**
+   * Pin one of a player's showreels as featured, unpinning the others
+   * @param {number} playerId - Owner's user ID
+   * @param {number|null} id - Showreel to feature, or null to feature none
+   * @param {Object} [connection] - Connection of a surrounding transaction (default: the pool)
+   * @returns {Promise<void>}
+   */
+  setFeatured: async (playerId, id, connection = db) => {
+    await connection.query('UPDATE showreels SET is_featured = (id <=> ?) WHERE player_id = ?', [id, playerId]);
+  },
+
+  /**
+   * Delete a showreel (its playlist goes with it; the videos stay)
+   * @param {number} id - Showreel ID
+   * @returns {Promise<void>}
+   */
+  delete: async (id) => {
+    await db.query('DELETE FROM showreels WHERE id = ?', [id]);
+  },
+
+  /**
+   * List the videos in several showreels, in playlist order
+   * @param {Array<number>} showreelIds - Showreel IDs
+   * @param {Object} [options] - { approvedOnly } for anyone but the owner
+   * @returns {Promise<Array>} showreel_id, position and the video's id, url, description, type,
+   *   status, created_at and file details
+   */
+  findVideos: async (showreelIds, { approvedOnly = false } = {}) => {
+    if (!showreelIds.length) return [];
+    const [videos] = await db.query(`
+      SELECT sv.showreel_id, sv.position,
+             v.id, v.url, v.description, v.type, v.status, v.created_at,
+             v.width, v.height, v.duration, v.file_size, v.format, v.thumbnail_url
+      FROM showreel_videos sv
+      JOIN videos v ON sv.video_id = v.id
+      WHERE sv.showreel_id IN (?) ${approvedOnly ? "AND v.status = 'approved'" : ''}
+      ORDER BY sv.showreel_id, sv.position
+    `, [showreelIds]);
+    return videos;
+  },
+
+  /**
+   * Replace a showreel's playlist; run it in a transaction so the reel is never left half-filled
+   * @param {number} id - Showreel ID
+   * @param {Array<number>} videoIds - Videos in playing order (may be empty)
+   * @param {Object} [connection] - Connection of a surrounding transaction (default: the pool)
+   * @returns {Promise<void>}
+   */
+  setVideos: async (id, videoIds, connection = db) => {
+    await connection.query('DELETE FROM showreel_videos WHERE showreel_id = ?', [id]);
+    if (videoIds.length) {
+      await connection.query(
+        'INSERT INTO showreel_videos (showreel_id, video_id, position) VALUES ?',
+        [videoIds.map((videoId, position) => [id, videoId, position])]
+      );
+    }
+    // Reordering counts as a change to the reel
+    await connection.query('UPDATE showreels SET updated_at = NOW() WHERE id = ?', [id]);
+  }
+};
+
+module.exports = ShowreelRepository;
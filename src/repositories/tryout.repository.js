@@ -0,0 +1,156 @@
+const db = require('../config/db');
+
+// Admin-managed locations are stored as placeholder tryouts with this name
+const LOCATION_TEMPLATE_NAME = 'Location Template';
+
+/**
+ * Data access for tryouts and tryout locations
+ */
+const TryoutRepository = {
+  LOCATION_TEMPLATE_NAME,
+
+  /**
+   * Create a tryout
+   * @param {number} scoutId - Organising scout's user ID
+   * @param {Object} tryout - { name, location, date }
+   * @returns {Promise<number>} New tryout ID
+   */
+  create: async (scoutId, { name, location, date }) => {
+    const [result] = await db.query(
+      'INSERT INTO tryouts (scout_id, name, location, date) VALUES (?, ?, ?, ?)',
+      [scoutId, name, location, date]
+    );
+    return result.insertId;
+  },
+
+  /**
+   * List a scout's tryouts, latest date first
+   * @param {number} scoutId - Scout user ID
+   * @param {Object} [options] - { limit }
+   * @returns {Promise<Array>} id, name, location, date
+   */
+  findByScout: async (scoutId, { limit } = {}) => {
+    let query = 'SELECT id, name, location, date FROM tryouts WHERE scout_id = ? ORDER BY date DESC';
+    const params = [scoutId];
+
+    if (limit) {
+      query += ' LIMIT ?';
+      params.push(limit);
+    }
+
+    const [tryouts] = await db.query(query, params);
+    return tryouts;
+  },
+
+  /**
+   * Find a tryout that belongs to the given scout
+   * @param {number} tryoutId - Tryout ID
+   * @param {number} scoutId - Scout user ID
+   * @returns {Promise<Object|null>} id, name, location, date or null
+   */
+  findOwned: async (tryoutId, scoutId) => {
+    const [tryouts] = await db.query(
+      'SELECT id, name, location, date FROM tryouts WHERE id = ? AND scout_id = ?',
+      [tryoutId, scoutId]
+    );
+    return tryouts[0] || null;
+  },
+
+  /**
+   * Update a tryout
+   * @param {number} tryoutId - Tryout ID
+   * @param {Object} tryout - { name, location, date }
+   * @returns {Promise<void>}
+   */
+  update: async (tryoutId, { name, location, date }) => {
+    await db.query(
+      'UPDATE tryouts SET name = ?, location = ?, date = ? WHERE id = ?',
+      [name, location, date, tryoutId]
+    );
+  },
+
+  /**
+   * Delete a tryout and its invitations
+   * @param {number} tryoutId - Tryout ID
+   * @returns {Promise<void>}
+   */
+  delete: async (tryoutId) => {
+    // Invitations first, for databases created without ON DELETE CASCADE
+    await db.query('DELETE FROM invitations WHERE tryout_id = ?', [tryoutId]);
+    await db.query('DELETE FROM tryouts WHERE id = ?', [tryoutId]);
+  },
+
+  /**
+   * Count a scout's tryouts
+   * @param {number} scoutId - Scout user ID
+   * @returns {Promise<number>} Number of tryouts
+   */
+  countByScout: async (scoutId) => {
+    const [rows] = await db.query('SELECT COUNT(*) AS count FROM tryouts WHERE scout_id = ?', [scoutId]);
+    return rows[0].count;
+  },
+
+  /**
+   * Distinct tryout locations, alphabetically
+   * @returns {Promise<Array<string>>} Location names
+   */
+  findLocations: async () => {
+    const [locations] = await db.query(`
+      SELECT DISTINCT location
+      FROM tryouts
+      WHERE location IS NOT NULL AND location != ''
+      ORDER BY location
+    `);
+    return locations.map(l => l.location);
+  },
+
+  /**
+   * Check whether any tryout uses a location
+   * @param {string} location - Location name
+   * @returns {Promise<boolean>} True if the location exists
+   */
+  locationExists: async (location) => {
+    const [rows] = await db.query('SELECT location FROM tryouts WHERE location = ? LIMIT 1', [location]);
+    return rows.length > 0;
+  },
+
+  /**
+   * Count real tryouts (not location placeholders) at a location
+   * @param {string} location - Location name
+   * @returns {Promise<number>} Number of tryouts
+   */
+  countAtLocation: async (location) => {
+    const [rows] = await db.query(
+      'SELECT COUNT(*) AS count FROM tryouts WHERE location = ? AND name != ?',
+      [location, LOCATION_TEMPLATE_NAME]
+    );
+    return rows[0].count;
+  },
+
+  /**
+   * Register a location by creating its placeholder tryout
+   * @param {number} adminId - Admin user ID recorded as the placeholder's owner
+   * @param {string} location - Location name
+   * @returns {Promise<void>}
+   */
+  addLocation: async (adminId, location) => {
+    await db.query(
+      'INSERT INTO tryouts (scout_id, name, location, date) VALUES (?, ?, ?, ?)',
+      [adminId, LOCATION_TEMPLATE_NAME, location, new Date()]
+    );
+  },
+
+  /**
+   * Remove a location's placeholder tryout
+   * @param {string} location - Location name
+   * @returns {Promise<void>}
+   */
+  removeLocation: async (location) => {
+    await db.query(
+      'DELETE FROM tryouts WHERE location = ? AND name = ?',
+      [location, LOCATION_TEMPLATE_NAME]
+    );
+  }
+};
+
+module.exports = TryoutRepository;
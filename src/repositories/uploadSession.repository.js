@@ -0,0 +1,118 @@
+const db = require('../config/db');
+
+/**
+ * Data access for resumable video uploads
+ */
+const UploadSessionRepository = {
+  /**
+   * Record a new upload session
+   * @param {Object} session - { id, playerId, filename, mimetype, description, totalSize, chunkSize, storageState, expiresAt }
+   * @returns {Promise<void>}
+   */
+  create: async ({ id, playerId, filename, mimetype, description, totalSize, chunkSize, storageState, expiresAt }) => {
+    await db.query(`
+      INSERT INTO upload_sessions
+        (id, player_id, filename, mimetype, description, total_size, chunk_size, storage_state, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [id, playerId, filename, mimetype, description, totalSize, chunkSize, JSON.stringify(storageState), expiresAt]);
+  },
+
+  /**
+   * Find one of a player's upload sessions
+   * @param {string} id - Session ID
+   * @param {number} playerId - Owner's user ID
+   * @returns {Promise<Object|null>} Session row (storage_state and metadata parsed) or null
+   */
+  findOwned: async (id, playerId) => {
+    const [sessions] = await db.query('SELECT * FROM upload_sessions WHERE id = ? AND player_id = ?', [id, playerId]);
+    if (!sessions[0]) return null;
+    return {
+      ...sessions[0],
+      storage_state: JSON.parse(sessions[0].storage_state),
+      metadata: sessions[0].metadata ? JSON.parse(sessions[0].metadata) : null
+    };
+  },
+
+  /**
+   * Count a player's uploads that are still open
+   * @param {number} playerId - User ID
+   * @returns {Promise<number>} Sessions being uploaded or waiting to be completed
+   */
+  countActive: async (playerId) => {
+    const [rows] = await db.query(`
+      SELECT COUNT(*) AS count FROM upload_sessions
+      WHERE player_id = ? AND status IN ('uploading', 'uploaded') AND expires_at > NOW()
+    `, [playerId]);
+    return rows[0].count;
+  },
+
+  /**
+   * Record a stored chunk, provided nothing else has been stored since it was read
+   * (two requests sending the same chunk must not both count)
+   * @param {string} id - Session ID
+   * @param {number} offset - Bytes received before this chunk
+   * @param {Object} fields - { receivedSize, storageKey, url, metadata }; a storage key marks the upload
+   *   finished, and metadata holds what storage reported about the file
+   * @returns {Promise<boolean>} False if the session had moved on
+   */
+  recordChunk: async (id, offset, { receivedSize, storageKey = null, url = null, metadata = null }) => {
+    const [result] = await db.query(`
+      UPDATE upload_sessions
+      SET received_size = ?,
+          storage_key = ?,
+          url = ?,
+          metadata = ?,
+          status = IF(? IS NULL, 'uploading', 'uploaded')
+      WHERE id = ? AND received_size = ? AND status = 'uploading'
+    `, [receivedSize, storageKey, url, metadata && JSON.stringify(metadata), storageKey, id, offset]);
+    return result.affectedRows > 0;
+  },
+
+  /**
+   * Claim a fully uploaded session for completion
+   * @param {string} id - Session ID
+   * @param {Object} [connection] - Connection of a surrounding transaction (default: the pool)
+   * @returns {Promise<boolean>} False if it was not waiting to be completed (e.g. a concurrent request claimed it)
+   */
+  markCompleted: async (id, connection = db) => {
+    const [result] = await connection.query(
+      "UPDATE upload_sessions SET status = 'completed' WHERE id = ? AND status = 'uploaded'",
+      [id]
+    );
+    return result.affectedRows > 0;
+  },
+
+  /**
+   * Link a completed session to the video it created
+   * @param {string} id - Session ID
+   * @param {number} videoId - Video ID
+   * @param {Object} [connection] - Connection of a surrounding transaction (default: the pool)
+   * @returns {Promise<void>}
+   */
+  setVideo: async (id, videoId, connection = db) => {
+    await connection.query('UPDATE upload_sessions SET video_id = ? WHERE id = ?', [videoId, id]);
+  },
+
+  /**
+   * Set a session's status
+   * @param {string} id - Session ID
+   * @param {string} status - uploading, uploaded, completed, aborted or expired
+   * @returns {Promise<void>}
+   */
+  updateStatus: async (id, status) => {
+    await db.query('UPDATE upload_sessions SET status = ? WHERE id = ?', [status, id]);
+  },
+
+  /**
+   * Find open sessions that can no longer be continued
+   * @returns {Promise<Array>} Session rows (storage_state parsed)
+   */
+  findExpired: async () => {
+    const [sessions] = await db.query(
+      "SELECT * FROM upload_sessions WHERE status IN ('uploading', 'uploaded') AND expires_at <= NOW()"
+    );
+    return sessions.map(session => ({ ...session, storage_state: JSON.parse(session.storage_state) }));
+  }
+};
+
+module.exports = UploadSessionRepository;
@@ -0,0 +1,54 @@
+const db = require('../config/db');
+
+/**
+ * Data access for the users table (profile-independent account data)
+ */
+const UserRepository = {
+  /**
+   * Find a user's public account fields
+   * @param {number} id - User ID
+   * @returns {Promise<Object|null>} { id, name, email, role, created_at } or null
+   */
+  findById: async (id) => {
+    const [users] = await db.query(
+      'SELECT id, name, email, role, created_at FROM users WHERE id = ?',
+      [id]
+    );
+    return users[0] || null;
+  },
+
+  /**
+   * Change a user's display name
+   * @param {number} id - User ID
+   * @param {string} name - New name
+   * @returns {Promise<void>}
+   */
+  updateName: async (id, name) => {
+    await db.query('UPDATE users SET name = ? WHERE id = ?', [name, id]);
+  },
+
+  /**
+   * Count users per role
+   * @returns {Promise<Array<{role: string, count: number}>>} One row per role
+   */
+  countByRole: async () => {
+    const [rows] = await db.query('SELECT role, COUNT(*) AS count FROM users GROUP BY role');
+    return rows;
+  },
+
+  /**
+   * Find player accounts that have no player_profiles row
+   * @returns {Promise<Array>} { id, name, email } rows
+   */
+  findPlayersWithoutProfile: async () => {
+    const [rows] = await db.query(`
+      SELECT u.id, u.name, u.email
+      FROM users u
+      LEFT JOIN player_profiles p ON u.id = p.user_id
+      WHERE u.role = 'player' AND p.user_id IS NULL
+    `);
+    return rows;
+  }
+};
+
+module.exports = UserRepository;
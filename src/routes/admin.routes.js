@@ -3,6 +3,8 @@ const router = express.Router();
 const controller = require('../controllers/admin.controller');
 const auth = require('../middlewares/auth.middleware');
 const role = require('../middlewares/role.middleware');
+const validate = require('../middlewares/validate.middleware');
+const schemas = require('../validators/admin.validator');
 
 /**
  * @swagger
@@ -27,6 +29,11 @@ const role = require('../middlewares/role.middleware');
  *           type: string
  *           enum: [active, inactive, suspended]
  *           description: User account status
+ *         email_verified_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the user verified their email (null if unverified)
  *         created_at:
  *           type: string
  *           format: date-time
@@ -57,6 +64,10 @@ const role = require('../middlewares/role.middleware');
  *           type: string
  *           enum: [pending, approved, rejected]
  *           description: Video approval status
+ *         rejection_reason:
+ *           type: string
+ *           nullable: true
+ *           description: Why the video was rejected
  *     SystemLog:
  *       type: object
  *       properties:
@@ -95,6 +106,7 @@ const role = require('../middlewares/role.middleware');
 // Middleware to apply to all routes
 router.use(auth);
 router.use(role('admin'));
+router.use(auth.requireTwoFactor);
 
 /**
  * @swagger
@@ -127,6 +139,7 @@ router.get('/users', controller.getAllUsers);
  * /api/admin/users/{id}:
  *   delete:
  *     summary: Delete a user
+ *     description: Removes the user and all of their data in one transaction, queues their stored media files for deletion and writes an ACCOUNT_DELETED audit log entry.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -148,14 +161,22 @@ router.get('/users', controller.getAllUsers);
  *                 message:
  *                   type: string
  *                   example: User deleted
+ *                 summary:
+ *                   $ref: '#/components/schemas/AccountDeletionSummary'
+ *       400:
+ *         description: Admins cannot delete their own account here
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden, not an admin
+ *       404:
+ *         description: User not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Could not delete user
  */
-router.delete('/users/:id', controller.deleteUser);
+router.delete('/users/:id', validate(schemas.userId), controller.deleteUser);
 
 /**
  * @swagger
@@ -195,16 +216,120 @@ router.delete('/users/:id', controller.deleteUser);
  *                 message:
  *                   type: string
  *                   example: User status updated
- *       400:
- *         description: Invalid status value
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden, not an admin
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Could not update user status
  */
-router.put('/users/:id/status', controller.updateUserStatus);
+router.put('/users/:id/status', validate(schemas.updateUserStatus), controller.updateUserStatus);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/verify-email:
+ *   put:
+ *     summary: Mark a user's email as verified
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User email marked as verified
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, not an admin
+ *       404:
+ *         description: User not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       500:
+ *         description: Could not verify user email
+ */
+router.put('/users/:id/verify-email', validate(schemas.userId), controller.verifyUserEmail);
+
+/**
+ * @swagger
+ * /api/admin/users/locked:
+ *   get:
+ *     summary: List accounts currently locked after failed logins
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Locked accounts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   name:
+ *                     type: string
+ *                   email:
+ *                     type: string
+ *                   role:
+ *                     type: string
+ *                   status:
+ *                     type: string
+ *                   failed_login_attempts:
+ *                     type: integer
+ *                   locked_until:
+ *                     type: string
+ *                     format: date-time
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, not an admin
+ *       500:
+ *         description: Failed to load locked accounts
+ */
+router.get('/users/locked', controller.getLockedAccounts);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/unlock:
+ *   post:
+ *     summary: Clear a user's login lockout and failed-attempt counter
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User unlocked
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, not an admin
+ *       404:
+ *         description: User not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       500:
+ *         description: Could not unlock user
+ */
+router.post('/users/:id/unlock', validate(schemas.userId), controller.unlockUser);
 
 /**
  * @swagger
@@ -239,10 +364,12 @@ router.put('/users/:id/status', controller.updateUserStatus);
  *         description: Unauthorized
  *       403:
  *         description: Forbidden, not an admin
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Could not reset password
  */
-router.post('/users/:id/reset-password', controller.resetUserPassword);
+router.post('/users/:id/reset-password', validate(schemas.userId), controller.resetUserPassword);
 
 /**
  * @swagger
@@ -270,6 +397,62 @@ router.post('/users/:id/reset-password', controller.resetUserPassword);
  */
 router.get('/media', controller.getAllVideos);
 
+/**
+ * @swagger
+ * /api/admin/media/moderation:
+ *   get:
+ *     summary: List media awaiting moderation (or already reviewed)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *         description: Filter by moderation status
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Media, oldest upload first, with pagination
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 media:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AdminVideo'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     offset:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, not an admin
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/media/moderation', validate(schemas.listModeration), controller.getModerationQueue);
+
 /**
  * @swagger
  * /api/admin/media/{id}:
@@ -300,16 +483,21 @@ router.get('/media', controller.getAllVideos);
  *         description: Unauthorized
  *       403:
  *         description: Forbidden, not an admin
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Could not delete video
  */
-router.delete('/media/:id', controller.deleteVideo);
+router.delete('/media/:id', validate(schemas.videoId), controller.deleteVideo);
 
 /**
  * @swagger
  * /api/admin/media/{id}/status:
  *   put:
- *     summary: Update video status
+ *     summary: Approve or reject a video
+ *     description: >
+ *       Only approved media appears in player listings and public profiles. The player is
+ *       notified when their media is approved or rejected, with the reason for a rejection.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -332,6 +520,9 @@ router.delete('/media/:id', controller.deleteVideo);
  *               status:
  *                 type: string
  *                 enum: [pending, approved, rejected]
+ *               reason:
+ *                 type: string
+ *                 description: Shown to the player; required when rejecting
  *     responses:
  *       200:
  *         description: Video status updated successfully
@@ -343,16 +534,110 @@ router.delete('/media/:id', controller.deleteVideo);
  *                 message:
  *                   type: string
  *                   example: Video status updated
- *       400:
- *         description: Invalid status value
+ *                 status:
+ *                   type: string
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden, not an admin
+ *       404:
+ *         description: Video not found (VIDEO_NOT_FOUND)
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Could not update video status
  */
-router.put('/media/:id/status', controller.updateVideoStatus);
+router.put('/media/:id/status', validate(schemas.updateVideoStatus), controller.updateVideoStatus);
+
+/**
+ * @swagger
+ * /api/admin/scouts/verification:
+ *   get:
+ *     summary: List scout accreditation requests
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending_verification, verified, rejected]
+ *           default: pending_verification
+ *         description: Filter by review status
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: |
+ *           Accreditation requests, oldest first. Documents are private: `document_url` is a
+ *           signed link that expires after an hour.
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, not an admin
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       500:
+ *         description: Failed to fetch scout verifications
+ */
+router.get('/scouts/verification', validate(schemas.listVerifications), controller.getScoutVerifications);
+
+/**
+ * @swagger
+ * /api/admin/scouts/verification/{id}:
+ *   put:
+ *     summary: Approve or reject a scout accreditation request
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Verification request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [verified, rejected]
+ *               reason:
+ *                 type: string
+ *                 description: Required when rejecting; shown to the scout
+ *     responses:
+ *       200:
+ *         description: Scout verified or rejected
+ *       400:
+ *         description: Request already reviewed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, not an admin
+ *       404:
+ *         description: Verification request not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       500:
+ *         description: Could not review scout verification
+ */
+router.put('/scouts/verification/:id', validate(schemas.reviewVerification), controller.reviewScoutVerification);
 
 /**
  * @swagger
@@ -417,10 +702,62 @@ router.put('/media/:id/status', controller.updateVideoStatus);
  *         description: Unauthorized
  *       403:
  *         description: Forbidden, not an admin
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Failed to fetch logs
  */
-router.get('/logs', controller.getSystemLogs);
+router.get('/logs', validate(schemas.listLogs), controller.getSystemLogs);
+
+/**
+ * @swagger
+ * /api/admin/config:
+ *   get:
+ *     summary: Get the effective server configuration
+ *     description: Every environment variable the server reads, with its parsed value and where it came from. Secret values are always shown as [REDACTED].
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Effective configuration
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 environment:
+ *                   type: string
+ *                   enum: [development, production, test]
+ *                 warnings:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Configuration problems that do not stop the server
+ *                 variables:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: JWT_EXPIRES_IN
+ *                       value:
+ *                         nullable: true
+ *                         description: Parsed value, [REDACTED] for a secret that is set, null when unset
+ *                       source:
+ *                         type: string
+ *                         enum: [environment, default]
+ *                       secret:
+ *                         type: boolean
+ *                       description:
+ *                         type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden, not an admin
+ */
+router.get('/config', controller.getConfig);
 
 /**
  * @swagger
@@ -477,16 +814,18 @@ router.get('/logs', controller.getSystemLogs);
  *                   type: string
  *                   description: The added location name
  *       400:
- *         description: Location name is required or Location already exists
+ *         description: Location already exists
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden, not an admin
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Failed to add location
  */
 router.get('/locations', controller.getTryoutLocations);
-router.post('/locations', controller.addTryoutLocation);
+router.post('/locations', validate(schemas.addLocation), controller.addTryoutLocation);
 
 /**
  * @swagger
@@ -515,14 +854,16 @@ router.post('/locations', controller.addTryoutLocation);
  *                   type: string
  *                   example: Location deleted successfully
  *       400:
- *         description: Location name is required or Cannot delete location that is in use
+ *         description: Cannot delete location that is in use
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden, not an admin
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Failed to delete location
  */
-router.delete('/locations/:location', controller.deleteTryoutLocation);
+router.delete('/locations/:location', validate(schemas.location), controller.deleteTryoutLocation);
 
 module.exports = router;
@@ -1,6 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const controller = require('../controllers/auth.controller');
+const auth = require('../middlewares/auth.middleware');
+const rateLimit = require('../middlewares/rateLimit.middleware');
+const role = require('../middlewares/role.middleware');
+const validate = require('../middlewares/validate.middleware');
+const schemas = require('../validators/auth.validator');
 
 /**
  * @swagger
@@ -38,7 +43,10 @@ const controller = require('../controllers/auth.controller');
  *       properties:
  *         token:
  *           type: string
- *           description: JWT token for authentication
+ *           description: Short-lived JWT access token
+ *         refreshToken:
+ *           type: string
+ *           description: Refresh token used to obtain new access tokens from /api/auth/refresh
  *         user:
  *           type: object
  *           properties:
@@ -50,9 +58,30 @@ const controller = require('../controllers/auth.controller');
  *               type: string
  *             role:
  *               type: string
+ *             emailVerified:
+ *               type: boolean
  *             createdAt:
  *               type: string
  *               format: date-time
+ *     AccountDeletionSummary:
+ *       type: object
+ *       properties:
+ *         role:
+ *           type: string
+ *           description: Role of the deleted account
+ *         removed:
+ *           type: object
+ *           additionalProperties:
+ *             type: integer
+ *           description: Rows deleted per table, e.g. { videos 3, likes 12 }
+ *         anonymized:
+ *           type: object
+ *           additionalProperties:
+ *             type: integer
+ *           description: Rows kept but detached from the user (system logs, verification and video reviews)
+ *         assets:
+ *           type: integer
+ *           description: Stored media files queued for deletion
  */
 
 /**
@@ -80,11 +109,14 @@ const controller = require('../controllers/auth.controller');
  *                 type: string
  *               password:
  *                 type: string
+ *                 minLength: 8
+ *                 description: At least one letter and one number
  *               confirmPassword:
  *                 type: string
  *               role:
  *                 type: string
- *                 enum: [player, scout, admin]
+ *                 enum: [player, scout]
+ *                 description: Admin accounts cannot be self-registered
  *               date_of_birth:
  *                 type: string
  *                 format: date
@@ -96,14 +128,16 @@ const controller = require('../controllers/auth.controller');
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
- *       400:
- *         description: All fields are required or passwords do not match
  *       409:
  *         description: Email already exists
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       429:
+ *         description: Too many registrations from this IP
  *       500:
  *         description: Server error
  */
-router.post('/register', controller.register);
+router.post('/register', rateLimit.register, validate(schemas.register), controller.register);
 
 /**
  * @swagger
@@ -125,9 +159,16 @@ router.post('/register', controller.register);
  *                 type: string
  *               password:
  *                 type: string
+ *               deviceName:
+ *                 type: string
+ *                 description: Optional label for the device this session belongs to
  *     responses:
  *       200:
- *         description: User logged in successfully
+ *         description: |
+ *           User logged in successfully. If the account has two-factor authentication enabled the
+ *           response is `{ twoFactorRequired: true, challengeToken }` instead, to be completed at
+ *           /api/auth/2fa/verify. Admins without 2FA receive `{ twoFactorSetupRequired: true, enrollmentToken }`
+ *           and must enrol via /api/auth/2fa/setup and /api/auth/2fa/enable using that token.
  *         content:
  *           application/json:
  *             schema:
@@ -136,10 +177,361 @@ router.post('/register', controller.register);
  *         description: Invalid credentials
  *       403:
  *         description: Account is not active
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       423:
+ *         description: Account temporarily locked after repeated failed logins
+ *       429:
+ *         description: Too many login attempts from this IP or for this account
+ *       500:
+ *         description: Server error
+ */
+router.post('/login', rateLimit.loginByIp, rateLimit.loginByAccount, validate(schemas.login), controller.login);
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete a two-factor login
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Token returned by /api/auth/login
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Single-use recovery code, instead of code
+ *     responses:
+ *       200:
+ *         description: Logged in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       423:
+ *         description: Account temporarily locked after repeated failures
+ *       429:
+ *         description: Too many attempts from this IP
+ *       500:
+ *         description: Server error
+ */
+router.post('/2fa/verify', rateLimit.loginByIp, validate(schemas.verifyTwoFactor), controller.verifyTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment (scouts and admins)
+ *     description: Generates a new TOTP secret. Accepts an access token or the enrollment token given to admins at login.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret to add to an authenticator app
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                 otpauthUrl:
+ *                   type: string
+ *                 qrCode:
+ *                   type: string
+ *                   description: PNG data URL encoding otpauthUrl
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only scouts and admins can enable two-factor authentication
+ *       500:
+ *         description: Server error
+ */
+router.post('/2fa/setup', auth.allowTwoFactorEnrollment, role(['scout', 'admin']), controller.setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment with a code and turn on two-factor authentication
+ *     description: Returns recovery codes (shown only once) and a new token pair; other sessions are signed out.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: The account's current password
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       400:
+ *         description: Invalid code, setup not started, or already enabled
+ *       401:
+ *         description: Unauthorized, wrong password, or the session has been revoked
+ *       403:
+ *         description: Only scouts and admins can enable two-factor authentication, or the account is not active
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       500:
+ *         description: Server error
+ */
+router.post('/2fa/enable', auth.allowTwoFactorEnrollment, role(['scout', 'admin']), validate(schemas.enableTwoFactor), controller.enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication (not allowed for admins)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Two-factor authentication is not enabled
+ *       401:
+ *         description: Unauthorized, or invalid password or code
+ *       403:
+ *         description: Two-factor authentication is required for admin accounts
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       500:
+ *         description: Server error
+ */
+router.post('/2fa/disable', auth, validate(schemas.disableTwoFactor), controller.disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace all recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes (old ones stop working)
+ *       400:
+ *         description: Two-factor authentication is not enabled
+ *       401:
+ *         description: Unauthorized or invalid code
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       500:
+ *         description: Server error
+ */
+router.post('/2fa/recovery-codes', auth, validate(schemas.regenerateRecoveryCodes), controller.regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     description: The presented refresh token is revoked and replaced. Replaying an already-rotated token revokes every token issued from the same login.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens rotated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       500:
+ *         description: Server error
+ */
+router.post('/refresh', validate(schemas.refresh), controller.refresh);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Revoke the session a refresh token belongs to
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *               allDevices:
+ *                 type: boolean
+ *                 description: Sign out of every device instead of just this one
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       500:
+ *         description: Server error
+ */
+router.post('/logout', validate(schemas.logout), controller.logout);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the devices the current user is signed in on
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   deviceName:
+ *                     type: string
+ *                   userAgent:
+ *                     type: string
+ *                   ipAddress:
+ *                     type: string
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *                   lastSeenAt:
+ *                     type: string
+ *                     format: date-time
+ *                   current:
+ *                     type: boolean
+ *                     description: True for the session making this request
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/sessions', auth, controller.getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out one of the current user's sessions
+ *     description: Revokes the session's refresh token and rejects its access tokens immediately
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session signed out
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Server error
  */
-router.post('/login', controller.login);
+router.delete('/sessions/:id', auth, validate(schemas.sessionId), controller.revokeSession);
 
 /**
  * @swagger
@@ -165,11 +557,364 @@ router.post('/login', controller.login);
  *                   type: string
  *                 role:
  *                   type: string
+ *                 emailVerified:
+ *                   type: boolean
  *       401:
- *         description: Unauthorized or invalid token
+ *         description: Unauthorized, invalid token or the session has been revoked
+ *       403:
+ *         description: Account is not active
  *       404:
  *         description: User not found
  */
-router.get('/profile', controller.profile);
+router.get('/profile', auth, controller.profile);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify an email address using the link sent at registration
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Token invalid or expired
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       500:
+ *         description: Server error
+ */
+router.post('/verify-email', validate(schemas.verifyEmail), controller.verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     summary: Send a new verification link to the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/verify-email/resend', auth, controller.resendVerification);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link by email
+ *     description: Always responds with the same message whether or not the email is registered.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       429:
+ *         description: Too many reset requests from this IP or for this account
+ *       500:
+ *         description: Server error
+ */
+router.post('/forgot-password', rateLimit.passwordResetByIp, rateLimit.passwordResetByAccount, validate(schemas.forgotPassword), controller.forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     description: Reset tokens are single-use and expire. All existing sessions are signed out.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *               - confirmPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *                 description: At least one letter and one number
+ *               confirmPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password has been reset
+ *       400:
+ *         description: Invalid or expired token
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       429:
+ *         description: Too many reset attempts from this IP
+ *       500:
+ *         description: Server error
+ */
+router.post('/reset-password', rateLimit.passwordResetByIp, validate(schemas.resetPassword), controller.resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/password:
+ *   put:
+ *     summary: Change the current user's password
+ *     description: Requires the current password. Other sessions are signed out and a new token pair is returned for this device.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *               - confirmPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *                 description: At least one letter and one number
+ *               confirmPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized or current password is incorrect
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       500:
+ *         description: Server error
+ */
+router.put('/password', auth, validate(schemas.changePassword), controller.changePassword);
+
+/**
+ * @swagger
+ * /api/auth/account:
+ *   delete:
+ *     summary: Permanently delete the current user's account
+ *     description: |
+ *       Removes the account with its profile, media, likes, comments, tryouts, invitations,
+ *       shortlists, notifications and sessions in a single transaction, and queues the
+ *       account's stored media files for deletion. Requires the password, plus a two-factor
+ *       code when two-factor authentication is enabled.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Current TOTP code, required when two-factor authentication is enabled
+ *     responses:
+ *       200:
+ *         description: Account deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 summary:
+ *                   $ref: '#/components/schemas/AccountDeletionSummary'
+ *       400:
+ *         description: Two-factor code missing for an account with two-factor authentication enabled
+ *       401:
+ *         description: Unauthorized, or invalid password or two-factor code
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       500:
+ *         description: Server error
+ */
+router.delete('/account', auth, validate(schemas.deleteAccount), controller.deleteAccount);
+
+/**
+ * @swagger
+ * /api/auth/export:
+ *   post:
+ *     summary: Request an archive of all data stored about the current user
+ *     description: |
+ *       Generates, in the background, a zip archive with data.json and one CSV per section
+ *       (profile, player_stats, videos, showreels, comments, likes, tryouts, invitations,
+ *       shortlists, notifications). In the CSVs, lists such as a video's highlight markers
+ *       and skill tags are JSON cells. Poll the status URL until the export is ready. If an
+ *       export is already in progress it is returned instead of starting another.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Export accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 exportId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   enum: [pending, processing]
+ *                 statusUrl:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/export', auth, controller.requestDataExport);
+
+/**
+ * @swagger
+ * /api/auth/export/{id}:
+ *   get:
+ *     summary: Get the status of a data export
+ *     description: Once the export is ready the response includes a download link that expires with the archive (DATA_EXPORT_EXPIRES_HOURS).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Export status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   enum: [pending, processing, ready, failed, expired]
+ *                 createdAt:
+ *                   type: string
+ *                   format: date-time
+ *                 completedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                 fileSize:
+ *                   type: integer
+ *                   description: Archive size in bytes (when ready)
+ *                 downloadUrl:
+ *                   type: string
+ *                   description: Signed link to the archive (when ready)
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Export not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       500:
+ *         description: Server error
+ */
+router.get('/export/:id', auth, validate(schemas.exportId), controller.getDataExport);
+
+/**
+ * @swagger
+ * /api/auth/export/{id}/download:
+ *   get:
+ *     summary: Download a data export archive
+ *     description: Authorised by the signed token in the link returned by the status endpoint, so it can be opened directly in a browser.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Zip archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Invalid or expired download link
+ *       410:
+ *         description: The export has expired or is no longer available
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       500:
+ *         description: Server error
+ */
+router.get('/export/:id/download', validate(schemas.downloadExport), controller.downloadDataExport);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/health.controller');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     HealthCheck:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [ok, down]
+ *         latencyMs:
+ *           type: integer
+ *           description: How long the check took (when ok)
+ *         error:
+ *           type: string
+ *           description: Why the check failed (when down)
+ *     Readiness:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [ok, unavailable, shutting_down]
+ *         checks:
+ *           type: object
+ *           properties:
+ *             database:
+ *               $ref: '#/components/schemas/HealthCheck'
+ *             storage:
+ *               $ref: '#/components/schemas/HealthCheck'
+ */
+
+/**
+ * @swagger
+ * /health/live:
+ *   get:
+ *     summary: Liveness probe
+ *     description: Answers as long as the process is running; does not check any dependency. Restart the instance if this fails.
+ *     tags: [Health]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: The process is up
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: ok
+ *                 uptime:
+ *                   type: integer
+ *                   description: Seconds since the process started
+ */
+router.get('/live', controller.live);
+
+/**
+ * @swagger
+ * /health/ready:
+ *   get:
+ *     summary: Readiness probe
+ *     description: Checks the MySQL pool and media storage. Send traffic to the instance only while this returns 200; it returns 503 as soon as shutdown starts.
+ *     tags: [Health]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Ready to serve requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ *       503:
+ *         description: A dependency is down or the server is shutting down
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ */
+router.get('/ready', controller.ready);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/media.controller');
+
+/**
+ * @swagger
+ * /media/{key}:
+ *   get:
+ *     summary: Download a stored media file
+ *     description: |
+ *       Serves files stored by the local storage driver (`STORAGE_DRIVER=local`); with Cloudinary,
+ *       media URLs point at Cloudinary instead and this returns 404. Links without a signature are
+ *       public, except to private files (keys under `private/`, such as scout accreditation
+ *       documents). Signed links carry `expires` and `signature` and are refused once they expire.
+ *     tags: [Media]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Storage key, e.g. pharaohs/videos/player_12_1718000000000.mp4
+ *       - in: query
+ *         name: expires
+ *         schema:
+ *           type: integer
+ *         description: Expiry of a signed link, in Unix seconds
+ *       - in: query
+ *         name: signature
+ *         schema:
+ *           type: string
+ *         description: Signature of a signed link
+ *     responses:
+ *       200:
+ *         description: The file
+ *       403:
+ *         description: |
+ *           A private file was requested without a signature (MEDIA_SIGNATURE_REQUIRED), the
+ *           signature is invalid (MEDIA_SIGNATURE_INVALID) or the link has expired (MEDIA_LINK_EXPIRED)
+ *       404:
+ *         description: No such file (MEDIA_NOT_FOUND)
+ */
+router.get('/*key', controller.getFile);
+
+module.exports = router;
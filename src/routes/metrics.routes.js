@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/metrics.controller');
+const metricsAuth = require('../middlewares/metricsAuth.middleware');
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: |
+ *       Request counts and latency by route template and status, MySQL pool usage and query
+ *       timings, media upload sizes and durations, domain counters (registrations, invitations,
+ *       uploads) and process metrics. Requires `Authorization: Bearer <METRICS_TOKEN>` when
+ *       METRICS_TOKEN is set.
+ *     tags: [Health]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Metrics in the Prometheus text format
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: METRICS_TOKEN is set and the request did not send it
+ */
+router.get('/', metricsAuth, controller.getMetrics);
+
+module.exports = router;
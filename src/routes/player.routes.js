@@ -4,6 +4,11 @@ const auth = require('../middlewares/auth.middleware');
 const upload = require('../services/upload.service');
 const controller = require('../controllers/player.controller');
 const role = require('../middlewares/role.middleware');
+const verifiedScout = require('../middlewares/accreditation.middleware');
+const validate = require('../middlewares/validate.middleware');
+const schemas = require('../validators/player.validator');
+const { env } = require('../config');
+const { BadRequestError } = require('../utils/errors');
 
 /**
  * @swagger
@@ -28,10 +33,111 @@ const role = require('../middlewares/role.middleware');
  *         playerId:
  *           type: string
  *           description: ID of the player who uploaded the video
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           description: >
+ *             Moderation status, shown to the owner only; everyone else sees approved media only
+ *         rejectionReason:
+ *           type: string
+ *           nullable: true
+ *           description: Why a moderator rejected the video (owner only)
+ *         thumbnailUrl:
+ *           type: string
+ *           nullable: true
+ *           description: Poster frame for videos, scaled-down copy for images
+ *         width:
+ *           type: integer
+ *           nullable: true
+ *         height:
+ *           type: integer
+ *           nullable: true
+ *         duration:
+ *           type: number
+ *           nullable: true
+ *           description: Length in seconds (videos only)
+ *         size:
+ *           type: integer
+ *           nullable: true
+ *           description: File size in bytes
+ *         format:
+ *           type: string
+ *           nullable: true
+ *           description: File format, e.g. mp4 or jpg
+ *         markers:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/VideoMarker'
+ *           description: Highlight markers in time order
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Skills the video shows, e.g. dribbling
  *         createdAt:
  *           type: string
  *           format: date-time
  *           description: When the video was uploaded
+ *     VideoMarker:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         time:
+ *           type: number
+ *           description: Position in the video, in seconds
+ *         timestamp:
+ *           type: string
+ *           description: The same position as a clock time, e.g. 01:12
+ *         label:
+ *           type: string
+ *           description: What happens there, e.g. left-foot finish
+ *         category:
+ *           type: string
+ *           nullable: true
+ *           enum: [finishing, dribbling, passing, crossing, heading, tackling, defending, goalkeeping, set_pieces, pace, vision]
+ *     Showreel:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         featured:
+ *           type: boolean
+ *           description: Pinned by the player; a featured reel is listed first
+ *         videoCount:
+ *           type: integer
+ *         videos:
+ *           type: array
+ *           description: >
+ *             In playing order. Others see approved videos only; the owner also sees each video's status.
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               url:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *               thumbnailUrl:
+ *                 type: string
+ *                 nullable: true
+ *               duration:
+ *                 type: number
+ *                 nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
  *     Profile:
  *       type: object
  *       properties:
@@ -66,6 +172,12 @@ const role = require('../middlewares/role.middleware');
  *           type: array
  *           items:
  *             $ref: '#/components/schemas/Video'
+ *         showreels:
+ *           type: array
+ *           description: >
+ *             Public profile only: showreels with approved videos, the featured one first
+ *           items:
+ *             $ref: '#/components/schemas/Showreel'
  *     PlayerStats:
  *       type: object
  *       properties:
@@ -149,6 +261,8 @@ router.get('/dashboard', auth, controller.getDashboardData);
  *         description: Forbidden, not a player or scout
  *       404:
  *         description: Profile not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Failed to fetch profile
  *   put:
@@ -188,7 +302,7 @@ router.get('/dashboard', auth, controller.getDashboardData);
  *         description: Failed to update profile
  */
 router.get('/profile', auth, role(['player', 'scout']), controller.getProfile);
-router.put('/profile', auth, role('player'), upload.single('profileImage'), controller.updateProfile);
+router.put('/profile', auth, role('player'), upload.single('profileImage'), validate(schemas.profile), controller.updateProfile);
 
 /**
  * @swagger
@@ -216,10 +330,12 @@ router.put('/profile', auth, role('player'), upload.single('profileImage'), cont
  *         description: Unauthorized
  *       404:
  *         description: Player not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Server error
  */
-router.get('/public-profile/:id', auth, controller.getPublicProfileById);
+router.get('/public-profile/:id', auth, validate(schemas.playerId), controller.getPublicProfileById);
 
 /**
  * @swagger
@@ -247,10 +363,12 @@ router.get('/public-profile/:id', auth, controller.getPublicProfileById);
  *         description: List of players with pagination metadata
  *       401:
  *         description: Unauthorized
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Failed to fetch players
  */
-router.get('/all', auth, controller.getAllPlayers);
+router.get('/all', auth, validate(schemas.listPlayers), controller.getAllPlayers);
 
 /**
  * @swagger
@@ -304,89 +422,303 @@ router.get('/videos', auth, role(['player', 'scout']), controller.getVideos);
  *                 description: Description of the media
  *     responses:
  *       201:
- *         description: Media uploaded successfully
+ *         description: Media uploaded; it is listed once a moderator approves it (status pending)
  *       400:
  *         description: File is required
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Only players can upload media
+ *         description: Only players can upload media, or email not verified
+ *       413:
+ *         description: File larger than 100MB (FILE_TOO_LARGE)
+ *       415:
+ *         description: Unsupported file type (INVALID_FILE_TYPE)
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Server error during upload
  */
 // Special media upload handling to avoid JSON parsing conflicts
-router.post('/upload', auth, role('player'), (req, res, next) => {
-  console.log('[Upload Route] Received upload request');
-  console.log('[Upload Route] Content-Type:', req.headers['content-type']);
+router.post('/upload', auth, role('player'), auth.requireVerifiedEmail, (req, res, next) => {
+  req.log.debug('Received upload request', { contentType: req.headers['content-type'] });
   
   // Check if content type is JSON and reject it
   if (req.headers['content-type'] && req.headers['content-type'].includes('application/json')) {
-    console.error('[Upload Route] Received JSON content type, expected multipart/form-data');
-    return res.status(400).json({ 
-      message: 'Invalid content type. File uploads must use multipart/form-data', 
-      error: 'INVALID_CONTENT_TYPE' 
-    });
+    return next(new BadRequestError('Invalid content type. File uploads must use multipart/form-data', {
+      code: 'INVALID_CONTENT_TYPE'
+    }));
   }
   
   // Check if content type is multipart/form-data
   if (!req.headers['content-type'] || !req.headers['content-type'].includes('multipart/form-data')) {
-    console.error('[Upload Route] Content-Type is not multipart/form-data:', req.headers['content-type']);
-    return res.status(400).json({ 
-      message: 'Invalid content type. Must use multipart/form-data for file uploads', 
-      error: 'INVALID_CONTENT_TYPE' 
-    });
-  }
-  
-  // Check if multer is properly configured
-  if (!upload || !upload.single) {
-    console.error('[Upload Route] Multer not properly configured');
-    return res.status(500).json({ message: 'Server configuration error' });
+    return next(new BadRequestError('Invalid content type. Must use multipart/form-data for file uploads', {
+      code: 'INVALID_CONTENT_TYPE'
+    }));
   }
   
   // Skip JSON parsing and handle as multipart directly
-  try {
-    upload.single('file')(req, res, (err) => {
-      if (err) {
-        console.error('[Upload Route] Multer error:', err.message);
-        
-        // Handle specific multer errors
-        if (err.code === 'LIMIT_FILE_SIZE') {
-          return res.status(413).json({ 
-            message: 'File size too large. Maximum allowed size is 20MB.',
-            error: 'FILE_TOO_LARGE'
-          });
-        }
-        
-        if (err.message && err.message.includes('Invalid file type')) {
-          return res.status(415).json({ 
-            message: err.message,
-            error: 'INVALID_FILE_TYPE'
-          });
-        }
-        
-        return res.status(400).json({ 
-          message: 'File upload error', 
-          error: err.message 
-        });
-      }
-      
-      // Validate file was received
-      if (!req.file) {
-        console.error('[Upload Route] No file received in request');
-        console.error('[Upload Route] Request body:', JSON.stringify(req.body));
-        return res.status(400).json({ message: 'No file was uploaded' });
-      }
-      
-      console.log('[Upload Route] File received successfully:', req.file.originalname);
-      
-      // Continue to controller
-      controller.uploadMedia(req, res, next);
-    });
-  } catch (error) {
-    console.error('[Upload Route] Critical error:', error);
-    res.status(500).json({ message: 'Server error during upload', error: error.message });
-  }
-});
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      // Size and file type errors get their specific codes
+      return upload.handleError(err, req, res, next);
+    }
+    
+    // Validate file was received
+    if (!req.file) {
+      return next(new BadRequestError('No file was uploaded', { code: 'FILE_REQUIRED' }));
+    }
+    
+    req.log.debug('File received', { file: req.file.originalname, size: req.file.size });
+    
+    // Continue to validation and the controller
+    next();
+  });
+}, validate(schemas.uploadMedia), controller.uploadMedia);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UploadSession:
+ *       type: object
+ *       properties:
+ *         uploadId:
+ *           type: string
+ *           format: uuid
+ *         filename:
+ *           type: string
+ *         mimetype:
+ *           type: string
+ *         size:
+ *           type: integer
+ *           description: Size of the whole file in bytes
+ *         chunkSize:
+ *           type: integer
+ *           description: Bytes per chunk; every chunk but the last must be exactly this size
+ *         receivedBytes:
+ *           type: integer
+ *           description: Bytes stored so far, i.e. the offset of the next chunk
+ *         status:
+ *           type: string
+ *           enum: [uploading, uploaded, completed, aborted, expired]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         videoId:
+ *           type: integer
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/player/uploads:
+ *   post:
+ *     summary: Start a resumable video upload
+ *     description: >
+ *       For large videos on unreliable connections. Send the file in chunks with
+ *       PATCH /api/player/uploads/{id}, then call POST /api/player/uploads/{id}/complete
+ *       to create the video. After a dropped connection, GET the upload and continue
+ *       from receivedBytes.
+ *     tags: [Player, Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - filename
+ *               - mimetype
+ *               - size
+ *             properties:
+ *               filename:
+ *                 type: string
+ *               mimetype:
+ *                 type: string
+ *                 example: video/mp4
+ *               size:
+ *                 type: integer
+ *                 description: File size in bytes
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Upload started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 upload:
+ *                   $ref: '#/components/schemas/UploadSession'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only players can upload media, or email not verified
+ *       409:
+ *         description: Too many unfinished uploads (TOO_MANY_UPLOADS)
+ *       413:
+ *         description: File larger than UPLOAD_MAX_SIZE_MB (FILE_TOO_LARGE)
+ *       415:
+ *         description: Not a supported video format (INVALID_FILE_TYPE)
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.post('/uploads', auth, role('player'), auth.requireVerifiedEmail, validate(schemas.startUpload), controller.startUpload);
+
+/**
+ * @swagger
+ * /api/player/uploads/{id}:
+ *   get:
+ *     summary: Get a resumable upload's progress
+ *     tags: [Player, Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Upload found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 upload:
+ *                   $ref: '#/components/schemas/UploadSession'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Upload not found (UPLOAD_NOT_FOUND)
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *   patch:
+ *     summary: Send the next chunk of a resumable upload
+ *     tags: [Player, Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: offset
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Position of the chunk in the file; must equal the upload's receivedBytes
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Chunk stored; status becomes uploaded after the last one
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 upload:
+ *                   $ref: '#/components/schemas/UploadSession'
+ *       400:
+ *         description: Missing chunk (CHUNK_REQUIRED) or wrong chunk size (INVALID_CHUNK_SIZE)
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Upload not found (UPLOAD_NOT_FOUND)
+ *       409:
+ *         description: Offset is not receivedBytes (UPLOAD_OFFSET_MISMATCH, with details.receivedBytes) or the upload is not in progress (UPLOAD_NOT_IN_PROGRESS)
+ *       410:
+ *         description: Upload expired (UPLOAD_EXPIRED)
+ *       413:
+ *         description: Chunk larger than the chunk size (PAYLOAD_TOO_LARGE)
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *   delete:
+ *     summary: Cancel a resumable upload
+ *     tags: [Player, Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Upload cancelled and the stored data discarded
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Upload not found (UPLOAD_NOT_FOUND)
+ *       409:
+ *         description: Upload already completed (UPLOAD_COMPLETED)
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/uploads/:id', auth, role('player'), validate(schemas.uploadId), controller.getUpload);
+router.patch(
+  '/uploads/:id',
+  auth,
+  role('player'),
+  auth.requireVerifiedEmail,
+  express.raw({ type: 'application/octet-stream', limit: env.UPLOAD_CHUNK_SIZE }),
+  validate(schemas.uploadChunk),
+  controller.uploadChunk
+);
+router.delete('/uploads/:id', auth, role('player'), validate(schemas.uploadId), controller.abortUpload);
+
+/**
+ * @swagger
+ * /api/player/uploads/{id}/complete:
+ *   post:
+ *     summary: Finish a resumable upload and create the video
+ *     description: Safe to repeat; completing again returns the same video with status 200.
+ *     tags: [Player, Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       201:
+ *         description: Video created, awaiting moderation (status pending)
+ *       200:
+ *         description: Already completed; the existing video
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Upload not found (UPLOAD_NOT_FOUND), or its video was deleted (VIDEO_NOT_FOUND)
+ *       409:
+ *         description: Not all chunks have been received (UPLOAD_INCOMPLETE)
+ *       410:
+ *         description: Upload expired (UPLOAD_EXPIRED)
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.post('/uploads/:id/complete', auth, role('player'), auth.requireVerifiedEmail, validate(schemas.uploadId), controller.completeUpload);
 
 /**
  * @swagger
@@ -413,16 +745,18 @@ router.post('/upload', auth, role('player'), (req, res, next) => {
  *     responses:
  *       201:
  *         description: Comment added successfully
- *       400:
- *         description: Video ID and comment content are required
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Only players can post comments
+ *       404:
+ *         description: Video not found, or not approved yet (VIDEO_NOT_FOUND)
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Failed to add comment
  */
-router.post('/videos/comment', auth, role('player'), controller.addComment);
+router.post('/videos/comment', auth, role('player'), validate(schemas.addComment), controller.addComment);
 
 /**
  * @swagger
@@ -444,10 +778,14 @@ router.post('/videos/comment', auth, role('player'), controller.addComment);
  *         description: Comments retrieved successfully
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Video not found, or not yet approved and not the requester's own (VIDEO_NOT_FOUND)
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Failed to load comments
  */
-router.get('/videos/comment/:videoId', auth, controller.getComments);
+router.get('/videos/comment/:videoId', auth, validate(schemas.videoIdParam), controller.getComments);
 
 /**
  * @swagger
@@ -471,10 +809,12 @@ router.get('/videos/comment/:videoId', auth, controller.getComments);
  *         description: Unauthorized
  *       404:
  *         description: Comment not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Failed to delete comment
  */
-router.delete('/videos/comment/:commentId', auth, controller.deleteComment);
+router.delete('/videos/comment/:commentId', auth, validate(schemas.commentId), controller.deleteComment);
 
 /**
  * @swagger
@@ -500,18 +840,18 @@ router.delete('/videos/comment/:commentId', auth, controller.deleteComment);
  *         description: Video liked successfully
  *       200:
  *         description: Already liked this video
- *       400:
- *         description: Video ID is required
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Only players and scouts can like videos
  *       404:
- *         description: Video not found
+ *         description: Video not found, or not approved yet (VIDEO_NOT_FOUND)
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Failed to like video
  */
-router.post('/videos/like', auth, role(['player', 'scout']), controller.likeVideo);
+router.post('/videos/like', auth, role(['player', 'scout']), validate(schemas.likeVideo), controller.likeVideo);
 
 /**
  * @swagger
@@ -537,16 +877,18 @@ router.post('/videos/like', auth, role(['player', 'scout']), controller.likeVide
  *         description: Only players and scouts can unlike videos
  *       404:
  *         description: Video not found or like not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Failed to unlike video
  */
-router.delete('/videos/like/:videoId', auth, role(['player', 'scout']), controller.unlikeVideo);
+router.delete('/videos/like/:videoId', auth, role(['player', 'scout']), validate(schemas.videoIdParam), controller.unlikeVideo);
 
 /**
  * @swagger
  * /api/player/videos/likes:
  *   get:
- *     summary: Get video likes
+ *     summary: Get like counts of approved videos and the caller's own
  *     tags: [Player, Videos]
  *     security:
  *       - bearerAuth: []
@@ -618,18 +960,18 @@ router.get('/invitations', auth, role('player'), controller.getInvitations);
  *     responses:
  *       200:
  *         description: Invitation status updated successfully
- *       400:
- *         description: Invalid status value
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Only players can update invitations
  *       404:
  *         description: Invitation not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Failed to update invitation
  */
-router.put('/invitations/:id', auth, role('player'), controller.updateInvitationStatus);
+router.put('/invitations/:id', auth, role('player'), validate(schemas.updateInvitation), controller.updateInvitationStatus);
 
 /**
  * @swagger
@@ -657,17 +999,19 @@ router.put('/invitations/:id', auth, role('player'), controller.updateInvitation
  *       201:
  *         description: Invitation sent successfully
  *       400:
- *         description: Player ID and tryout ID are required
+ *         description: Invitation already sent
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Only scouts can send invitations
+ *         description: Only verified scouts can send invitations
  *       409:
  *         description: Invitation already exists
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Failed to send invitation
  */
-router.post('/invitations/send', auth, role('scout'), controller.sendInvitation);
+router.post('/invitations/send', auth, role('scout'), auth.requireVerifiedEmail, verifiedScout, validate(schemas.sendInvitation), controller.sendInvitation);
 
 /**
  * @swagger
@@ -718,12 +1062,12 @@ router.get('/scout-invitations', auth, role('scout'), controller.getScoutInvitat
  *     responses:
  *       201:
  *         description: Tryout created successfully
- *       400:
- *         description: Name, location, and date are required
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Only scouts can create tryouts
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Failed to create tryout
  *   get:
@@ -741,7 +1085,7 @@ router.get('/scout-invitations', auth, role('scout'), controller.getScoutInvitat
  *       500:
  *         description: Failed to fetch tryouts
  */
-router.post('/tryouts', auth, role('scout'), controller.createTryout);
+router.post('/tryouts', auth, role('scout'), validate(schemas.createTryout), controller.createTryout);
 router.get('/tryouts', auth, role('scout'), controller.getTryouts);
 
 /**
@@ -768,10 +1112,12 @@ router.get('/tryouts', auth, role('scout'), controller.getTryouts);
  *         description: Only players can delete videos
  *       404:
  *         description: Video not found or unauthorized
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Failed to delete video
  */
-router.delete('/videos/:id', auth, role('player'), controller.deleteVideo);
+router.delete('/videos/:id', auth, role('player'), validate(schemas.videoId), controller.deleteVideo);
 
 /**
  * @swagger
@@ -803,18 +1149,471 @@ router.delete('/videos/:id', auth, role('player'), controller.deleteVideo);
  *     responses:
  *       200:
  *         description: Video updated successfully
- *       400:
- *         description: Description is required
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Only players can update videos
  *       404:
  *         description: Video not found or unauthorized
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Failed to update video
  */
-router.put('/videos/:id', auth, role('player'), controller.updateVideo);
+router.put('/videos/:id', auth, role('player'), validate(schemas.updateVideo), controller.updateVideo);
+
+/**
+ * @swagger
+ * /api/player/videos/{id}/markers:
+ *   get:
+ *     summary: Get a video's highlight markers and skill tags
+ *     tags: [Player, Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     responses:
+ *       200:
+ *         description: Markers in time order and tags
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 videoId:
+ *                   type: integer
+ *                 markers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VideoMarker'
+ *                 tags:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Video not found, or not approved and not the caller's
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *   post:
+ *     summary: Mark a highlight in one of the player's videos
+ *     tags: [Player, Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - time
+ *               - label
+ *             properties:
+ *               time:
+ *                 oneOf:
+ *                   - type: number
+ *                   - type: string
+ *                 description: Seconds, or a clock time such as 01:12 or 1:02:03
+ *                 example: "01:12"
+ *               label:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: left-foot finish
+ *               category:
+ *                 type: string
+ *                 enum: [finishing, dribbling, passing, crossing, heading, tackling, defending, goalkeeping, set_pieces, pace, vision]
+ *     responses:
+ *       201:
+ *         description: Highlight added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 marker:
+ *                   $ref: '#/components/schemas/VideoMarker'
+ *       400:
+ *         description: The media is an image (NOT_A_VIDEO) or the time is past its end (MARKER_OUT_OF_RANGE)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only players can mark highlights
+ *       404:
+ *         description: Video not found or unauthorized
+ *       409:
+ *         description: The video already has the maximum of 50 highlights (TOO_MANY_MARKERS)
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/videos/:id/markers', auth, validate(schemas.videoId), controller.getMarkers);
+router.post('/videos/:id/markers', auth, role('player'), validate(schemas.addMarker), controller.addMarker);
+
+/**
+ * @swagger
+ * /api/player/videos/{id}/markers/tags:
+ *   put:
+ *     summary: Replace the skill tags of one of the player's videos
+ *     tags: [Player, Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tags
+ *             properties:
+ *               tags:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                   enum: [finishing, dribbling, passing, crossing, heading, tackling, defending, goalkeeping, set_pieces, pace, vision]
+ *                 description: The complete set of tags; an empty list removes them all
+ *     responses:
+ *       200:
+ *         description: Tags saved
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only players can tag videos
+ *       404:
+ *         description: Video not found or unauthorized
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.put('/videos/:id/markers/tags', auth, role('player'), validate(schemas.setVideoTags), controller.setVideoTags);
+
+/**
+ * @swagger
+ * /api/player/videos/{id}/markers/{markerId}:
+ *   put:
+ *     summary: Change a highlight marker
+ *     tags: [Player, Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *       - in: path
+ *         name: markerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Marker ID
+ *     requestBody:
+ *       required: true
+ *       description: Same fields as when adding the marker; all are replaced
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - time
+ *               - label
+ *             properties:
+ *               time:
+ *                 oneOf:
+ *                   - type: number
+ *                   - type: string
+ *               label:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Highlight updated
+ *       400:
+ *         description: The time is past the end of the video (MARKER_OUT_OF_RANGE)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only players can change highlights
+ *       404:
+ *         description: Video or highlight not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *   delete:
+ *     summary: Remove a highlight marker
+ *     tags: [Player, Videos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Video ID
+ *       - in: path
+ *         name: markerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Marker ID
+ *     responses:
+ *       200:
+ *         description: Highlight deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only players can remove highlights
+ *       404:
+ *         description: Video or highlight not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.put('/videos/:id/markers/:markerId', auth, role('player'), validate(schemas.updateMarker), controller.updateMarker);
+router.delete('/videos/:id/markers/:markerId', auth, role('player'), validate(schemas.markerId), controller.deleteMarker);
+
+/**
+ * @swagger
+ * /api/player/showreels:
+ *   get:
+ *     summary: List the player's own showreels, the featured one first
+ *     tags: [Player, Showreels]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Showreels, including empty ones and videos awaiting review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Showreel'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only players have showreels
+ *   post:
+ *     summary: Create a showreel
+ *     tags: [Player, Showreels]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *               videoIds:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: integer
+ *                 description: The player's approved videos, in playing order
+ *               featured:
+ *                 type: boolean
+ *                 description: Pin this reel, unpinning any other
+ *     responses:
+ *       201:
+ *         description: Showreel created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 showreel:
+ *                   $ref: '#/components/schemas/Showreel'
+ *       400:
+ *         description: A video is not the player's or not approved (INVALID_SHOWREEL_VIDEOS, with details.videoIds)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only players have showreels
+ *       409:
+ *         description: The player already has the maximum of 10 showreels (TOO_MANY_SHOWREELS)
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/showreels', auth, role('player'), controller.getShowreels);
+router.post('/showreels', auth, role('player'), validate(schemas.createShowreel), controller.createShowreel);
+
+/**
+ * @swagger
+ * /api/player/showreels/{id}:
+ *   get:
+ *     summary: Get a showreel
+ *     tags: [Player, Showreels]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Showreel ID
+ *     responses:
+ *       200:
+ *         description: The showreel
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Showreel'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Showreel not found, or (for anyone but its owner) it has no approved videos
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *   put:
+ *     summary: Change a showreel's title and description, and pin or unpin it
+ *     tags: [Player, Showreels]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Showreel ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: Omit to clear it
+ *               featured:
+ *                 type: boolean
+ *                 description: Omit to leave the pin as it is
+ *     responses:
+ *       200:
+ *         description: Showreel updated
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only players have showreels
+ *       404:
+ *         description: Showreel not found or unauthorized
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *   delete:
+ *     summary: Delete a showreel (its videos are kept)
+ *     tags: [Player, Showreels]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Showreel ID
+ *     responses:
+ *       200:
+ *         description: Showreel deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only players have showreels
+ *       404:
+ *         description: Showreel not found or unauthorized
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.get('/showreels/:id', auth, validate(schemas.showreelId), controller.getShowreel);
+router.put('/showreels/:id', auth, role('player'), validate(schemas.updateShowreel), controller.updateShowreel);
+router.delete('/showreels/:id', auth, role('player'), validate(schemas.showreelId), controller.deleteShowreel);
+
+/**
+ * @swagger
+ * /api/player/showreels/{id}/videos:
+ *   put:
+ *     summary: Set a showreel's videos in playing order (add, remove or reorder)
+ *     tags: [Player, Showreels]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Showreel ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - videoIds
+ *             properties:
+ *               videoIds:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: integer
+ *                 description: The complete playlist; each video at most once
+ *     responses:
+ *       200:
+ *         description: Showreel videos updated
+ *       400:
+ *         description: A video is not the player's or not approved (INVALID_SHOWREEL_VIDEOS, with details.videoIds)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Only players have showreels
+ *       404:
+ *         description: Showreel not found or unauthorized
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ */
+router.put('/showreels/:id/videos', auth, role('player'), validate(schemas.setShowreelVideos), controller.setShowreelVideos);
 
 /**
  * @swagger
@@ -874,10 +1673,12 @@ router.get('/stats', auth, role('player'), controller.getPlayerStats);
  *         description: Unauthorized
  *       403:
  *         description: Only players can update performance stats
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Failed to update performance stats
  */
-router.post('/performance-stats', auth, role('player'), controller.updatePerformanceStats);
+router.post('/performance-stats', auth, role('player'), validate(schemas.performanceStats), controller.updatePerformanceStats);
 
 /**
  * @swagger
@@ -3,9 +3,10 @@ const router = express.Router();
 const controller = require('../controllers/scout.controller');
 const auth = require('../middlewares/auth.middleware');
 const role = require('../middlewares/role.middleware');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
+const verifiedScout = require('../middlewares/accreditation.middleware');
+const validate = require('../middlewares/validate.middleware');
+const schemas = require('../validators/scout.validator');
+const uploadService = require('../services/upload.service');
 
 /**
  * @swagger
@@ -60,40 +61,15 @@ const fs = require('fs');
  *           items:
  *             type: string
  *           description: Available clubs
+ *         skillTags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Skills videos can be tagged with, for the tag filter
  */
 
 // All scout routes require login and role: scout
 
-// Set up multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadDir = 'C:\\Users\\pc\\Desktop\\Pharaohs\\Pharaohs-Back-end\\uploads\\images';
-    // Ensure the directory exists
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    cb(null, Date.now() + '-' + Math.round(Math.random() * 1E9) + path.extname(file.originalname));
-  }
-});
-
-const upload = multer({
-  storage: storage,
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
-  fileFilter: function(req, file, cb) {
-    const filetypes = /jpeg|jpg|png|gif/;
-    const mimetype = filetypes.test(file.mimetype);
-    const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
-
-    if (mimetype && extname) {
-      return cb(null, true);
-    }
-    cb(new Error("Only image files are allowed!"));
-  }
-});
-
 /**
  * @swagger
  * /api/scout/tryouts:
@@ -130,8 +106,6 @@ const upload = multer({
  *     responses:
  *       201:
  *         description: Tryout created successfully
- *       400:
- *         description: All fields required
  *       401:
  *         description: Unauthorized
  *       403:
@@ -203,12 +177,12 @@ const upload = multer({
  *     responses:
  *       200:
  *         description: Tryout updated successfully
- *       400:
- *         description: All fields required
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Not a scout or not the owner of this tryout
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Error updating tryout
  *   delete:
@@ -230,13 +204,15 @@ const upload = multer({
  *         description: Unauthorized
  *       403:
  *         description: Not a scout or not the owner of this tryout
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Error deleting tryout
  */
-router.post('/tryouts', auth, role('scout'), controller.createTryoutWithTime);
+router.post('/tryouts', auth, role('scout'), validate(schemas.createTryout), controller.createTryoutWithTime);
 router.get('/tryouts', auth, role('scout'), controller.getTryouts);
-router.put('/tryouts/:tryoutId', auth, role('scout'), controller.updateTryout);
-router.delete('/tryouts/:tryoutId', auth, role('scout'), controller.deleteTryout);
+router.put('/tryouts/:tryoutId', auth, role('scout'), validate(schemas.updateTryout), controller.updateTryout);
+router.delete('/tryouts/:tryoutId', auth, role('scout'), validate(schemas.tryoutId), controller.deleteTryout);
 
 /**
  * @swagger
@@ -265,18 +241,18 @@ router.delete('/tryouts/:tryoutId', auth, role('scout'), controller.deleteTryout
  *     responses:
  *       201:
  *         description: Player invited successfully
- *       400:
- *         description: Tryout and Player IDs are required
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Not a scout or not the owner of this tryout
+ *         description: Not a scout, email not verified, scout not accredited, or not the owner of this tryout
  *       409:
  *         description: Player already invited to this tryout
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Invitation failed
  */
-router.post('/invite', auth, role('scout'), controller.invitePlayer);
+router.post('/invite', auth, role('scout'), auth.requireVerifiedEmail, verifiedScout, validate(schemas.invitePlayer), controller.invitePlayer);
 
 /**
  * @swagger
@@ -302,10 +278,12 @@ router.post('/invite', auth, role('scout'), controller.invitePlayer);
  *         description: Not a scout or not the owner of this invitation
  *       404:
  *         description: Invitation not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Error canceling invitation
  */
-router.delete('/invitations/:invitationId', auth, role('scout'), controller.cancelInvitation);
+router.delete('/invitations/:invitationId', auth, role('scout'), validate(schemas.invitationId), controller.cancelInvitation);
 
 /**
  * @swagger
@@ -330,14 +308,14 @@ router.delete('/invitations/:invitationId', auth, role('scout'), controller.canc
  *     responses:
  *       201:
  *         description: Player added to shortlist
- *       400:
- *         description: Player ID is required
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Not a scout
+ *         description: Not a scout, email not verified, or scout not accredited
  *       409:
  *         description: Player already shortlisted
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Server error
  *   get:
@@ -361,7 +339,7 @@ router.delete('/invitations/:invitationId', auth, role('scout'), controller.canc
  *       500:
  *         description: Failed to load shortlist
  */
-router.post('/shortlist', auth, role('scout'), controller.addToShortlist);
+router.post('/shortlist', auth, role('scout'), auth.requireVerifiedEmail, verifiedScout, validate(schemas.addToShortlist), controller.addToShortlist);
 router.get('/shortlist', auth, role('scout'), controller.getShortlist);
 
 /**
@@ -386,10 +364,12 @@ router.get('/shortlist', auth, role('scout'), controller.getShortlist);
  *         description: Unauthorized
  *       403:
  *         description: Not a scout
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Failed to remove player
  */
-router.delete('/shortlist/:playerId', auth, role('scout'), controller.removeFromShortlist);
+router.delete('/shortlist/:playerId', auth, role('scout'), validate(schemas.playerId), controller.removeFromShortlist);
 
 /**
  * @swagger
@@ -431,6 +411,13 @@ router.delete('/shortlist/:playerId', auth, role('scout'), controller.removeFrom
  *           type: boolean
  *         description: Filter players who have uploaded videos
  *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *           enum: [finishing, dribbling, passing, crossing, heading, tackling, defending, goalkeeping, set_pieces, pace, vision]
+ *         description: >
+ *           Only players with an approved video tagged with this skill or with a highlight marker of it
+ *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
@@ -461,10 +448,12 @@ router.delete('/shortlist/:playerId', auth, role('scout'), controller.removeFrom
  *         description: Unauthorized
  *       403:
  *         description: Not a scout
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Server error during search
  */
-router.get('/search', auth, role('scout'), controller.searchPlayers);
+router.get('/search', auth, role('scout'), validate(schemas.searchPlayers), controller.searchPlayers);
 
 /**
  * @swagger
@@ -533,6 +522,8 @@ router.get('/locations', auth, role('scout'), controller.getLocations);
  *         description: Not a scout
  *       404:
  *         description: Profile not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Failed to fetch profile
  *   put:
@@ -574,7 +565,7 @@ router.get('/locations', auth, role('scout'), controller.getLocations);
  *         description: Failed to update profile
  */
 router.get('/profile', auth, role('scout'), controller.getProfile);
-router.put('/profile', auth, role('scout'), upload.single('profileImage'), controller.updateScoutProfile);
+router.put('/profile', auth, role('scout'), uploadService.single('profileImage'), validate(schemas.profile), controller.updateScoutProfile);
 
 /**
  * @swagger
@@ -596,6 +587,85 @@ router.put('/profile', auth, role('scout'), upload.single('profileImage'), contr
  */
 router.delete('/profile/picture', auth, role('scout'), controller.deleteProfilePicture);
 
+/**
+ * @swagger
+ * /api/scout/verification:
+ *   post:
+ *     summary: Submit scout accreditation for admin review
+ *     description: Until an admin approves the accreditation, the scout cannot invite or shortlist players.
+ *     tags: [Scout]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - organization
+ *               - document
+ *             properties:
+ *               organization:
+ *                 type: string
+ *                 description: Club, academy or agency the scout works for
+ *               job_title:
+ *                 type: string
+ *               license_number:
+ *                 type: string
+ *                 description: Federation or agency licence number, if any
+ *               website:
+ *                 type: string
+ *               document:
+ *                 type: string
+ *                 format: binary
+ *                 description: Supporting document (PDF, JPEG or PNG, max 10MB)
+ *     responses:
+ *       201:
+ *         description: Accreditation submitted for review
+ *       400:
+ *         description: Document missing, or already verified
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a scout
+ *       409:
+ *         description: Accreditation already awaiting review
+ *       415:
+ *         description: Invalid document type
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       500:
+ *         description: Failed to submit accreditation
+ *   get:
+ *     summary: Get the scout's accreditation status
+ *     tags: [Scout]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Accreditation status and latest submission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 verificationStatus:
+ *                   type: string
+ *                   enum: [unverified, pending_verification, verified, rejected]
+ *                 latestSubmission:
+ *                   type: object
+ *                   nullable: true
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a scout
+ *       500:
+ *         description: Failed to load accreditation status
+ */
+router.post('/verification', auth, role('scout'), uploadService.documents.single('document'), validate(schemas.submitVerification), controller.submitVerification, uploadService.handleError);
+router.get('/verification', auth, role('scout'), controller.getVerificationStatus);
+
 /**
  * @swagger
  * /api/scout/debug-players:
@@ -635,10 +705,12 @@ router.get('/debug-players', auth, role('scout'), controller.debugPlayerData);
  *         description: Scout profile data
  *       404:
  *         description: Scout not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Failed to fetch profile
  */
-router.get('/public-profile/:scoutId', controller.getPublicScoutProfile);
+router.get('/public-profile/:scoutId', validate(schemas.scoutId), controller.getPublicScoutProfile);
 
 /**
  * @swagger
@@ -658,9 +730,11 @@ router.get('/public-profile/:scoutId', controller.getPublicScoutProfile);
  *         description: List of tryouts
  *       404:
  *         description: Scout not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationFailed'
  *       500:
  *         description: Failed to fetch tryouts
  */
-router.get('/public-tryouts/:scoutId', controller.getPublicScoutTryouts);
+router.get('/public-tryouts/:scoutId', validate(schemas.scoutId), controller.getPublicScoutTryouts);
 
 module.exports = router;
@@ -0,0 +1,178 @@
+const db = require('../config/db');
+const storageService = require('./storage.service');
+const dataExportService = require('./dataExport.service');
+const { resourceTypeFromUrl } = require('../utils/media.util');
+const logger = require('../utils/logger').child({ module: 'AccountService' });
+
+// Delete assets after the transaction has committed; failures are logged, never thrown
+const queueAssetDeletion = (assets) => {
+  if (!assets.length) return;
+
+  setImmediate(async () => {
+    const results = await Promise.allSettled(
+      assets.map(asset => storageService.delete(asset.publicId, { resourceType: asset.resourceType, access: asset.access }))
+    );
+
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        logger.warn('Could not delete asset', { publicId: assets[i].publicId, error: result.reason.message });
+      }
+    });
+  });
+};
+
+/**
+ * Account removal spanning every table that references a user
+ */
+const accountService = {
+  /**
+   * Delete a user and everything they own inside one transaction, then queue
+   * their stored media files for deletion and record an audit entry.
+   *
+   * Rows are removed explicitly rather than relying on foreign-key cascades,
+   * which databases created before the migrations may not have.
+   * @param {number} userId - Account to delete
+   * @param {Object} context - { actorId, ipAddress } of whoever requested the deletion
+   * @returns {Promise<Object|null>} { role, removed, anonymized, assets } summary, or null if the user does not exist
+   */
+  deleteAccount: async (userId, { actorId, ipAddress }) => {
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [users] = await connection.query('SELECT id, role FROM users WHERE id = ? FOR UPDATE', [userId]);
+      if (!users.length) {
+        await connection.rollback();
+        return null;
+      }
+
+      // Collect stored assets before the rows that reference them disappear
+      const assets = [];
+
+      const [videos] = await connection.query(
+        'SELECT id, public_id, type FROM videos WHERE player_id = ?',
+        [userId]
+      );
+      videos.filter(v => v.public_id).forEach(v => assets.push({
+        publicId: v.public_id,
+        resourceType: v.type === 'image' ? 'image' : 'video'
+      }));
+
+      const [profileImages] = await connection.query(`
+        SELECT public_id FROM player_profiles WHERE user_id = ? AND public_id IS NOT NULL
+        UNION ALL
+        SELECT public_id FROM scout_profiles WHERE user_id = ? AND public_id IS NOT NULL
+      `, [userId, userId]);
+      profileImages.forEach(p => assets.push({ publicId: p.public_id, resourceType: 'image' }));
+
+      const [documents] = await connection.query(
+        'SELECT document_url, document_public_id FROM scout_verifications WHERE scout_id = ? AND document_public_id IS NOT NULL',
+        [userId]
+      );
+      documents.forEach(d => assets.push({
+        publicId: d.document_public_id,
+        resourceType: resourceTypeFromUrl(d.document_url),
+        access: 'private'
+      }));
+
+      // Finished but never completed uploads are deleted like videos; partial ones are discarded
+      const [uploads] = await connection.query(
+        "SELECT storage_key, storage_state FROM upload_sessions WHERE player_id = ? AND status IN ('uploading', 'uploaded')",
+        [userId]
+      );
+      uploads.filter(u => u.storage_key).forEach(u => assets.push({ publicId: u.storage_key, resourceType: 'video' }));
+      const partialUploads = uploads.filter(u => !u.storage_key).map(u => JSON.parse(u.storage_state));
+
+      const [exportFiles] = await connection.query(
+        'SELECT file_path FROM data_exports WHERE user_id = ? AND file_path IS NOT NULL',
+        [userId]
+      );
+
+      const videoIds = videos.map(v => v.id);
+      const removed = {};
+      const remove = async (key, sql, params) => {
+        const [result] = await connection.query(sql, params);
+        removed[key] = (removed[key] || 0) + result.affectedRows;
+      };
+
+      // Activity on the user's own media, then the user's activity elsewhere
+      if (videoIds.length) {
+        await remove('likes', 'DELETE FROM likes WHERE video_id IN (?)', [videoIds]);
+        await remove('comments', 'DELETE FROM comments WHERE video_id IN (?)', [videoIds]);
+        await remove('videoMarkers', 'DELETE FROM video_markers WHERE video_id IN (?)', [videoIds]);
+        await remove('videoTags', 'DELETE FROM video_tags WHERE video_id IN (?)', [videoIds]);
+      }
+      await remove('likes', 'DELETE FROM likes WHERE user_id = ?', [userId]);
+      await remove('comments', 'DELETE FROM comments WHERE user_id = ?', [userId]);
+      await remove('uploadSessions', 'DELETE FROM upload_sessions WHERE player_id = ?', [userId]);
+      await remove('showreels', 'DELETE FROM showreels WHERE player_id = ?', [userId]);
+      await remove('videos', 'DELETE FROM videos WHERE player_id = ?', [userId]);
+
+      // Tryouts the user ran, and invitations sent to or by them
+      await remove('invitations', `
+        DELETE i FROM invitations i
+        JOIN tryouts t ON i.tryout_id = t.id
+        WHERE t.scout_id = ?
+      `, [userId]);
+      await remove('invitations', 'DELETE FROM invitations WHERE player_id = ?', [userId]);
+      await remove('tryouts', 'DELETE FROM tryouts WHERE scout_id = ?', [userId]);
+      await remove('shortlists', 'DELETE FROM shortlists WHERE scout_id = ? OR player_id = ?', [userId, userId]);
+
+      await remove('playerStats', 'DELETE FROM player_stats WHERE player_id = ?', [userId]);
+      await remove('playerProfiles', 'DELETE FROM player_profiles WHERE user_id = ?', [userId]);
+      await remove('scoutProfiles', 'DELETE FROM scout_profiles WHERE user_id = ?', [userId]);
+      await remove('scoutVerifications', 'DELETE FROM scout_verifications WHERE scout_id = ?', [userId]);
+      await remove('notifications', 'DELETE FROM notifications WHERE user_id = ?', [userId]);
+      await remove('dataExports', 'DELETE FROM data_exports WHERE user_id = ?', [userId]);
+
+      // Credentials and sessions
+      await remove('sessions', 'DELETE FROM sessions WHERE user_id = ?', [userId]);
+      await remove('refreshTokens', 'DELETE FROM refresh_tokens WHERE user_id = ?', [userId]);
+      await remove('passwordResets', 'DELETE FROM password_resets WHERE user_id = ?', [userId]);
+      await remove('recoveryCodes', 'DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+
+      // Records other people rely on are kept but no longer point at the user
+      const [reviews] = await connection.query(
+        'UPDATE scout_verifications SET reviewed_by = NULL WHERE reviewed_by = ?',
+        [userId]
+      );
+      const [videoReviews] = await connection.query(
+        'UPDATE videos SET reviewed_by = NULL WHERE reviewed_by = ?',
+        [userId]
+      );
+      const [logs] = await connection.query('UPDATE system_logs SET user_id = NULL WHERE user_id = ?', [userId]);
+      const anonymized = {
+        reviews: reviews.affectedRows,
+        videoReviews: videoReviews.affectedRows,
+        systemLogs: logs.affectedRows
+      };
+
+      await connection.query('DELETE FROM users WHERE id = ?', [userId]);
+
+      const summary = { role: users[0].role, removed, anonymized, assets: assets.length };
+
+      // The audit entry is written in the same transaction so it exists exactly when the deletion does
+      await connection.query(
+        'INSERT INTO system_logs (user_id, action, entity_type, entity_id, details, ip_address) VALUES (?, ?, ?, ?, ?, ?)',
+        [actorId === userId ? null : actorId, 'ACCOUNT_DELETED', 'user', userId, JSON.stringify(summary), ipAddress]
+      );
+
+      await connection.commit();
+
+      queueAssetDeletion(assets);
+      for (const state of partialUploads) await storageService.abortUpload(state);
+      for (const file of exportFiles) await dataExportService.removeFile(file.file_path);
+      logger.info('Deleted user', { userId, assetsQueued: assets.length });
+
+      return summary;
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+  }
+};
+
+module.exports = accountService;
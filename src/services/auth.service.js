@@ -19,11 +19,16 @@
  *           description: Expiration timestamp
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const jwtConfig = require('../config/jwt');
+const { env } = require('../config');
 const db = require('../config/db');
 
+// Password reset links stay valid for this many minutes
+const PASSWORD_RESET_EXPIRES_MINUTES = env.PASSWORD_RESET_EXPIRES_MINUTES;
+
 /**
  * Authentication service for handling user authentication and token operations
  */
@@ -31,27 +36,81 @@ const authService = {
   /**
    * Generate JWT token for user
    * @param {Object} user - User object with id, name, email, role
+   * @param {string} [sessionId] - Device session the token belongs to
    * @returns {string} JWT token
    */
-  generateToken: (user) => {
+  generateToken: (user, sessionId) => {
     const payload = {
       id: user.id,
       role: user.role
     };
+    // Ties the access token to a device session so it dies when the session is revoked
+    if (sessionId) payload.sid = sessionId;
     return jwt.sign(payload, jwtConfig.secret, { expiresIn: jwtConfig.expiresIn });
   },
 
   /**
    * Generate refresh token
    * @param {Object} user - User object with id
+   * @param {string} [familyId] - Token family (one per signed-in device) the token belongs to
    * @returns {string} Refresh token
    */
-  generateRefreshToken: (user) => {
+  generateRefreshToken: (user, familyId) => {
+    const payload = {
+      id: user.id,
+      type: 'refresh',
+      fam: familyId
+    };
+    return jwt.sign(payload, jwtConfig.secret, {
+      expiresIn: jwtConfig.refreshToken.expiresIn,
+      jwtid: crypto.randomUUID()
+    });
+  },
+
+  /**
+   * Generate a signed email verification token
+   * @param {Object} user - User object with id and email
+   * @returns {string} Verification token
+   */
+  generateEmailVerificationToken: (user) => {
+    const payload = {
+      id: user.id,
+      email: user.email,
+      type: 'email_verification'
+    };
+    return jwt.sign(payload, jwtConfig.secret, { expiresIn: jwtConfig.emailVerification.expiresIn });
+  },
+
+  /**
+   * Generate a short-lived token for the second step of a two-factor login
+   * @param {Object} user - User object with id and role
+   * @param {string} type - '2fa_challenge' (code required) or '2fa_enrollment' (admin must enrol first)
+   * @returns {string} Challenge token
+   */
+  generateTwoFactorToken: (user, type) => {
     const payload = {
       id: user.id,
-      type: 'refresh'
+      role: user.role,
+      type
+    };
+    return jwt.sign(payload, jwtConfig.secret, { expiresIn: jwtConfig.twoFactorChallenge.expiresIn });
+  },
+
+  /**
+   * Generate a signed download link token for a personal data export
+   * @param {number} userId - Export owner's user ID
+   * @param {string} exportId - Export ID
+   * @param {Date} expiresAt - When the archive expires; the token expires with it
+   * @returns {string} Download token
+   */
+  generateDataExportToken: (userId, exportId, expiresAt) => {
+    const payload = {
+      id: userId,
+      exportId,
+      type: 'data_export',
+      exp: Math.floor(new Date(expiresAt).getTime() / 1000)
     };
-    return jwt.sign(payload, jwtConfig.secret, { expiresIn: jwtConfig.refreshToken.expiresIn });
+    return jwt.sign(payload, jwtConfig.secret);
   },
 
   /**
@@ -86,6 +145,62 @@ const authService = {
     return await bcrypt.compare(password, hash);
   },
 
+  /**
+   * Hash an opaque token (refresh or reset token) for storage
+   * @param {string} token - Token value
+   * @returns {string} Hex-encoded SHA-256 digest
+   */
+  hashToken: (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  },
+
+  /**
+   * Password reset link lifetime in minutes
+   */
+  passwordResetExpiresMinutes: PASSWORD_RESET_EXPIRES_MINUTES,
+
+  /**
+   * Create a single-use password reset token, invalidating any earlier ones
+   * @param {number} userId - User ID
+   * @returns {Promise<string>} Plain reset token (only its hash is stored)
+   */
+  createPasswordResetToken: async (userId) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000);
+
+    await db.query(
+      'UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+      [userId]
+    );
+    await db.query(
+      'INSERT INTO password_resets (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+      [userId, authService.hashToken(token), expiresAt]
+    );
+
+    return token;
+  },
+
+  /**
+   * Consume a password reset token
+   * @param {string} token - Plain reset token
+   * @returns {Promise<number|null>} ID of the user the token belongs to, or null if invalid, expired or used
+   */
+  consumePasswordResetToken: async (token) => {
+    const [rows] = await db.query(
+      'SELECT id, user_id FROM password_resets WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()',
+      [authService.hashToken(token)]
+    );
+    if (!rows.length) return null;
+
+    // Mark as used atomically so the same link cannot be redeemed twice
+    const [result] = await db.query(
+      'UPDATE password_resets SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+      [rows[0].id]
+    );
+
+    return result.affectedRows ? rows[0].user_id : null;
+  },
+
   /**
    * Get user by email
    * @param {string} email - User email
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { env } = require('../config');
+const { getFullUrl } = require('../utils/url.util');
+const { mediaHighlights } = require('../utils/media.util');
+const logger = require('../utils/logger').child({ module: 'DataExport' });
+const UserRepository = require('../repositories/user.repository');
+const PlayerRepository = require('../repositories/player.repository');
+const ScoutRepository = require('../repositories/scout.repository');
+const MediaRepository = require('../repositories/media.repository');
+const TryoutRepository = require('../repositories/tryout.repository');
+const InvitationRepository = require('../repositories/invitation.repository');
+const ShortlistRepository = require('../repositories/shortlist.repository');
+const NotificationRepository = require('../repositories/notification.repository');
+const showreelService = require('./showreel.service');
+const DataExportRepository = require('../repositories/dataExport.repository');
+
+// Archives are written here and removed once their download link expires
+const EXPORT_DIR = env.DATA_EXPORT_DIR;
+
+// How long a finished archive can be downloaded
+const DATA_EXPORT_EXPIRES_HOURS = env.DATA_EXPORT_EXPIRES_HOURS;
+
+// A pending export older than this is assumed lost (e.g. the server restarted) and may be requested again
+const ACTIVE_EXPORT_MAX_MINUTES = 30;
+
+// Nested values (a reel's videos, a video's markers and tags) are written as JSON
+const formatCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render rows as CSV, using the union of their keys as the header
+ * @param {Array<Object>} rows - Objects; array and object values become JSON cells
+ * @returns {string} CSV text (header only when there are no rows)
+ */
+const toCsv = (rows) => {
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const lines = [columns.join(',')];
+  rows.forEach(row => lines.push(columns.map(column => formatCsvValue(row[column])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+};
+
+// Write the archive and resolve with its size once the file is fully flushed
+const writeArchive = (filePath, data) => new Promise((resolve, reject) => {
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  output.on('close', () => resolve(archive.pointer()));
+  archive.on('error', reject);
+  archive.pipe(output);
+
+  archive.append(JSON.stringify(data, null, 2), { name: 'data.json' });
+  Object.entries(data).forEach(([section, value]) => {
+    if (section === 'exportedAt') return;
+    const rows = Array.isArray(value) ? value : (value ? [value] : []);
+    archive.append(toCsv(rows), { name: `${section}.csv` });
+  });
+
+  archive.finalize();
+});
+
+/**
+ * Personal data exports ("download my data")
+ */
+const dataExportService = {
+  /**
+   * Render a section's rows as its CSV file in the archive
+   * @param {Array<Object>} rows - Rows of one section
+   * @returns {string} CSV text
+   */
+  toCsv,
+
+  /**
+   * Gather everything stored about a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} Sections keyed by name; each is an object or an array of rows
+   */
+  collectUserData: async (userId) => {
+    const user = await UserRepository.findById(userId);
+    const isPlayer = user.role === 'player';
+    const isScout = user.role === 'scout';
+
+    let profile = { ...user };
+    if (isPlayer) {
+      const playerProfile = await PlayerRepository.findProfile(userId);
+      if (playerProfile) {
+        profile = {
+          ...profile,
+          position: playerProfile.position,
+          club: playerProfile.club,
+          bio: playerProfile.bio,
+          date_of_birth: playerProfile.date_of_birth,
+          rating: playerProfile.rating,
+          profile_image: playerProfile.profile_image ? getFullUrl(playerProfile.profile_image) : null
+        };
+      }
+    } else if (isScout) {
+      const scoutProfile = await ScoutRepository.findProfile(userId);
+      if (scoutProfile) {
+        profile = {
+          ...profile,
+          organization: scoutProfile.organization,
+          phone: scoutProfile.phone,
+          verification_status: scoutProfile.verification_status,
+          profile_image: scoutProfile.profile_image ? getFullUrl(scoutProfile.profile_image) : null
+        };
+      }
+    }
+
+    const videos = isPlayer ? await MediaRepository.findByPlayer(userId) : [];
+    const highlights = await MediaRepository.findHighlights(videos.map(v => v.id));
+
+    return {
+      exportedAt: new Date().toISOString(),
+      profile,
+      player_stats: isPlayer ? await PlayerRepository.findStats(userId) : null,
+      videos: videos.map(v => ({
+        id: v.id,
+        type: v.type,
+        description: v.description,
+        url: getFullUrl(v.url),
+        created_at: v.created_at,
+        ...mediaHighlights(highlights.get(v.id))
+      })),
+      showreels: isPlayer ? await showreelService.list(userId, { owner: true }) : [],
+      comments: await MediaRepository.findCommentsByUser(userId),
+      likes: await MediaRepository.findLikesByUser(userId),
+      tryouts: isScout ? await TryoutRepository.findByScout(userId) : [],
+      invitations: isPlayer
+        ? await InvitationRepository.findForPlayer(userId)
+        : isScout ? await InvitationRepository.findForScout(userId) : [],
+      shortlists: isPlayer
+        ? await ShortlistRepository.findScoutsForPlayer(userId)
+        : isScout ? await ShortlistRepository.findPlayers(userId) : [],
+      notifications: await NotificationRepository.findByUser(userId)
+    };
+  },
+
+  /**
+   * Start generating an export, or return the one already in progress
+   * @param {number} userId - Requesting user's ID
+   * @returns {Promise<{id: string, status: string, created: boolean}>} Export reference
+   */
+  requestExport: async (userId) => {
+    await dataExportService.purgeExpired();
+
+    const active = await DataExportRepository.findActive(userId, ACTIVE_EXPORT_MAX_MINUTES);
+    if (active) return { id: active.id, status: active.status, created: false };
+
+    const id = crypto.randomUUID();
+    await DataExportRepository.create(id, userId);
+
+    setImmediate(() => dataExportService.generate(id, userId));
+
+    return { id, status: 'pending', created: true };
+  },
+
+  /**
+   * Build the archive for an export request. Runs in the background; failures
+   * are recorded on the export rather than thrown.
+   * @param {string} id - Export ID
+   * @param {number} userId - Owner's user ID
+   * @returns {Promise<void>}
+   */
+  generate: async (id, userId) => {
+    try {
+      await DataExportRepository.updateStatus(id, 'processing');
+
+      const data = await dataExportService.collectUserData(userId);
+
+      await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+      const filePath = path.join(EXPORT_DIR, `${id}.zip`);
+      const fileSize = await writeArchive(filePath, data);
+
+      const expiresAt = new Date(Date.now() + DATA_EXPORT_EXPIRES_HOURS * 60 * 60 * 1000);
+      await DataExportRepository.updateStatus(id, 'ready', { filePath, fileSize, expiresAt });
+
+      logger.info('Export ready', { exportId: id, userId, fileSize });
+    } catch (err) {
+      logger.error('Export failed', { exportId: id, userId, err });
+      try {
+        await DataExportRepository.updateStatus(id, 'failed', { error: err.message.slice(0, 255) });
+      } catch (updateErr) {
+        logger.error('Could not mark export as failed', { exportId: id, error: updateErr.message });
+      }
+    }
+  },
+
+  /**
+   * Delete archives whose download window has closed and mark them expired
+   * @returns {Promise<number>} Number of exports expired
+   */
+  purgeExpired: async () => {
+    const expired = await DataExportRepository.findExpired();
+
+    for (const item of expired) {
+      await dataExportService.removeFile(item.file_path);
+      await DataExportRepository.updateStatus(item.id, 'expired');
+    }
+
+    return expired.length;
+  },
+
+  /**
+   * Delete an archive file, ignoring one that is already gone
+   * @param {string} filePath - Archive path
+   * @returns {Promise<void>}
+   */
+  removeFile: async (filePath) => {
+    if (!filePath) return;
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') logger.warn('Could not delete export file', { filePath, error: err.message });
+    }
+  }
+};
+
+module.exports = dataExportService;
@@ -0,0 +1,94 @@
+const db = require('../config/db');
+const storageService = require('./storage.service');
+const logger = require('../utils/logger').child({ module: 'HealthService' });
+
+// A dependency that takes longer than this to answer counts as down
+const CHECK_TIMEOUT_MS = 3000;
+
+// Cloudinary's Admin API is rate limited per hour, so its result is reused for a while
+const STORAGE_CHECK_TTL_MS = 60 * 1000;
+
+let shuttingDown = false;
+let storageCheck = null;
+
+// Reject if `promise` has not settled within CHECK_TIMEOUT_MS
+const withTimeout = (promise) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Run one check and report { status, latencyMs } or { status, error }
+const runCheck = async (name, check) => {
+  const startedAt = Date.now();
+  try {
+    await withTimeout(check());
+    return { status: 'ok', latencyMs: Date.now() - startedAt };
+  } catch (err) {
+    logger.warn('Health check failed', { check: name, error: err.message });
+    return { status: 'down', error: err.message };
+  }
+};
+
+/**
+ * Liveness and readiness of the API and the services it depends on
+ */
+const healthService = {
+  /**
+   * Report whether the process is up; never touches a dependency
+   * @returns {Object} { status, uptime }
+   */
+  getLiveness: () => ({
+    status: 'ok',
+    uptime: Math.round(process.uptime())
+  }),
+
+  /**
+   * Check the database and media storage
+   * Not ready while shutting down, so the load balancer stops sending traffic
+   * @returns {Promise<Object>} { ready, status, checks: { database, storage } }
+   */
+  getReadiness: async () => {
+    const [database, storage] = await Promise.all([
+      runCheck('database', () => db.query('SELECT 1')),
+      healthService.checkStorage()
+    ]);
+
+    const ready = !shuttingDown && database.status === 'ok' && storage.status === 'ok';
+    return {
+      ready,
+      status: shuttingDown ? 'shutting_down' : ready ? 'ok' : 'unavailable',
+      checks: { database, storage }
+    };
+  },
+
+  /**
+   * Check media storage (Cloudinary, or the local storage directory), reusing a recent result
+   * @returns {Promise<Object>} { status, latencyMs } or { status, error }
+   */
+  checkStorage: async () => {
+    if (!storageCheck || Date.now() - storageCheck.checkedAt > STORAGE_CHECK_TTL_MS) {
+      storageCheck = {
+        checkedAt: Date.now(),
+        result: runCheck('storage', () => storageService.ping())
+      };
+    }
+    return storageCheck.result;
+  },
+
+  /**
+   * Mark the server as shutting down; readiness fails from now on
+   */
+  startShutdown: () => {
+    shuttingDown = true;
+  },
+
+  /**
+   * @returns {boolean} True once shutdown has started
+   */
+  isShuttingDown: () => shuttingDown
+};
+
+module.exports = healthService;
@@ -0,0 +1,134 @@
+const db = require('../config/db');
+const { env } = require('../config');
+const logger = require('../utils/logger').child({ module: 'LockoutService' });
+
+// An account is locked each time its consecutive failures reach a multiple of this
+const MAX_FAILED_LOGINS = env.MAX_FAILED_LOGINS;
+
+// First lockout lasts this long; every further lockout doubles it, up to the cap
+const LOCKOUT_BASE_MINUTES = env.LOCKOUT_BASE_MINUTES;
+const LOCKOUT_MAX_MINUTES = 24 * 60;
+
+// Record an authentication event in system_logs (failures must never break login)
+const logSecurityEvent = async (userId, action, details, ipAddress) => {
+  try {
+    await db.query(
+      'INSERT INTO system_logs (user_id, action, entity_type, entity_id, details, ip_address) VALUES (?, ?, ?, ?, ?, ?)',
+      [userId, action, 'user', userId, details, ipAddress]
+    );
+  } catch (err) {
+    logger.warn('Could not write system log', { action, error: err.message });
+  }
+};
+
+/**
+ * Progressive account lockout after repeated failed logins
+ */
+const lockoutService = {
+  /**
+   * Check whether an account is currently locked
+   * @param {Object} user - User row including locked_until
+   * @returns {Date|null} When the lock expires, or null if not locked
+   */
+  getActiveLock: (user) => {
+    if (!user.locked_until) return null;
+    const lockedUntil = new Date(user.locked_until);
+    return lockedUntil > new Date() ? lockedUntil : null;
+  },
+
+  /**
+   * Register a failed password attempt and lock the account when the threshold is hit
+   * @param {Object} user - User row
+   * @param {string} ipAddress - Client IP
+   * @returns {Promise<Date|null>} When the new lock expires, or null if the account was not locked
+   */
+  recordFailedLogin: async (user, ipAddress) => {
+    // Counted in SQL, and read back under the same row lock, so concurrent failures
+    // each see their own count and none of them skips the lockout threshold
+    const connection = await db.getConnection();
+    let attempts;
+    let lockedUntil = null;
+
+    try {
+      await connection.beginTransaction();
+      await connection.query(
+        'UPDATE users SET failed_login_attempts = failed_login_attempts + 1 WHERE id = ?',
+        [user.id]
+      );
+      [[{ failed_login_attempts: attempts }]] = await connection.query(
+        'SELECT failed_login_attempts FROM users WHERE id = ?',
+        [user.id]
+      );
+
+      if (attempts % MAX_FAILED_LOGINS === 0) {
+        const lockoutNumber = attempts / MAX_FAILED_LOGINS;
+        const minutes = Math.min(LOCKOUT_BASE_MINUTES * 2 ** (lockoutNumber - 1), LOCKOUT_MAX_MINUTES);
+        lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+        await connection.query('UPDATE users SET locked_until = ? WHERE id = ?', [lockedUntil, user.id]);
+      }
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+
+    await logSecurityEvent(user.id, 'LOGIN_FAILED', `Failed login attempt ${attempts}`, ipAddress);
+
+    if (lockedUntil) {
+      logger.warn('Locked account after repeated failed logins', { userId: user.id, lockedUntil, attempts });
+      await logSecurityEvent(
+        user.id,
+        'ACCOUNT_LOCKED',
+        `Locked until ${lockedUntil.toISOString()} after ${attempts} failed login attempts`,
+        ipAddress
+      );
+    }
+
+    return lockedUntil;
+  },
+
+  /**
+   * Reset the failure counter after a successful login
+   * @param {Object} user - User row including failed_login_attempts
+   * @returns {Promise<void>}
+   */
+  recordSuccessfulLogin: async (user) => {
+    if (!user.failed_login_attempts && !user.locked_until) return;
+
+    await db.query(
+      'UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?',
+      [user.id]
+    );
+  },
+
+  /**
+   * List accounts that are locked right now
+   * @returns {Promise<Object[]>} Locked users
+   */
+  getLockedAccounts: async () => {
+    const [users] = await db.query(`
+      SELECT id, name, email, role, status, failed_login_attempts, locked_until
+      FROM users
+      WHERE locked_until IS NOT NULL AND locked_until > NOW()
+      ORDER BY locked_until DESC
+    `);
+    return users;
+  },
+
+  /**
+   * Clear the lock and failure counter of an account
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} True if the user exists
+   */
+  unlockAccount: async (userId) => {
+    const [result] = await db.query(
+      'UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?',
+      [userId]
+    );
+    return result.affectedRows > 0;
+  }
+};
+
+module.exports = lockoutService;
@@ -0,0 +1,110 @@
+const nodemailer = require('nodemailer');
+const { env } = require('../config');
+const logger = require('../utils/logger').child({ module: 'Mail' });
+
+// Build the default transport from the environment. With SMTP_HOST set, mail goes
+// to that server (a real relay in production, or a local catcher such as MailHog
+// on localhost:1025 in development and tests). Without it, messages are rendered
+// to JSON and logged instead of being sent.
+const createTransportFromEnv = () => {
+  if (env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT,
+      secure: env.SMTP_SECURE,
+      auth: env.SMTP_USER
+        ? { user: env.SMTP_USER, pass: env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  return nodemailer.createTransport({ jsonTransport: true });
+};
+
+let transport = createTransportFromEnv();
+
+// User-supplied values (names) are interpolated into HTML bodies
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+logger.info(`Transport: ${env.SMTP_HOST ? `SMTP ${env.SMTP_HOST}` : 'log only'}`);
+
+/**
+ * Replace the mail transport (e.g. with a stub in tests)
+ * @param {Object} customTransport - Any object exposing nodemailer's sendMail(message)
+ */
+exports.setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} Transport response
+ */
+exports.sendMail = async ({ to, subject, text, html }) => {
+  const info = await transport.sendMail({
+    from: env.MAIL_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (!env.SMTP_HOST) {
+    logger.info('Not sent (no SMTP_HOST)', { subject, to });
+  }
+
+  return info;
+};
+
+/**
+ * Send an email address verification link
+ * @param {string} to - Recipient email
+ * @param {string} name - Recipient name
+ * @param {string} verifyUrl - Link containing the verification token
+ * @returns {Promise<Object>} Transport response
+ */
+exports.sendVerificationEmail = async (to, name, verifyUrl) => {
+  return exports.sendMail({
+    to,
+    subject: 'Verify your Pharaohs email address',
+    text: `Hi ${name},\n\nWelcome to Pharaohs! Please confirm your email address by opening the link below:\n\n${verifyUrl}\n\nUntil your email is verified you won't be able to upload media, invite players or shortlist players.`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>Welcome to Pharaohs! Please confirm your email address by opening the link below:</p><p><a href="${verifyUrl}">Verify email</a></p><p>Until your email is verified you won't be able to upload media, invite players or shortlist players.</p>`
+  });
+};
+
+/**
+ * Send a password reset link
+ * @param {string} to - Recipient email
+ * @param {string} name - Recipient name
+ * @param {string} resetUrl - Link containing the reset token
+ * @param {number} expiresInMinutes - How long the link stays valid
+ * @returns {Promise<Object>} Transport response
+ */
+exports.sendPasswordResetEmail = async (to, name, resetUrl, expiresInMinutes) => {
+  return exports.sendMail({
+    to,
+    subject: 'Reset your Pharaohs password',
+    text: `Hi ${name},\n\nWe received a request to reset your password. Use the link below to choose a new one:\n\n${resetUrl}\n\nThis link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>We received a request to reset your password. Use the link below to choose a new one:</p><p><a href="${resetUrl}">Reset password</a></p><p>This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.</p>`
+  });
+};
+
+/**
+ * Notify a user that their password was changed
+ * @param {string} to - Recipient email
+ * @param {string} name - Recipient name
+ * @returns {Promise<Object>} Transport response
+ */
+exports.sendPasswordChangedEmail = async (to, name) => {
+  return exports.sendMail({
+    to,
+    subject: 'Your Pharaohs password was changed',
+    text: `Hi ${name},\n\nThe password for your Pharaohs account was just changed and all other sessions were signed out. If this wasn't you, reset your password immediately and contact support.`,
+    html: `<p>Hi ${escapeHtml(name)},</p><p>The password for your Pharaohs account was just changed and all other sessions were signed out. If this wasn't you, reset your password immediately and contact support.</p>`
+  });
+};
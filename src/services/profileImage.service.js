@@ -0,0 +1,55 @@
+const fs = require('fs').promises;
+const path = require('path');
+const storageService = require('./storage.service');
+const logger = require('../utils/logger').child({ module: 'ProfileImage' });
+
+/**
+ * Profile picture storage shared by players and scouts
+ */
+const profileImageService = {
+  /**
+   * Upload a profile picture to media storage
+   * @param {Object} file - Multer file (memory storage)
+   * @param {Object} options - { folder, publicIdPrefix }, e.g. 'pharaohs/profiles' and 'player_profile_12'
+   * @returns {Promise<{url: string, publicId: string}>} Stored image
+   */
+  upload: async (file, { folder, publicIdPrefix }) => {
+    const stored = await storageService.upload(file.buffer, {
+      filename: file.originalname,
+      mimetype: file.mimetype,
+      resourceType: 'image',
+      folder,
+      name: `${publicIdPrefix}_${Date.now()}`,
+      maxSize: { width: 800, height: 800 }
+    });
+
+    return { url: stored.url, publicId: stored.key };
+  },
+
+  /**
+   * Delete a stored profile picture. Failures are logged, never thrown, so a
+   * missing remote file cannot block the profile update that replaces it.
+   * @param {Object} image - { profile_image, public_id } as stored on the profile
+   * @returns {Promise<void>}
+   */
+  remove: async ({ profile_image, public_id }) => {
+    if (public_id) {
+      try {
+        await storageService.delete(public_id, { resourceType: 'image' });
+      } catch (err) {
+        logger.warn('Could not delete stored image', { key: public_id, error: err.message });
+      }
+    } else if (profile_image && profile_image.startsWith('/uploads/')) {
+      // Legacy images uploaded to the local uploads directory
+      try {
+        const filePath = path.join(__dirname, '..', '..', profile_image.replace(/^\//, ''));
+        await fs.unlink(filePath);
+        logger.info('Deleted local file', { filePath });
+      } catch (err) {
+        logger.warn('Could not delete local image', { error: err.message });
+      }
+    }
+  }
+};
+
+module.exports = profileImageService;
@@ -0,0 +1,194 @@
+const db = require('../config/db');
+const logger = require('../utils/logger').child({ module: 'Showreel' });
+const { getFullUrl } = require('../utils/url.util');
+const { mediaMetadata } = require('../utils/media.util');
+const MediaRepository = require('../repositories/media.repository');
+const ShowreelRepository = require('../repositories/showreel.repository');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Showreels a player may have at once
+const MAX_SHOWREELS = 10;
+
+// What the client sees of a showreel; only the owner sees each video's moderation status
+const toResponse = (showreel, videos, { owner }) => ({
+  id: showreel.id,
+  title: showreel.title,
+  description: showreel.description,
+  featured: !!showreel.is_featured,
+  videoCount: videos.length,
+  videos: videos.map(video => ({
+    id: video.id,
+    url: getFullUrl(video.url),
+    description: video.description,
+    type: video.type,
+    createdAt: video.created_at,
+    ...(owner ? { status: video.status } : {}),
+    ...mediaMetadata(video)
+  })),
+  createdAt: showreel.created_at,
+  updatedAt: showreel.updated_at
+});
+
+// Showreels with their videos in playlist order; others never see unapproved videos
+const withVideos = async (showreels, { owner }) => {
+  const videos = await ShowreelRepository.findVideos(showreels.map(s => s.id), { approvedOnly: !owner });
+  return showreels.map(showreel => toResponse(showreel, videos.filter(v => v.showreel_id === showreel.id), { owner }));
+};
+
+// Run showreel writes on one connection, committed together
+const inTransaction = async (work) => {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+};
+
+// Only the player's own approved videos can go in a reel
+const assertPlayable = async (playerId, videoIds) => {
+  const approved = new Set(await MediaRepository.findApprovedIds(playerId, videoIds));
+  const invalid = videoIds.filter(id => !approved.has(id));
+
+  if (invalid.length) {
+    throw new BadRequestError('Only your own approved videos can be added to a showreel', {
+      code: 'INVALID_SHOWREEL_VIDEOS',
+      details: { videoIds: invalid }
+    });
+  }
+};
+
+/**
+ * Player showreels
+ *
+ * A showreel is a titled playlist of a player's approved videos. One reel can be
+ * featured; it comes first wherever a player's reels are listed. Videos that are
+ * later rejected or deleted drop out of the reels others see.
+ */
+const showreelService = {
+  /**
+   * List a player's showreels, the featured one first
+   * @param {number} playerId - Owner's user ID
+   * @param {Object} [options] - { owner } to include empty reels and unapproved videos
+   * @returns {Promise<Array>} Showreels as returned to the client
+   */
+  list: async (playerId, { owner = false } = {}) => {
+    const showreels = await withVideos(await ShowreelRepository.findByPlayer(playerId), { owner });
+    // A reel with nothing others may play is not shown to them
+    return owner ? showreels : showreels.filter(showreel => showreel.videos.length);
+  },
+
+  /**
+   * Look up a showreel
+   * @param {number} id - Showreel ID
+   * @param {number} viewerId - Requesting user's ID
+   * @returns {Promise<Object>} Showreel as returned to the client
+   * @throws {NotFoundError} If there is no such reel, or it has nothing the viewer may play
+   */
+  get: async (id, viewerId) => {
+    const showreel = await ShowreelRepository.findById(id);
+    const owner = !!showreel && showreel.player_id === viewerId;
+    const [result] = showreel ? await withVideos([showreel], { owner }) : [];
+
+    if (!result || (!owner && !result.videos.length)) {
+      throw new NotFoundError('Showreel not found', { code: 'SHOWREEL_NOT_FOUND' });
+    }
+    return result;
+  },
+
+  /**
+   * Find one of a player's showreels
+   * @param {number} playerId - Owner's user ID
+   * @param {number} id - Showreel ID
+   * @returns {Promise<Object>} Showreel row
+   * @throws {NotFoundError} If the player has no such reel
+   */
+  findOwned: async (playerId, id) => {
+    const showreel = await ShowreelRepository.findOwned(id, playerId);
+    if (!showreel) {
+      throw new NotFoundError('Showreel not found or unauthorized', { code: 'SHOWREEL_NOT_FOUND' });
+    }
+    return showreel;
+  },
+
+  /**
+   * Create a showreel
+   * @param {number} playerId - Owner's user ID
+   * @param {Object} showreel - { title, description, videoIds, featured } with videoIds in playing order
+   * @returns {Promise<Object>} Showreel as returned to the client
+   */
+  create: async (playerId, { title, description, videoIds = [], featured = false }) => {
+    if (await ShowreelRepository.count(playerId) >= MAX_SHOWREELS) {
+      throw new ConflictError(`You can have at most ${MAX_SHOWREELS} showreels`, { code: 'TOO_MANY_SHOWREELS' });
+    }
+    await assertPlayable(playerId, videoIds);
+
+    const id = await inTransaction(async (connection) => {
+      const showreelId = await ShowreelRepository.create(playerId, { title, description }, connection);
+      if (videoIds.length) await ShowreelRepository.setVideos(showreelId, videoIds, connection);
+      if (featured) await ShowreelRepository.setFeatured(playerId, showreelId, connection);
+      return showreelId;
+    });
+
+    logger.info('Showreel created', { showreelId: id, playerId, videos: videoIds.length });
+    return showreelService.get(id, playerId);
+  },
+
+  /**
+   * Change a showreel's details, and pin or unpin it
+   * @param {number} playerId - Owner's user ID
+   * @param {number} id - Showreel ID
+   * @param {Object} changes - { title, description, featured }; featured is left alone if omitted
+   * @returns {Promise<Object>} Showreel as returned to the client
+   */
+  update: async (playerId, id, { title, description, featured }) => {
+    const showreel = await showreelService.findOwned(playerId, id);
+
+    await inTransaction(async (connection) => {
+      await ShowreelRepository.update(id, { title, description }, connection);
+      if (featured === true) {
+        await ShowreelRepository.setFeatured(playerId, id, connection);
+      } else if (featured === false && showreel.is_featured) {
+        await ShowreelRepository.setFeatured(playerId, null, connection);
+      }
+    });
+
+    return showreelService.get(id, playerId);
+  },
+
+  /**
+   * Replace a showreel's videos, which also reorders them
+   * @param {number} playerId - Owner's user ID
+   * @param {number} id - Showreel ID
+   * @param {Array<number>} videoIds - Videos in playing order
+   * @returns {Promise<Object>} Showreel as returned to the client
+   */
+  setVideos: async (playerId, id, videoIds) => {
+    await showreelService.findOwned(playerId, id);
+    await assertPlayable(playerId, videoIds);
+
+    await inTransaction(connection => ShowreelRepository.setVideos(id, videoIds, connection));
+    return showreelService.get(id, playerId);
+  },
+
+  /**
+   * Delete a showreel; its videos are kept
+   * @param {number} playerId - Owner's user ID
+   * @param {number} id - Showreel ID
+   * @returns {Promise<void>}
+   */
+  remove: async (playerId, id) => {
+    await showreelService.findOwned(playerId, id);
+    await ShowreelRepository.delete(id);
+    logger.info('Showreel deleted', { showreelId: id, playerId });
+  }
+};
+
+module.exports = showreelService;
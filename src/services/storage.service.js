@@ -0,0 +1,220 @@
+const { env } = require('../config');
+const logger = require('../utils/logger').child({ module: 'Storage' });
+const metrics = require('../utils/metrics');
+const { NotFoundError } = require('../utils/errors');
+
+// Drivers are loaded lazily so the Cloudinary SDK is only configured when it is used
+const drivers = {
+  cloudinary: () => require('./storage/cloudinary.driver'),
+  local: () => require('./storage/local.driver')
+};
+
+const driver = drivers[env.STORAGE_DRIVER]();
+
+// Cloudinary's resource types; PDFs and other documents are 'raw'
+const resourceTypeFor = (mimetype) => {
+  if (mimetype.startsWith('image/')) return 'image';
+  if (mimetype.startsWith('video/')) return 'video';
+  return 'raw';
+};
+
+/**
+ * Media storage used by controllers and services
+ *
+ * Delegates to the driver chosen by STORAGE_DRIVER (`cloudinary` or `local`, see
+ * src/services/storage) so callers never depend on a provider. Files are addressed by
+ * the `key` returned from upload (stored in the `public_id` columns) and a resource type
+ * (image, video or raw). Files uploaded with `access: 'private'` are only served
+ * through getSignedUrl links; their plain URL is refused.
+ */
+const storageService = {
+  // Name of the active driver
+  driver: driver.name,
+
+  /**
+   * Check whether the active driver has what it needs to store files
+   * @returns {boolean} True if uploads can be accepted
+   */
+  isConfigured: () => driver.isConfigured(),
+
+  /**
+   * Store a file
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - Upload options
+   * @param {string} options.filename - Original file name
+   * @param {string} options.mimetype - MIME type of the file
+   * @param {string} [options.folder] - Folder to store it in, e.g. 'pharaohs/videos'
+   * @param {string} [options.name] - File name without extension (generated if omitted)
+   * @param {string} [options.resourceType] - image, video or raw (derived from the MIME type if omitted)
+   * @param {Object} [options.maxSize] - { width, height } to scale larger images down to, where supported
+   * @param {string} [options.access] - public (default) or private, for files only shown through signed links
+   * @returns {Promise<Object>} { key, url, resourceType, format, bytes, width, height, duration,
+   *   thumbnailUrl, originalFilename }; the dimensions, duration (seconds) and thumbnail are
+   *   null where the driver cannot tell, and private files have no thumbnail
+   */
+  upload: async (buffer, { filename, mimetype, folder = 'pharaohs', name, resourceType, maxSize, access = 'public' } = {}) => {
+    if (!buffer || buffer.length === 0) {
+      throw new Error('Empty file buffer received');
+    }
+
+    resourceType = resourceType || resourceTypeFor(mimetype);
+
+    logger.debug('Uploading file', {
+      driver: driver.name,
+      file: filename,
+      mimetype,
+      sizeKb: Number((buffer.length / 1024).toFixed(2)),
+      resourceType,
+      folder,
+      access
+    });
+
+    metrics.storageUploadBytes.observe({ resource_type: resourceType }, buffer.length);
+    const endTimer = metrics.storageUploadDuration.startTimer({ resource_type: resourceType });
+    const startTime = Date.now();
+
+    try {
+      const result = await driver.upload(buffer, { filename, mimetype, folder, name, resourceType, maxSize, access });
+      endTimer({ outcome: 'success' });
+
+      logger.info('Upload successful', {
+        driver: driver.name,
+        key: result.key,
+        resourceType: result.resourceType,
+        format: result.format,
+        sizeKb: Number((result.bytes / 1024).toFixed(2)),
+        seconds: Number(((Date.now() - startTime) / 1000).toFixed(2))
+      });
+
+      return { ...result, originalFilename: filename ? filename.replace(/\.[^.]+$/, '') : null };
+    } catch (error) {
+      endTimer({ outcome: 'error' });
+      logger.error('Upload failed', { driver: driver.name, file: filename || 'unknown file', err: error, ...error.details });
+      throw new Error(`Storage upload failed: ${error.message}`);
+    }
+  },
+
+  /**
+   * Begin a resumable upload, stored part by part as the client sends it
+   * @param {Object} options - { filename, mimetype, folder, name, resourceType, size }, as for upload
+   * @returns {Promise<Object>} Driver state to keep (JSON-serializable) and pass to uploadPart and abortUpload
+   */
+  startUpload: async ({ filename, mimetype, folder = 'pharaohs', name, resourceType, size }) => {
+    resourceType = resourceType || resourceTypeFor(mimetype);
+    logger.debug('Starting resumable upload', { driver: driver.name, file: filename, mimetype, size, resourceType, folder });
+    return driver.startUpload({ filename, mimetype, folder, name, resourceType, size });
+  },
+
+  /**
+   * Store the next part of a resumable upload
+   * @param {Object} state - Returned by startUpload
+   * @param {Buffer} buffer - Part contents
+   * @param {Object} options - { offset, size }: where the part starts and the whole file's size
+   * @returns {Promise<Object|null>} Same as upload (without originalFilename) once the last part is stored, else null
+   */
+  uploadPart: async (state, buffer, { offset, size }) => {
+    let result;
+    try {
+      result = await driver.uploadPart(state, buffer, { offset, size });
+    } catch (error) {
+      logger.error('Upload part failed', { driver: driver.name, offset, size, err: error, ...error.details });
+      throw new Error(`Storage upload failed: ${error.message}`);
+    }
+
+    if (result) {
+      // Parts arrive over many requests, so only the size is recorded, not a duration
+      metrics.storageUploadBytes.observe({ resource_type: result.resourceType }, result.bytes);
+      logger.info('Upload successful', {
+        driver: driver.name,
+        key: result.key,
+        resourceType: result.resourceType,
+        format: result.format,
+        sizeKb: Number((result.bytes / 1024).toFixed(2)),
+        resumable: true
+      });
+    }
+    return result;
+  },
+
+  /**
+   * Discard an unfinished resumable upload. Failures are logged, never thrown.
+   * @param {Object} state - Returned by startUpload
+   * @returns {Promise<void>}
+   */
+  abortUpload: async (state) => {
+    try {
+      await driver.abortUpload(state);
+    } catch (error) {
+      logger.warn('Could not discard unfinished upload', { driver: driver.name, error: error.message });
+    }
+  },
+
+  /**
+   * Delete a stored file
+   * @param {string} key - Key returned by upload
+   * @param {Object} [options] - { resourceType, access } (default image, public), as uploaded
+   * @returns {Promise<boolean>} False if the file did not exist
+   */
+  delete: async (key, { resourceType = 'image', access = 'public' } = {}) => {
+    if (!key) {
+      throw new Error('No storage key provided for deletion');
+    }
+
+    try {
+      const deleted = await driver.delete(key, { resourceType, access });
+      logger.info('Deleted file', { driver: driver.name, key, resourceType, deleted });
+      return deleted;
+    } catch (error) {
+      logger.error('Delete failed', { driver: driver.name, key, error: error.message });
+      throw new Error(`Storage delete failed: ${error.message}`);
+    }
+  },
+
+  /**
+   * Build a link to a stored file that stops working after a while
+   * @param {string} key - Key returned by upload
+   * @param {Object} [options] - { resourceType, format, access, expiresIn } with access as uploaded
+   *   (default public) and expiresIn in seconds (default 1 hour)
+   * @returns {string} Signed URL
+   */
+  getSignedUrl: (key, { resourceType = 'image', format, access = 'public', expiresIn = 3600 } = {}) => {
+    const expiresAt = Math.floor(Date.now() / 1000) + expiresIn;
+    return driver.getSignedUrl(key, { resourceType, format, access, expiresAt });
+  },
+
+  /**
+   * Build a URL for a resized or converted version of a stored file. Drivers that
+   * cannot transform (local) return the original file's URL.
+   * @param {string} key - Key returned by upload
+   * @param {Object} [options] - { resourceType, width, height, crop ('limit' or 'fill'), format }
+   * @returns {string} URL
+   */
+  getTransformUrl: (key, { resourceType = 'image', width, height, crop = 'limit', format } = {}) =>
+    driver.getTransformUrl(key, { resourceType, width, height, crop, format }),
+
+  /**
+   * Check that the storage backend is reachable; Cloudinary's check is rate limited,
+   * so callers should cache the result
+   * @returns {Promise<void>}
+   */
+  ping: async () => {
+    await driver.ping();
+  },
+
+  /**
+   * Find the file to send for a GET /media request (local driver only)
+   * @param {string} key - Storage key from the request path
+   * @param {Object} query - { expires, signature } from the query string
+   * @returns {Promise<string>} Absolute path of the file
+   * @throws {ForbiddenError} If the link is unsigned for a private file, wrongly signed or expired
+   * @throws {NotFoundError} If the local driver is not in use or there is no such file
+   */
+  resolveLocalFile: async (key, query) => {
+    if (!driver.resolveFile) {
+      throw new NotFoundError('File not found', { code: 'MEDIA_NOT_FOUND' });
+    }
+    return driver.resolveFile(key, query);
+  }
+};
+
+module.exports = storageService;
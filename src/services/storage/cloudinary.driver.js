@@ -0,0 +1,228 @@
+const cloudinary = require('cloudinary').v2;
+const { env } = require('../../config');
+
+// Configure Cloudinary
+cloudinary.config({
+  cloud_name: env.CLOUDINARY_CLOUD_NAME,
+  api_key: env.CLOUDINARY_API_KEY,
+  api_secret: env.CLOUDINARY_API_SECRET,
+  secure: true
+});
+
+// Check if Cloudinary is properly configured
+const isConfigured = () => {
+  return (
+    !!env.CLOUDINARY_CLOUD_NAME &&
+    !!env.CLOUDINARY_API_KEY &&
+    !!env.CLOUDINARY_API_SECRET
+  );
+};
+
+const assertConfigured = () => {
+  if (!isConfigured()) {
+    throw new Error('Cloudinary credentials not configured');
+  }
+};
+
+// Private files are stored as authenticated resources, which Cloudinary only
+// delivers through signed URLs
+const deliveryType = (access) => (access === 'private' ? 'authenticated' : 'upload');
+
+// Thumbnails are generated by Cloudinary on first request, scaled down to this width
+const THUMBNAIL_WIDTH = 640;
+
+// Delivery URL of a poster frame (videos) or a scaled-down copy (images); documents have none
+const thumbnailUrlFor = (key, resourceType) => {
+  if (resourceType === 'video') {
+    return cloudinary.url(key, {
+      secure: true,
+      resource_type: 'video',
+      format: 'jpg',
+      transformation: [{ start_offset: 'auto' }, { width: THUMBNAIL_WIDTH, crop: 'limit', quality: 'auto' }]
+    });
+  }
+  if (resourceType === 'image') {
+    return cloudinary.url(key, {
+      secure: true,
+      resource_type: 'image',
+      transformation: [{ width: THUMBNAIL_WIDTH, crop: 'limit', quality: 'auto', fetch_format: 'auto' }]
+    });
+  }
+  return null;
+};
+
+// What the driver returns for a stored file, from Cloudinary's upload response
+const toStored = (result) => ({
+  key: result.public_id,
+  url: result.secure_url,
+  resourceType: result.resource_type,
+  format: result.format,
+  bytes: result.bytes,
+  width: result.width || null,
+  height: result.height || null,
+  duration: result.duration || null,
+  // A transformation URL of an authenticated resource would need signing too
+  thumbnailUrl: result.type === 'authenticated' ? null : thumbnailUrlFor(result.public_id, result.resource_type)
+});
+
+/**
+ * Cloudinary storage driver (STORAGE_DRIVER=cloudinary)
+ *
+ * Keys are Cloudinary public IDs, folder included. Called through storage.service,
+ * which validates input, logs and records metrics; see there for the option shapes.
+ */
+const cloudinaryDriver = {
+  name: 'cloudinary',
+
+  /**
+   * Check whether all three Cloudinary credentials are set
+   * @returns {boolean} True if uploads can be sent to Cloudinary
+   */
+  isConfigured,
+
+  /**
+   * Upload a file buffer to Cloudinary
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - { filename, mimetype, folder, name, resourceType, maxSize, access }
+   * @returns {Promise<Object>} { key, url, resourceType, format, bytes, width, height, duration, thumbnailUrl }
+   */
+  upload: async (buffer, { mimetype, folder, name, resourceType, maxSize, access }) => {
+    assertConfigured();
+
+    const options = {
+      resource_type: resourceType,
+      type: deliveryType(access),
+      folder,
+      public_id: name,
+      // Cloudinary picks the best quality/size trade-off when the file is delivered
+      transformation: [
+        { quality: 'auto' },
+        ...(maxSize ? [{ width: maxSize.width, height: maxSize.height, crop: 'limit' }] : [])
+      ]
+    };
+
+    // Videos go up in 10MB chunks, with a longer timeout
+    if (mimetype.startsWith('video/')) {
+      options.chunk_size = 10 * 1024 * 1024;
+      options.timeout = 300000;
+    }
+
+    // Convert buffer to base64 string for Cloudinary upload
+    const base64String = `data:${mimetype};base64,${buffer.toString('base64')}`;
+
+    try {
+      return toStored(await cloudinary.uploader.upload(base64String, options));
+    } catch (error) {
+      // Cloudinary API errors also carry an HTTP status and error code
+      if (error.http_code) {
+        error.details = { httpCode: error.http_code, errorCode: error.error?.code || 'unknown' };
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Begin a resumable upload. Parts are sent to Cloudinary as they arrive, as one
+   * chunked upload identified by `uploadId`; Cloudinary assembles them.
+   * @param {Object} options - { folder, name, resourceType }
+   * @returns {Promise<Object>} Upload state to pass to uploadPart and abortUpload
+   */
+  startUpload: async ({ folder, name, resourceType }) => {
+    assertConfigured();
+    return { uploadId: cloudinary.utils.random_public_id(), folder, name, resourceType };
+  },
+
+  /**
+   * Send one part of a resumable upload. Parts must arrive in order and, except
+   * the last, be at least 5MB.
+   * @param {Object} state - Returned by startUpload
+   * @param {Buffer} buffer - Part contents
+   * @param {Object} options - { offset, size } with size the whole file's size
+   * @returns {Promise<Object|null>} Same as upload after the last part, else null
+   */
+  uploadPart: async (state, buffer, { offset, size }) => {
+    assertConfigured();
+
+    const result = await new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream({
+        resource_type: state.resourceType,
+        folder: state.folder,
+        public_id: state.name,
+        x_unique_upload_id: state.uploadId,
+        content_range: `bytes ${offset}-${offset + buffer.length - 1}/${size}`,
+        timeout: 300000
+      }, (error, response) => (error ? reject(error) : resolve(response)));
+      stream.end(buffer);
+    });
+
+    if (offset + buffer.length < size) return null;
+
+    return toStored(result);
+  },
+
+  /**
+   * Cloudinary discards chunked uploads that are never finished, so there is nothing to do
+   * @returns {Promise<void>}
+   */
+  abortUpload: async () => {},
+
+  /**
+   * Delete a file from Cloudinary using its public_id
+   * @param {string} key - Public ID
+   * @param {Object} options - { resourceType, access } (image, video or raw; public or private)
+   * @returns {Promise<boolean>} False if Cloudinary had no such file
+   */
+  delete: async (key, { resourceType, access }) => {
+    assertConfigured();
+
+    const result = await cloudinary.uploader.destroy(key, {
+      resource_type: resourceType,
+      type: deliveryType(access)
+    });
+    return result.result === 'ok';
+  },
+
+  /**
+   * Build a download link that Cloudinary refuses after `expiresAt`
+   * @param {string} key - Public ID
+   * @param {Object} options - { resourceType, format, access, expiresAt } (expiresAt in Unix seconds)
+   * @returns {string} Signed URL
+   */
+  getSignedUrl: (key, { resourceType, format, access, expiresAt }) => {
+    assertConfigured();
+
+    return cloudinary.utils.private_download_url(key, format || '', {
+      resource_type: resourceType,
+      type: deliveryType(access),
+      expires_at: expiresAt
+    });
+  },
+
+  /**
+   * Build a delivery URL that Cloudinary resizes and converts on the fly
+   * @param {string} key - Public ID
+   * @param {Object} options - { resourceType, width, height, crop, format }
+   * @returns {string} Transformation URL
+   */
+  getTransformUrl: (key, { resourceType, width, height, crop, format }) => cloudinary.url(key, {
+    secure: true,
+    resource_type: resourceType,
+    width,
+    height,
+    crop,
+    quality: 'auto',
+    fetch_format: format || 'auto'
+  }),
+
+  /**
+   * Check that Cloudinary is reachable and accepts our credentials
+   * Uses the Admin API, which is rate limited, so callers should cache the result
+   * @returns {Promise<Object>} Cloudinary ping response
+   */
+  ping: async () => {
+    assertConfigured();
+    return cloudinary.api.ping();
+  }
+};
+
+module.exports = cloudinaryDriver;
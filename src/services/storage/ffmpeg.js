@@ -0,0 +1,68 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { env } = require('../../config');
+const logger = require('../../utils/logger').child({ module: 'Storage' });
+
+const run = promisify(execFile);
+
+// Set to false once a binary turns out not to be installed, so it is not looked for on every upload
+const available = { ffprobe: true, ffmpeg: true };
+
+const exec = async (tool, binary, args, timeout) => {
+  if (!available[tool]) return null;
+  try {
+    return await run(binary, args, { timeout, maxBuffer: 1024 * 1024 });
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      available[tool] = false;
+      logger.info(`${tool} not found; locally stored media will have no dimensions or thumbnails`, { path: binary });
+      return null;
+    }
+    throw err;
+  }
+};
+
+/**
+ * Media inspection for the local storage driver, using the ffprobe and ffmpeg
+ * command-line tools. Both are optional: without them these resolve to null.
+ */
+const ffmpeg = {
+  /**
+   * Read the dimensions and duration of an image or video
+   * @param {string} filePath - File to inspect
+   * @returns {Promise<Object|null>} { width, height, duration } with duration in seconds, or null if ffprobe is missing
+   */
+  probe: async (filePath) => {
+    const result = await exec('ffprobe', env.FFPROBE_PATH, [
+      '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath
+    ], 30000);
+    if (!result) return null;
+
+    const info = JSON.parse(result.stdout);
+    const stream = (info.streams || []).find(s => s.codec_type === 'video') || {};
+    const duration = parseFloat(info.format && info.format.duration);
+
+    return {
+      width: stream.width || null,
+      height: stream.height || null,
+      duration: duration > 0 ? Number(duration.toFixed(3)) : null
+    };
+  },
+
+  /**
+   * Save one frame of a video as a JPEG
+   * @param {string} input - Video file
+   * @param {string} output - JPEG to write
+   * @param {Object} options - { at, width }: position in seconds and the largest width to scale to
+   * @returns {Promise<boolean>} True if the frame was written, false if ffmpeg is missing
+   */
+  extractFrame: async (input, output, { at = 0, width }) => {
+    const result = await exec('ffmpeg', env.FFMPEG_PATH, [
+      '-v', 'error', '-y', '-ss', String(at), '-i', input,
+      '-frames:v', '1', '-vf', `scale='min(${width},iw)':-2`, output
+    ], 60000);
+    return !!result;
+  }
+};
+
+module.exports = ffmpeg;
@@ -0,0 +1,256 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { env } = require('../../config');
+const { ForbiddenError, NotFoundError } = require('../../utils/errors');
+const logger = require('../../utils/logger').child({ module: 'Storage' });
+const ffmpeg = require('./ffmpeg');
+
+// Files live under this directory and are served by the API at /media/<key>
+const root = path.resolve(env.LOCAL_STORAGE_DIR);
+const baseUrl = `${env.API_URL}/media`;
+
+const signingKey = env.STORAGE_SIGNING_KEY || env.JWT_SECRET;
+
+// Keep keys to characters that are safe in both file names and URLs
+const sanitize = (segment) => segment.replace(/[^A-Za-z0-9._-]/g, '_').replace(/^\.+/, '_');
+
+// Absolute path for a key, or null if the key would point outside the storage directory
+const resolvePath = (key) => {
+  const filePath = path.resolve(root, key);
+  return filePath.startsWith(root + path.sep) ? filePath : null;
+};
+
+const sign = (key, expiresAt) => crypto
+  .createHmac('sha256', signingKey)
+  .update(`${key}:${expiresAt}`)
+  .digest('hex');
+
+const urlFor = (key) => `${baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+// Private files are kept under this directory and only served through signed links
+const PRIVATE_DIR = 'private';
+
+const isPrivate = (key) => key.startsWith(`${PRIVATE_DIR}/`);
+
+// Key for a new file: the folder, then the given or a generated name with the original extension
+const keyFor = ({ filename, folder, name, access }) => {
+  const extension = (path.extname(filename || '').toLowerCase().match(/^\.[a-z0-9]{1,8}$/) || [''])[0];
+  const fileName = sanitize(name || `${Date.now()}_${crypto.randomBytes(6).toString('hex')}`);
+  return [
+    ...(access === 'private' ? [PRIVATE_DIR] : []),
+    ...folder.split('/').filter(Boolean).map(sanitize),
+    `${fileName}${extension}`
+  ].join('/');
+};
+
+// Unfinished resumable uploads; resolveFile refuses hidden paths, so these are never served
+const PARTIAL_DIR = '.partial';
+
+// Video poster frames are saved next to the video, scaled down to this width
+const THUMBNAIL_WIDTH = 640;
+
+const thumbnailKeyFor = (key) => `${key.replace(/\.[^./]+$/, '')}_thumb.jpg`;
+
+// Describe a stored file. Dimensions, duration and video thumbnails come from
+// ffprobe/ffmpeg and are left null when those are missing or cannot read the file.
+const stored = async (key, resourceType, bytes) => {
+  const result = {
+    key,
+    url: urlFor(key),
+    resourceType,
+    format: path.extname(key).slice(1),
+    bytes,
+    width: null,
+    height: null,
+    duration: null,
+    // Images are served as uploaded, so they are their own thumbnail; private files have none
+    thumbnailUrl: resourceType === 'image' && !isPrivate(key) ? urlFor(key) : null
+  };
+  if (resourceType === 'raw') return result;
+
+  try {
+    const info = await ffmpeg.probe(resolvePath(key));
+    if (!info) return result;
+    // ffprobe gives still images a nominal one-frame duration
+    Object.assign(result, info, resourceType === 'image' ? { duration: null } : {});
+
+    if (resourceType === 'video' && info.width && !isPrivate(key)) {
+      const thumbnailKey = thumbnailKeyFor(key);
+      const written = await ffmpeg.extractFrame(resolvePath(key), resolvePath(thumbnailKey), {
+        at: Math.min(1, (info.duration || 0) / 2),
+        width: THUMBNAIL_WIDTH
+      });
+      if (written) result.thumbnailUrl = urlFor(thumbnailKey);
+    }
+  } catch (err) {
+    logger.warn('Could not read media metadata', { key, error: err.message });
+  }
+  return result;
+};
+
+/**
+ * Local filesystem storage driver (STORAGE_DRIVER=local)
+ *
+ * Writes files under LOCAL_STORAGE_DIR and serves them from /media, so the platform
+ * runs without any cloud account (offline development, tests, a single server).
+ * Keys are paths relative to that directory, extension included; private files are
+ * kept under private/ and served only through signed links. Files are served
+ * as stored: transformation URLs point at the original file. Video thumbnails and
+ * metadata need ffmpeg installed (FFMPEG_PATH, FFPROBE_PATH).
+ */
+const localDriver = {
+  name: 'local',
+
+  /**
+   * The local driver needs no credentials
+   * @returns {boolean} Always true
+   */
+  isConfigured: () => true,
+
+  /**
+   * Write a file buffer under the storage directory
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - { filename, folder, name, resourceType, access }
+   * @returns {Promise<Object>} { key, url, resourceType, format, bytes, width, height, duration, thumbnailUrl }
+   */
+  upload: async (buffer, { filename, folder, name, resourceType, access }) => {
+    const key = keyFor({ filename, folder, name, access });
+
+    const filePath = resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    return stored(key, resourceType, buffer.length);
+  },
+
+  /**
+   * Begin a resumable upload; parts are written to a hidden partial file
+   * @param {Object} options - { filename, folder, name, resourceType }
+   * @returns {Promise<Object>} Upload state to pass to uploadPart and abortUpload
+   */
+  startUpload: async ({ filename, folder, name, resourceType }) => ({
+    key: keyFor({ filename, folder, name }),
+    resourceType,
+    partial: `${PARTIAL_DIR}/${crypto.randomUUID()}`
+  }),
+
+  /**
+   * Write one part of a resumable upload at its offset; the last part moves the
+   * finished file to its key
+   * @param {Object} state - Returned by startUpload
+   * @param {Buffer} buffer - Part contents
+   * @param {Object} options - { offset, size } with size the whole file's size
+   * @returns {Promise<Object|null>} Same as upload after the last part, else null
+   */
+  uploadPart: async (state, buffer, { offset, size }) => {
+    const partialPath = path.join(root, state.partial);
+    await fs.mkdir(path.dirname(partialPath), { recursive: true });
+
+    const handle = await fs.open(partialPath, offset === 0 ? 'w' : 'r+');
+    try {
+      await handle.write(buffer, 0, buffer.length, offset);
+    } finally {
+      await handle.close();
+    }
+
+    if (offset + buffer.length < size) return null;
+
+    const filePath = resolvePath(state.key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.rename(partialPath, filePath);
+
+    return stored(state.key, state.resourceType, size);
+  },
+
+  /**
+   * Discard an unfinished resumable upload
+   * @param {Object} state - Returned by startUpload
+   * @returns {Promise<void>}
+   */
+  abortUpload: async (state) => {
+    await fs.rm(path.join(root, state.partial), { force: true });
+  },
+
+  /**
+   * Delete a stored file, and its thumbnail if it has one
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} False if there was no such file
+   */
+  delete: async (key) => {
+    const filePath = resolvePath(key);
+    if (!filePath) return false;
+
+    try {
+      await fs.rm(resolvePath(thumbnailKeyFor(key)), { force: true });
+      await fs.unlink(filePath);
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+  },
+
+  /**
+   * Build a /media link that stops working after `expiresAt`
+   * @param {string} key - Storage key
+   * @param {Object} options - { expiresAt } in Unix seconds
+   * @returns {string} Signed URL
+   */
+  getSignedUrl: (key, { expiresAt }) => `${urlFor(key)}?expires=${expiresAt}&signature=${sign(key, expiresAt)}`,
+
+  /**
+   * Files are served as stored, so this is the plain URL
+   * @param {string} key - Storage key
+   * @returns {string} URL of the original file
+   */
+  getTransformUrl: (key) => urlFor(key),
+
+  /**
+   * Check that the storage directory exists (creating it if needed) and is writable
+   * @returns {Promise<void>}
+   */
+  ping: async () => {
+    await fs.mkdir(root, { recursive: true });
+    await fs.access(root, require('fs').constants.W_OK);
+  },
+
+  /**
+   * Find the file to send for a /media request. Links without a signature are public,
+   * like Cloudinary delivery URLs, except to private files; a signed link is refused
+   * once it has expired.
+   * @param {string} key - Storage key from the request path
+   * @param {Object} query - { expires, signature } from the query string
+   * @returns {Promise<string>} Absolute path of the file
+   * @throws {ForbiddenError} If a private file's link is unsigned, the signature is wrong or the link has expired
+   * @throws {NotFoundError} If there is no such file
+   */
+  resolveFile: async (key, { expires, signature } = {}) => {
+    if (signature === undefined && isPrivate(key)) {
+      throw new ForbiddenError('This file is only available through a signed link', { code: 'MEDIA_SIGNATURE_REQUIRED' });
+    }
+
+    if (signature !== undefined) {
+      const expected = Buffer.from(sign(key, expires));
+      const given = Buffer.from(String(signature));
+
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw new ForbiddenError('Invalid media link signature', { code: 'MEDIA_SIGNATURE_INVALID' });
+      }
+      if (!(Number(expires) * 1000 > Date.now())) {
+        throw new ForbiddenError('This media link has expired', { code: 'MEDIA_LINK_EXPIRED' });
+      }
+    }
+
+    const hidden = key.split('/').some(segment => segment.startsWith('.'));
+    const filePath = !hidden && resolvePath(key);
+    const stat = filePath && await fs.stat(filePath).catch(() => null);
+
+    if (!stat || !stat.isFile()) {
+      throw new NotFoundError('File not found', { code: 'MEDIA_NOT_FOUND' });
+    }
+    return filePath;
+  }
+};
+
+module.exports = localDriver;
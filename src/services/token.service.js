@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/db');
+const authService = require('./auth.service');
+const logger = require('../utils/logger').child({ module: 'TokenService' });
+
+// Only a SHA-256 digest of each refresh token is persisted, so a leaked
+// refresh_tokens table cannot be replayed against /api/auth/refresh
+const { hashToken } = authService;
+
+/**
+ * Sign a refresh token for the given family and persist it
+ * @param {Object} user - User object with id
+ * @param {string} familyId - Token family the new token belongs to
+ * @param {Object} device - Device details ({ deviceName, userAgent, ip })
+ * @returns {Promise<{refreshToken: string, id: number}>} The token and its row ID
+ */
+const storeRefreshToken = async (user, familyId, device = {}) => {
+  const refreshToken = authService.generateRefreshToken(user, familyId);
+  const { exp } = jwt.decode(refreshToken);
+
+  const [result] = await db.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, device_name, user_agent, ip_address, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      user.id,
+      hashToken(refreshToken),
+      familyId,
+      device.deviceName || null,
+      device.userAgent ? device.userAgent.slice(0, 512) : null,
+      device.ip || null,
+      new Date(exp * 1000)
+    ]
+  );
+
+  return { refreshToken, id: result.insertId };
+};
+
+/**
+ * Persisted refresh-token store with rotation and reuse detection.
+ * Every login starts a new token family; every refresh revokes the presented
+ * token and issues its successor in the same family. Presenting a token that
+ * was already rotated revokes the whole family.
+ */
+const tokenService = {
+  /**
+   * Issue an access token and a refresh token for a fresh sign-in
+   * @param {Object} user - User object with id and role
+   * @param {Object} [device] - Device details ({ deviceName, userAgent, ip })
+   * @returns {Promise<{token: string, refreshToken: string}>} Token pair
+   */
+  issueTokenPair: async (user, device = {}) => {
+    const familyId = crypto.randomUUID();
+
+    // The family ID doubles as the session ID shown to the user
+    await db.query(
+      `INSERT INTO sessions (id, user_id, device_name, user_agent, ip_address, last_seen_at)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [
+        familyId,
+        user.id,
+        device.deviceName || null,
+        device.userAgent ? device.userAgent.slice(0, 512) : null,
+        device.ip || null
+      ]
+    );
+
+    const { refreshToken } = await storeRefreshToken(user, familyId, device);
+
+    return {
+      token: authService.generateToken(user, familyId),
+      refreshToken
+    };
+  },
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @param {Object} [device] - Device details ({ userAgent, ip })
+   * @returns {Promise<Object|null>} { token, refreshToken, user } or null if the token is not usable
+   */
+  rotateRefreshToken: async (refreshToken, device = {}) => {
+    const decoded = authService.verifyToken(refreshToken);
+    if (!decoded || decoded.type !== 'refresh') return null;
+
+    const [rows] = await db.query(
+      'SELECT * FROM refresh_tokens WHERE token_hash = ?',
+      [hashToken(refreshToken)]
+    );
+    const stored = rows[0];
+    if (!stored) return null;
+
+    if (stored.revoked_at) {
+      logger.warn('Refresh token reuse detected, revoking family', { userId: stored.user_id, familyId: stored.family_id });
+      await tokenService.revokeFamily(stored.family_id);
+      return null;
+    }
+
+    if (new Date(stored.expires_at) <= new Date()) return null;
+
+    // Claim the token atomically so two concurrent refreshes cannot both succeed
+    const [claim] = await db.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+      [stored.id]
+    );
+    if (!claim.affectedRows) {
+      logger.warn('Concurrent refresh detected, revoking family', { userId: stored.user_id, familyId: stored.family_id });
+      await tokenService.revokeFamily(stored.family_id);
+      return null;
+    }
+
+    const user = await authService.getUserById(stored.user_id);
+    if (!user || user.status !== 'active') {
+      await tokenService.revokeFamily(stored.family_id);
+      return null;
+    }
+
+    const next = await storeRefreshToken(user, stored.family_id, {
+      deviceName: stored.device_name,
+      userAgent: device.userAgent || stored.user_agent,
+      ip: device.ip || stored.ip_address
+    });
+
+    await db.query('UPDATE refresh_tokens SET replaced_by = ? WHERE id = ?', [next.id, stored.id]);
+    await db.query(
+      'UPDATE sessions SET last_seen_at = NOW(), ip_address = COALESCE(?, ip_address) WHERE id = ?',
+      [device.ip || null, stored.family_id]
+    );
+
+    return {
+      token: authService.generateToken(user, stored.family_id),
+      refreshToken: next.refreshToken,
+      user
+    };
+  },
+
+  /**
+   * Revoke the device session a refresh token belongs to
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @param {Object} [options] - { allDevices: revoke every session of the token's user }
+   * @returns {Promise<boolean>} True if the token was recognised
+   */
+  revokeRefreshToken: async (refreshToken, options = {}) => {
+    const [rows] = await db.query(
+      'SELECT user_id, family_id FROM refresh_tokens WHERE token_hash = ?',
+      [hashToken(refreshToken)]
+    );
+    if (!rows.length) return false;
+
+    if (options.allDevices) {
+      await tokenService.revokeAllForUser(rows[0].user_id);
+    } else {
+      await tokenService.revokeFamily(rows[0].family_id);
+    }
+    return true;
+  },
+
+  /**
+   * Revoke every live token in a family and end its session
+   * @param {string} familyId - Token family ID
+   * @returns {Promise<void>}
+   */
+  revokeFamily: async (familyId) => {
+    await db.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+      [familyId]
+    );
+    await db.query(
+      'UPDATE sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+      [familyId]
+    );
+  },
+
+  /**
+   * Revoke every live refresh token and session of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<void>}
+   */
+  revokeAllForUser: async (userId) => {
+    await db.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+      [userId]
+    );
+    await db.query(
+      'UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+      [userId]
+    );
+  },
+
+  /**
+   * List a user's active sessions, most recently used first
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} Session rows
+   */
+  listSessions: async (userId) => {
+    const [sessions] = await db.query(
+      `SELECT id, device_name, user_agent, ip_address, created_at, last_seen_at
+       FROM sessions
+       WHERE user_id = ? AND revoked_at IS NULL
+         AND EXISTS (
+           SELECT 1 FROM refresh_tokens rt
+           WHERE rt.family_id = sessions.id AND rt.revoked_at IS NULL AND rt.expires_at > NOW()
+         )
+       ORDER BY COALESCE(last_seen_at, created_at) DESC`,
+      [userId]
+    );
+    return sessions;
+  },
+
+  /**
+   * Sign out one of a user's sessions
+   * @param {number} userId - Owner of the session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} False if the user has no such active session
+   */
+  revokeSession: async (userId, sessionId) => {
+    const [rows] = await db.query(
+      'SELECT id FROM sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [sessionId, userId]
+    );
+    if (!rows.length) return false;
+
+    await tokenService.revokeFamily(sessionId);
+    return true;
+  },
+
+  /**
+   * Record activity on a session, at most once a minute
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  touchSession: async (sessionId) => {
+    await db.query(
+      `UPDATE sessions SET last_seen_at = NOW()
+       WHERE id = ? AND (last_seen_at IS NULL OR last_seen_at < NOW() - INTERVAL 1 MINUTE)`,
+      [sessionId]
+    );
+  }
+};
+
+module.exports = tokenService;
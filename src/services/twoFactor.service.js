@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const db = require('../config/db');
+const jwtConfig = require('../config/jwt');
+const { env } = require('../config');
+const logger = require('../utils/logger').child({ module: 'TwoFactor' });
+
+const ISSUER = 'Pharaohs';
+const RECOVERY_CODE_COUNT = 10;
+
+// Accept the previous and next 30s step as well, to tolerate phone clock drift
+authenticator.options = { window: 1 };
+
+// TOTP secrets are encrypted at rest with AES-256-GCM
+const encryptionKey = crypto
+  .createHash('sha256')
+  .update(env.TWO_FACTOR_ENCRYPTION_KEY || jwtConfig.secret)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, Buffer.from(iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toUpperCase())
+  .digest('hex');
+
+// e.g. "7F3A-91C4"
+const generateRecoveryCode = () => {
+  const raw = crypto.randomBytes(4).toString('hex').toUpperCase();
+  return `${raw.slice(0, 4)}-${raw.slice(4, 8)}`;
+};
+
+/**
+ * TOTP two-factor authentication: enrollment, code checks and recovery codes
+ */
+const twoFactorService = {
+  /**
+   * Start enrollment by generating and storing a new (not yet enabled) secret
+   * @param {Object} user - User object with id and email
+   * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>} Secret, otpauth URI and QR code data URL
+   */
+  createPendingSecret: async (user) => {
+    const secret = authenticator.generateSecret();
+    const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    await db.query(
+      'UPDATE users SET two_factor_secret = ?, two_factor_enabled = 0 WHERE id = ?',
+      [encryptSecret(secret), user.id]
+    );
+
+    return { secret, otpauthUrl, qrCode };
+  },
+
+  /**
+   * Check a 6-digit TOTP code against a user's stored secret
+   * @param {Object} user - User row including two_factor_secret
+   * @param {string} code - Code from the authenticator app
+   * @returns {boolean} True if the code is valid
+   */
+  verifyCode: (user, code) => {
+    if (!user.two_factor_secret || !code) return false;
+
+    try {
+      return authenticator.check(String(code).replace(/\s/g, ''), decryptSecret(user.two_factor_secret));
+    } catch (err) {
+      logger.warn('Could not check code', { userId: user.id, error: err.message });
+      return false;
+    }
+  },
+
+  /**
+   * Turn on 2FA for a user whose pending secret has been confirmed
+   * @param {number} userId - User ID
+   * @returns {Promise<string[]>} Fresh recovery codes (shown to the user once)
+   */
+  enable: async (userId) => {
+    await db.query('UPDATE users SET two_factor_enabled = 1 WHERE id = ?', [userId]);
+    return twoFactorService.regenerateRecoveryCodes(userId);
+  },
+
+  /**
+   * Turn off 2FA and discard the secret and recovery codes
+   * @param {number} userId - User ID
+   * @returns {Promise<void>}
+   */
+  disable: async (userId) => {
+    await db.query(
+      'UPDATE users SET two_factor_enabled = 0, two_factor_secret = NULL WHERE id = ?',
+      [userId]
+    );
+    await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+  },
+
+  /**
+   * Replace all recovery codes of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<string[]>} The new plain codes (only hashes are stored)
+   */
+  regenerateRecoveryCodes: async (userId) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+    await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+    await db.query(
+      'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ?',
+      [codes.map(code => [userId, hashRecoveryCode(code)])]
+    );
+
+    return codes;
+  },
+
+  /**
+   * Use up a recovery code
+   * @param {number} userId - User ID
+   * @param {string} code - Recovery code as typed by the user
+   * @returns {Promise<boolean>} True if the code was valid and unused
+   */
+  consumeRecoveryCode: async (userId, code) => {
+    if (!code) return false;
+
+    const [result] = await db.query(
+      'UPDATE two_factor_recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+      [userId, hashRecoveryCode(code)]
+    );
+    return result.affectedRows > 0;
+  }
+};
+
+module.exports = twoFactorService;
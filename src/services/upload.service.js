@@ -1,29 +1,35 @@
 const multer = require('multer');
 const path = require('path');
+const { PayloadTooLargeError, UnsupportedMediaTypeError } = require('../utils/errors');
 
 // Use memory storage instead of disk storage to avoid writing files to disk
 const storage = multer.memoryStorage();
 
+const imageTypes = ['image/jpeg', 'image/png', 'image/jpg', 'image/webp'];
+
+// Also accepted by resumable uploads (see uploadSession.service)
+const videoTypes = [
+  'video/mp4', 'video/webm', 'video/quicktime', 'video/x-msvideo',
+  'video/x-ms-wmv', 'video/mpeg', 'video/3gpp'
+];
+
+const allowedTypes = [...imageTypes, ...videoTypes];
+
 const fileFilter = (req, file, cb) => {
-  // Enhanced logging for debugging
-  console.log(`[Upload Service] Request headers:`, JSON.stringify(req.headers));
-  console.log(`[Upload Service] Received file upload with Content-Type: ${req.headers['content-type']}`);
-  console.log(`[Upload Service] File: ${file.originalname}, mimetype: ${file.mimetype}, size: ${file.size} bytes`);
-  
-  // Expanded list of allowed video types
-  const allowedTypes = [
-    // Images
-    'image/jpeg', 'image/png', 'image/jpg', 'image/webp', 
-    // Videos
-    'video/mp4', 'video/webm', 'video/quicktime', 'video/x-msvideo', 
-    'video/x-ms-wmv', 'video/mpeg', 'video/3gpp'
-  ];
+  // Headers are not logged: they carry the Authorization token
+  req.log.debug('Received file upload', {
+    contentType: req.headers['content-type'],
+    file: file.originalname,
+    mimetype: file.mimetype
+  });
   
   if (allowedTypes.includes(file.mimetype)) {
     cb(null, true);
   } else {
-    console.error(`[Upload Service] Invalid file type: ${file.mimetype}. Allowed types: ${allowedTypes.join(', ')}`);
-    cb(new Error(`Invalid file type: ${file.mimetype}. Only supported image and video formats are allowed.`), false);
+    req.log.warn('Rejected upload with invalid file type', { mimetype: file.mimetype, allowedTypes });
+    cb(new UnsupportedMediaTypeError(`Invalid file type: ${file.mimetype}. Only supported image and video formats are allowed.`, {
+      code: 'INVALID_FILE_TYPE'
+    }), false);
   }
 };
 
@@ -39,23 +45,36 @@ const upload = multer({
 
 // Add custom multer error handler
 upload.handleError = (err, req, res, next) => {
-  console.error('[Multer Error]', err);
+  req.log.warn('Upload failed', { error: err.message, errorCode: err.code });
   
   if (err.code === 'LIMIT_FILE_SIZE') {
-    return res.status(413).json({
-      message: 'File size too large. Maximum allowed size is 100MB.',
-      error: 'FILE_TOO_LARGE'
-    });
+    return next(new PayloadTooLargeError('File size too large. Maximum allowed size is 100MB.', {
+      code: 'FILE_TOO_LARGE'
+    }));
   }
-  
-  if (err.message && err.message.includes('Invalid file type')) {
-    return res.status(415).json({
-      message: err.message,
-      error: 'INVALID_FILE_TYPE'
-    });
-  }
-  
+
   next(err);
 };
 
+// Separate instance for accreditation documents (scanned licences, club letters)
+upload.documents = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    const allowedDocumentTypes = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'];
+
+    if (allowedDocumentTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new UnsupportedMediaTypeError(`Invalid file type: ${file.mimetype}. Only PDF, JPEG and PNG documents are allowed.`, {
+        code: 'INVALID_FILE_TYPE'
+      }), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit for documents
+  }
+});
+
+upload.videoTypes = videoTypes;
+
 module.exports = upload;
\ No newline at end of file
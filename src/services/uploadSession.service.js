@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+const { env } = require('../config');
+const logger = require('../utils/logger').child({ module: 'UploadSession' });
+const storageService = require('./storage.service');
+const { videoTypes } = require('./upload.service');
+const MediaRepository = require('../repositories/media.repository');
+const UploadSessionRepository = require('../repositories/uploadSession.repository');
+const {
+  AppError,
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError
+} = require('../utils/errors');
+
+// Open uploads a player may have at once, so abandoned sessions cannot pile up
+const MAX_ACTIVE_UPLOADS = 5;
+
+// Open sessions past their expiry count as expired even before purgeExpired marks them
+const statusOf = (session) => (
+  ['uploading', 'uploaded'].includes(session.status) && new Date(session.expires_at) <= new Date()
+    ? 'expired'
+    : session.status
+);
+
+const assertNotExpired = (session) => {
+  if (statusOf(session) === 'expired') {
+    throw new GoneError('This upload has expired. Please start again.', { code: 'UPLOAD_EXPIRED' });
+  }
+};
+
+// What the client sees of a session: enough to resume it after a dropped connection
+const toResponse = (session) => ({
+  uploadId: session.id,
+  filename: session.filename,
+  mimetype: session.mimetype,
+  size: Number(session.total_size),
+  chunkSize: session.chunk_size,
+  receivedBytes: Number(session.received_size),
+  status: statusOf(session),
+  expiresAt: session.expires_at,
+  videoId: session.video_id
+});
+
+/**
+ * Resumable video uploads
+ *
+ * A player starts a session, sends the file in UPLOAD_CHUNK_SIZE chunks (each one is
+ * passed straight on to storage), then completes it to create the video. After a
+ * dropped connection the client asks how many bytes arrived and carries on from there.
+ */
+const uploadSessionService = {
+  /**
+   * Start a resumable upload
+   * @param {number} playerId - Uploading player's ID
+   * @param {Object} file - { filename, mimetype, size, description }
+   * @returns {Promise<Object>} Session as returned to the client
+   */
+  start: async (playerId, { filename, mimetype, size, description }) => {
+    if (!videoTypes.includes(mimetype)) {
+      throw new UnsupportedMediaTypeError(`Invalid file type: ${mimetype}. Only supported video formats can be uploaded this way.`, {
+        code: 'INVALID_FILE_TYPE'
+      });
+    }
+    if (size > env.UPLOAD_MAX_SIZE_MB * 1024 * 1024) {
+      throw new PayloadTooLargeError(`File size too large. Maximum allowed size is ${env.UPLOAD_MAX_SIZE_MB}MB.`, {
+        code: 'FILE_TOO_LARGE'
+      });
+    }
+    if (!storageService.isConfigured()) {
+      logger.error('Media storage is not configured', { driver: storageService.driver });
+      throw new AppError('Server configuration error: Missing cloud storage credentials', { code: 'STORAGE_CONFIG_MISSING' });
+    }
+
+    await uploadSessionService.purgeExpired();
+
+    if (await UploadSessionRepository.countActive(playerId) >= MAX_ACTIVE_UPLOADS) {
+      throw new ConflictError(`You already have ${MAX_ACTIVE_UPLOADS} unfinished uploads. Complete or cancel one first.`, {
+        code: 'TOO_MANY_UPLOADS'
+      });
+    }
+
+    const id = crypto.randomUUID();
+    const storageState = await storageService.startUpload({
+      filename,
+      mimetype,
+      folder: 'pharaohs/videos',
+      name: `player_${playerId}_${Date.now()}`,
+      resourceType: 'video',
+      size
+    });
+    const expiresAt = new Date(Date.now() + env.UPLOAD_SESSION_EXPIRES_HOURS * 60 * 60 * 1000);
+
+    await UploadSessionRepository.create({
+      id,
+      playerId,
+      filename,
+      mimetype,
+      description: description || '',
+      totalSize: size,
+      chunkSize: env.UPLOAD_CHUNK_SIZE,
+      storageState,
+      expiresAt
+    });
+
+    logger.info('Upload started', { uploadId: id, playerId, size, mimetype });
+    return uploadSessionService.get(playerId, id);
+  },
+
+  /**
+   * Look up an upload, e.g. to find where to resume
+   * @param {number} playerId - Owner's user ID
+   * @param {string} id - Session ID
+   * @returns {Promise<Object>} Session as returned to the client
+   */
+  get: async (playerId, id) => toResponse(await uploadSessionService.findSession(playerId, id)),
+
+  /**
+   * Find one of a player's sessions
+   * @param {number} playerId - Owner's user ID
+   * @param {string} id - Session ID
+   * @returns {Promise<Object>} Session row
+   * @throws {NotFoundError} If the player has no such upload
+   */
+  findSession: async (playerId, id) => {
+    const session = await UploadSessionRepository.findOwned(id, playerId);
+    if (!session) {
+      throw new NotFoundError('Upload not found', { code: 'UPLOAD_NOT_FOUND' });
+    }
+    return session;
+  },
+
+  /**
+   * Store the next chunk of an upload
+   * @param {number} playerId - Owner's user ID
+   * @param {string} id - Session ID
+   * @param {number} offset - Where the chunk starts; must equal the bytes received so far
+   * @param {Buffer} chunk - Chunk contents: exactly chunkSize bytes, except for the last chunk
+   * @returns {Promise<Object>} Session as returned to the client
+   */
+  appendChunk: async (playerId, id, offset, chunk) => {
+    const session = await uploadSessionService.findSession(playerId, id);
+    const received = Number(session.received_size);
+    const total = Number(session.total_size);
+
+    assertNotExpired(session);
+    if (session.status !== 'uploading') {
+      throw new ConflictError(`This upload is ${session.status}`, { code: 'UPLOAD_NOT_IN_PROGRESS' });
+    }
+    if (offset !== received) {
+      throw new ConflictError(`Expected the chunk at offset ${received}`, {
+        code: 'UPLOAD_OFFSET_MISMATCH',
+        details: { receivedBytes: received }
+      });
+    }
+
+    const expectedSize = Math.min(session.chunk_size, total - received);
+    if (chunk.length !== expectedSize) {
+      throw new BadRequestError(`Chunk must be ${expectedSize} bytes`, {
+        code: 'INVALID_CHUNK_SIZE',
+        details: { expectedBytes: expectedSize }
+      });
+    }
+
+    let stored;
+    try {
+      stored = await storageService.uploadPart(session.storage_state, chunk, { offset, size: total });
+    } catch (err) {
+      logger.error('Chunk upload failed', { uploadId: id, offset, err });
+      throw new AppError('Error uploading to cloud storage', { code: 'STORAGE_ERROR' });
+    }
+
+    const recorded = await UploadSessionRepository.recordChunk(id, offset, {
+      receivedSize: offset + chunk.length,
+      storageKey: stored ? stored.key : null,
+      url: stored ? stored.url : null,
+      metadata: stored && {
+        width: stored.width,
+        height: stored.height,
+        duration: stored.duration,
+        format: stored.format,
+        thumbnailUrl: stored.thumbnailUrl
+      }
+    });
+    if (!recorded) {
+      // The same chunk was sent twice at once and the other request recorded it first
+      const current = await uploadSessionService.findSession(playerId, id);
+      throw new ConflictError(`Expected the chunk at offset ${Number(current.received_size)}`, {
+        code: 'UPLOAD_OFFSET_MISMATCH',
+        details: { receivedBytes: Number(current.received_size) }
+      });
+    }
+
+    if (stored) logger.info('Upload received', { uploadId: id, playerId, key: stored.key });
+    return uploadSessionService.get(playerId, id);
+  },
+
+  /**
+   * Create the video for a fully received upload. Completing again returns the same video.
+   * @param {number} playerId - Owner's user ID
+   * @param {string} id - Session ID
+   * @returns {Promise<Object>} { session, created } with the session as returned to the client
+   */
+  complete: async (playerId, id) => {
+    const session = await uploadSessionService.findSession(playerId, id);
+
+    if (session.status === 'completed') {
+      return { session: toResponse(session), created: false };
+    }
+    assertNotExpired(session);
+    const incomplete = () => new ConflictError('The upload has not finished yet', {
+      code: 'UPLOAD_INCOMPLETE',
+      details: { receivedBytes: Number(session.received_size) }
+    });
+    if (session.status !== 'uploaded') throw incomplete();
+
+    // Claiming the session and creating its video succeed or fail together, so a failed
+    // attempt leaves the upload ready to complete again
+    const connection = await db.getConnection();
+    let videoId;
+
+    try {
+      await connection.beginTransaction();
+      if (!(await UploadSessionRepository.markCompleted(id, connection))) throw incomplete();
+
+      videoId = await MediaRepository.create({
+        playerId,
+        url: session.url,
+        description: session.description,
+        type: 'video',
+        publicId: session.storage_key,
+        size: Number(session.total_size),
+        ...session.metadata
+      }, connection);
+      await UploadSessionRepository.setVideo(id, videoId, connection);
+      await connection.commit();
+    } catch (err) {
+      await connection.rollback();
+      throw err;
+    } finally {
+      connection.release();
+    }
+
+    logger.info('Upload completed', { uploadId: id, playerId, videoId });
+    return { session: await uploadSessionService.get(playerId, id), created: true };
+  },
+
+  /**
+   * Cancel an upload and discard what was stored
+   * @param {number} playerId - Owner's user ID
+   * @param {string} id - Session ID
+   * @returns {Promise<void>}
+   */
+  abort: async (playerId, id) => {
+    const session = await uploadSessionService.findSession(playerId, id);
+
+    if (session.status === 'completed') {
+      throw new ConflictError('This upload is already completed; delete the video instead', { code: 'UPLOAD_COMPLETED' });
+    }
+    if (session.status === 'uploading' || session.status === 'uploaded') {
+      await uploadSessionService.discard(session);
+      await UploadSessionRepository.updateStatus(id, 'aborted');
+      logger.info('Upload aborted', { uploadId: id, playerId });
+    }
+  },
+
+  /**
+   * Remove whatever storage holds for an unfinished session
+   * @param {Object} session - Session row
+   * @returns {Promise<void>}
+   */
+  discard: async (session) => {
+    if (!session.storage_key) {
+      await storageService.abortUpload(session.storage_state);
+      return;
+    }
+    try {
+      await storageService.delete(session.storage_key, { resourceType: 'video' });
+    } catch (err) {
+      logger.warn('Could not delete uploaded file', { uploadId: session.id, key: session.storage_key, error: err.message });
+    }
+  },
+
+  /**
+   * Discard sessions that were never completed in time and mark them expired
+   * @returns {Promise<number>} Number of sessions expired
+   */
+  purgeExpired: async () => {
+    const expired = await UploadSessionRepository.findExpired();
+
+    for (const session of expired) {
+      await uploadSessionService.discard(session);
+      await UploadSessionRepository.updateStatus(session.id, 'expired');
+    }
+
+    return expired.length;
+  }
+};
+
+module.exports = uploadSessionService;
@@ -0,0 +1,120 @@
+/**
+ * Application errors
+ *
+ * Controllers and middleware throw (or pass to next()) one of these instead of
+ * writing an error response themselves; error.middleware turns it into the
+ * standard envelope { message, error, details }. `error` is a stable,
+ * machine-readable code that clients can switch on, while `message` is for humans
+ * and may change.
+ */
+
+/**
+ * Base class for errors whose status, code and message are safe to send to the client
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} options - { status, code, details }
+   * @param {number} options.status - HTTP status code (default 500)
+   * @param {string} options.code - Machine-readable error code (default INTERNAL_ERROR)
+   * @param {Object} options.details - Extra facts sent under `details` in the response body
+   */
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Subclasses fix the status and default the code; pass { code } for a more specific one
+
+class BadRequestError extends AppError {
+  constructor(message, { code = 'BAD_REQUEST', details } = {}) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message, { code = 'UNAUTHORIZED', details } = {}) {
+    super(message, { status: 401, code, details });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message, { code = 'FORBIDDEN', details } = {}) {
+    super(message, { status: 403, code, details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, { code = 'NOT_FOUND', details } = {}) {
+    super(message, { status: 404, code, details });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, { code = 'CONFLICT', details } = {}) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+class GoneError extends AppError {
+  constructor(message, { code = 'GONE', details } = {}) {
+    super(message, { status: 410, code, details });
+  }
+}
+
+class PayloadTooLargeError extends AppError {
+  constructor(message, { code = 'PAYLOAD_TOO_LARGE', details } = {}) {
+    super(message, { status: 413, code, details });
+  }
+}
+
+class UnsupportedMediaTypeError extends AppError {
+  constructor(message, { code = 'UNSUPPORTED_MEDIA_TYPE', details } = {}) {
+    super(message, { status: 415, code, details });
+  }
+}
+
+class LockedError extends AppError {
+  constructor(message, { code = 'LOCKED', details } = {}) {
+    super(message, { status: 423, code, details });
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(message, { code = 'TOO_MANY_REQUESTS', details } = {}) {
+    super(message, { status: 429, code, details });
+  }
+}
+
+/**
+ * Request input failed validation; `errors` lists each invalid field
+ */
+class ValidationError extends AppError {
+  /**
+   * @param {Array<{field: string, location: string, message: string}>} errors - Field errors
+   * @param {string} message - Human-readable summary
+   */
+  constructor(errors, message = 'Validation failed') {
+    super(message, { status: 422, code: 'VALIDATION_ERROR' });
+    this.errors = errors;
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  LockedError,
+  TooManyRequestsError,
+  ValidationError
+};
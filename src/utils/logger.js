@@ -11,48 +11,138 @@
  *           description: When the log entry was created
  *         level:
  *           type: string
- *           enum: [error, warn, info, debug, trace]
+ *           enum: [error, warn, info, debug]
  *           description: Log level severity
  *         message:
  *           type: string
  *           description: Log message
+ *         requestId:
+ *           type: string
+ *           description: ID of the request being handled, also sent back in the X-Request-Id header
  *         context:
  *           type: object
  *           description: Additional contextual information
  */
 
+const { AsyncLocalStorage } = require('async_hooks');
 const winston = require('winston');
+const { env, isProduction } = require('../config');
 const { format, transports } = winston;
 
+// LOG_LEVEL is one of error, warn, info, debug, or silent to turn logging off
+const level = env.LOG_LEVEL;
+
+// LOG_FORMAT=json writes one JSON object per line; pretty is meant for a terminal
+const pretty = env.LOG_FORMAT === 'pretty';
+
+// Holds { requestId } for the request being handled, so that services log it
+// without having the request passed down to them
+const requestContext = new AsyncLocalStorage();
+
+const REDACTED = '[REDACTED]';
+
+// Values under these keys are never logged
+const SECRET_KEY = /pass(word)?|token|secret|authorization|cookie|api[-_]?key|signature|recovery|^code$|^otp$/i;
+
+// Values under these keys identify a person and are masked
+const PII_KEY = /e-?mail|phone/i;
+
+const EMAIL = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const BEARER = /Bearer\s+[A-Za-z0-9._~+/=-]+/gi;
+const JWT = /eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g;
+const TOKEN_PARAM = /([?&](?:token|code|signature)=)[^&\s]+/gi;
+
+// Scrub secrets and email addresses out of free text
+const redactString = (value) => value
+  .replace(BEARER, `Bearer ${REDACTED}`)
+  .replace(JWT, REDACTED)
+  .replace(TOKEN_PARAM, `$1${REDACTED}`)
+  .replace(EMAIL, '$1***@$2');
+
+const maskPii = (value) => {
+  if (typeof value !== 'string') return REDACTED;
+  if (value.includes('@')) return redactString(value);
+  return value.length > 2 ? `${'*'.repeat(value.length - 2)}${value.slice(-2)}` : REDACTED;
+};
+
+const redactValue = (key, value, depth = 0, seen = new WeakSet()) => {
+  if (value === null || value === undefined) return value;
+  if (SECRET_KEY.test(key)) return REDACTED;
+  if (PII_KEY.test(key)) return maskPii(value);
+
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value !== 'object') return value;
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message || ''),
+      ...(value.code && { code: value.code }),
+      ...(value.stack && { stack: redactString(value.stack) })
+    };
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `<Buffer ${value.length} bytes>`;
+  if (depth >= 5 || seen.has(value)) return '[Truncated]';
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map(item => redactValue('', item, depth + 1, seen));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([k, v]) => [k, redactValue(k, v, depth + 1, seen)])
+  );
+};
+
+// Adds the current request's ID to entries logged while handling it
+const addRequestContext = format((info) => {
+  const store = requestContext.getStore();
+  if (store) {
+    for (const [key, value] of Object.entries(store)) {
+      if (info[key] === undefined) info[key] = value;
+    }
+  }
+  return info;
+});
+
+const redact = format((info) => {
+  for (const key of Object.keys(info)) {
+    if (key === 'level' || key === 'timestamp') continue;
+    info[key] = key === 'message' && typeof info.message === 'string'
+      ? redactString(info.message)
+      : redactValue(key, info[key]);
+  }
+  return info;
+});
+
 // Define log format
 const logFormat = format.combine(
   format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
-  format.errors({ stack: true }),
-  format.splat(),
+  addRequestContext(),
+  redact(),
   format.json()
 );
 
+const prettyFormat = format.combine(
+  format.colorize(),
+  format.printf(({ timestamp, level, message, service, requestId, ...meta }) =>
+    `${timestamp} [${level}]${requestId ? ` (${requestId})` : ''}: ${message}${
+      Object.keys(meta).length ? ` ${JSON.stringify(meta, null, 2)}` : ''
+    }`
+  )
+);
+
 // Create Winston logger
 const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
+  level: level === 'silent' ? 'error' : level,
+  silent: level === 'silent',
   format: logFormat,
   defaultMeta: { service: 'pharaohs-api' },
   transports: [
     // Write logs to console
-    new transports.Console({
-      format: format.combine(
-        format.colorize(),
-        format.printf(
-          ({ timestamp, level, message, ...meta }) =>
-            `${timestamp} [${level}]: ${message} ${
-              Object.keys(meta).length ? JSON.stringify(meta, null, 2) : ''
-            }`
-        )
-      ),
-    }),
-    
+    new transports.Console(pretty ? { format: prettyFormat } : {}),
+
     // Write logs to file (if in production)
-    ...(process.env.NODE_ENV === 'production'
+    ...(isProduction
       ? [
           new transports.File({
             filename: 'logs/error.log',
@@ -71,16 +161,18 @@ const logger = winston.createLogger({
 });
 
 /**
- * Logger utility for consistent application logging
+ * Wrap a winston logger in the { error, warn, info, debug, child } interface
+ * @param {Object} target - Winston logger or child logger
+ * @returns {Object} Logger interface
  */
-module.exports = {
+const wrap = (target) => ({
   /**
    * Log error message
    * @param {string} message - Error message
-   * @param {Object} [context] - Additional context
+   * @param {Object} [context] - Additional context; pass a caught error as `err`
    */
   error: (message, context = {}) => {
-    logger.error(message, context);
+    target.error(message, context);
   },
 
   /**
@@ -89,7 +181,7 @@ module.exports = {
    * @param {Object} [context] - Additional context
    */
   warn: (message, context = {}) => {
-    logger.warn(message, context);
+    target.warn(message, context);
   },
 
   /**
@@ -98,7 +190,7 @@ module.exports = {
    * @param {Object} [context] - Additional context
    */
   info: (message, context = {}) => {
-    logger.info(message, context);
+    target.info(message, context);
   },
 
   /**
@@ -107,25 +199,52 @@ module.exports = {
    * @param {Object} [context] - Additional context
    */
   debug: (message, context = {}) => {
-    logger.debug(message, context);
+    target.debug(message, context);
   },
 
   /**
-   * Log HTTP request
+   * Create a logger that adds `meta` to every entry
+   * @param {Object} meta - Fields to attach, e.g. { module: 'cloudinary' }
+   * @returns {Object} Logger interface
+   */
+  child: (meta) => wrap(target.child(meta))
+});
+
+/**
+ * Logger utility for consistent application logging
+ *
+ * Entries are redacted before they are written: values under secret-looking keys
+ * (password, token, authorization, ...) are dropped, emails and phone numbers are
+ * masked, and bearer tokens or JWTs inside messages are replaced.
+ */
+module.exports = {
+  ...wrap(logger),
+
+  /**
+   * Log a finished HTTP request; 5xx responses are logged as errors, 4xx as warnings
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Object} [additionalInfo] - Additional info to log
    */
   http: (req, res, additionalInfo = {}) => {
-    logger.info(`HTTP ${req.method} ${req.url}`, {
+    const logLevel = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    logger.log(logLevel, `HTTP ${req.method} ${req.originalUrl} ${res.statusCode}`, {
+      requestId: req.id,
       method: req.method,
-      url: req.url,
+      url: req.originalUrl,
       ip: req.ip,
       userId: req.user ? req.user.id : null,
       userRole: req.user ? req.user.role : null,
       statusCode: res.statusCode,
-      responseTime: res.responseTime,
       ...additionalInfo,
     });
   },
+
+  /**
+   * Run `fn` with `context` attached to everything it logs, including from async work it starts
+   * @param {Object} context - Fields to attach, e.g. { requestId }
+   * @param {Function} fn - Function to run
+   * @returns {*} Whatever `fn` returns
+   */
+  runWithContext: (context, fn) => requestContext.run(context, fn)
 };
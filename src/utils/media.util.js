@@ -0,0 +1,108 @@
+const { getFullUrl } = require('./url.util');
+
+// Skills a video can be tagged with, also used as highlight marker categories
+const SKILL_TAGS = [
+  'finishing',
+  'dribbling',
+  'passing',
+  'crossing',
+  'heading',
+  'tackling',
+  'defending',
+  'goalkeeping',
+  'set_pieces',
+  'pace',
+  'vision'
+];
+
+/**
+ * File details of a media row, as returned by the API next to its URL. Media uploaded
+ * before these were captured, or that the storage driver could not inspect, has nulls.
+ * @param {Object} media - videos row with the metadata columns
+ * @returns {Object} { width, height, duration, size, format, thumbnailUrl } with duration in seconds
+ */
+const mediaMetadata = (media) => ({
+  width: media.width ?? null,
+  height: media.height ?? null,
+  // DECIMAL columns come back from mysql2 as strings
+  duration: media.duration === null || media.duration === undefined ? null : Number(media.duration),
+  size: media.file_size ?? null,
+  format: media.format ?? null,
+  thumbnailUrl: getFullUrl(media.thumbnail_url)
+});
+
+/**
+ * Read a position in a video: seconds (72 or '72.5') or a clock time ('01:12', '1:02:03')
+ * @param {number|string} value - Position as sent by the client
+ * @returns {number|null} Seconds, or null if the value is not a valid position
+ */
+const parseTimestamp = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+  if (typeof value !== 'string') return null;
+
+  // Seconds, minutes:seconds or hours:minutes:seconds; only the first part may exceed 59
+  const parts = value.trim().split(':');
+  const valid = parts.length <= 3 && parts.every((part, i) => (
+    (i === parts.length - 1 ? /^\d+(\.\d+)?$/ : /^\d+$/).test(part) && (i === 0 || Number(part) < 60)
+  ));
+  return valid ? parts.reduce((total, part) => total * 60 + Number(part), 0) : null;
+};
+
+/**
+ * Format seconds as a clock time, e.g. 72 as '01:12' and 3723 as '1:02:03'
+ * @param {number} seconds - Position in the video
+ * @returns {string} Clock time, to the whole second
+ */
+const formatTimestamp = (seconds) => {
+  const total = Math.floor(seconds);
+  const pad = (n) => String(n).padStart(2, '0');
+  const clock = `${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+  return total >= 3600 ? `${Math.floor(total / 3600)}:${clock}` : clock;
+};
+
+/**
+ * A highlight marker as returned by the API
+ * @param {Object} marker - video_markers row
+ * @returns {Object} { id, time, timestamp, label, category } with time in seconds
+ */
+const markerResponse = (marker) => ({
+  id: marker.id,
+  // DECIMAL columns come back from mysql2 as strings
+  time: Number(marker.time_seconds),
+  timestamp: formatTimestamp(Number(marker.time_seconds)),
+  label: marker.label,
+  category: marker.category
+});
+
+/**
+ * Highlights of a media item as returned by the API next to its URL
+ * @param {Object} highlights - { markers, tags } from MediaRepository.findHighlights
+ * @returns {Object} { markers, tags } with the markers as returned by markerResponse
+ */
+const mediaHighlights = ({ markers, tags }) => ({
+  markers: markers.map(markerResponse),
+  tags
+});
+
+/**
+ * Storage resource type of a file from its URL, for rows that only keep the URL and key.
+ * Cloudinary stores PDFs as 'raw' resources and everything else as images or videos
+ * (the local storage driver ignores the resource type).
+ * @param {string} url - Stored file URL
+ * @returns {string} image, video or raw
+ */
+const resourceTypeFromUrl = (url) => {
+  if (url && url.includes('/raw/')) return 'raw';
+  if (url && url.includes('/video/')) return 'video';
+  return 'image';
+};
+
+module.exports = {
+  SKILL_TAGS,
+  mediaMetadata,
+  resourceTypeFromUrl,
+  parseTimestamp,
+  formatTimestamp,
+  markerResponse,
+  mediaHighlights
+};
@@ -0,0 +1,123 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics, served at /metrics
+ *
+ * Every metric lives in this module so names and labels stay consistent; other
+ * modules import the one they update. Labels must have a small, fixed set of
+ * values (route templates, not URLs; roles, not user IDs).
+ */
+const registry = new client.Registry();
+registry.setDefaultLabels({ service: 'pharaohs-api' });
+
+// Process metrics: CPU, memory, event loop lag, GC
+client.collectDefaultMetrics({ register: registry });
+
+// Uploads can take minutes, so the buckets go well past the usual 10 seconds
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+// 10KB to 100MB (the upload limit)
+const SIZE_BUCKETS = [10e3, 100e3, 500e3, 1e6, 5e6, 10e6, 25e6, 50e6, 100e6];
+
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by route template and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time to send the full HTTP response, by route template and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: DURATION_BUCKETS,
+  registers: [registry]
+});
+
+const dbQueryDuration = new client.Histogram({
+  name: 'db_query_duration_seconds',
+  help: 'Time for a query on the MySQL pool, including waiting for a free connection',
+  labelNames: ['operation', 'outcome'],
+  buckets: DURATION_BUCKETS,
+  registers: [registry]
+});
+
+// Filled in on each scrape from the pool registered with trackPool
+let poolStats = null;
+
+new client.Gauge({
+  name: 'db_pool_connections',
+  help: 'MySQL pool connections by state (limit, open, in_use, free) and requests waiting for one (queued)',
+  labelNames: ['state'],
+  registers: [registry],
+  collect() {
+    if (!poolStats) return;
+    for (const [state, value] of Object.entries(poolStats())) {
+      this.set({ state }, value);
+    }
+  }
+});
+
+const storageUploadBytes = new client.Histogram({
+  name: 'storage_upload_bytes',
+  help: 'Size of files uploaded to media storage',
+  labelNames: ['resource_type'],
+  buckets: SIZE_BUCKETS,
+  registers: [registry]
+});
+
+const storageUploadDuration = new client.Histogram({
+  name: 'storage_upload_duration_seconds',
+  help: 'Time to upload a file to media storage',
+  labelNames: ['resource_type', 'outcome'],
+  buckets: DURATION_BUCKETS,
+  registers: [registry]
+});
+
+const registrationsTotal = new client.Counter({
+  name: 'pharaohs_registrations_total',
+  help: 'Accounts registered, by role',
+  labelNames: ['role'],
+  registers: [registry]
+});
+
+const invitationsSentTotal = new client.Counter({
+  name: 'pharaohs_invitations_sent_total',
+  help: 'Tryout invitations sent by scouts',
+  registers: [registry]
+});
+
+const invitationsAnsweredTotal = new client.Counter({
+  name: 'pharaohs_invitations_answered_total',
+  help: 'Tryout invitations answered by players, by answer (accepted, declined)',
+  labelNames: ['status'],
+  registers: [registry]
+});
+
+const mediaUploadedTotal = new client.Counter({
+  name: 'pharaohs_media_uploaded_total',
+  help: 'Videos and images uploaded by players, by type',
+  labelNames: ['type'],
+  registers: [registry]
+});
+
+module.exports = {
+  registry,
+  httpRequestsTotal,
+  httpRequestDuration,
+  dbQueryDuration,
+  storageUploadBytes,
+  storageUploadDuration,
+  registrationsTotal,
+  invitationsSentTotal,
+  invitationsAnsweredTotal,
+  mediaUploadedTotal,
+
+  /**
+   * Report connection pool usage on every scrape
+   * @param {Function} getStats - Returns { limit, open, in_use, free, queued }
+   */
+  trackPool: (getStats) => {
+    poolStats = getStats;
+  }
+};
@@ -0,0 +1,77 @@
+const {
+  idParam,
+  requiredString,
+  isoDate,
+  oneOf,
+  intQuery,
+  pagination
+} = require('./common.validator');
+
+// Reviews that reject something must say why; the reason is shown to the user
+const rejectionReason = () => ({
+  in: ['body'],
+  custom: {
+    options: (value, { req }) => req.body.status !== 'rejected' || (typeof value === 'string' && value.trim() !== ''),
+    errorMessage: 'A reason is required when rejecting'
+  }
+});
+
+/**
+ * Validation schemas for the /api/admin routes
+ */
+module.exports = {
+  userId: {
+    id: idParam('User ID')
+  },
+
+  updateUserStatus: {
+    id: idParam('User ID'),
+    status: oneOf('Status', ['active', 'inactive', 'suspended'])
+  },
+
+  videoId: {
+    id: idParam('Video ID')
+  },
+
+  listModeration: {
+    status: oneOf('Status', ['pending', 'approved', 'rejected'], { optional: true, location: 'query' }),
+    ...pagination(100)
+  },
+
+  updateVideoStatus: {
+    id: idParam('Video ID'),
+    status: oneOf('Status', ['pending', 'approved', 'rejected']),
+    reason: rejectionReason()
+  },
+
+  listVerifications: {
+    status: oneOf('Status', ['pending_verification', 'verified', 'rejected'], { optional: true, location: 'query' }),
+    ...pagination(100)
+  },
+
+  reviewVerification: {
+    id: idParam('Verification ID'),
+    status: oneOf('Status', ['verified', 'rejected']),
+    reason: rejectionReason()
+  },
+
+  listLogs: {
+    startDate: isoDate('startDate', { optional: true, location: 'query' }),
+    endDate: isoDate('endDate', { optional: true, location: 'query' }),
+    userId: intQuery('userId', { min: 1 }),
+    ...pagination(500)
+  },
+
+  addLocation: {
+    location: requiredString('Location name')
+  },
+
+  location: {
+    location: {
+      in: ['params'],
+      trim: true,
+      notEmpty: { errorMessage: 'Location name is required', bail: true },
+      isLength: { options: { max: 255 }, errorMessage: 'Location name must be at most 255 characters' }
+    }
+  }
+};
@@ -0,0 +1,133 @@
+const {
+  uuidParam,
+  requiredString,
+  optionalString,
+  newPassword,
+  confirmationOf,
+  email,
+  isoDate,
+  oneOf
+} = require('./common.validator');
+
+// Admin accounts are never self-service
+const SELF_SERVICE_ROLES = ['player', 'scout'];
+
+// TOTP codes may arrive as numbers; whitespace is stripped when the code is checked
+const twoFactorCode = (label = 'Code') => ({
+  in: ['body'],
+  exists: { options: { values: 'falsy' }, errorMessage: `${label} is required`, bail: true },
+  isLength: { options: { max: 32 }, errorMessage: `${label} is too long` }
+});
+
+const token = (label) => requiredString(label, 2048);
+
+// Existing passwords are compared as typed, so unlike other strings they are not trimmed
+const currentPassword = (label = 'Password') => ({
+  in: ['body'],
+  exists: { errorMessage: `${label} is required`, bail: true },
+  isString: { errorMessage: `${label} must be text`, bail: true },
+  notEmpty: { errorMessage: `${label} is required` }
+});
+
+/**
+ * Validation schemas for the /api/auth routes
+ */
+module.exports = {
+  register: {
+    name: requiredString('Name', 100),
+    email: email(),
+    password: newPassword(),
+    confirmPassword: confirmationOf('password'),
+    role: oneOf('Role', SELF_SERVICE_ROLES),
+    date_of_birth: isoDate('Date of birth', { optional: true }),
+    deviceName: optionalString('Device name')
+  },
+
+  login: {
+    email: email(),
+    password: currentPassword(),
+    deviceName: optionalString('Device name')
+  },
+
+  verifyTwoFactor: {
+    challengeToken: token('Challenge token'),
+    code: {
+      in: ['body'],
+      custom: {
+        options: (value, { req }) => Boolean(value || req.body.recoveryCode),
+        errorMessage: 'A code or recovery code is required'
+      }
+    },
+    recoveryCode: optionalString('Recovery code', 64)
+  },
+
+  enableTwoFactor: {
+    password: currentPassword(),
+    code: twoFactorCode()
+  },
+
+  disableTwoFactor: {
+    password: currentPassword(),
+    code: twoFactorCode()
+  },
+
+  regenerateRecoveryCodes: {
+    code: twoFactorCode()
+  },
+
+  refresh: {
+    refreshToken: token('Refresh token')
+  },
+
+  logout: {
+    refreshToken: token('Refresh token'),
+    allDevices: {
+      in: ['body'],
+      optional: true,
+      isBoolean: { errorMessage: 'allDevices must be true or false' },
+      toBoolean: true
+    }
+  },
+
+  sessionId: {
+    id: uuidParam('Session ID')
+  },
+
+  verifyEmail: {
+    token: token('Verification token')
+  },
+
+  forgotPassword: {
+    email: email()
+  },
+
+  resetPassword: {
+    token: token('Reset token'),
+    password: newPassword(),
+    confirmPassword: confirmationOf('password')
+  },
+
+  changePassword: {
+    currentPassword: currentPassword('Current password'),
+    newPassword: newPassword('New password'),
+    confirmPassword: confirmationOf('newPassword')
+  },
+
+  deleteAccount: {
+    password: currentPassword(),
+    code: {
+      in: ['body'],
+      optional: { options: { values: 'falsy' } },
+      isLength: { options: { max: 32 }, errorMessage: 'Code is too long' }
+    }
+  },
+
+  exportId: {
+    id: uuidParam('Export ID')
+  },
+
+  downloadExport: {
+    id: uuidParam('Export ID'),
+    token: { ...token('Download token'), in: ['query'] }
+  }
+};
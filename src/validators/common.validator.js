@@ -0,0 +1,185 @@
+/**
+ * Building blocks shared by the route validation schemas. Each helper returns
+ * an express-validator field schema; spread it into a checkSchema() object.
+ */
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Positive integer ID in the route path
+ * @param {string} label - Name used in the error message, e.g. 'Video ID'
+ * @returns {Object} Field schema
+ */
+const idParam = (label = 'ID') => ({
+  in: ['params'],
+  isInt: { options: { min: 1 }, errorMessage: `${label} must be a positive integer` },
+  toInt: true
+});
+
+/**
+ * UUID in the route path (sessions, data exports)
+ * @param {string} label - Name used in the error message
+ * @returns {Object} Field schema
+ */
+const uuidParam = (label = 'ID') => ({
+  in: ['params'],
+  isUUID: { errorMessage: `${label} must be a valid UUID` }
+});
+
+/**
+ * Positive integer ID in the request body
+ * @param {string} label - Name used in the error message
+ * @param {Object} options - { optional } to allow the field to be omitted
+ * @returns {Object} Field schema
+ */
+const idField = (label, { optional = false } = {}) => ({
+  in: ['body'],
+  ...(optional ? { optional: true } : { exists: { errorMessage: `${label} is required`, bail: true } }),
+  isInt: { options: { min: 1 }, errorMessage: `${label} must be a positive integer` },
+  toInt: true
+});
+
+/**
+ * Required non-empty string in the request body, trimmed
+ * @param {string} label - Name used in the error message
+ * @param {number} max - Maximum length
+ * @returns {Object} Field schema
+ */
+const requiredString = (label, max = 255) => ({
+  in: ['body'],
+  exists: { errorMessage: `${label} is required`, bail: true },
+  isString: { errorMessage: `${label} must be text`, bail: true },
+  trim: true,
+  notEmpty: { errorMessage: `${label} is required`, bail: true },
+  isLength: { options: { max }, errorMessage: `${label} must be at most ${max} characters` }
+});
+
+/**
+ * Optional string in the request body, trimmed; empty strings are allowed
+ * @param {string} label - Name used in the error message
+ * @param {number} max - Maximum length
+ * @returns {Object} Field schema
+ */
+const optionalString = (label, max = 255) => ({
+  in: ['body'],
+  optional: { options: { values: 'null' } },
+  isString: { errorMessage: `${label} must be text`, bail: true },
+  trim: true,
+  isLength: { options: { max }, errorMessage: `${label} must be at most ${max} characters` }
+});
+
+/**
+ * New password: at least MIN_PASSWORD_LENGTH characters with a letter and a digit
+ * @param {string} label - Name used in the error message
+ * @returns {Object} Field schema
+ */
+const newPassword = (label = 'Password') => ({
+  in: ['body'],
+  exists: { errorMessage: `${label} is required`, bail: true },
+  isString: { errorMessage: `${label} must be text`, bail: true },
+  isLength: {
+    options: { min: MIN_PASSWORD_LENGTH, max: 128 },
+    errorMessage: `${label} must be between ${MIN_PASSWORD_LENGTH} and 128 characters`,
+    bail: true
+  },
+  matches: {
+    options: /^(?=.*[A-Za-z])(?=.*\d)/,
+    errorMessage: `${label} must contain at least one letter and one number`
+  }
+});
+
+/**
+ * Confirmation field that must equal another body field
+ * @param {string} field - Body field to compare against
+ * @returns {Object} Field schema
+ */
+const confirmationOf = (field) => ({
+  in: ['body'],
+  notEmpty: { errorMessage: 'Password confirmation is required', bail: true },
+  custom: {
+    options: (value, { req }) => value === req.body[field],
+    errorMessage: 'Passwords do not match'
+  }
+});
+
+/**
+ * Email address in the request body, trimmed
+ * @returns {Object} Field schema
+ */
+const email = () => ({
+  in: ['body'],
+  exists: { errorMessage: 'Email is required', bail: true },
+  isString: { errorMessage: 'Email must be text', bail: true },
+  trim: true,
+  notEmpty: { errorMessage: 'Email is required', bail: true },
+  isEmail: { errorMessage: 'Must be a valid email address' }
+});
+
+/**
+ * ISO 8601 date (YYYY-MM-DD) or timestamp
+ * @param {string} label - Name used in the error message
+ * @param {Object} options - { optional, location }
+ * @returns {Object} Field schema
+ */
+const isoDate = (label, { optional = false, location = 'body' } = {}) => ({
+  in: [location],
+  ...(optional ? { optional: { options: { values: 'falsy' } } } : { notEmpty: { errorMessage: `${label} is required`, bail: true } }),
+  isISO8601: { options: { strict: true }, errorMessage: `${label} must be a valid ISO 8601 date` }
+});
+
+/**
+ * Value that must be one of a fixed set
+ * @param {string} label - Name used in the error message
+ * @param {Array<string>} values - Allowed values
+ * @param {Object} options - { optional, location }
+ * @returns {Object} Field schema
+ */
+const oneOf = (label, values, { optional = false, location = 'body' } = {}) => ({
+  in: [location],
+  ...(optional ? { optional: true } : {}),
+  isIn: { options: [values], errorMessage: `${label} must be one of: ${values.join(', ')}` }
+});
+
+/**
+ * Optional integer query parameter. Only validated: Express 5 does not keep
+ * sanitized query values, so controllers still parse them.
+ * @param {string} label - Name used in the error message
+ * @param {Object} bounds - { min, max }
+ * @returns {Object} Field schema
+ */
+const intQuery = (label, { min = 0, max } = {}) => ({
+  in: ['query'],
+  optional: { options: { values: 'falsy' } },
+  isInt: {
+    options: max === undefined ? { min } : { min, max },
+    errorMessage: max === undefined
+      ? `${label} must be an integer of at least ${min}`
+      : `${label} must be an integer between ${min} and ${max}`
+  }
+});
+
+/**
+ * Pagination parameters for listings
+ * @param {number} maxLimit - Largest page size accepted
+ * @returns {Object} Schema fragment with limit and offset
+ */
+const pagination = (maxLimit = 100) => ({
+  limit: intQuery('limit', { min: 1, max: maxLimit }),
+  offset: intQuery('offset', { min: 0 })
+});
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  idParam,
+  uuidParam,
+  idField,
+  requiredString,
+  optionalString,
+  newPassword,
+  confirmationOf,
+  email,
+  isoDate,
+  oneOf,
+  intQuery,
+  pagination
+};
@@ -0,0 +1,224 @@
+const {
+  idParam,
+  uuidParam,
+  idField,
+  requiredString,
+  optionalString,
+  isoDate,
+  oneOf,
+  intQuery
+} = require('./common.validator');
+const { SKILL_TAGS, parseTimestamp } = require('../utils/media.util');
+
+const STAT_FIELDS = ['matches_played', 'goals', 'assists', 'yellow_cards', 'red_cards'];
+
+const statField = (field) => ({
+  in: ['body'],
+  exists: { errorMessage: `${field} is required`, bail: true },
+  isInt: { options: { min: 0, max: 10000 }, errorMessage: `${field} must be a non-negative integer` },
+  toInt: true
+});
+
+const MAX_VIDEO_TAGS = 10;
+const MAX_SHOWREEL_VIDEOS = 20;
+
+// Highlight markers: the position is given in seconds or as MM:SS and stored in seconds
+const markerFields = {
+  time: {
+    in: ['body'],
+    exists: { errorMessage: 'Time is required', bail: true },
+    custom: {
+      options: value => parseTimestamp(value) !== null,
+      errorMessage: 'Time must be a number of seconds or MM:SS',
+      bail: true
+    },
+    customSanitizer: { options: parseTimestamp }
+  },
+  label: requiredString('Label', 100),
+  category: oneOf('Category', SKILL_TAGS, { optional: true })
+};
+
+// Videos of a showreel in playing order, each at most once
+const showreelVideoIds = ({ optional = false } = {}) => ({
+  videoIds: {
+    in: ['body'],
+    ...(optional ? { optional: true } : { exists: { errorMessage: 'videoIds is required', bail: true } }),
+    isArray: {
+      options: { max: MAX_SHOWREEL_VIDEOS },
+      errorMessage: `videoIds must be a list of at most ${MAX_SHOWREEL_VIDEOS} video IDs`,
+      bail: true
+    },
+    custom: {
+      options: ids => new Set(ids.map(String)).size === ids.length,
+      errorMessage: 'A video can only appear once in a showreel'
+    }
+  },
+  'videoIds.*': {
+    in: ['body'],
+    isInt: { options: { min: 1 }, errorMessage: 'Video IDs must be positive integers' },
+    toInt: true
+  }
+});
+
+const showreelFields = {
+  title: requiredString('Title', 100),
+  description: optionalString('Description', 1000),
+  featured: {
+    in: ['body'],
+    optional: true,
+    isBoolean: { errorMessage: 'featured must be true or false' },
+    toBoolean: true
+  }
+};
+
+/**
+ * Validation schemas for the /api/player routes
+ */
+module.exports = {
+  profile: {
+    name: optionalString('Name', 100),
+    position: optionalString('Position', 100),
+    club: optionalString('Club', 100),
+    bio: optionalString('Bio', 2000),
+    date_of_birth: isoDate('Date of birth', { optional: true }),
+    updateType: oneOf('updateType', ['profileImageOnly'], { optional: true })
+  },
+
+  playerId: {
+    id: idParam('Player ID')
+  },
+
+  listPlayers: {
+    page: intQuery('page', { min: 1 }),
+    limit: intQuery('limit', { min: 1, max: 100 }),
+    minRating: {
+      in: ['query'],
+      optional: { options: { values: 'falsy' } },
+      isFloat: { options: { min: 0, max: 5 }, errorMessage: 'minRating must be a number between 0 and 5' }
+    }
+  },
+
+  uploadMedia: {
+    description: optionalString('Description', 1000)
+  },
+
+  startUpload: {
+    filename: requiredString('Filename'),
+    mimetype: requiredString('MIME type', 100),
+    size: {
+      in: ['body'],
+      exists: { errorMessage: 'Size is required', bail: true },
+      isInt: { options: { min: 1 }, errorMessage: 'Size must be a positive integer (bytes)' },
+      toInt: true
+    },
+    description: optionalString('Description', 1000)
+  },
+
+  uploadId: {
+    id: uuidParam('Upload ID')
+  },
+
+  uploadChunk: {
+    id: uuidParam('Upload ID'),
+    offset: {
+      in: ['query'],
+      exists: { errorMessage: 'offset is required', bail: true },
+      isInt: { options: { min: 0 }, errorMessage: 'offset must be a non-negative integer' }
+    }
+  },
+
+  addComment: {
+    videoId: idField('Video ID'),
+    content: requiredString('Comment', 1000)
+  },
+
+  videoIdParam: {
+    videoId: idParam('Video ID')
+  },
+
+  commentId: {
+    commentId: idParam('Comment ID')
+  },
+
+  likeVideo: {
+    videoId: idField('Video ID')
+  },
+
+  updateInvitation: {
+    id: idParam('Invitation ID'),
+    status: oneOf('Status', ['accepted', 'declined'])
+  },
+
+  sendInvitation: {
+    tryoutId: idField('Tryout ID'),
+    playerId: idField('Player ID')
+  },
+
+  createTryout: {
+    name: requiredString('Name'),
+    location: requiredString('Location'),
+    date: isoDate('Date')
+  },
+
+  videoId: {
+    id: idParam('Video ID')
+  },
+
+  updateVideo: {
+    id: idParam('Video ID'),
+    description: {
+      in: ['body'],
+      exists: { errorMessage: 'Description is required', bail: true },
+      isString: { errorMessage: 'Description must be text', bail: true },
+      trim: true,
+      isLength: { options: { max: 1000 }, errorMessage: 'Description must be at most 1000 characters' }
+    }
+  },
+
+  addMarker: {
+    id: idParam('Video ID'),
+    ...markerFields
+  },
+
+  updateMarker: {
+    id: idParam('Video ID'),
+    markerId: idParam('Marker ID'),
+    ...markerFields
+  },
+
+  markerId: {
+    id: idParam('Video ID'),
+    markerId: idParam('Marker ID')
+  },
+
+  setVideoTags: {
+    id: idParam('Video ID'),
+    tags: {
+      in: ['body'],
+      exists: { errorMessage: 'Tags are required', bail: true },
+      isArray: { options: { max: MAX_VIDEO_TAGS }, errorMessage: `Tags must be a list of at most ${MAX_VIDEO_TAGS} skills` }
+    },
+    'tags.*': oneOf('Tag', SKILL_TAGS)
+  },
+
+  showreelId: {
+    id: idParam('Showreel ID')
+  },
+
+  createShowreel: {
+    ...showreelFields,
+    ...showreelVideoIds({ optional: true })
+  },
+
+  updateShowreel: {
+    id: idParam('Showreel ID'),
+    ...showreelFields
+  },
+
+  setShowreelVideos: {
+    id: idParam('Showreel ID'),
+    ...showreelVideoIds()
+  },
+
+  performanceStats: Object.fromEntries(STAT_FIELDS.map(field => [field, statField(field)]))
+};
@@ -0,0 +1,101 @@
+const {
+  idParam,
+  idField,
+  requiredString,
+  optionalString,
+  oneOf,
+  intQuery,
+  pagination
+} = require('./common.validator');
+const { SKILL_TAGS } = require('../utils/media.util');
+
+// Scout tryouts take the day and the kick-off time as separate fields
+const tryoutFields = {
+  name: requiredString('Name'),
+  location: requiredString('Location'),
+  date: {
+    in: ['body'],
+    notEmpty: { errorMessage: 'Date is required', bail: true },
+    matches: { options: /^\d{4}-\d{2}-\d{2}$/, errorMessage: 'Date must be in YYYY-MM-DD format', bail: true },
+    isISO8601: { options: { strict: true }, errorMessage: 'Date must be a valid calendar date' }
+  },
+  time: {
+    in: ['body'],
+    notEmpty: { errorMessage: 'Time is required', bail: true },
+    matches: { options: /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/, errorMessage: 'Time must be in HH:MM format' }
+  }
+};
+
+/**
+ * Validation schemas for the /api/scout routes
+ */
+module.exports = {
+  createTryout: tryoutFields,
+
+  updateTryout: {
+    tryoutId: idParam('Tryout ID'),
+    ...tryoutFields
+  },
+
+  tryoutId: {
+    tryoutId: idParam('Tryout ID')
+  },
+
+  invitePlayer: {
+    tryout_id: idField('Tryout ID'),
+    player_id: idField('Player ID')
+  },
+
+  invitationId: {
+    invitationId: idParam('Invitation ID')
+  },
+
+  addToShortlist: {
+    player_id: idField('Player ID')
+  },
+
+  playerId: {
+    playerId: idParam('Player ID')
+  },
+
+  searchPlayers: {
+    minAge: intQuery('minAge', { min: 0, max: 100 }),
+    maxAge: intQuery('maxAge', { min: 0, max: 100 }),
+    minRating: {
+      in: ['query'],
+      optional: { options: { values: 'falsy' } },
+      isFloat: { options: { min: 0, max: 5 }, errorMessage: 'minRating must be a number between 0 and 5' }
+    },
+    hasVideos: oneOf('hasVideos', ['true', 'false'], { optional: true, location: 'query' }),
+    tag: oneOf('tag', SKILL_TAGS, { optional: true, location: 'query' }),
+    sortBy: oneOf('sortBy', ['name', 'age', 'rating', 'club', 'position'], { optional: true, location: 'query' }),
+    sortOrder: oneOf('sortOrder', ['asc', 'desc', 'ASC', 'DESC'], { optional: true, location: 'query' }),
+    ...pagination(100)
+  },
+
+  profile: {
+    name: optionalString('Name', 100),
+    organization: optionalString('Organization'),
+    phone: {
+      ...optionalString('Phone', 30),
+      optional: { options: { values: 'falsy' } },
+      matches: { options: /^[+\d][\d\s().-]*$/, errorMessage: 'Phone may only contain digits, spaces and + ( ) . -' }
+    },
+    updateType: oneOf('updateType', ['profileImageOnly'], { optional: true })
+  },
+
+  submitVerification: {
+    organization: requiredString('Organization'),
+    job_title: optionalString('Job title'),
+    license_number: optionalString('License number', 100),
+    website: {
+      ...optionalString('Website'),
+      optional: { options: { values: 'falsy' } },
+      isURL: { errorMessage: 'Website must be a valid URL' }
+    }
+  },
+
+  scoutId: {
+    scoutId: idParam('Scout ID')
+  }
+};
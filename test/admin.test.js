@@ -0,0 +1,295 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestApp, storage, createPlayer, createScout, createAdmin } = require('./helpers');
+
+const { api } = useTestApp();
+
+describe('admin access', () => {
+  it('is refused to other roles', async () => {
+    const player = await createPlayer();
+
+    const res = await api().get('/api/admin/users').set('Authorization', player.auth).expect(403);
+    assert.equal(res.body.error, 'ROLE_REQUIRED');
+  });
+
+  it('requires two-factor authentication', async () => {
+    const admin = await createAdmin({ twoFactor: false });
+
+    const res = await api().get('/api/admin/users').set('Authorization', admin.auth).expect(403);
+    assert.equal(res.body.error, 'TWO_FACTOR_REQUIRED');
+  });
+});
+
+describe('user management', () => {
+  it('lists users', async () => {
+    const admin = await createAdmin();
+    const player = await createPlayer();
+
+    const res = await api().get('/api/admin/users').set('Authorization', admin.auth).expect(200);
+
+    const listed = res.body.find(user => user.id === player.id);
+    assert.equal(listed.email, player.email);
+    assert.equal(listed.status, 'active');
+    assert.equal(listed.password, undefined);
+  });
+
+  it('suspends a user, cutting off their session, and records the action', async () => {
+    const admin = await createAdmin();
+    const player = await createPlayer();
+
+    await api()
+      .put(`/api/admin/users/${player.id}/status`)
+      .set('Authorization', admin.auth)
+      .send({ status: 'suspended' })
+      .expect(200);
+
+    const refused = await api().get('/api/auth/sessions').set('Authorization', player.auth).expect(403);
+    assert.equal(refused.body.error, 'ACCOUNT_INACTIVE');
+
+    const logs = await api()
+      .get('/api/admin/logs')
+      .query({ entityType: 'user', action: 'UPDATE' })
+      .set('Authorization', admin.auth)
+      .expect(200);
+    assert.ok(logs.body.logs.some(log => log.entity_id === player.id && log.details === 'Changed status to suspended'));
+  });
+
+  it('deletes a user', async () => {
+    const admin = await createAdmin();
+    const player = await createPlayer();
+
+    await api().delete(`/api/admin/users/${player.id}`).set('Authorization', admin.auth).expect(200);
+
+    const res = await api().get('/api/admin/users').set('Authorization', admin.auth).expect(200);
+    assert.equal(res.body.some(user => user.id === player.id), false);
+  });
+
+  it('does not let an admin delete themselves', async () => {
+    const admin = await createAdmin();
+
+    const res = await api().delete(`/api/admin/users/${admin.id}`).set('Authorization', admin.auth).expect(400);
+    assert.equal(res.body.error, 'CANNOT_DELETE_SELF');
+  });
+});
+
+describe('media moderation', () => {
+  const uploadVideo = async (player) => {
+    await api()
+      .post('/api/player/upload')
+      .set('Authorization', player.auth)
+      .attach('file', Buffer.from('video'), { filename: 'goal.mp4', contentType: 'video/mp4' })
+      .expect(201);
+
+    const [video] = (await api().get('/api/player/videos').set('Authorization', player.auth)).body;
+    return video;
+  };
+
+  const publicVideos = async (viewer, player) => (await api()
+    .get(`/api/player/public-profile/${player.id}`)
+    .set('Authorization', viewer.auth)
+    .expect(200)).body.videos;
+
+  const notifications = async (user) => (await api()
+    .get('/api/notifications')
+    .set('Authorization', user.auth)
+    .expect(200)).body.notifications;
+
+  it('holds new uploads for review and lists them in the moderation queue', async () => {
+    const admin = await createAdmin();
+    const player = await createPlayer();
+    const video = await uploadVideo(player);
+
+    assert.equal(video.status, 'pending');
+    assert.deepEqual(await publicVideos(await createScout(), player), []);
+
+    const queue = await api().get('/api/admin/media/moderation').set('Authorization', admin.auth).expect(200);
+    assert.equal(queue.body.pagination.total, 1);
+    assert.equal(String(queue.body.media[0].id), video.id);
+  });
+
+  it('falls back to the default page when limit and offset are left empty', async () => {
+    const admin = await createAdmin();
+    await uploadVideo(await createPlayer());
+
+    const queue = await api().get('/api/admin/media/moderation?limit=&offset=').set('Authorization', admin.auth).expect(200);
+    assert.equal(queue.body.media.length, 1);
+    assert.deepEqual(queue.body.pagination, { total: 1, limit: 50, offset: 0 });
+
+    const verifications = await api()
+      .get('/api/admin/scouts/verification?limit=&offset=')
+      .set('Authorization', admin.auth)
+      .expect(200);
+    assert.deepEqual(verifications.body.pagination, { total: 0, limit: 50, offset: 0 });
+  });
+
+  it('approves a video, shows it to scouts and tells the player', async () => {
+    const admin = await createAdmin();
+    const player = await createPlayer();
+    const video = await uploadVideo(player);
+
+    await api()
+      .put(`/api/admin/media/${video.id}/status`)
+      .set('Authorization', admin.auth)
+      .send({ status: 'approved' })
+      .expect(200);
+
+    const media = await api().get('/api/admin/media').set('Authorization', admin.auth).expect(200);
+    assert.equal(media.body.find(item => String(item.id) === video.id).status, 'approved');
+
+    const videos = await publicVideos(await createScout(), player);
+    assert.equal(String(videos[0].id), video.id);
+
+    const [notification] = await notifications(player);
+    assert.match(notification.message, /approved/);
+
+    const queue = await api().get('/api/admin/media/moderation').set('Authorization', admin.auth).expect(200);
+    assert.equal(queue.body.pagination.total, 0);
+  });
+
+  it('rejects a video with a reason the player can see', async () => {
+    const admin = await createAdmin();
+    const player = await createPlayer();
+    const video = await uploadVideo(player);
+
+    const missing = await api()
+      .put(`/api/admin/media/${video.id}/status`)
+      .set('Authorization', admin.auth)
+      .send({ status: 'rejected' })
+      .expect(422);
+    assert.equal(missing.body.error, 'VALIDATION_ERROR');
+
+    await api()
+      .put(`/api/admin/media/${video.id}/status`)
+      .set('Authorization', admin.auth)
+      .send({ status: 'rejected', reason: 'Not football footage' })
+      .expect(200);
+
+    const [own] = (await api().get('/api/player/videos').set('Authorization', player.auth).expect(200)).body;
+    assert.equal(own.status, 'rejected');
+    assert.equal(own.rejectionReason, 'Not football footage');
+
+    assert.deepEqual(await publicVideos(await createScout(), player), []);
+    const [notification] = await notifications(player);
+    assert.match(notification.message, /rejected: Not football footage/);
+  });
+
+  it('only shows comments on unapproved videos to their owner', async () => {
+    const player = await createPlayer();
+    const video = await uploadVideo(player);
+
+    await api().get(`/api/player/videos/comment/${video.id}`).set('Authorization', player.auth).expect(200);
+    const res = await api().get(`/api/player/videos/comment/${video.id}`).set('Authorization', (await createScout()).auth).expect(404);
+    assert.equal(res.body.error, 'VIDEO_NOT_FOUND');
+  });
+
+  it('only lists like counts of unapproved videos to their owner', async () => {
+    const player = await createPlayer();
+    const video = await uploadVideo(player);
+    const likedVideoIds = async (user) => (await api()
+      .get('/api/player/videos/likes')
+      .set('Authorization', user.auth)
+      .expect(200)).body.map(like => String(like.video_id));
+
+    assert.deepEqual(await likedVideoIds(player), [video.id]);
+    assert.deepEqual(await likedVideoIds(await createScout()), []);
+  });
+
+  it('keeps reviewed videos when the reviewing admin is deleted', async () => {
+    const reviewer = await createAdmin();
+    const player = await createPlayer();
+    const video = await uploadVideo(player);
+    await api()
+      .put(`/api/admin/media/${video.id}/status`)
+      .set('Authorization', reviewer.auth)
+      .send({ status: 'approved' })
+      .expect(200);
+
+    const res = await api().delete(`/api/admin/users/${reviewer.id}`).set('Authorization', (await createAdmin()).auth).expect(200);
+    assert.equal(res.body.summary.anonymized.videoReviews, 1);
+
+    const videos = await publicVideos(await createScout(), player);
+    assert.equal(String(videos[0].id), video.id);
+  });
+
+  it('answers 404 for an unknown video', async () => {
+    const admin = await createAdmin();
+
+    const res = await api()
+      .put('/api/admin/media/999999/status')
+      .set('Authorization', admin.auth)
+      .send({ status: 'approved' })
+      .expect(404);
+    assert.equal(res.body.error, 'VIDEO_NOT_FOUND');
+  });
+
+  it('deletes a video along with its stored file', async () => {
+    const admin = await createAdmin();
+    const video = await uploadVideo(await createPlayer());
+    assert.equal(storage.files.size, 1);
+
+    await api().delete(`/api/admin/media/${video.id}`).set('Authorization', admin.auth).expect(200);
+
+    assert.equal(storage.files.size, 0);
+    const media = await api().get('/api/admin/media').set('Authorization', admin.auth).expect(200);
+    assert.equal(media.body.some(item => String(item.id) === video.id), false);
+  });
+});
+
+describe('scout accreditation', () => {
+  const DOCUMENT = Buffer.from('%PDF-1.4 not really a licence');
+
+  it('keeps documents private and gives reviewers a signed link', async () => {
+    const admin = await createAdmin();
+    const scout = await createScout({ verificationStatus: 'unverified' });
+
+    await api()
+      .post('/api/scout/verification')
+      .set('Authorization', scout.auth)
+      .field('organization', 'Cairo Academy')
+      .attach('document', DOCUMENT, { filename: 'licence.pdf', contentType: 'application/pdf' })
+      .expect(201);
+
+    const [key] = storage.files.keys();
+    assert.match(key, /^private\/pharaohs\/scout_documents\/scout_document_\d+_\d+\.pdf$/);
+    const unsigned = await api().get(`/media/${key}`).expect(403);
+    assert.equal(unsigned.body.error, 'MEDIA_SIGNATURE_REQUIRED');
+
+    const res = await api().get('/api/admin/scouts/verification').set('Authorization', admin.auth).expect(200);
+    const [verification] = res.body.verifications;
+    assert.equal(verification.scoutId, scout.id);
+    assert.equal(verification.document_public_id, undefined);
+
+    const { pathname, search } = new URL(verification.document_url);
+    const document = await api().get(`${pathname}${search}`).expect('Content-Type', 'application/pdf').expect(200);
+    assert.equal(Number(document.headers['content-length']), DOCUMENT.length);
+  });
+
+  it('stores only one of two submissions sent at once', async () => {
+    const scout = await createScout({ verificationStatus: 'unverified' });
+    const submit = () => api()
+      .post('/api/scout/verification')
+      .set('Authorization', scout.auth)
+      .field('organization', 'Cairo Academy')
+      .attach('document', DOCUMENT, { filename: 'licence.pdf', contentType: 'application/pdf' });
+
+    const statuses = (await Promise.all([submit(), submit()])).map(res => res.status);
+    assert.deepEqual(statuses.sort(), [201, 409]);
+
+    const res = await api().get('/api/admin/scouts/verification').set('Authorization', (await createAdmin()).auth).expect(200);
+    assert.equal(res.body.pagination.total, 1);
+    assert.equal(storage.files.size, 1);
+  });
+});
+
+describe('GET /api/admin/config', () => {
+  it('shows the configuration with secrets redacted', async () => {
+    const admin = await createAdmin();
+
+    const res = await api().get('/api/admin/config').set('Authorization', admin.auth).expect(200);
+
+    assert.equal(res.body.environment, 'test');
+    const jwtSecret = res.body.variables.find(variable => variable.name === 'JWT_SECRET');
+    assert.equal(jwtSecret.value, '[REDACTED]');
+    assert.equal(JSON.stringify(res.body).includes(process.env.JWT_SECRET), false);
+  });
+});
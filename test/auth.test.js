@@ -0,0 +1,208 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestApp, mailer, db, createPlayer, createScout, createAdmin, PASSWORD } = require('./helpers');
+
+const { api } = useTestApp();
+
+describe('POST /api/auth/register', () => {
+  it('creates an unverified account, signs it in and emails a verification link', async () => {
+    const res = await api()
+      .post('/api/auth/register')
+      .send({
+        name: 'New Player',
+        email: 'new.player@test.pharaohs.com',
+        password: PASSWORD,
+        confirmPassword: PASSWORD,
+        role: 'player'
+      })
+      .expect(201);
+
+    assert.ok(res.body.token);
+    assert.ok(res.body.refreshToken);
+    assert.equal(res.body.user.role, 'player');
+    assert.equal(res.body.user.emailVerified, false);
+
+    const token = mailer.tokenFrom(mailer.lastTo('new.player@test.pharaohs.com'));
+    assert.ok(token, 'verification email with a token');
+
+    await api().post('/api/auth/verify-email').send({ token }).expect(200);
+
+    const login = await api()
+      .post('/api/auth/login')
+      .send({ email: 'new.player@test.pharaohs.com', password: PASSWORD })
+      .expect(200);
+    assert.equal(login.body.user.emailVerified, true);
+  });
+
+  it('rejects an email that is already registered', async () => {
+    const player = await createPlayer();
+
+    const res = await api()
+      .post('/api/auth/register')
+      .send({ name: 'Copy', email: player.email, password: PASSWORD, confirmPassword: PASSWORD, role: 'player' })
+      .expect(409);
+
+    assert.equal(res.body.error, 'EMAIL_TAKEN');
+  });
+
+  it('lists every invalid field', async () => {
+    const res = await api()
+      .post('/api/auth/register')
+      .send({ name: 'Admin', email: 'not-an-email', password: 'short', confirmPassword: 'other', role: 'admin' })
+      .expect(422);
+
+    assert.equal(res.body.error, 'VALIDATION_ERROR');
+    const fields = [...new Set(res.body.errors.map(error => error.field))].sort();
+    assert.deepEqual(fields, ['confirmPassword', 'email', 'password', 'role']);
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  it('rejects a wrong password', async () => {
+    const player = await createPlayer();
+
+    const res = await api()
+      .post('/api/auth/login')
+      .send({ email: player.email, password: 'Wrong-password1' })
+      .expect(401);
+
+    assert.equal(res.body.error, 'INVALID_CREDENTIALS');
+  });
+
+  it('locks the account when failed logins arrive at the same time', async () => {
+    const player = await createPlayer();
+
+    const responses = await Promise.all(Array.from({ length: 5 }, () => (
+      api().post('/api/auth/login').send({ email: player.email, password: 'Wrong-password1' })
+    )));
+
+    assert.ok(responses.some(res => res.body.error === 'ACCOUNT_LOCKED'));
+    const [[user]] = await db.query('SELECT locked_until FROM users WHERE id = ?', [player.id]);
+    assert.ok(user.locked_until);
+  });
+
+  it('keeps counting failed attempts until the second factor is passed', async () => {
+    const scout = await createScout({ twoFactor: true });
+    await db.query('UPDATE users SET failed_login_attempts = 2 WHERE id = ?', [scout.id]);
+
+    const res = await api().post('/api/auth/login').send({ email: scout.email, password: PASSWORD }).expect(200);
+    assert.equal(res.body.twoFactorRequired, true);
+
+    const [[user]] = await db.query('SELECT failed_login_attempts FROM users WHERE id = ?', [scout.id]);
+    assert.equal(user.failed_login_attempts, 2);
+  });
+
+  it('sends admins without two-factor authentication to enrollment', async () => {
+    const admin = await createAdmin({ twoFactor: false });
+
+    const res = await api()
+      .post('/api/auth/login')
+      .send({ email: admin.email, password: PASSWORD })
+      .expect(200);
+
+    assert.equal(res.body.twoFactorSetupRequired, true);
+    assert.ok(res.body.enrollmentToken);
+    assert.equal(res.body.token, undefined);
+  });
+});
+
+describe('two-factor enrollment', () => {
+  it('refuses the access token of a signed-out session', async () => {
+    const scout = await createScout();
+    await db.query('UPDATE sessions SET revoked_at = NOW() WHERE user_id = ?', [scout.id]);
+
+    const res = await api().post('/api/auth/2fa/setup').set('Authorization', scout.auth).expect(401);
+    assert.equal(res.body.error, 'SESSION_REVOKED');
+  });
+
+  it('refuses a suspended account', async () => {
+    const scout = await createScout({ status: 'suspended' });
+
+    const res = await api().post('/api/auth/2fa/setup').set('Authorization', scout.auth).expect(403);
+    assert.equal(res.body.error, 'ACCOUNT_INACTIVE');
+  });
+
+  it('requires the current password to enable', async () => {
+    const scout = await createScout();
+    await api().post('/api/auth/2fa/setup').set('Authorization', scout.auth).expect(200);
+
+    await api().post('/api/auth/2fa/enable').set('Authorization', scout.auth).send({ code: '123456' }).expect(422);
+    const res = await api()
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', scout.auth)
+      .send({ password: 'Wrong-password1', code: '123456' })
+      .expect(401);
+    assert.equal(res.body.error, 'INVALID_CREDENTIALS');
+  });
+});
+
+describe('refresh tokens and sessions', () => {
+  it('rotates the refresh token and refuses the old one', async () => {
+    const player = await createPlayer();
+
+    const res = await api()
+      .post('/api/auth/refresh')
+      .send({ refreshToken: player.refreshToken })
+      .expect(200);
+    assert.ok(res.body.token);
+    assert.notEqual(res.body.refreshToken, player.refreshToken);
+
+    const reuse = await api()
+      .post('/api/auth/refresh')
+      .send({ refreshToken: player.refreshToken })
+      .expect(401);
+    assert.equal(reuse.body.error, 'INVALID_REFRESH_TOKEN');
+  });
+
+  it('logs out so the refresh token no longer works', async () => {
+    const player = await createPlayer();
+
+    await api().post('/api/auth/logout').send({ refreshToken: player.refreshToken }).expect(200);
+
+    await api().post('/api/auth/refresh').send({ refreshToken: player.refreshToken }).expect(401);
+    const res = await api().get('/api/auth/profile').set('Authorization', player.auth).expect(401);
+    assert.equal(res.body.error, 'SESSION_REVOKED');
+  });
+
+  it('lists the current session', async () => {
+    const player = await createPlayer();
+
+    const res = await api().get('/api/auth/sessions').set('Authorization', player.auth).expect(200);
+
+    assert.equal(res.body.length, 1);
+    assert.equal(res.body[0].current, true);
+  });
+
+  it('requires a token', async () => {
+    const res = await api().get('/api/auth/sessions').expect(401);
+    assert.equal(res.body.error, 'TOKEN_MISSING');
+  });
+});
+
+describe('password reset', () => {
+  it('resets the password from the emailed link and signs out other sessions', async () => {
+    const player = await createPlayer();
+    const newPassword = 'Brand-new-pass1';
+
+    await api().post('/api/auth/forgot-password').send({ email: player.email }).expect(200);
+
+    const token = mailer.tokenFrom(mailer.lastTo(player.email));
+    assert.ok(token, 'reset email with a token');
+
+    await api()
+      .post('/api/auth/reset-password')
+      .send({ token, password: newPassword, confirmPassword: newPassword })
+      .expect(200);
+
+    const stale = await api().get('/api/auth/sessions').set('Authorization', player.auth).expect(401);
+    assert.equal(stale.body.error, 'SESSION_REVOKED');
+
+    await api().post('/api/auth/login').send({ email: player.email, password: newPassword }).expect(200);
+    await api().post('/api/auth/login').send({ email: player.email, password: PASSWORD }).expect(401);
+  });
+
+  it('gives the same answer for unknown emails', async () => {
+    await api().post('/api/auth/forgot-password').send({ email: 'nobody@test.pharaohs.com' }).expect(200);
+    assert.equal(mailer.outbox.length, 0);
+  });
+});
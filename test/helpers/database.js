@@ -0,0 +1,35 @@
+const mysql = require('mysql2/promise');
+const { databaseName, serverUrl } = require('./env');
+
+// Run one statement on the server without selecting a database
+const onServer = async (sql) => {
+  const connection = await mysql.createConnection({ uri: serverUrl });
+  try {
+    await connection.query(sql);
+  } finally {
+    await connection.end();
+  }
+};
+
+/**
+ * Create this process's database and bring it to the latest schema
+ * @returns {Promise<void>}
+ */
+const create = async () => {
+  await onServer(`CREATE DATABASE \`${databaseName}\` CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`);
+
+  const migrate = require('../../src/db/migrate');
+  await migrate.ensureMigrationsTable();
+  await migrate.up();
+};
+
+/**
+ * Close the app's pool and drop the database
+ * @returns {Promise<void>}
+ */
+const drop = async () => {
+  await require('../../src/config/db').end();
+  await onServer(`DROP DATABASE IF EXISTS \`${databaseName}\``);
+};
+
+module.exports = { create, drop };
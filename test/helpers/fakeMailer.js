@@ -0,0 +1,39 @@
+require('./env');
+const mailService = require('../../src/services/mail.service');
+
+/**
+ * Mail transport that keeps sent messages in memory
+ */
+const outbox = [];
+
+const fakeMailer = {
+  outbox,
+
+  install: () => {
+    mailService.setTransport({
+      sendMail: async (message) => {
+        outbox.push(message);
+        return { messageId: `test-${outbox.length}` };
+      }
+    });
+  },
+
+  /**
+   * Most recent message sent to an address
+   * @param {string} to - Recipient email
+   * @returns {Object|undefined} { to, subject, text, html }
+   */
+  lastTo: (to) => [...outbox].reverse().find(message => message.to === to),
+
+  /**
+   * Pull the `token` query parameter out of the link in a message
+   * @param {Object} message - Sent message
+   * @returns {string|null} Token
+   */
+  tokenFrom: (message) => {
+    const match = message && message.text.match(/[?&]token=([^\s&]+)/);
+    return match ? match[1] : null;
+  }
+};
+
+module.exports = fakeMailer;
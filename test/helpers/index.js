@@ -0,0 +1,51 @@
+// Sets up the test environment; keep this the first require in every test file
+require('./env');
+
+const { before, after, beforeEach } = require('node:test');
+const request = require('supertest');
+const database = require('./database');
+const storage = require('./storage');
+const fakeMailer = require('./fakeMailer');
+const users = require('./users');
+
+/**
+ * Boot the app against a fresh, migrated database for the current test file
+ *
+ * Registers hooks that create the database before the first test and drop it
+ * after the last, and swap SMTP for an in-memory fake; media goes to a temporary
+ * directory through the local storage driver. Call once at the top of a test
+ * file and use the returned `api()` to send requests.
+ *
+ * @returns {Object} { api } where api() returns a supertest agent for the app
+ */
+const useTestApp = () => {
+  let app;
+
+  before(async () => {
+    await database.create();
+    fakeMailer.install();
+    app = require('../../src/app');
+  });
+
+  beforeEach(() => {
+    storage.reset();
+    fakeMailer.outbox.length = 0;
+  });
+
+  after(async () => {
+    await database.drop();
+    storage.reset();
+  });
+
+  return {
+    api: () => request(app)
+  };
+};
+
+module.exports = {
+  useTestApp,
+  storage,
+  mailer: fakeMailer,
+  db: require('../../src/config/db'),
+  ...users
+};
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const { storageDir } = require('./env');
+const ffmpeg = require('../../src/services/storage/ffmpeg');
+
+// Storage keys (paths relative to the storage directory) of every file under `dir`,
+// leaving out unfinished resumable uploads (kept under .partial)
+const listKeys = (dir) => {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir, { withFileTypes: true }).filter(entry => !entry.name.startsWith('.')).flatMap((entry) => {
+    const entryPath = path.join(dir, entry.name);
+    return entry.isDirectory()
+      ? listKeys(entryPath)
+      : [path.relative(storageDir, entryPath).split(path.sep).join('/')];
+  });
+};
+
+/**
+ * Media written during the tests
+ *
+ * The app runs with the local storage driver, writing into a temporary directory
+ * for this test file, so uploads and deletes can be checked on disk.
+ */
+const storage = {
+  // Stored files, by storage key, as { size }
+  get files() {
+    return new Map(listKeys(storageDir).map(key => [key, { size: fs.statSync(path.join(storageDir, key)).size }]));
+  },
+
+  // Delete every stored file
+  reset: () => fs.rmSync(storageDir, { recursive: true, force: true }),
+
+  /**
+   * Stand in for ffprobe and ffmpeg for the rest of a test, which are not installed
+   * everywhere and could not read the fake media anyway
+   * @param {Object} t - Test context, whose mocks are restored when the test ends
+   * @param {Object} info - { width, height, duration } every file is reported to have
+   * @returns {Object} { frames } with the { input, output, at, width } of each frame extracted
+   */
+  fakeFfmpeg: (t, info) => {
+    const frames = [];
+    t.mock.method(ffmpeg, 'probe', async () => ({ ...info }));
+    t.mock.method(ffmpeg, 'extractFrame', async (input, output, options) => {
+      frames.push({ input, output, ...options });
+      fs.writeFileSync(output, 'frame');
+      return true;
+    });
+    return { frames };
+  }
+};
+
+module.exports = storage;
@@ -0,0 +1,66 @@
+require('./env');
+const bcrypt = require('bcryptjs');
+const db = require('../../src/config/db');
+const tokenService = require('../../src/services/token.service');
+
+const PASSWORD = 'Password123';
+
+// bcrypt at the app's cost would dominate the run time; logins still verify against it
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+
+let sequence = 0;
+
+/**
+ * Insert a user with a profile for their role and sign them in
+ *
+ * @param {Object} options
+ * @param {string} options.role - player, scout or admin
+ * @param {string} [options.name] - Display name
+ * @param {boolean} [options.emailVerified] - Default true
+ * @param {string} [options.status] - Account status, default active
+ * @param {boolean} [options.twoFactor] - two_factor_enabled flag; default true for admins
+ * @param {string} [options.verificationStatus] - Scout accreditation, default verified
+ * @returns {Promise<Object>} { id, name, email, password, role, token, refreshToken, auth }
+ *   where auth is the Authorization header value
+ */
+const createUser = async ({
+  role,
+  name,
+  emailVerified = true,
+  status = 'active',
+  twoFactor = role === 'admin',
+  verificationStatus = 'verified'
+}) => {
+  sequence += 1;
+  const email = `${role}${sequence}@test.pharaohs.com`;
+  name = name || `Test ${role} ${sequence}`;
+
+  const [result] = await db.query(
+    `INSERT INTO users (name, email, password, role, status, email_verified_at, two_factor_enabled)
+     VALUES (?, ?, ?, ?, ?, ${emailVerified ? 'NOW()' : 'NULL'}, ?)`,
+    [name, email, passwordHash, role, status, twoFactor ? 1 : 0]
+  );
+  const id = result.insertId;
+
+  if (role === 'player') {
+    await db.query('INSERT INTO player_profiles (user_id, position, club) VALUES (?, ?, ?)', [id, 'Forward', 'Test FC']);
+  } else if (role === 'scout') {
+    await db.query(
+      'INSERT INTO scout_profiles (user_id, organization, verification_status) VALUES (?, ?, ?)',
+      [id, 'Test Academy', verificationStatus]
+    );
+  }
+
+  // Same session and token pair a real login would produce
+  const { token, refreshToken } = await tokenService.issueTokenPair({ id, role });
+
+  return { id, name, email, password: PASSWORD, role, token, refreshToken, auth: `Bearer ${token}` };
+};
+
+module.exports = {
+  PASSWORD,
+  createUser,
+  createPlayer: (options = {}) => createUser({ ...options, role: 'player' }),
+  createScout: (options = {}) => createUser({ ...options, role: 'scout' }),
+  createAdmin: (options = {}) => createUser({ ...options, role: 'admin' })
+};
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestApp, storage, createPlayer } = require('./helpers');
+const storageService = require('../src/services/storage.service');
+
+const { api } = useTestApp();
+
+const IMAGE = Buffer.from('not really a JPEG');
+
+// Upload an image as a new player and return the stored file's key and URL path
+const uploadImage = async () => {
+  const player = await createPlayer();
+  const res = await api()
+    .post('/api/player/upload')
+    .set('Authorization', player.auth)
+    .attach('file', IMAGE, { filename: 'celebration.jpg', contentType: 'image/jpeg' })
+    .expect(201);
+
+  const [key] = storage.files.keys();
+  return { key, path: new URL(res.body.url).pathname };
+};
+
+// Path and query of a signed link, so it can be requested from the test app
+const relative = (url) => {
+  const { pathname, search } = new URL(url);
+  return `${pathname}${search}`;
+};
+
+describe('GET /media/:key', () => {
+  it('serves an uploaded file at the URL returned by the upload', async () => {
+    const { key, path } = await uploadImage();
+
+    assert.match(key, /^pharaohs\/images\/player_\d+_\d+\.jpg$/);
+    assert.equal(path, `/media/${key}`);
+
+    const res = await api().get(path).expect(200);
+    assert.deepEqual(res.body, IMAGE);
+  });
+
+  it('serves a signed link until it expires', async () => {
+    const { key } = await uploadImage();
+
+    await api().get(relative(storageService.getSignedUrl(key, { expiresIn: 60 }))).expect(200);
+
+    const expired = await api().get(relative(storageService.getSignedUrl(key, { expiresIn: -1 }))).expect(403);
+    assert.equal(expired.body.error, 'MEDIA_LINK_EXPIRED');
+  });
+
+  it('refuses a signed link whose signature does not match', async () => {
+    const { key } = await uploadImage();
+    const url = storageService.getSignedUrl(key, { expiresIn: 60 });
+
+    const res = await api().get(relative(url).replace(/expires=\d+/, 'expires=9999999999')).expect(403);
+    assert.equal(res.body.error, 'MEDIA_SIGNATURE_INVALID');
+  });
+
+  it('answers 404 for unknown files and paths outside the storage directory', async () => {
+    const missing = await api().get('/media/pharaohs/images/missing.jpg').expect(404);
+    assert.equal(missing.body.error, 'MEDIA_NOT_FOUND');
+
+    await api().get('/media/..%2F..%2Fetc%2Fpasswd').expect(404);
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestApp, db, createPlayer } = require('./helpers');
+
+const { api } = useTestApp();
+
+// Give a user some unread notifications and return their IDs, oldest first
+const notify = async (user, ...messages) => {
+  const ids = [];
+  for (const message of messages) {
+    const [result] = await db.query(
+      'INSERT INTO notifications (user_id, message, is_read) VALUES (?, ?, 0)',
+      [user.id, message]
+    );
+    ids.push(result.insertId);
+  }
+  return ids;
+};
+
+describe('notifications', () => {
+  it('lists the user\'s notifications with the unread count', async () => {
+    const player = await createPlayer();
+    await notify(player, 'First', 'Second');
+    await notify(await createPlayer(), 'Someone else\'s');
+
+    const res = await api().get('/api/notifications').set('Authorization', player.auth).expect(200);
+
+    assert.equal(res.body.notifications.length, 2);
+    assert.equal(res.body.pagination.total, 2);
+    assert.equal(res.body.unreadCount, 2);
+  });
+
+  it('paginates', async () => {
+    const player = await createPlayer();
+    await notify(player, 'One', 'Two', 'Three');
+
+    const res = await api()
+      .get('/api/notifications')
+      .query({ page: 2, limit: 2 })
+      .set('Authorization', player.auth)
+      .expect(200);
+
+    assert.equal(res.body.notifications.length, 1);
+    assert.equal(res.body.pagination.totalPages, 2);
+  });
+
+  it('marks one or all as read', async () => {
+    const player = await createPlayer();
+    const [first] = await notify(player, 'One', 'Two', 'Three');
+
+    await api().put(`/api/notifications/${first}/read`).set('Authorization', player.auth).expect(200);
+    let count = await api().get('/api/notifications/unread-count').set('Authorization', player.auth).expect(200);
+    assert.equal(count.body.unreadCount, 2);
+
+    await api().put('/api/notifications/read-all').set('Authorization', player.auth).expect(200);
+    count = await api().get('/api/notifications/unread-count').set('Authorization', player.auth).expect(200);
+    assert.equal(count.body.unreadCount, 0);
+  });
+
+  it('deletes a notification', async () => {
+    const player = await createPlayer();
+    const [id] = await notify(player, 'Delete me');
+
+    await api().delete(`/api/notifications/${id}`).set('Authorization', player.auth).expect(200);
+
+    const res = await api().get('/api/notifications').set('Authorization', player.auth).expect(200);
+    assert.deepEqual(res.body.notifications, []);
+  });
+
+  it('does not touch another user\'s notifications', async () => {
+    const owner = await createPlayer();
+    const other = await createPlayer();
+    const [id] = await notify(owner, 'Private');
+
+    const read = await api().put(`/api/notifications/${id}/read`).set('Authorization', other.auth).expect(404);
+    assert.equal(read.body.error, 'NOTIFICATION_NOT_FOUND');
+    await api().delete(`/api/notifications/${id}`).set('Authorization', other.auth).expect(404);
+
+    const count = await api().get('/api/notifications/unread-count').set('Authorization', owner.auth).expect(200);
+    assert.equal(count.body.unreadCount, 1);
+  });
+
+  it('requires a token', async () => {
+    const res = await api().get('/api/notifications').expect(401);
+    assert.equal(res.body.error, 'TOKEN_MISSING');
+  });
+});
@@ -0,0 +1,566 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestApp, storage, db, createPlayer, createScout } = require('./helpers');
+const MediaRepository = require('../src/repositories/media.repository');
+const ShowreelRepository = require('../src/repositories/showreel.repository');
+const dataExportService = require('../src/services/dataExport.service');
+
+const { api } = useTestApp();
+
+const VIDEO = Buffer.from('not really a video, but the storage adapter does not care');
+
+// Rows of a data export section as written to its CSV file, keyed by the header
+const exportedCsv = async (user, section) => {
+  const data = await dataExportService.collectUserData(user.id);
+  const [header, ...lines] = dataExportService.toCsv(data[section]).trim().split('\r\n').map(line => (
+    // Quoted cells may hold commas and doubled quotes
+    [...line.matchAll(/(?:^|,)("(?:[^"]|"")*"|[^,]*)/g)].map(([, cell]) => (
+      cell.startsWith('"') ? cell.slice(1, -1).replace(/""/g, '"') : cell
+    ))
+  ));
+  return lines.map(cells => Object.fromEntries(header.map((column, i) => [column, cells[i]])));
+};
+
+const uploadVideo = (player) => api()
+  .post('/api/player/upload')
+  .set('Authorization', player.auth)
+  .field('description', 'Left-footed volley')
+  .attach('file', VIDEO, { filename: 'volley.mp4', contentType: 'video/mp4' });
+
+describe('POST /api/player/upload', () => {
+  it('stores the file and lists it among the player\'s videos', async () => {
+    const player = await createPlayer();
+
+    const res = await uploadVideo(player).expect(201);
+    assert.equal(res.body.data.size, VIDEO.length);
+    assert.equal(storage.files.size, 1);
+
+    const videos = await api().get('/api/player/videos').set('Authorization', player.auth).expect(200);
+    assert.equal(videos.body.length, 1);
+    assert.equal(videos.body[0].description, 'Left-footed volley');
+    assert.equal(videos.body[0].type, 'video');
+    assert.equal(videos.body[0].url, res.body.url);
+    // The rest of the metadata needs ffprobe, which cannot read this fake video anyway
+    assert.equal(videos.body[0].format, 'mp4');
+    assert.equal(videos.body[0].size, VIDEO.length);
+    assert.equal(videos.body[0].duration, null);
+  });
+
+  it('lists the details ffprobe read from the file', async (t) => {
+    storage.fakeFfmpeg(t, { width: 1920, height: 1080, duration: 12.5 });
+    const player = await createPlayer();
+    await uploadVideo(player).expect(201);
+
+    const [video] = (await api().get('/api/player/videos').set('Authorization', player.auth).expect(200)).body;
+    assert.equal(video.width, 1920);
+    assert.equal(video.height, 1080);
+    assert.equal(video.duration, 12.5);
+    assert.match(video.thumbnailUrl, /_thumb\.jpg$/);
+  });
+
+  it('requires a verified email', async () => {
+    const player = await createPlayer({ emailVerified: false });
+
+    const res = await uploadVideo(player).expect(403);
+    assert.equal(res.body.error, 'EMAIL_NOT_VERIFIED');
+    assert.equal(storage.files.size, 0);
+  });
+
+  it('is for players only', async () => {
+    const scout = await createScout();
+
+    const res = await uploadVideo(scout).expect(403);
+    assert.equal(res.body.error, 'ROLE_REQUIRED');
+  });
+
+  it('requires a file', async () => {
+    const player = await createPlayer();
+
+    const res = await api()
+      .post('/api/player/upload')
+      .set('Authorization', player.auth)
+      .field('description', 'No file attached')
+      .expect(400);
+    assert.equal(res.body.error, 'FILE_REQUIRED');
+  });
+
+  it('rejects unsupported file types', async () => {
+    const player = await createPlayer();
+
+    const res = await api()
+      .post('/api/player/upload')
+      .set('Authorization', player.auth)
+      .attach('file', Buffer.from('%PDF-1.4'), { filename: 'cv.pdf', contentType: 'application/pdf' })
+      .expect(415);
+    assert.equal(res.body.error, 'INVALID_FILE_TYPE');
+  });
+});
+
+describe('resumable uploads', () => {
+  const startUpload = (player) => api()
+    .post('/api/player/uploads')
+    .set('Authorization', player.auth)
+    .send({ filename: 'volley.mp4', mimetype: 'video/mp4', size: VIDEO.length, description: 'Left-footed volley' });
+
+  const sendChunk = (player, uploadId, offset, chunk) => api()
+    .patch(`/api/player/uploads/${uploadId}?offset=${offset}`)
+    .set('Authorization', player.auth)
+    .set('Content-Type', 'application/octet-stream')
+    .send(chunk);
+
+  // Send the file from `offset` to the end, chunk by chunk
+  const sendRest = async (player, upload, offset = 0) => {
+    let res;
+    for (let start = offset; start < VIDEO.length; start += upload.chunkSize) {
+      res = await sendChunk(player, upload.uploadId, start, VIDEO.subarray(start, start + upload.chunkSize)).expect(200);
+    }
+    return res.body.upload;
+  };
+
+  it('creates the video only once every chunk has arrived and the upload is completed', async () => {
+    const player = await createPlayer();
+    const { upload } = (await startUpload(player).expect(201)).body;
+    assert.equal(upload.status, 'uploading');
+    assert.equal(upload.chunkSize, 16);
+
+    const incomplete = await api().post(`/api/player/uploads/${upload.uploadId}/complete`).set('Authorization', player.auth).expect(409);
+    assert.equal(incomplete.body.error, 'UPLOAD_INCOMPLETE');
+
+    const uploaded = await sendRest(player, upload);
+    assert.equal(uploaded.status, 'uploaded');
+    assert.equal(uploaded.receivedBytes, VIDEO.length);
+
+    let videos = await api().get('/api/player/videos').set('Authorization', player.auth).expect(200);
+    assert.deepEqual(videos.body, []);
+
+    const res = await api().post(`/api/player/uploads/${upload.uploadId}/complete`).set('Authorization', player.auth).expect(201);
+    assert.equal(res.body.data.size, VIDEO.length);
+
+    const [key] = storage.files.keys();
+    assert.match(key, /^pharaohs\/videos\/player_\d+_\d+\.mp4$/);
+    const file = await api().get(new URL(res.body.url).pathname).expect(200);
+    assert.deepEqual(file.body, VIDEO);
+
+    videos = await api().get('/api/player/videos').set('Authorization', player.auth).expect(200);
+    assert.equal(videos.body.length, 1);
+    assert.equal(videos.body[0].id, res.body.videoId);
+    assert.equal(videos.body[0].description, 'Left-footed volley');
+
+    // Completing again (e.g. after a lost response) returns the same video
+    const again = await api().post(`/api/player/uploads/${upload.uploadId}/complete`).set('Authorization', player.auth).expect(200);
+    assert.equal(again.body.videoId, res.body.videoId);
+  });
+
+  it('can be completed again when creating the video fails', async (t) => {
+    const player = await createPlayer();
+    const { upload } = (await startUpload(player).expect(201)).body;
+    await sendRest(player, upload);
+
+    t.mock.method(MediaRepository, 'create', async () => { throw new Error('Connection lost'); });
+    await api().post(`/api/player/uploads/${upload.uploadId}/complete`).set('Authorization', player.auth).expect(500);
+    t.mock.restoreAll();
+
+    const progress = await api().get(`/api/player/uploads/${upload.uploadId}`).set('Authorization', player.auth).expect(200);
+    assert.equal(progress.body.upload.status, 'uploaded');
+
+    const res = await api().post(`/api/player/uploads/${upload.uploadId}/complete`).set('Authorization', player.auth).expect(201);
+    const videos = await api().get('/api/player/videos').set('Authorization', player.auth).expect(200);
+    assert.deepEqual(videos.body.map(video => video.id), [res.body.videoId]);
+  });
+
+  it('records the file details of the completed video', async (t) => {
+    storage.fakeFfmpeg(t, { width: 1280, height: 720, duration: 8 });
+    const player = await createPlayer();
+    const { upload } = (await startUpload(player).expect(201)).body;
+    await sendRest(player, upload);
+
+    await api().post(`/api/player/uploads/${upload.uploadId}/complete`).set('Authorization', player.auth).expect(201);
+
+    const [video] = (await api().get('/api/player/videos').set('Authorization', player.auth).expect(200)).body;
+    assert.equal(video.width, 1280);
+    assert.equal(video.height, 720);
+    assert.equal(video.duration, 8);
+    assert.equal(video.size, VIDEO.length);
+    assert.match(video.thumbnailUrl, /\/media\/pharaohs\/videos\/player_\d+_\d+_thumb\.jpg$/);
+  });
+
+  it('resumes from the bytes received after a dropped connection', async () => {
+    const player = await createPlayer();
+    const { upload } = (await startUpload(player).expect(201)).body;
+    await sendChunk(player, upload.uploadId, 0, VIDEO.subarray(0, 16)).expect(200);
+
+    // The client resends a chunk the server already has
+    const repeated = await sendChunk(player, upload.uploadId, 0, VIDEO.subarray(0, 16)).expect(409);
+    assert.equal(repeated.body.error, 'UPLOAD_OFFSET_MISMATCH');
+    assert.equal(repeated.body.details.receivedBytes, 16);
+
+    const progress = await api().get(`/api/player/uploads/${upload.uploadId}`).set('Authorization', player.auth).expect(200);
+    assert.equal(progress.body.upload.receivedBytes, 16);
+
+    await sendRest(player, upload, progress.body.upload.receivedBytes);
+    await api().post(`/api/player/uploads/${upload.uploadId}/complete`).set('Authorization', player.auth).expect(201);
+
+    assert.equal([...storage.files.values()][0].size, VIDEO.length);
+  });
+
+  it('rejects chunks of the wrong size', async () => {
+    const player = await createPlayer();
+    const { upload } = (await startUpload(player).expect(201)).body;
+
+    const res = await sendChunk(player, upload.uploadId, 0, VIDEO.subarray(0, 10)).expect(400);
+    assert.equal(res.body.error, 'INVALID_CHUNK_SIZE');
+  });
+
+  it('only accepts videos', async () => {
+    const player = await createPlayer();
+
+    const res = await api()
+      .post('/api/player/uploads')
+      .set('Authorization', player.auth)
+      .send({ filename: 'cv.pdf', mimetype: 'application/pdf', size: 100 })
+      .expect(415);
+    assert.equal(res.body.error, 'INVALID_FILE_TYPE');
+  });
+
+  it('discards a cancelled upload', async () => {
+    const player = await createPlayer();
+    const { upload } = (await startUpload(player).expect(201)).body;
+    await sendChunk(player, upload.uploadId, 0, VIDEO.subarray(0, 16)).expect(200);
+
+    await api().delete(`/api/player/uploads/${upload.uploadId}`).set('Authorization', player.auth).expect(200);
+
+    const res = await sendChunk(player, upload.uploadId, 16, VIDEO.subarray(16, 32)).expect(409);
+    assert.equal(res.body.error, 'UPLOAD_NOT_IN_PROGRESS');
+    assert.equal(storage.files.size, 0);
+  });
+
+  it('keeps each player\'s uploads private', async () => {
+    const owner = await createPlayer();
+    const other = await createPlayer();
+    const { upload } = (await startUpload(owner).expect(201)).body;
+
+    const res = await sendChunk(other, upload.uploadId, 0, VIDEO.subarray(0, 16)).expect(404);
+    assert.equal(res.body.error, 'UPLOAD_NOT_FOUND');
+  });
+});
+
+describe('DELETE /api/player/videos/:id', () => {
+  it('removes the video and its stored file', async () => {
+    const player = await createPlayer();
+    await uploadVideo(player).expect(201);
+    const [video] = (await api().get('/api/player/videos').set('Authorization', player.auth)).body;
+
+    await api().delete(`/api/player/videos/${video.id}`).set('Authorization', player.auth).expect(200);
+
+    assert.equal(storage.files.size, 0);
+    const videos = await api().get('/api/player/videos').set('Authorization', player.auth).expect(200);
+    assert.deepEqual(videos.body, []);
+  });
+
+  it('does not let a player delete someone else\'s video', async () => {
+    const owner = await createPlayer();
+    const other = await createPlayer();
+    await uploadVideo(owner).expect(201);
+    const [video] = (await api().get('/api/player/videos').set('Authorization', owner.auth)).body;
+
+    const res = await api().delete(`/api/player/videos/${video.id}`).set('Authorization', other.auth).expect(404);
+    assert.equal(res.body.error, 'VIDEO_NOT_FOUND');
+    assert.equal(storage.files.size, 1);
+  });
+});
+
+describe('video highlights', () => {
+  // Upload a video and return it as listed for its owner
+  const uploadedVideo = async (player) => {
+    await uploadVideo(player).expect(201);
+    const [video] = (await api().get('/api/player/videos').set('Authorization', player.auth)).body;
+    return video;
+  };
+
+  it('adds markers and tags that are returned with the video', async () => {
+    const player = await createPlayer();
+    const video = await uploadedVideo(player);
+
+    const res = await api()
+      .post(`/api/player/videos/${video.id}/markers`)
+      .set('Authorization', player.auth)
+      .send({ time: '01:12', label: 'left-foot finish', category: 'finishing' })
+      .expect(201);
+    assert.equal(res.body.marker.time, 72);
+    assert.equal(res.body.marker.timestamp, '01:12');
+
+    await api()
+      .post(`/api/player/videos/${video.id}/markers`)
+      .set('Authorization', player.auth)
+      .send({ time: 30, label: 'nutmeg', category: 'dribbling' })
+      .expect(201);
+
+    const tags = await api()
+      .put(`/api/player/videos/${video.id}/markers/tags`)
+      .set('Authorization', player.auth)
+      .send({ tags: ['passing', 'dribbling', 'passing'] })
+      .expect(200);
+    assert.deepEqual(tags.body.tags, ['dribbling', 'passing']);
+
+    const [listed] = (await api().get('/api/player/videos').set('Authorization', player.auth).expect(200)).body;
+    assert.deepEqual(listed.markers.map(marker => marker.label), ['nutmeg', 'left-foot finish']);
+    assert.deepEqual(listed.tags, ['dribbling', 'passing']);
+  });
+
+  it('exports markers and tags with each video to CSV', async () => {
+    const player = await createPlayer();
+    const video = await uploadedVideo(player);
+    await api()
+      .post(`/api/player/videos/${video.id}/markers`)
+      .set('Authorization', player.auth)
+      .send({ time: 30, label: 'nutmeg, then a finish', category: 'dribbling' })
+      .expect(201);
+    await api()
+      .put(`/api/player/videos/${video.id}/markers/tags`)
+      .set('Authorization', player.auth)
+      .send({ tags: ['finishing', 'dribbling'] })
+      .expect(200);
+
+    const [row] = await exportedCsv(player, 'videos');
+    assert.deepEqual(JSON.parse(row.tags), ['dribbling', 'finishing']);
+    const [marker] = JSON.parse(row.markers);
+    assert.equal(marker.time, 30);
+    assert.equal(marker.label, 'nutmeg, then a finish');
+    assert.equal(marker.category, 'dribbling');
+  });
+
+  it('changes and removes markers', async () => {
+    const player = await createPlayer();
+    const video = await uploadedVideo(player);
+    const { marker } = (await api()
+      .post(`/api/player/videos/${video.id}/markers`)
+      .set('Authorization', player.auth)
+      .send({ time: 10, label: 'first touch' })).body;
+
+    const updated = await api()
+      .put(`/api/player/videos/${video.id}/markers/${marker.id}`)
+      .set('Authorization', player.auth)
+      .send({ time: '1:02:03', label: 'volley', category: 'finishing' })
+      .expect(200);
+    assert.equal(updated.body.marker.timestamp, '1:02:03');
+    assert.equal(updated.body.marker.category, 'finishing');
+
+    await api().delete(`/api/player/videos/${video.id}/markers/${marker.id}`).set('Authorization', player.auth).expect(200);
+    const missing = await api()
+      .delete(`/api/player/videos/${video.id}/markers/${marker.id}`)
+      .set('Authorization', player.auth)
+      .expect(404);
+    assert.equal(missing.body.error, 'MARKER_NOT_FOUND');
+  });
+
+  it('validates the time and category', async () => {
+    const player = await createPlayer();
+    const video = await uploadedVideo(player);
+
+    for (const body of [{ time: '1:75', label: 'finish' }, { time: 5, label: 'finish', category: 'juggling' }]) {
+      await api()
+        .post(`/api/player/videos/${video.id}/markers`)
+        .set('Authorization', player.auth)
+        .send(body)
+        .expect(422);
+    }
+  });
+
+  it('only shows highlights of approved videos to others, and only lets the owner change them', async () => {
+    const owner = await createPlayer();
+    const other = await createPlayer();
+    const scout = await createScout();
+    const video = await uploadedVideo(owner);
+
+    const notYours = await api()
+      .post(`/api/player/videos/${video.id}/markers`)
+      .set('Authorization', other.auth)
+      .send({ time: 5, label: 'finish' })
+      .expect(404);
+    assert.equal(notYours.body.error, 'VIDEO_NOT_FOUND');
+
+    await api().get(`/api/player/videos/${video.id}/markers`).set('Authorization', scout.auth).expect(404);
+
+    await db.query("UPDATE videos SET status = 'approved' WHERE id = ?", [video.id]);
+    const res = await api().get(`/api/player/videos/${video.id}/markers`).set('Authorization', scout.auth).expect(200);
+    assert.deepEqual(res.body, { videoId: Number(video.id), markers: [], tags: [] });
+  });
+});
+
+describe('showreels', () => {
+  // Upload a video, approve it and return its ID
+  const approvedVideo = async (player) => {
+    const res = await uploadVideo(player).expect(201);
+    await db.query("UPDATE videos SET status = 'approved' WHERE id = ?", [res.body.videoId]);
+    return res.body.videoId;
+  };
+
+  const createShowreel = (player, body) => api()
+    .post('/api/player/showreels')
+    .set('Authorization', player.auth)
+    .send(body);
+
+  it('creates a reel and reorders its videos', async () => {
+    const player = await createPlayer();
+    const first = await approvedVideo(player);
+    const second = await approvedVideo(player);
+
+    const created = await createShowreel(player, { title: 'Season 2025', videoIds: [first, second] }).expect(201);
+    const { id } = created.body.showreel;
+    assert.deepEqual(created.body.showreel.videos.map(video => video.id), [first, second]);
+
+    const reordered = await api()
+      .put(`/api/player/showreels/${id}/videos`)
+      .set('Authorization', player.auth)
+      .send({ videoIds: [second, first] })
+      .expect(200);
+    assert.deepEqual(reordered.body.showreel.videos.map(video => video.id), [second, first]);
+
+    await api().delete(`/api/player/showreels/${id}`).set('Authorization', player.auth).expect(200);
+    const list = await api().get('/api/player/showreels').set('Authorization', player.auth).expect(200);
+    assert.deepEqual(list.body, []);
+  });
+
+  it('only takes the player\'s own approved videos', async () => {
+    const player = await createPlayer();
+    const other = await createPlayer();
+    const pending = (await uploadVideo(player).expect(201)).body.videoId;
+    const someoneElses = await approvedVideo(other);
+
+    const res = await createShowreel(player, { title: 'Best of', videoIds: [pending, someoneElses] }).expect(400);
+    assert.equal(res.body.error, 'INVALID_SHOWREEL_VIDEOS');
+    assert.deepEqual(res.body.details.videoIds, [pending, someoneElses]);
+
+    await createShowreel(player, { title: 'Best of', videoIds: [pending, pending] }).expect(422);
+  });
+
+  it('shows the featured reel first on the public profile', async () => {
+    const player = await createPlayer();
+    const scout = await createScout();
+    const video = await approvedVideo(player);
+
+    await createShowreel(player, { title: 'Goals', videoIds: [video] }).expect(201);
+    await createShowreel(player, { title: 'Empty' }).expect(201);
+    const featured = await createShowreel(player, { title: 'Highlights', videoIds: [video], featured: true }).expect(201);
+
+    const profile = await api().get(`/api/player/public-profile/${player.id}`).set('Authorization', scout.auth).expect(200);
+    assert.deepEqual(profile.body.showreels.map(reel => reel.title), ['Highlights', 'Goals']);
+    assert.equal(profile.body.showreels[0].featured, true);
+
+    await api()
+      .put(`/api/player/showreels/${featured.body.showreel.id}`)
+      .set('Authorization', player.auth)
+      .send({ title: 'Highlights', featured: false })
+      .expect(200);
+    const after = await api().get(`/api/player/public-profile/${player.id}`).set('Authorization', scout.auth).expect(200);
+    assert.deepEqual(after.body.showreels.map(reel => reel.featured), [false, false]);
+  });
+
+  it('creates nothing when part of a new reel fails to save', async (t) => {
+    const player = await createPlayer();
+    const video = await approvedVideo(player);
+    t.mock.method(ShowreelRepository, 'setFeatured', async () => {
+      throw new Error('Connection lost');
+    });
+
+    await createShowreel(player, { title: 'Highlights', videoIds: [video], featured: true }).expect(500);
+
+    const [rows] = await db.query('SELECT id FROM showreels WHERE player_id = ?', [player.id]);
+    assert.deepEqual(rows, []);
+  });
+
+  it('exports each reel with its videos to CSV', async () => {
+    const player = await createPlayer();
+    const first = await approvedVideo(player);
+    const second = await approvedVideo(player);
+    await createShowreel(player, { title: 'Season 2025', videoIds: [second, first] }).expect(201);
+
+    const [reel] = await exportedCsv(player, 'showreels');
+    assert.equal(reel.title, 'Season 2025');
+    assert.equal(reel.videoCount, '2');
+    assert.deepEqual(JSON.parse(reel.videos).map(video => video.id), [second, first]);
+  });
+
+  it('keeps each player\'s reels to themselves', async () => {
+    const owner = await createPlayer();
+    const other = await createPlayer();
+    const { id } = (await createShowreel(owner, { title: 'Mine' }).expect(201)).body.showreel;
+
+    const res = await api()
+      .put(`/api/player/showreels/${id}`)
+      .set('Authorization', other.auth)
+      .send({ title: 'Stolen' })
+      .expect(404);
+    assert.equal(res.body.error, 'SHOWREEL_NOT_FOUND');
+    await api().delete(`/api/player/showreels/${id}`).set('Authorization', other.auth).expect(404);
+  });
+});
+
+describe('tryout invitations', () => {
+  // A pending invitation from a scout to the player
+  const invite = async (player) => {
+    const scout = await createScout();
+    const [tryout] = await db.query(
+      'INSERT INTO tryouts (scout_id, name, location, date) VALUES (?, ?, ?, ?)',
+      [scout.id, 'Summer trials', 'Cairo', '2030-06-01 10:00:00']
+    );
+    await db.query('INSERT INTO invitations (tryout_id, player_id) VALUES (?, ?)', [tryout.insertId, player.id]);
+    return scout;
+  };
+
+  it('lists the player\'s invitations', async () => {
+    const player = await createPlayer();
+    const scout = await invite(player);
+
+    const res = await api().get('/api/player/invitations').set('Authorization', player.auth).expect(200);
+    assert.equal(res.body.length, 1);
+    assert.equal(res.body[0].status, 'pending');
+    assert.equal(res.body[0].tryout_name, 'Summer trials');
+    assert.equal(res.body[0].scout_id, scout.id);
+  });
+
+  it('accepts an invitation and notifies the scout', async () => {
+    const player = await createPlayer();
+    const scout = await invite(player);
+    const [invitation] = (await api().get('/api/player/invitations').set('Authorization', player.auth)).body;
+
+    await api()
+      .put(`/api/player/invitations/${invitation.invitation_id}`)
+      .set('Authorization', player.auth)
+      .send({ status: 'accepted' })
+      .expect(200);
+
+    const [updated] = (await api().get('/api/player/invitations').set('Authorization', player.auth)).body;
+    assert.equal(updated.status, 'accepted');
+
+    const notifications = await api().get('/api/notifications').set('Authorization', scout.auth).expect(200);
+    assert.match(notifications.body.notifications[0].message, /accepted your invitation/);
+  });
+
+  it('only accepts or declines', async () => {
+    const player = await createPlayer();
+    await invite(player);
+    const [invitation] = (await api().get('/api/player/invitations').set('Authorization', player.auth)).body;
+
+    const res = await api()
+      .put(`/api/player/invitations/${invitation.invitation_id}`)
+      .set('Authorization', player.auth)
+      .send({ status: 'maybe' })
+      .expect(422);
+    assert.equal(res.body.errors[0].field, 'status');
+  });
+
+  it('cannot answer another player\'s invitation', async () => {
+    const invited = await createPlayer();
+    const other = await createPlayer();
+    await invite(invited);
+    const [invitation] = (await api().get('/api/player/invitations').set('Authorization', invited.auth)).body;
+
+    const res = await api()
+      .put(`/api/player/invitations/${invitation.invitation_id}`)
+      .set('Authorization', other.auth)
+      .send({ status: 'accepted' })
+      .expect(404);
+    assert.equal(res.body.error, 'INVITATION_NOT_FOUND');
+  });
+});
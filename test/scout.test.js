@@ -0,0 +1,196 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestApp, db, storage, createPlayer, createScout } = require('./helpers');
+
+const { api } = useTestApp();
+
+// Create a tryout through the API and return its row from the scout's list
+const createTryout = async (scout, name = 'Open trials') => {
+  await api()
+    .post('/api/scout/tryouts')
+    .set('Authorization', scout.auth)
+    .send({ name, location: 'Alexandria', date: '2030-07-15', time: '09:30' })
+    .expect(201);
+
+  const tryouts = await api().get('/api/scout/tryouts').set('Authorization', scout.auth).expect(200);
+  return tryouts.body.find(tryout => tryout.name === name);
+};
+
+describe('scout tryouts', () => {
+  it('creates and lists tryouts', async () => {
+    const scout = await createScout();
+
+    const tryout = await createTryout(scout);
+
+    assert.ok(tryout.id);
+    assert.equal(tryout.location, 'Alexandria');
+    assert.deepEqual(tryout.playersInvited, []);
+  });
+
+  it('validates the date and time', async () => {
+    const scout = await createScout();
+
+    const res = await api()
+      .post('/api/scout/tryouts')
+      .set('Authorization', scout.auth)
+      .send({ name: 'Bad date', location: 'Giza', date: '15/07/2030', time: '9am' })
+      .expect(422);
+
+    const fields = [...new Set(res.body.errors.map(error => error.field))].sort();
+    assert.deepEqual(fields, ['date', 'time']);
+  });
+
+  it('is for scouts only', async () => {
+    const player = await createPlayer();
+
+    const res = await api().get('/api/scout/tryouts').set('Authorization', player.auth).expect(403);
+    assert.equal(res.body.error, 'ROLE_REQUIRED');
+  });
+
+  it('cannot delete another scout\'s tryout', async () => {
+    const owner = await createScout();
+    const other = await createScout();
+    const tryout = await createTryout(owner);
+
+    const res = await api().delete(`/api/scout/tryouts/${tryout.id}`).set('Authorization', other.auth).expect(403);
+    assert.equal(res.body.error, 'TRYOUT_NOT_OWNED');
+  });
+});
+
+describe('POST /api/scout/invite', () => {
+  it('invites a player, who is notified', async () => {
+    const scout = await createScout();
+    const player = await createPlayer();
+    const tryout = await createTryout(scout);
+
+    await api()
+      .post('/api/scout/invite')
+      .set('Authorization', scout.auth)
+      .send({ tryout_id: tryout.id, player_id: player.id })
+      .expect(201);
+
+    const invitations = await api().get('/api/player/invitations').set('Authorization', player.auth).expect(200);
+    assert.equal(invitations.body.length, 1);
+    assert.equal(invitations.body[0].tryout_id, tryout.id);
+
+    const notifications = await api().get('/api/notifications').set('Authorization', player.auth).expect(200);
+    assert.match(notifications.body.notifications[0].message, /new invitation/);
+  });
+
+  it('does not invite the same player twice', async () => {
+    const scout = await createScout();
+    const player = await createPlayer();
+    const tryout = await createTryout(scout);
+    const invite = () => api()
+      .post('/api/scout/invite')
+      .set('Authorization', scout.auth)
+      .send({ tryout_id: tryout.id, player_id: player.id });
+
+    await invite().expect(201);
+    const res = await invite().expect(409);
+    assert.equal(res.body.error, 'INVITATION_EXISTS');
+  });
+
+  it('requires an accredited scout', async () => {
+    const scout = await createScout({ verificationStatus: 'pending_verification' });
+    const player = await createPlayer();
+    const tryout = await createTryout(scout);
+
+    const res = await api()
+      .post('/api/scout/invite')
+      .set('Authorization', scout.auth)
+      .send({ tryout_id: tryout.id, player_id: player.id })
+      .expect(403);
+    assert.equal(res.body.error, 'SCOUT_NOT_VERIFIED');
+    assert.equal(res.body.details.verificationStatus, 'pending_verification');
+  });
+
+  it('only invites to the scout\'s own tryouts', async () => {
+    const owner = await createScout();
+    const other = await createScout();
+    const player = await createPlayer();
+    const tryout = await createTryout(owner);
+
+    const res = await api()
+      .post('/api/scout/invite')
+      .set('Authorization', other.auth)
+      .send({ tryout_id: tryout.id, player_id: player.id })
+      .expect(403);
+    assert.equal(res.body.error, 'TRYOUT_NOT_OWNED');
+  });
+});
+
+describe('shortlist', () => {
+  it('adds, lists and removes players', async () => {
+    const scout = await createScout();
+    const player = await createPlayer();
+
+    await api()
+      .post('/api/scout/shortlist')
+      .set('Authorization', scout.auth)
+      .send({ player_id: player.id })
+      .expect(201);
+
+    const duplicate = await api()
+      .post('/api/scout/shortlist')
+      .set('Authorization', scout.auth)
+      .send({ player_id: player.id })
+      .expect(409);
+    assert.equal(duplicate.body.error, 'ALREADY_SHORTLISTED');
+
+    const list = await api().get('/api/scout/shortlist').set('Authorization', scout.auth).expect(200);
+    assert.deepEqual(list.body.map(entry => entry.player_id), [player.id]);
+
+    await api().delete(`/api/scout/shortlist/${player.id}`).set('Authorization', scout.auth).expect(200);
+
+    const after = await api().get('/api/scout/shortlist').set('Authorization', scout.auth).expect(200);
+    assert.deepEqual(after.body, []);
+  });
+});
+
+describe('GET /api/scout/search', () => {
+  // Upload an approved video for the player, tagged with the given skills
+  const taggedVideo = async (player, tags) => {
+    await api()
+      .post('/api/player/upload')
+      .set('Authorization', player.auth)
+      .attach('file', Buffer.from('clip'), { filename: 'clip.mp4', contentType: 'video/mp4' })
+      .expect(201);
+    const [video] = (await api().get('/api/player/videos').set('Authorization', player.auth)).body;
+    await db.query("UPDATE videos SET status = 'approved' WHERE id = ?", [video.id]);
+
+    await api()
+      .put(`/api/player/videos/${video.id}/markers/tags`)
+      .set('Authorization', player.auth)
+      .send({ tags })
+      .expect(200);
+  };
+
+  it('filters players by the skills tagged on their videos', async () => {
+    const scout = await createScout();
+    const dribbler = await createPlayer();
+    const passer = await createPlayer();
+    await taggedVideo(dribbler, ['dribbling']);
+    await taggedVideo(passer, ['passing']);
+
+    const res = await api().get('/api/scout/search?tag=dribbling').set('Authorization', scout.auth).expect(200);
+    assert.deepEqual(res.body.players.map(player => player.id), [dribbler.id]);
+    assert.deepEqual(res.body.players[0].videos[0].tags, ['dribbling']);
+
+    await api().get('/api/scout/search?tag=juggling').set('Authorization', scout.auth).expect(422);
+  });
+
+  it('shows the file details of each player\'s videos', async (t) => {
+    storage.fakeFfmpeg(t, { width: 1280, height: 720, duration: 8 });
+    const scout = await createScout();
+    const player = await createPlayer();
+    await taggedVideo(player, ['finishing']);
+
+    const res = await api().get('/api/scout/search?tag=finishing').set('Authorization', scout.auth).expect(200);
+    const [video] = res.body.players[0].videos;
+    assert.equal(video.width, 1280);
+    assert.equal(video.height, 720);
+    assert.equal(video.duration, 8);
+    assert.match(video.thumbnailUrl, /_thumb\.jpg$/);
+  });
+});
@@ -0,0 +1,156 @@
+// Credentials for the Cloudinary driver; set before the config is loaded. Nothing is sent
+// to Cloudinary: uploads are mocked and URLs are built locally.
+Object.assign(process.env, {
+  CLOUDINARY_CLOUD_NAME: 'demo',
+  CLOUDINARY_API_KEY: '1234567890',
+  CLOUDINARY_API_SECRET: 'integration-tests-only'
+});
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const cloudinary = require('cloudinary').v2;
+const { storage } = require('./helpers');
+const storageService = require('../src/services/storage.service');
+const cloudinaryDriver = require('../src/services/storage/cloudinary.driver');
+const ffmpeg = require('../src/services/storage/ffmpeg');
+
+// Part of Cloudinary's upload response
+const uploadResponse = (overrides) => ({
+  public_id: 'pharaohs/videos/player_1_1718000000000',
+  secure_url: 'https://res.cloudinary.com/demo/video/upload/v1/pharaohs/videos/player_1_1718000000000.mp4',
+  resource_type: 'video',
+  type: 'upload',
+  format: 'mp4',
+  bytes: 2048,
+  width: 1920,
+  height: 1080,
+  duration: 12.5,
+  ...overrides
+});
+
+// Cloudinary upload options and the file details the driver made of its response
+const cloudinaryUpload = async (t, response, { mimetype = 'video/mp4', resourceType = 'video', access } = {}) => {
+  const upload = t.mock.method(cloudinary.uploader, 'upload', async () => response);
+  const stored = await cloudinaryDriver.upload(Buffer.from('clip'), {
+    mimetype,
+    folder: 'pharaohs/videos',
+    name: 'player_1_1718000000000',
+    resourceType,
+    access
+  });
+  return { options: upload.mock.calls[0].arguments[1], stored };
+};
+
+describe('Cloudinary driver', () => {
+  it('returns the file details from the upload response with a poster frame for videos', async (t) => {
+    const { options, stored } = await cloudinaryUpload(t, uploadResponse());
+
+    const { thumbnailUrl, ...details } = stored;
+    assert.equal(options.type, 'upload');
+    assert.deepEqual(details, {
+      key: 'pharaohs/videos/player_1_1718000000000',
+      url: 'https://res.cloudinary.com/demo/video/upload/v1/pharaohs/videos/player_1_1718000000000.mp4',
+      resourceType: 'video',
+      format: 'mp4',
+      bytes: 2048,
+      width: 1920,
+      height: 1080,
+      duration: 12.5
+    });
+    assert.match(
+      thumbnailUrl,
+      /^https:\/\/res\.cloudinary\.com\/demo\/video\/upload\/so_auto\/c_limit,q_auto,w_640\/(v1\/)?pharaohs\/videos\/player_1_1718000000000\.jpg/
+    );
+  });
+
+  it('scales images down for their thumbnail and leaves what Cloudinary did not report null', async (t) => {
+    const { stored } = await cloudinaryUpload(t, uploadResponse({
+      public_id: 'pharaohs/images/player_1_1718000000000',
+      resource_type: 'image',
+      format: 'jpg',
+      duration: undefined
+    }), { mimetype: 'image/jpeg', resourceType: 'image' });
+
+    assert.equal(stored.duration, null);
+    assert.match(
+      stored.thumbnailUrl,
+      /^https:\/\/res\.cloudinary\.com\/demo\/image\/upload\/c_limit,f_auto,q_auto,w_640\/(v1\/)?pharaohs\/images\/player_1_1718000000000/
+    );
+  });
+
+  it('gives documents and private files no thumbnail', async (t) => {
+    const document = await cloudinaryUpload(t, uploadResponse({
+      resource_type: 'raw',
+      format: undefined,
+      width: undefined,
+      height: undefined,
+      duration: undefined
+    }), { mimetype: 'application/pdf', resourceType: 'raw' });
+    assert.deepEqual(
+      [document.stored.width, document.stored.height, document.stored.duration, document.stored.thumbnailUrl],
+      [null, null, null, null]
+    );
+    t.mock.restoreAll();
+
+    const { options, stored } = await cloudinaryUpload(t, uploadResponse({ resource_type: 'image', type: 'authenticated' }), {
+      mimetype: 'image/jpeg',
+      resourceType: 'image',
+      access: 'private'
+    });
+    assert.equal(options.type, 'authenticated');
+    assert.equal(stored.thumbnailUrl, null);
+  });
+});
+
+describe('local driver', () => {
+  afterEach(() => storage.reset());
+
+  const upload = (filename, mimetype) => storageService.upload(Buffer.from('not really media'), {
+    filename,
+    mimetype,
+    folder: 'pharaohs/videos',
+    name: 'player_1_1718000000000'
+  });
+
+  it('reads video details with ffprobe and saves a poster frame next to the video', async (t) => {
+    const { frames } = storage.fakeFfmpeg(t, { width: 1280, height: 720, duration: 8 });
+
+    const stored = await upload('run.mp4', 'video/mp4');
+
+    assert.equal(stored.width, 1280);
+    assert.equal(stored.height, 720);
+    assert.equal(stored.duration, 8);
+    assert.equal(stored.format, 'mp4');
+    assert.match(stored.thumbnailUrl, /\/media\/pharaohs\/videos\/player_1_1718000000000_thumb\.jpg$/);
+    assert.equal(frames.length, 1);
+    assert.equal(frames[0].at, 1);
+    assert.equal(frames[0].width, 640);
+    assert.deepEqual([...storage.files.keys()].sort(), [
+      'pharaohs/videos/player_1_1718000000000.mp4',
+      'pharaohs/videos/player_1_1718000000000_thumb.jpg'
+    ]);
+
+    await storageService.delete(stored.key, { resourceType: 'video' });
+    assert.equal(storage.files.size, 0);
+  });
+
+  it('uses images as their own thumbnail and gives them no duration', async (t) => {
+    const { frames } = storage.fakeFfmpeg(t, { width: 800, height: 600, duration: 0.04 });
+
+    const stored = await upload('goal.jpg', 'image/jpeg');
+
+    assert.equal(stored.width, 800);
+    assert.equal(stored.duration, null);
+    assert.equal(stored.thumbnailUrl, stored.url);
+    assert.equal(frames.length, 0);
+  });
+
+  it('leaves the details null when ffprobe cannot read the file', async (t) => {
+    t.mock.method(ffmpeg, 'probe', async () => null);
+
+    const stored = await upload('run.mp4', 'video/mp4');
+
+    assert.deepEqual([stored.width, stored.height, stored.duration, stored.thumbnailUrl], [null, null, null, null]);
+    assert.equal(stored.bytes, 'not really media'.length);
+  });
+});